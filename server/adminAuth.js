@@ -0,0 +1,44 @@
+/**
+ * Admin token check for routes that change server state
+ *
+ * Set ADMIN_TOKEN in the server environment and send it as
+ * `Authorization: Bearer <token>` or `X-Admin-Token: <token>`.
+ * Without ADMIN_TOKEN the protected routes are disabled (503), so a fresh
+ * deployment never exposes them.
+ */
+
+const crypto = require('crypto');
+
+function readToken(req) {
+  const header = req.get('authorization') || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : (req.get('x-admin-token') || '');
+}
+
+// Constant-time comparison (hash first so lengths always match)
+function tokensMatch(given, expected) {
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware: 503 when no token is configured, 401 on a missing or wrong token
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({
+      error: 'Admin routes disabled',
+      message: 'Set ADMIN_TOKEN on the server to enable this route'
+    });
+  }
+
+  const given = readToken(req);
+  if (!given || !tokensMatch(given, expected)) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Missing or invalid admin token' });
+  }
+  next();
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,678 @@
+/**
+ * Alert Rules Engine
+ *
+ * User-defined rules over DataStore and projection outputs, delivered to
+ * webhooks as Discord / Slack / Telegram compatible JSON. Rules are managed
+ * through /api/alerts and persisted to data/alerts.json.
+ *
+ * Conditions (rule.condition.type):
+ * - bias_flip:           projection direction flips to `to` (12hr, daily, 4hr),
+ *                        optionally only at `minConfidence` or above
+ * - funding_zscore:      funding Z-score above `above`, below `below` or |Z| >= `abs`
+ * - liquidation_cascade: liquidationCollector reports a cascade (ANY, LONG_CASCADE, SHORT_CASCADE)
+ * - invalidation_cross:  price crosses the latest projection's invalidation level
+ * - whale_trade:         a whale trade of at least `minNotional` USD
+ *
+ * State conditions fire on their false -> true edge, then wait
+ * cooldownMinutes before they can fire again.
+ *
+ * Webhook URLs carry their service's credentials: they are masked in every
+ * API response, and only public hosts are accepted (checked again against
+ * DNS before each delivery).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const dns = require('dns');
+const crypto = require('crypto');
+const dataStore = require('./dataStore');
+const symbolRegistry = require('./symbolRegistry');
+const liquidationCollector = require('./liquidationCollector');
+const { calculateFundingZScore } = require('./biasProjection');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
+const EVAL_INTERVAL_MS = 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_COOLDOWN_MINUTES = 30;
+const MAX_RULES = 100;
+const MAX_HISTORY = 200;
+
+const CONDITION_TYPES = ['bias_flip', 'funding_zscore', 'liquidation_cascade', 'invalidation_cross', 'whale_trade'];
+const PROJECTION_TYPES = ['12hr', 'daily', '4hr'];
+const DIRECTIONS = ['BULLISH', 'BEARISH', 'NEUTRAL'];
+const CONFIDENCE_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+const CASCADE_DIRECTIONS = ['ANY', 'LONG_CASCADE', 'SHORT_CASCADE'];
+const PERP_EXCHANGES = ['hyperliquid', 'binance', 'bybit', 'nado', 'asterdex'];
+const WEBHOOK_FORMATS = ['generic', 'discord', 'slack', 'telegram'];
+
+// ============== VALIDATION ==============
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Normalize a rule condition, throwing on invalid input
+ */
+function validateCondition(condition, coin) {
+  if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+    throw new Error(`condition.type must be one of: ${CONDITION_TYPES.join(', ')}`);
+  }
+
+  switch (condition.type) {
+    case 'bias_flip': {
+      const projection = condition.projection || '12hr';
+      const to = String(condition.to || '').toUpperCase();
+      const minConfidence = condition.minConfidence ? String(condition.minConfidence).toUpperCase() : null;
+      if (!PROJECTION_TYPES.includes(projection)) {
+        throw new Error(`condition.projection must be one of: ${PROJECTION_TYPES.join(', ')}`);
+      }
+      if (!DIRECTIONS.includes(to)) {
+        throw new Error(`condition.to must be one of: ${DIRECTIONS.join(', ')}`);
+      }
+      if (minConfidence && !CONFIDENCE_RANK[minConfidence]) {
+        throw new Error(`condition.minConfidence must be one of: ${Object.keys(CONFIDENCE_RANK).join(', ')}`);
+      }
+      if (projection === '4hr' && coin !== 'BTC') {
+        throw new Error('4hr projection is available for BTC only');
+      }
+      return { type: condition.type, projection, to, minConfidence };
+    }
+
+    case 'funding_zscore': {
+      const exchange = condition.exchange || 'hyperliquid';
+      const bounds = {};
+      ['above', 'below', 'abs'].forEach(key => {
+        if (condition[key] !== undefined && condition[key] !== null) {
+          if (!isNumber(condition[key])) throw new Error(`condition.${key} must be a number`);
+          bounds[key] = condition[key];
+        }
+      });
+      if (Object.keys(bounds).length === 0) {
+        throw new Error('funding_zscore needs at least one of condition.above, condition.below, condition.abs');
+      }
+      if (!PERP_EXCHANGES.includes(exchange)) {
+        throw new Error(`condition.exchange must be one of: ${PERP_EXCHANGES.join(', ')}`);
+      }
+      return { type: condition.type, exchange, ...bounds };
+    }
+
+    case 'liquidation_cascade': {
+      const direction = String(condition.direction || 'ANY').toUpperCase();
+      if (!CASCADE_DIRECTIONS.includes(direction)) {
+        throw new Error(`condition.direction must be one of: ${CASCADE_DIRECTIONS.join(', ')}`);
+      }
+      return { type: condition.type, direction };
+    }
+
+    case 'invalidation_cross': {
+      const projection = condition.projection || '12hr';
+      if (!PROJECTION_TYPES.includes(projection)) {
+        throw new Error(`condition.projection must be one of: ${PROJECTION_TYPES.join(', ')}`);
+      }
+      if (projection === '4hr' && coin !== 'BTC') {
+        throw new Error('4hr projection is available for BTC only');
+      }
+      return { type: condition.type, projection };
+    }
+
+    case 'whale_trade': {
+      const side = condition.side ? String(condition.side).toUpperCase() : null;
+      if (!isNumber(condition.minNotional) || condition.minNotional <= 0) {
+        throw new Error('condition.minNotional must be a positive number');
+      }
+      if (side && !['BUY', 'SELL'].includes(side)) {
+        throw new Error('condition.side must be BUY or SELL');
+      }
+      return { type: condition.type, minNotional: condition.minNotional, side };
+    }
+
+    default:
+      throw new Error(`Unsupported condition type: ${condition.type}`);
+  }
+}
+
+/**
+ * True for loopback, private, link-local, CGNAT and unspecified addresses
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return lower === '::' || lower === '::1' ||
+      /^f[cd]/.test(lower) ||         // fc00::/7 unique local
+      /^fe[89ab]/.test(lower) ||      // fe80::/10 link-local
+      lower.startsWith('::ffff:');    // Other IPv4-mapped forms
+  }
+  return false;
+}
+
+/**
+ * Hostnames that can never be a public webhook endpoint
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+/**
+ * Resolve a webhook host and reject it if any address is private
+ * (a public name can still point at an internal address)
+ */
+async function assertPublicHost(url) {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (isPrivateHost(host)) {
+    throw new Error(`Webhook host ${host} is not public`);
+  }
+  if (net.isIP(host)) return;
+
+  const addresses = await dns.promises.lookup(host, { all: true });
+  const internal = addresses.find(({ address }) => isPrivateAddress(address));
+  if (internal) {
+    throw new Error(`Webhook host ${host} resolves to non-public address ${internal.address}`);
+  }
+}
+
+/**
+ * Hide the credential part of a webhook URL (path and query), keeping the
+ * host and the last few characters so rules can still be told apart
+ */
+function maskWebhookUrl(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}/****${url.slice(-4)}`;
+  } catch {
+    return '****';
+  }
+}
+
+/**
+ * Normalize a webhook target, throwing on invalid input
+ */
+function validateWebhook(webhook) {
+  if (!webhook || typeof webhook.url !== 'string' || !/^https?:\/\//.test(webhook.url)) {
+    throw new Error('webhook.url must be an http(s) URL');
+  }
+  let parsed;
+  try {
+    parsed = new URL(webhook.url);
+  } catch {
+    throw new Error('webhook.url must be an http(s) URL');
+  }
+  if (isPrivateHost(parsed.hostname)) {
+    throw new Error('webhook.url must point to a public host (no loopback, private or link-local addresses)');
+  }
+  const format = webhook.format || 'generic';
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new Error(`webhook.format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  if (format === 'telegram' && !webhook.chatId) {
+    throw new Error('webhook.chatId is required for telegram (url: https://api.telegram.org/bot<token>/sendMessage)');
+  }
+  return { url: webhook.url, format, chatId: webhook.chatId ? String(webhook.chatId) : null };
+}
+
+// ============== WEBHOOK PAYLOADS ==============
+
+/**
+ * Build the request body for a webhook format
+ * generic carries both `text` (Slack) and `content` (Discord) plus the full alert
+ */
+function buildPayload(webhook, alert) {
+  const text = `🔔 ${alert.ruleName}: ${alert.message}`;
+  switch (webhook.format) {
+    case 'discord':
+      return { username: 'Trader Bias', content: text };
+    case 'slack':
+      return { text };
+    case 'telegram':
+      return { chat_id: webhook.chatId, text, disable_web_page_preview: true };
+    default:
+      return { text, content: text, alert };
+  }
+}
+
+// ============== ENGINE ==============
+
+class AlertEngine {
+  constructor() {
+    this.rules = [];
+    this.history = [];
+    this.projections = {}; // { '12hr': { BTC: { direction, confidence, invalidation, generatedAt } } }
+    this.conditionState = {}; // { ruleId: boolean } - last evaluation, for edge detection
+    this.evalInterval = null;
+    this.loadFromFile();
+  }
+
+  /**
+   * Load rules, alert history and last projection directions
+   */
+  loadFromFile() {
+    try {
+      if (!fs.existsSync(ALERTS_FILE)) {
+        console.log('[AlertEngine] No saved rules, starting fresh');
+        return;
+      }
+
+      const saved = JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf8'));
+      if (Array.isArray(saved.rules)) this.rules = saved.rules;
+      if (Array.isArray(saved.history)) this.history = saved.history;
+      if (saved.projections) this.projections = saved.projections;
+
+      console.log(`[AlertEngine] Loaded ${this.rules.length} rules`);
+    } catch (error) {
+      console.error('[AlertEngine] Error loading rules:', error.message);
+    }
+  }
+
+  saveToFile() {
+    try {
+      const dataDir = path.dirname(ALERTS_FILE);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      const data = {
+        rules: this.rules,
+        history: this.history,
+        projections: this.projections,
+        savedAt: Date.now()
+      };
+      fs.writeFileSync(ALERTS_FILE, JSON.stringify(data, null, 2), 'utf8');
+    } catch (error) {
+      console.error('[AlertEngine] Error saving rules:', error.message);
+    }
+  }
+
+  /**
+   * Start periodic evaluation of market conditions and listen for whale trades
+   */
+  start() {
+    if (this.evalInterval) return;
+
+    this.evalInterval = setInterval(() => this.evaluateMarketRules(), EVAL_INTERVAL_MS);
+    dataStore.on('whaleTrade', (trade) => this.handleWhaleTrade(trade));
+
+    console.log(`[AlertEngine] Started (${this.rules.length} rules, evaluating every ${EVAL_INTERVAL_MS / 1000}s)`);
+  }
+
+  // ============== RULE CRUD ==============
+
+  getRules() {
+    return this.rules;
+  }
+
+  getRule(id) {
+    return this.rules.find(r => r.id === id) || null;
+  }
+
+  /**
+   * Copy of a rule that is safe to return from the API (webhook URL masked)
+   */
+  toPublicRule(rule) {
+    return { ...rule, webhook: { ...rule.webhook, url: maskWebhookUrl(rule.webhook.url) } };
+  }
+
+  getHistory(limit = 50) {
+    return this.history.slice(0, limit);
+  }
+
+  /**
+   * Create a rule from request input
+   * @param {object} input - { name, coin, condition, webhook, cooldownMinutes, enabled }
+   * @returns {object} - stored rule
+   */
+  createRule(input) {
+    if (this.rules.length >= MAX_RULES) {
+      throw new Error(`Rule limit reached (${MAX_RULES})`);
+    }
+
+    const now = Date.now();
+    const rule = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ...this.normalizeRule(input),
+      createdAt: now,
+      updatedAt: now,
+      lastTriggeredAt: null,
+      lastDelivery: null
+    };
+
+    this.rules.push(rule);
+    this.saveToFile();
+    console.log(`[AlertEngine] Created rule ${rule.id} (${rule.condition.type} ${rule.coin})`);
+    return rule;
+  }
+
+  /**
+   * Update a rule; omitted fields keep their current value
+   * @returns {object|null} - updated rule, null if not found
+   */
+  updateRule(id, input) {
+    const index = this.rules.findIndex(r => r.id === id);
+    if (index === -1) return null;
+
+    const current = this.rules[index];
+
+    // A rule read back from the API carries the masked URL: keep the stored one
+    let webhook = input.webhook ?? current.webhook;
+    if (webhook && webhook.url === maskWebhookUrl(current.webhook.url)) {
+      webhook = { ...webhook, url: current.webhook.url };
+    }
+
+    const merged = {
+      name: input.name ?? current.name,
+      coin: input.coin ?? current.coin,
+      condition: input.condition ?? current.condition,
+      webhook,
+      cooldownMinutes: input.cooldownMinutes ?? current.cooldownMinutes,
+      enabled: input.enabled ?? current.enabled
+    };
+
+    this.rules[index] = {
+      ...current,
+      ...this.normalizeRule(merged),
+      updatedAt: Date.now()
+    };
+    delete this.conditionState[id];
+    this.saveToFile();
+    return this.rules[index];
+  }
+
+  deleteRule(id) {
+    const index = this.rules.findIndex(r => r.id === id);
+    if (index === -1) return false;
+
+    this.rules.splice(index, 1);
+    delete this.conditionState[id];
+    this.saveToFile();
+    return true;
+  }
+
+  normalizeRule(input) {
+    if (!input || typeof input !== 'object') {
+      throw new Error('Rule body must be an object');
+    }
+
+    const coin = String(input.coin || '').toUpperCase();
+    if (!symbolRegistry.getCoins().includes(coin)) {
+      throw new Error(`coin must be one of: ${symbolRegistry.getCoins().join(', ')}`);
+    }
+
+    const condition = validateCondition(input.condition, coin);
+    const webhook = validateWebhook(input.webhook);
+
+    const cooldownMinutes = input.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+    if (!isNumber(cooldownMinutes) || cooldownMinutes < 0) {
+      throw new Error('cooldownMinutes must be a non-negative number');
+    }
+
+    return {
+      name: input.name ? String(input.name).slice(0, 100) : `${coin} ${condition.type}`,
+      coin,
+      condition,
+      webhook,
+      cooldownMinutes,
+      enabled: input.enabled !== false
+    };
+  }
+
+  // ============== EVALUATION ==============
+
+  /**
+   * True while projection-driven rules need projections regenerated
+   */
+  needsProjections() {
+    return this.rules.some(r =>
+      r.enabled && (r.condition.type === 'bias_flip' || r.condition.type === 'invalidation_cross')
+    );
+  }
+
+  /**
+   * Called when a projection is regenerated: checks bias flips and
+   * remembers the invalidation level for invalidation_cross rules
+   * @param {string} type - '12hr', 'daily' or '4hr'
+   * @param {string} coin - registry symbol
+   * @param {object} projection - ACTIVE projection
+   */
+  handleProjection(type, coin, projection) {
+    if (!projection?.prediction) return;
+
+    const previous = this.projections[type]?.[coin] || null;
+    const latest = {
+      direction: projection.prediction.direction,
+      bias: projection.prediction.bias,
+      score: projection.prediction.score,
+      confidence: projection.confidence?.level || null,
+      invalidation: projection.invalidation?.price
+        ? { price: projection.invalidation.price, type: projection.invalidation.type }
+        : null,
+      generatedAt: projection.generatedAt
+    };
+
+    if (!this.projections[type]) this.projections[type] = {};
+    this.projections[type][coin] = latest;
+
+    const rules = this.rules.filter(r =>
+      r.enabled && r.coin === coin &&
+      r.condition.type === 'bias_flip' && r.condition.projection === type
+    );
+
+    for (const rule of rules) {
+      const { to, minConfidence } = rule.condition;
+      if (!previous || previous.direction === latest.direction || latest.direction !== to) continue;
+      if (minConfidence && (CONFIDENCE_RANK[latest.confidence] || 0) < CONFIDENCE_RANK[minConfidence]) continue;
+
+      this.trigger(rule, `${coin} ${type} bias flipped ${previous.direction} → ${latest.direction} (${latest.bias}, ${latest.confidence || 'n/a'} confidence, score ${latest.score})`, {
+        projectionType: type,
+        from: previous.direction,
+        to: latest.direction,
+        bias: latest.bias,
+        confidence: latest.confidence,
+        score: latest.score,
+        invalidation: latest.invalidation
+      });
+    }
+
+    this.saveToFile();
+  }
+
+  /**
+   * Whale trades are pushed by DataStore - no edge state, every match fires
+   * (subject to the rule's cooldown)
+   */
+  handleWhaleTrade(trade) {
+    const notional = trade.notional || (trade.price * trade.size) || 0;
+
+    for (const rule of this.rules) {
+      if (!rule.enabled || rule.condition.type !== 'whale_trade' || rule.coin !== trade.symbol) continue;
+      if (notional < rule.condition.minNotional) continue;
+      if (rule.condition.side && rule.condition.side !== trade.side) continue;
+
+      this.trigger(rule, `${trade.symbol} whale ${trade.side} $${(notional / 1e6).toFixed(2)}M on ${trade.exchange} @ $${Math.round(trade.price).toLocaleString('en-US')}`, {
+        exchange: trade.exchange,
+        side: trade.side,
+        price: trade.price,
+        size: trade.size,
+        notional
+      });
+    }
+  }
+
+  /**
+   * Evaluate state conditions (funding, cascades, invalidation) for enabled rules
+   */
+  evaluateMarketRules() {
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+      if (!['funding_zscore', 'liquidation_cascade', 'invalidation_cross'].includes(rule.condition.type)) continue;
+
+      try {
+        const result = this.evaluateCondition(rule);
+        if (!result) continue;
+
+        const wasActive = this.conditionState[rule.id] || false;
+        this.conditionState[rule.id] = result.active;
+
+        if (result.active && !wasActive) {
+          this.trigger(rule, result.message, result.details);
+        }
+      } catch (error) {
+        console.error(`[AlertEngine] Failed to evaluate rule ${rule.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Current state of a rule's condition
+   * @returns {object|null} - { active, message, details }, null when there is no data yet
+   */
+  evaluateCondition(rule) {
+    const { condition, coin } = rule;
+
+    if (condition.type === 'funding_zscore') {
+      const data = dataStore.getExchangeData(condition.exchange);
+      const funding = calculateFundingZScore(data.funding?.[coin], data.price?.[coin]);
+      if (funding.mode === 'insufficient_data') return null;
+
+      const z = funding.zScore;
+      const active = (condition.above !== undefined && z > condition.above) ||
+        (condition.below !== undefined && z < condition.below) ||
+        (condition.abs !== undefined && Math.abs(z) >= condition.abs);
+
+      return {
+        active,
+        message: `${coin} funding Z-score ${z.toFixed(2)} on ${condition.exchange} (rate ${(funding.current * 100).toFixed(4)}%)`,
+        details: { exchange: condition.exchange, zScore: z, rate: funding.current, mean: funding.mean }
+      };
+    }
+
+    if (condition.type === 'liquidation_cascade') {
+      const liq = liquidationCollector.calculateLiquidationSignal(coin);
+      const cascadeType = liq.cascade?.cascadeType || 'NONE';
+      const active = liq.signal.includes('CASCADE') &&
+        (condition.direction === 'ANY' || condition.direction === cascadeType);
+
+      return {
+        active,
+        message: `${coin} liquidation cascade: ${liq.description}`,
+        details: { signal: liq.signal, cascadeType, score: liq.score, velocity: liq.velocity?.['1h'] || null }
+      };
+    }
+
+    if (condition.type === 'invalidation_cross') {
+      const latest = this.projections[condition.projection]?.[coin];
+      const price = dataStore.getCurrentSnapshot('hyperliquid')?.current.price[coin];
+      if (!latest?.invalidation || !price) return null;
+
+      const level = latest.invalidation.price;
+      const active = latest.invalidation.type === 'below' ? price < level : price > level;
+
+      return {
+        active,
+        message: `${coin} crossed ${condition.projection} invalidation ${latest.invalidation.type} $${level.toLocaleString('en-US')} (price $${Math.round(price).toLocaleString('en-US')}, bias was ${latest.bias})`,
+        details: { projectionType: condition.projection, level, price, bias: latest.bias, side: latest.invalidation.type }
+      };
+    }
+
+    return null;
+  }
+
+  // ============== DELIVERY ==============
+
+  /**
+   * Record an alert and deliver it, unless the rule is cooling down
+   */
+  trigger(rule, message, details = {}) {
+    const now = Date.now();
+    if (rule.lastTriggeredAt && (now - rule.lastTriggeredAt) < rule.cooldownMinutes * 60 * 1000) {
+      return;
+    }
+    rule.lastTriggeredAt = now;
+
+    const alert = {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      coin: rule.coin,
+      type: rule.condition.type,
+      message,
+      details,
+      triggeredAt: now
+    };
+
+    this.history.unshift(alert);
+    if (this.history.length > MAX_HISTORY) {
+      this.history = this.history.slice(0, MAX_HISTORY);
+    }
+
+    console.log(`[AlertEngine] ${rule.name}: ${message}`);
+    this.deliver(rule, alert).then(() => this.saveToFile());
+  }
+
+  /**
+   * POST the alert to the rule's webhook; the outcome is kept on rule.lastDelivery
+   * @returns {Promise<object>} - { ok, status, error, at }
+   */
+  async deliver(rule, alert) {
+    const delivery = { ok: false, status: null, error: null, at: Date.now() };
+    try {
+      await assertPublicHost(rule.webhook.url);
+      const response = await fetch(rule.webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildPayload(rule.webhook, alert)),
+        redirect: 'manual', // A redirect could point anywhere, including internal hosts
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      delivery.ok = response.ok;
+      delivery.status = response.status;
+      if (!response.ok) {
+        delivery.error = `Webhook returned ${response.status}`;
+      }
+    } catch (error) {
+      delivery.error = error.message;
+    }
+
+    if (!delivery.ok) {
+      console.error(`[AlertEngine] Delivery failed for rule ${rule.id}: ${delivery.error}`);
+    }
+    rule.lastDelivery = delivery;
+    return delivery;
+  }
+
+  /**
+   * Send a test alert through a rule's webhook (not recorded in history)
+   */
+  async sendTest(id) {
+    const rule = this.getRule(id);
+    if (!rule) return null;
+
+    const delivery = await this.deliver(rule, {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      coin: rule.coin,
+      type: rule.condition.type,
+      message: 'Test alert - webhook is working',
+      details: { test: true },
+      triggeredAt: Date.now()
+    });
+    this.saveToFile();
+    return delivery;
+  }
+}
+
+// Singleton instance
+const alertEngine = new AlertEngine();
+
+module.exports = alertEngine;
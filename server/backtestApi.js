@@ -5,6 +5,25 @@
  */
 
 const winRateTracker = require('./winRateTracker');
+const fundingHistoryCollector = require('./fundingHistoryCollector');
+
+// Equity curve defaults (fees / slippage in basis points per side)
+const EQUITY_DEFAULTS = {
+  initialCapital: 10000,
+  sizing: 'fixed',
+  size: 1,              // Fraction of equity per trade, before leverage
+  leverage: 1,
+  feeBps: 5,
+  slippageBps: 2,
+  stopAtInvalidation: true,
+  stopLoss: null,       // % against entry, from MAE
+  takeProfit: null,     // % in favour, from MFE
+  funding: true,
+  kellyFraction: 0.5,   // Half Kelly
+  kellyMinTrades: 20    // Fixed sizing until this many trades have closed
+};
+const SIZING_MODES = ['fixed', 'confidence', 'kelly'];
+const CONFIDENCE_SIZE = { HIGH: 1, MEDIUM: 0.66, LOW: 0.33 };
 
 /**
  * Filter predictions by criteria
@@ -93,45 +112,347 @@ function calculateStats({ coin, type, from, to }) {
     byRegime[regime] = calcWinRate(evaluated.filter(p => p.signals?.regime === regime));
   }
 
-  return { overall, byStrength, byConfidence, byCoin, byType, byRegime };
+  return { overall, byStrength, byConfidence, byCoin, byType, byRegime, path: calculatePathStats(evaluated) };
 }
 
 /**
- * Generate equity curve from predictions
+ * Excursion / invalidation summary for predictions scored along a price path
+ * (predictions evaluated before path scoring have no path fields and are skipped)
  */
-function generateEquityCurve({ coin, type, from, to, initialCapital = 10000 }) {
+function calculatePathStats(evaluated) {
+  const withPath = evaluated.filter(p => p.pathSource);
+  const directional = withPath.filter(p => p.mfePercent !== null && p.mfePercent !== undefined);
+  const withInvalidation = withPath.filter(p => p.invalidation);
+  const targetTimes = directional.filter(p => p.targetHit).map(p => p.timeToTargetMs).sort((a, b) => a - b);
+
+  const average = (values) => values.length > 0 ? (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2) : null;
+  const rate = (count, total) => total > 0 ? ((count / total) * 100).toFixed(1) : null;
+
+  return {
+    total: withPath.length,
+    avgMfe: average(directional.map(p => p.mfePercent)),
+    avgMae: average(withPath.map(p => p.maePercent)),
+    targetHitRate: rate(targetTimes.length, directional.length),
+    medianTimeToTargetMs: targetTimes.length > 0 ? targetTimes[Math.floor(targetTimes.length / 2)] : null,
+    invalidationHitRate: rate(withInvalidation.filter(p => p.invalidationHit).length, withInvalidation.length),
+    invalidatedFirstRate: rate(withInvalidation.filter(p => p.invalidatedFirst).length, withInvalidation.length),
+    backfilled: withPath.filter(p => p.pathSource === 'klines').length
+  };
+}
+
+/**
+ * Calibration of recorded predictions
+ *
+ * A prediction's |score| (0-1) is read as a forecast probability of
+ * (1 + |score|) / 2 that the predicted direction is realized, so a score of 0
+ * is a coin flip and 1 is certainty. Reports:
+ * - reliability: forecast vs realized hit rate per |score| bucket
+ * - Brier score, against a reference that always forecasts the overall hit rate
+ * - hit rate per confidence level, and whether HIGH beats LOW beyond noise
+ * - BULLISH / NEUTRAL / BEARISH confusion matrix with per-class precision / recall
+ */
+function calculateCalibration({ coin, type, from, to, buckets = 10 }) {
   const predictions = filterPredictions({ coin, type, from, to, limit: 100000 });
-  const evaluated = predictions
-    .filter(p => p.evaluated && p.outcome !== 'inconclusive')
-    .sort((a, b) => a.timestamp - b.timestamp);
+  const evaluated = predictions.filter(p => p.evaluated && p.outcome !== 'inconclusive' && p.actualDirection);
+  const scored = evaluated.filter(p => typeof p.score === 'number' && Number.isFinite(p.score));
+
+  const round = (value, digits = 4) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+  const hitRate = (preds) => preds.length > 0 ? preds.filter(p => p.outcome === 'correct').length / preds.length : null;
+  const forecast = (p) => (1 + Math.min(1, Math.abs(p.score))) / 2;
+  const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+  // Reliability curve
+  const reliability = [];
+  for (let i = 0; i < buckets; i++) {
+    const min = i / buckets;
+    const max = (i + 1) / buckets;
+    const inBucket = scored.filter(p => {
+      const strength = Math.min(1, Math.abs(p.score));
+      return strength >= min && (strength < max || (i === buckets - 1 && strength <= max));
+    });
+    reliability.push({
+      min: round(min, 2),
+      max: round(max, 2),
+      count: inBucket.length,
+      avgScore: round(average(inBucket.map(p => Math.abs(p.score)))),
+      forecast: round(average(inBucket.map(forecast))),
+      hitRate: round(hitRate(inBucket))
+    });
+  }
 
-  if (evaluated.length === 0) {
-    return [];
+  // Brier score and skill against always forecasting the base rate
+  const baseRate = hitRate(scored);
+  const outcomeOf = (p) => (p.outcome === 'correct' ? 1 : 0);
+  const brier = average(scored.map(p => (forecast(p) - outcomeOf(p)) ** 2));
+  const reference = average(scored.map(p => (baseRate - outcomeOf(p)) ** 2));
+
+  // Confidence levels
+  const byConfidence = {};
+  for (const level of ['HIGH', 'MEDIUM', 'LOW']) {
+    const preds = evaluated.filter(p => p.confidence === level);
+    byConfidence[level] = {
+      count: preds.length,
+      hitRate: round(hitRate(preds)),
+      avgScore: round(average(preds.filter(p => typeof p.score === 'number').map(p => Math.abs(p.score))))
+    };
   }
 
-  let equity = initialCapital;
-  const curve = [{ timestamp: evaluated[0].timestamp, equity, prediction: null }];
+  // Two-proportion z-test: HIGH vs LOW hit rate
+  const high = evaluated.filter(p => p.confidence === 'HIGH');
+  const low = evaluated.filter(p => p.confidence === 'LOW');
+  let confidenceSpread = null;
+  if (high.length > 0 && low.length > 0) {
+    const pooled = (high.filter(p => p.outcome === 'correct').length + low.filter(p => p.outcome === 'correct').length) / (high.length + low.length);
+    const stdErr = Math.sqrt(pooled * (1 - pooled) * (1 / high.length + 1 / low.length));
+    const difference = hitRate(high) - hitRate(low);
+    const zScore = stdErr > 0 ? difference / stdErr : 0;
+    confidenceSpread = {
+      difference: round(difference),
+      zScore: round(zScore, 2),
+      significant: Math.abs(zScore) >= 1.96 // 95%
+    };
+  }
 
-  for (const pred of evaluated) {
-    // Simple model: win = +2%, lose = -1.5%
-    if (pred.outcome === 'correct') {
-      equity *= 1.02;
-    } else {
-      equity *= 0.985;
+  // Confusion matrix: matrix[predicted][actual]
+  const classes = ['BULLISH', 'NEUTRAL', 'BEARISH'];
+  const matrix = {};
+  for (const predicted of classes) {
+    matrix[predicted] = {};
+    for (const actual of classes) {
+      matrix[predicted][actual] = evaluated.filter(p => p.predictedDirection === predicted && p.actualDirection === actual).length;
     }
+  }
+  const perClass = {};
+  for (const cls of classes) {
+    const truePositive = matrix[cls][cls];
+    const predictedCount = classes.reduce((sum, actual) => sum + matrix[cls][actual], 0);
+    const actualCount = classes.reduce((sum, predicted) => sum + matrix[predicted][cls], 0);
+    perClass[cls] = {
+      predicted: predictedCount,
+      actual: actualCount,
+      precision: predictedCount > 0 ? round(truePositive / predictedCount) : null,
+      recall: actualCount > 0 ? round(truePositive / actualCount) : null
+    };
+  }
+
+  return {
+    total: evaluated.length,
+    scored: scored.length,
+    reliability,
+    brier: {
+      score: round(brier),
+      reference: round(reference),
+      skill: brier !== null && reference > 0 ? round(1 - brier / reference) : null,
+      baseRate: round(baseRate)
+    },
+    byConfidence,
+    confidenceSpread,
+    confusion: { classes, matrix, perClass }
+  };
+}
+
+/**
+ * Exit of one directional prediction, as a % move in the predicted direction
+ * Stops (invalidation level, stopLoss) come from the path fields; when several
+ * trigger, the one closest to entry fills. A take-profit only counts when no
+ * stop was touched, since the path does not record which came first.
+ * Predictions without path fields exit at the horizon.
+ */
+function resolveExit(pred, direction, options) {
+  const horizonAt = pred.evaluatedAt || pred.timestamp;
+  const stops = [];
+
+  const invalidation = pred.invalidation;
+  const guardsPosition = invalidation &&
+    ((direction === 1 && invalidation.type === 'below') || (direction === -1 && invalidation.type === 'above'));
+  if (options.stopAtInvalidation && guardsPosition && pred.invalidationHit) {
+    stops.push({
+      move: direction * ((invalidation.price - pred.initialPrice) / pred.initialPrice) * 100,
+      exitAt: pred.timestamp + pred.timeToInvalidationMs,
+      exit: 'invalidation'
+    });
+  }
+  if (options.stopLoss !== null && typeof pred.maePercent === 'number' && pred.maePercent <= -options.stopLoss) {
+    stops.push({ move: -options.stopLoss, exitAt: horizonAt, exit: 'stopLoss' });
+  }
+  if (stops.length > 0) {
+    return stops.reduce((closest, stop) => (stop.move > closest.move ? stop : closest));
+  }
+
+  if (options.takeProfit !== null && typeof pred.mfePercent === 'number' && pred.mfePercent >= options.takeProfit) {
+    return { move: options.takeProfit, exitAt: horizonAt, exit: 'takeProfit' };
+  }
+
+  return { move: direction * pred.actualPriceChange, exitAt: horizonAt, exit: 'horizon' };
+}
+
+/**
+ * Walk-forward Kelly exposure from trades closed before `before`
+ * f* = p / avgLoss - q / avgWin on per-notional returns, scaled by kellyFraction
+ */
+function kellyExposure(closed, before, options) {
+  const history = closed.filter(t => t.exitAt <= before);
+  if (history.length < options.kellyMinTrades) return null;
+
+  const wins = history.filter(t => t.netReturn > 0).map(t => t.netReturn);
+  const losses = history.filter(t => t.netReturn <= 0).map(t => -t.netReturn);
+  if (wins.length === 0) return 0;
+  if (losses.length === 0 || losses.every(l => l === 0)) return options.leverage;
+
+  const p = wins.length / history.length;
+  const avgWin = wins.reduce((sum, v) => sum + v, 0) / wins.length;
+  const avgLoss = losses.reduce((sum, v) => sum + v, 0) / losses.length;
+  const kelly = p / avgLoss - (1 - p) / avgWin;
+  return Math.max(0, Math.min(options.leverage, kelly * options.kellyFraction));
+}
+
+/**
+ * Generate equity curve from predictions
+ *
+ * Each BULLISH / BEARISH prediction is a trade from creation to its exit
+ * (horizon, stop or take-profit). Per-notional return = move in the predicted
+ * direction - round-trip fees and slippage + funding carry (Binance settlements
+ * while the trade was open; longs pay positive funding).
+ *
+ * Trades replay in time order. At each entry, trades that exited by then are
+ * closed first and the new trade is sized from the equity at that moment
+ * (closed trades only; open positions are not marked to market). Target
+ * exposure (notional / equity) depends on the sizing mode:
+ * - fixed: size x leverage
+ * - confidence: size x leverage x HIGH 1 / MEDIUM 0.66 / LOW 0.33
+ * - kelly: fractional Kelly from trades closed before entry, capped at leverage
+ *   (fixed sizing until kellyMinTrades have closed)
+ * Total open notional is capped at equity x leverage: an overlapping trade
+ * gets whatever room is left and is skipped when there is none. P&L is booked
+ * at exit; NEUTRAL predictions stay flat.
+ */
+function generateEquityCurve({ coin, type, from, to, ...overrides }) {
+  const options = { ...EQUITY_DEFAULTS };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined) options[key] = value;
+  });
+  if (!SIZING_MODES.includes(options.sizing)) {
+    throw new Error(`Unknown sizing mode: ${options.sizing} (valid: ${SIZING_MODES.join(', ')})`);
+  }
+
+  const predictions = filterPredictions({ coin, type, from, to, limit: 100000 });
+  const costs = (2 * (options.feeBps + options.slippageBps)) / 10000;
+
+  const trades = predictions
+    .filter(p => p.evaluated && p.outcome !== 'inconclusive' && typeof p.actualPriceChange === 'number')
+    .filter(p => p.predictedDirection === 'BULLISH' || p.predictedDirection === 'BEARISH')
+    .map(pred => {
+      const direction = pred.predictedDirection === 'BULLISH' ? 1 : -1;
+      const { move, exitAt, exit } = resolveExit(pred, direction, options);
+      const settlements = options.funding
+        ? fundingHistoryCollector.getFundingHistory('binance', pred.coin, { from: pred.timestamp, to: exitAt })
+        : [];
+      const carry = -direction * settlements.reduce((sum, s) => sum + s.rate, 0);
+      return {
+        pred,
+        exit,
+        exitAt,
+        grossReturn: move / 100,
+        carry,
+        netReturn: move / 100 - costs + carry
+      };
+    })
+    .sort((a, b) => a.pred.timestamp - b.pred.timestamp);
+
+  const config = { ...options };
+  if (trades.length === 0) {
+    return { curve: [], summary: null, config };
+  }
+
+  let equity = options.initialCapital;
+  let peak = equity;
+  let maxDrawdown = 0;
+  let costsPaid = 0;
+  let fundingPaid = 0;
+  let grossProfit = 0;
+  let grossLoss = 0;
+  let skipped = 0;
+  const closed = [];
+  const open = [];
+  const curve = [{ timestamp: trades[0].pred.timestamp, equity, prediction: null }];
+
+  // Book a trade's P&L at its exit
+  const close = (trade) => {
+    const { pred, notional } = trade;
+    const pnl = Math.max(-equity, notional * trade.netReturn);
+    equity += pnl;
+    costsPaid += notional * costs;
+    fundingPaid -= notional * trade.carry;
+    if (pnl >= 0) grossProfit += pnl;
+    else grossLoss -= pnl;
+
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak > 0 ? ((peak - equity) / peak) * 100 : 0);
+    closed.push(trade);
+
     curve.push({
-      timestamp: pred.evaluatedAt || pred.timestamp,
+      timestamp: trade.exitAt,
       equity: Math.round(equity * 100) / 100,
       prediction: {
         id: pred.id,
         coin: pred.coin,
         direction: pred.predictedDirection,
-        outcome: pred.outcome
+        outcome: pred.outcome,
+        exit: trade.exit,
+        exposure: Math.round(trade.exposure * 1000) / 1000,
+        returnPercent: Math.round(trade.netReturn * 10000) / 100,
+        pnl: Math.round(pnl * 100) / 100
       }
     });
+  };
+
+  // Close open trades in exit order up to `time`
+  const closeUntil = (time) => {
+    open.sort((a, b) => a.exitAt - b.exitAt);
+    while (open.length > 0 && open[0].exitAt <= time && equity > 0) close(open.shift());
+  };
+
+  for (const trade of trades) {
+    const { pred } = trade;
+    closeUntil(pred.timestamp);
+    if (equity <= 0) break; // Account blown
+
+    let exposure = options.size * options.leverage;
+    if (options.sizing === 'confidence') {
+      exposure *= CONFIDENCE_SIZE[pred.confidence] ?? CONFIDENCE_SIZE.LOW;
+    } else if (options.sizing === 'kelly') {
+      const kelly = kellyExposure(closed, pred.timestamp, options);
+      if (kelly !== null) exposure = kelly;
+    }
+
+    const openNotional = open.reduce((sum, t) => sum + t.notional, 0);
+    const notional = Math.min(equity * exposure, Math.max(0, equity * options.leverage - openNotional));
+    if (exposure > 0 && notional <= 0) {
+      skipped++;
+      continue;
+    }
+    open.push({ ...trade, notional, exposure: notional / equity });
   }
+  closeUntil(Infinity);
 
-  return curve;
+  const round = (value) => Math.round(value * 100) / 100;
+  const profitable = closed.filter(t => t.netReturn > 0).length;
+  return {
+    curve,
+    summary: {
+      trades: closed.length,
+      skipped,
+      profitableRate: round((profitable / closed.length) * 100),
+      totalReturnPercent: round(((equity - options.initialCapital) / options.initialCapital) * 100),
+      maxDrawdownPercent: round(maxDrawdown),
+      profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+      costsPaid: round(costsPaid),
+      fundingPaid: round(fundingPaid),
+      exits: closed.reduce((counts, t) => ({ ...counts, [t.exit]: (counts[t.exit] || 0) + 1 }), {}),
+      finalEquity: round(equity)
+    },
+    config
+  };
 }
 
 /**
@@ -204,6 +525,8 @@ function calculateStreaks({ coin, type, from, to }) {
 module.exports = {
   filterPredictions,
   calculateStats,
+  calculateCalibration,
   generateEquityCurve,
-  calculateStreaks
+  calculateStreaks,
+  SIZING_MODES
 };
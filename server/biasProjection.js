@@ -14,6 +14,7 @@
  */
 
 const liquidationCollector = require('./liquidationCollector');
+const symbolRegistry = require('./symbolRegistry');
 
 // Weights distribution (Phase 2: Tier 1 + Liquidation Momentum + OI boost)
 // OI weight increased based on 75% win rate backtesting
@@ -26,24 +27,9 @@ const WEIGHTS = {
     whales: 0.05                 // Whale positioning
 };
 
-// Coin-specific CVD thresholds (realistic institutional levels)
-const CVD_THRESHOLDS = {
-    BTC: {
-        strong: 50000,    // $50k for strong signal
-        moderate: 20000,  // $20k for moderate
-        weak: 5000        // $5k for weak
-    },
-    ETH: {
-        strong: 20000,    // $20k for strong signal
-        moderate: 8000,   // $8k for moderate
-        weak: 2000        // $2k for weak
-    },
-    SOL: {
-        strong: 5000,     // $5k for strong signal
-        moderate: 2000,   // $2k for moderate
-        weak: 500         // $500 for weak
-    }
-};
+// Coin-specific CVD thresholds (realistic institutional levels, set per symbol in symbols.json)
+// e.g. BTC: strong $50k / moderate $20k / weak $5k
+const CVD_THRESHOLDS = symbolRegistry.mapCoins(coin => symbolRegistry.getCvdThresholds(coin));
 
 // Bonus multipliers (additive after weighted sum)
 const BONUSES = {
@@ -495,7 +481,7 @@ function calculateCVDPersistence(cvdHistory, coin = 'BTC') {
     const weightedDelta = (thirtyMinDelta * 0.4) + (twoHourDelta * 0.6);
 
     // Get coin-specific thresholds
-    const thresholds = CVD_THRESHOLDS[coin] || CVD_THRESHOLDS.BTC;
+    const thresholds = symbolRegistry.getCvdThresholds(coin);
 
     // Normalize to -1 to +1 using coin-specific "strong" threshold
     const normalizedScore = Math.max(-1, Math.min(1, weightedDelta / thresholds.strong));
@@ -563,7 +549,7 @@ function calculateFlowConfluence(priceHistory, oiHistory, cvdHistory, coin = 'BT
     const recentCVD = cvdHistory.filter(e => e && e.time >= oneHourAgo);
     let cvdDirection = 'neutral';
     let cvdDelta = recentCVD.reduce((sum, e) => sum + (e.delta || 0), 0);
-    const thresholds = CVD_THRESHOLDS[coin] || CVD_THRESHOLDS.BTC;
+    const thresholds = symbolRegistry.getCvdThresholds(coin);
     if (cvdDelta > thresholds.weak) cvdDirection = 'up';
     else if (cvdDelta < -thresholds.weak) cvdDirection = 'down';
 
@@ -678,33 +664,36 @@ function calculateVolumeContext(cvdHistory, priceHistory) {
 }
 
 /**
- * Calculate whale alignment score (Hyperliquid only)
+ * Calculate whale alignment score for one coin (Hyperliquid only)
+ * Uses the smart-money weighted long % when traderScoring has annotated the consensus
  */
-function calculateWhaleAlignment(consensus) {
-    if (!consensus || !consensus.BTC) {
+function calculateWhaleAlignment(coin, consensus) {
+    const coinData = consensus?.[coin];
+    if (!coinData) {
         return { score: 0, longPct: 0.5, hasData: false };
     }
 
-    const btcData = consensus.BTC;
-    const totalPositions = (btcData.longs?.length || 0) + (btcData.shorts?.length || 0);
+    const totalPositions = (coinData.longs?.length || 0) + (coinData.shorts?.length || 0);
 
     if (totalPositions < 3) {
         return { score: 0, longPct: 0.5, hasData: false };
     }
 
-    const longPct = btcData.longs.length / totalPositions;
+    const weighted = coinData.weighted || null;
+    const longPct = weighted ? weighted.longPct : coinData.longs.length / totalPositions;
     const score = (longPct - 0.5) * 2;
 
-    // Weight consistent winners more heavily
-    const consistentLongs = btcData.longs?.filter(p => p.isConsistent).length || 0;
-    const consistentShorts = btcData.shorts?.filter(p => p.isConsistent).length || 0;
-    const consistentAdjust = (consistentLongs - consistentShorts) * 0.1;
+    // Weight consistent winners more heavily (already part of the trader score when weighted)
+    const consistentLongs = coinData.longs?.filter(p => p.isConsistent).length || 0;
+    const consistentShorts = coinData.shorts?.filter(p => p.isConsistent).length || 0;
+    const consistentAdjust = weighted ? 0 : (consistentLongs - consistentShorts) * 0.1;
 
     return {
         score: Math.max(-1, Math.min(1, score + consistentAdjust)),
         longPct,
         consistentLongs,
         consistentShorts,
+        weighting: weighted ? { method: 'smart-money', ...weighted } : { method: 'equal' },
         hasData: true
     };
 }
@@ -918,7 +907,7 @@ function calculateInvalidation(priceHistory, bias) {
  * Determine trading session
  */
 function detectSession() {
-    const now = new Date();
+    const now = new Date(Date.now());
     const utcHour = now.getUTCHours();
 
     if (utcHour >= 0 && utcHour < 8) {
@@ -938,7 +927,7 @@ function detectSession() {
  * Main projection generator (v2 - Refined Algorithm)
  */
 function generateProjection(coin, dataStore, consensus = null) {
-    const validCoins = ['BTC', 'ETH', 'SOL'];
+    const validCoins = symbolRegistry.getCoins();
     if (!validCoins.includes(coin)) {
         return {
             error: `Projections available for ${validCoins.join(', ')} only`,
@@ -974,7 +963,7 @@ function generateProjection(coin, dataStore, consensus = null) {
     const oiRoC = calculateOIRoC(hlData.oi[coin], hlData.price[coin]);
     const cvdPersistence = calculateCVDPersistence(hlData.cvd[coin], coin);
     const regime = detectRegime(hlData.oi[coin], hlData.funding[coin], hlData.price[coin]);
-    const whales = calculateWhaleAlignment(consensus);
+    const whales = calculateWhaleAlignment(coin, consensus);
     const confluence = calculateCrossExchangeConfluence(dataStore, coin);
     const session = detectSession();
 
@@ -999,10 +988,20 @@ function generateProjection(coin, dataStore, consensus = null) {
         (confluence.score * WEIGHTS.confluence)
     );
 
+    // Factors that entered the weighted sum, and bonuses added after it
+    const factors = {
+        flowConfluence: { score: adjustedFlowScore, weight: WEIGHTS.flowConfluence },
+        oiRoC: { score: oiRoC.score, weight: WEIGHTS.oiRoC },
+        fundingZScore: { score: fundingZScore.score, weight: WEIGHTS.fundingZScore },
+        confluence: { score: confluence.score, weight: WEIGHTS.confluence }
+    };
+    const adjustments = [];
+
     // Add whale factor if available
     if (whales.hasData) {
         totalWeight += WEIGHTS.whales;
         weightedScore += whales.score * WEIGHTS.whales;
+        factors.whales = { score: whales.score, weight: WEIGHTS.whales };
     }
 
     // Add liquidation momentum factor (v2.1)
@@ -1010,15 +1009,18 @@ function generateProjection(coin, dataStore, consensus = null) {
     if (liqSignal.signal !== 'INSUFFICIENT_DATA') {
         totalWeight += WEIGHTS.liquidationMomentum;
         weightedScore += liqSignal.score * WEIGHTS.liquidationMomentum;
+        factors.liquidationMomentum = { score: liqSignal.score, weight: WEIGHTS.liquidationMomentum };
     }
 
     // Normalize
-    let normalizedScore = weightedScore / totalWeight;
+    const baseScore = weightedScore / totalWeight;
+    let normalizedScore = baseScore;
 
     // Add RSI divergence bonus (kept - powerful reversal signal)
     if (divergence.detected) {
         normalizedScore += divergence.score;
         normalizedScore = Math.max(-1, Math.min(1, normalizedScore));
+        adjustments.push({ name: 'rsiDivergence', value: divergence.score });
     }
 
     // Check for all factors aligned bonus (simplified - Phase 2)
@@ -1028,6 +1030,7 @@ function generateProjection(coin, dataStore, consensus = null) {
     if (allBullish || allBearish) {
         normalizedScore += allBullish ? BONUSES.allFactorsAligned : -BONUSES.allFactorsAligned;
         normalizedScore = Math.max(-1, Math.min(1, normalizedScore));
+        adjustments.push({ name: 'allFactorsAligned', value: allBullish ? BONUSES.allFactorsAligned : -BONUSES.allFactorsAligned });
     }
 
     // Spot vs Perp CVD divergence bonus (Phase 2: Both use 2H timeframe now)
@@ -1050,7 +1053,7 @@ function generateProjection(coin, dataStore, consensus = null) {
         const perpCvdDelta = perpCvd2H.reduce((sum, e) => sum + (e.delta || 0), 0);
 
         // Get coin-specific thresholds for trend detection
-        const thresholds = CVD_THRESHOLDS[coin] || CVD_THRESHOLDS.BTC;
+        const thresholds = symbolRegistry.getCvdThresholds(coin);
         const spotTrend = spotDelta > thresholds.weak ? 'up' : spotDelta < -thresholds.weak ? 'down' : 'flat';
         const perpTrend = perpCvdDelta > thresholds.weak ? 'up' : perpCvdDelta < -thresholds.weak ? 'down' : 'flat';
 
@@ -1064,6 +1067,7 @@ function generateProjection(coin, dataStore, consensus = null) {
                 spotDelta, perpCvdDelta, spotTrend, perpTrend
             };
             normalizedScore += BONUSES.spotAccumulation;
+            adjustments.push({ name: 'spotAccumulation', value: BONUSES.spotAccumulation });
         }
         // BULLISH: Spot rising into perp selling = Capitulation bottom
         else if (spotTrend === 'up' && perpTrend === 'down') {
@@ -1075,6 +1079,7 @@ function generateProjection(coin, dataStore, consensus = null) {
                 spotDelta, perpCvdDelta, spotTrend, perpTrend
             };
             normalizedScore += BONUSES.capitulationBottom;
+            adjustments.push({ name: 'capitulationBottom', value: BONUSES.capitulationBottom });
         }
         // BEARISH: Perp rising, Spot falling = Fake pump
         else if (perpTrend === 'up' && spotTrend === 'down') {
@@ -1086,6 +1091,7 @@ function generateProjection(coin, dataStore, consensus = null) {
                 spotDelta, perpCvdDelta, spotTrend, perpTrend
             };
             normalizedScore += BONUSES.fakePump;
+            adjustments.push({ name: 'fakePump', value: BONUSES.fakePump });
         }
         // BEARISH: Spot falling, Perp flat = Distribution
         else if (spotTrend === 'down' && perpTrend !== 'down') {
@@ -1097,6 +1103,7 @@ function generateProjection(coin, dataStore, consensus = null) {
                 spotDelta, perpCvdDelta, spotTrend, perpTrend
             };
             normalizedScore += BONUSES.distribution;
+            adjustments.push({ name: 'distribution', value: BONUSES.distribution });
         }
 
         // Clamp score
@@ -1238,7 +1245,9 @@ function generateProjection(coin, dataStore, consensus = null) {
             direction: whales.score > 0.2 ? 'bullish' : whales.score < -0.2 ? 'bearish' : 'neutral',
             score: Math.abs(whales.score),
             impact: Math.abs(whales.score) > 0.5 ? 'high' : Math.abs(whales.score) > 0.2 ? 'medium' : 'low',
-            detail: `${(whales.longPct * 100).toFixed(0)}% long`
+            detail: whales.weighting.method === 'smart-money'
+                ? `${(whales.longPct * 100).toFixed(0)}% long score-weighted (${(whales.weighting.rawLongPct * 100).toFixed(0)}% by count)`
+                : `${(whales.longPct * 100).toFixed(0)}% long`
         });
     }
 
@@ -1281,7 +1290,15 @@ function generateProjection(coin, dataStore, consensus = null) {
             confluence,
             volatility,
             volumeContext,
-            spotPerpDivergence
+            spotPerpDivergence,
+            liquidationMomentum: liqSignal
+        },
+        weighting: {
+            table: 'WEIGHTS',
+            totalWeight,
+            baseScore,
+            factors,
+            adjustments
         },
         generatedAt: now,
         validUntil: now + (4 * 60 * 60 * 1000),
@@ -1306,5 +1323,6 @@ module.exports = {
     findSwingLevels,
     calculateInvalidation,
     detectSession,
+    WEIGHTS,
     CVD_THRESHOLDS
 };
@@ -16,6 +16,8 @@
 const { calculateEtfFlowSignal, generateFlowDescription } = require('./etfFlowCollector');
 const liquidationCollector = require('./liquidationCollector');
 const { calculateZoneSignal } = require('./liquidationZoneCalculator');
+const symbolRegistry = require('./symbolRegistry');
+const fundingHistoryCollector = require('./fundingHistoryCollector');
 
 // Weight distribution optimized for 24H prediction
 // OI weight increased based on 75% win rate backtesting
@@ -42,18 +44,19 @@ const TIMEFRAMES_24H = {
     MOMENTUM_WINDOW: 8 * 60 * 60 * 1000,      // 8H (was 1H)
     SPOT_PERP_WINDOW: 6 * 60 * 60 * 1000,     // 6H (was 2H)
     SWING_LEVELS: 8 * 60 * 60 * 1000,         // 8H (was 4H)
-    FUNDING_BASELINE_PERIODS: 2160,            // 90 days of 8H funding
+    FUNDING_BASELINE_DAYS: 90,                 // Settled funding baseline
     MIN_DATA_POINTS: 288,                      // 24H of 5-min data
     REFRESH_INTERVAL: 4 * 60 * 60 * 1000,     // 4H refresh cycle
     SIGNAL_VALIDITY: 24 * 60 * 60 * 1000      // 24H validity
 };
 
-// Coin-specific CVD thresholds (same as 8-12H)
-const CVD_THRESHOLDS = {
-    BTC: { strong: 50000, moderate: 20000, weak: 5000 },
-    ETH: { strong: 20000, moderate: 8000, weak: 2000 },
-    SOL: { strong: 5000, moderate: 2000, weak: 500 }
-};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settled funding sources for the Z-score baseline, in order of preference
+const FUNDING_BASELINE_EXCHANGES = ['hyperliquid', 'binance', 'bybit'];
+
+// Coin-specific CVD thresholds (same as 8-12H, from symbols.json)
+const CVD_THRESHOLDS = symbolRegistry.mapCoins(coin => symbolRegistry.getCvdThresholds(coin));
 
 // Data completeness thresholds for confidence
 const DATA_COMPLETENESS = {
@@ -89,7 +92,7 @@ function calculateSpotPerpDivergence(spotCvdHistory, perpCvdHistory, coin = 'BTC
         };
     }
 
-    const thresholds = CVD_THRESHOLDS[coin] || CVD_THRESHOLDS.BTC;
+    const thresholds = symbolRegistry.getCvdThresholds(coin);
 
     // Determine trends
     const spotTrend = spotDelta > thresholds.weak ? 'up' : spotDelta < -thresholds.weak ? 'down' : 'flat';
@@ -145,8 +148,11 @@ function calculateSpotPerpDivergence(spotCvdHistory, perpCvdHistory, coin = 'BTC
 /**
  * Calculate Funding Mean Reversion with 90-day baseline
  * Extended lookback for true statistical extremes
+ * baselineDays is the span between the first and last baseline timestamps,
+ * whatever the sampling rate.
+ * periodsPerDay: settlements per day of each rate, for annualising (24 on Hyperliquid, 3 on Binance / Bybit)
  */
-function calculateFundingMeanReversion(fundingHistory, priceHistory) {
+function calculateFundingMeanReversion(fundingHistory, priceHistory, periodsPerDay = 24) {
     if (!fundingHistory || fundingHistory.length < 30) {
         return {
             score: 0,
@@ -157,14 +163,16 @@ function calculateFundingMeanReversion(fundingHistory, priceHistory) {
         };
     }
 
-    const rates = fundingHistory.map(f => f.rate).filter(r => r !== undefined && !isNaN(r));
-    if (rates.length < 30) {
+    const samples = fundingHistory.filter(f => f.rate !== undefined && !isNaN(f.rate));
+    if (samples.length < 30) {
         return { score: 0, zScore: 0, mode: 'insufficient_data', baselineDays: 0 };
     }
 
-    // Use all available data up to 90 days
-    const baselineRates = rates.slice(-TIMEFRAMES_24H.FUNDING_BASELINE_PERIODS);
-    const baselineDays = Math.floor(baselineRates.length / 3); // 3 funding periods per day
+    // Use all available data up to 90 days before the latest sample
+    const latestAt = samples[samples.length - 1].timestamp;
+    const baseline = samples.filter(f => f.timestamp >= latestAt - TIMEFRAMES_24H.FUNDING_BASELINE_DAYS * DAY_MS);
+    const baselineRates = baseline.map(f => f.rate);
+    const baselineDays = Math.floor((latestAt - baseline[0].timestamp) / DAY_MS);
 
     const mean = baselineRates.reduce((a, b) => a + b, 0) / baselineRates.length;
     const variance = baselineRates.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / baselineRates.length;
@@ -174,9 +182,9 @@ function calculateFundingMeanReversion(fundingHistory, priceHistory) {
         return { score: 0, zScore: 0, mean, stddev: 0, mode: 'stable', baselineDays };
     }
 
-    const currentRate = rates[rates.length - 1];
+    const currentRate = baselineRates[baselineRates.length - 1];
     const zScore = (currentRate - mean) / stddev;
-    const annualized = currentRate * 3 * 365 * 100;
+    const annualized = currentRate * periodsPerDay * 365 * 100;
 
     // Adaptive thresholds based on data availability
     const thresholds = getZScoreThresholds(baselineDays);
@@ -226,6 +234,33 @@ function calculateFundingMeanReversion(fundingHistory, priceHistory) {
     };
 }
 
+/**
+ * Funding series for the Z-score baseline
+ * Settled Hyperliquid funding (backfilled by fundingHistoryCollector) with the
+ * latest intraday sample as the current rate. Binance, then Bybit settlements
+ * stand in when Hyperliquid has fewer than 30 (coin not listed there, failed
+ * backfill). DataStore's 24h of intraday Hyperliquid samples are the last resort.
+ */
+function getFundingBaseline(coin, intradayFunding) {
+    const { INTERVAL_HOURS } = fundingHistoryCollector;
+
+    for (const exchange of FUNDING_BASELINE_EXCHANGES) {
+        const settled = fundingHistoryCollector.getFundingHistory(exchange, coin);
+        if (settled.length < 30) continue;
+
+        const periodsPerDay = 24 / INTERVAL_HOURS[exchange];
+        const latest = exchange === 'hyperliquid' ? intradayFunding?.[intradayFunding.length - 1] : null;
+        return {
+            history: latest && latest.timestamp > settled[settled.length - 1].timestamp ? [...settled, latest] : settled,
+            periodsPerDay,
+            source: exchange
+        };
+    }
+
+    // Intraday samples are Hyperliquid's hourly rate, sampled every few seconds
+    return { history: intradayFunding, periodsPerDay: 24 / INTERVAL_HOURS.hyperliquid, source: 'intraday' };
+}
+
 /**
  * Adaptive Z-score thresholds based on data availability
  */
@@ -378,26 +413,28 @@ function calculateCrossExchangeConfluence(dataStore, coin = 'BTC') {
 }
 
 /**
- * Calculate whale alignment (unchanged from 8-12H)
+ * Calculate whale alignment for one coin (smart-money weighted when scores are available)
  */
-function calculateWhaleAlignment(consensus) {
-    if (!consensus || !consensus.BTC) {
+function calculateWhaleAlignment(coin, consensus) {
+    const coinData = consensus?.[coin];
+    if (!coinData) {
         return { score: 0, longPct: 0.5, hasData: false };
     }
 
-    const btcData = consensus.BTC;
-    const totalPositions = (btcData.longs?.length || 0) + (btcData.shorts?.length || 0);
+    const totalPositions = (coinData.longs?.length || 0) + (coinData.shorts?.length || 0);
 
     if (totalPositions < 3) {
         return { score: 0, longPct: 0.5, hasData: false };
     }
 
-    const longPct = btcData.longs.length / totalPositions;
+    const weighted = coinData.weighted || null;
+    const longPct = weighted ? weighted.longPct : coinData.longs.length / totalPositions;
     const score = (longPct - 0.5) * 2;
 
     return {
         score: Math.max(-1, Math.min(1, score)),
         longPct,
+        weighting: weighted ? { method: 'smart-money', ...weighted } : { method: 'equal' },
         hasData: true
     };
 }
@@ -566,7 +603,7 @@ function calculateInvalidation24H(priceHistory, bias) {
  * Get current UTC date string for "valid for" display
  */
 function getCurrentUTCDate() {
-    const now = new Date();
+    const now = new Date(Date.now());
     return now.toISOString().split('T')[0];
 }
 
@@ -574,7 +611,7 @@ function getCurrentUTCDate() {
  * Main Daily Bias Projection Generator
  */
 function generateDailyBias(coin, dataStore, consensus = null) {
-    const validCoins = ['BTC', 'ETH', 'SOL'];
+    const validCoins = symbolRegistry.getCoins();
     if (!validCoins.includes(coin)) {
         return {
             error: `Daily Bias available for ${validCoins.join(', ')} only`,
@@ -608,10 +645,14 @@ function generateDailyBias(coin, dataStore, consensus = null) {
 
     // Calculate all components
     const spotPerpDivergence = calculateSpotPerpDivergence(spotCvdHistory, perpCvdHistory, coin);
-    const fundingMeanReversion = calculateFundingMeanReversion(hlData.funding?.[coin], hlData.price?.[coin]);
+    const fundingBaseline = getFundingBaseline(coin, hlData.funding?.[coin]);
+    const fundingMeanReversion = {
+        ...calculateFundingMeanReversion(fundingBaseline.history, hlData.price?.[coin], fundingBaseline.periodsPerDay),
+        baselineSource: fundingBaseline.source
+    };
     const oiPriceMomentum = calculateOIPriceMomentum(hlData.oi?.[coin], hlData.price?.[coin]);
     const confluence = calculateCrossExchangeConfluence(dataStore, coin);
-    const whales = calculateWhaleAlignment(consensus);
+    const whales = calculateWhaleAlignment(coin, consensus);
 
     // ETF flows (BTC only)
     const etfFlows = coin === 'BTC' ? calculateEtfFlowSignal() : { score: 0, signal: 'NOT_APPLICABLE' };
@@ -657,6 +698,15 @@ function generateDailyBias(coin, dataStore, consensus = null) {
         (confluence.score * WEIGHTS_24H.crossExchangeConfluence)
     );
 
+    // Factors that entered the weighted sum, and bonuses added after it
+    const factors = {
+        spotPerpDivergence: { score: spotPerpDivergence.score, weight: WEIGHTS_24H.spotPerpDivergence },
+        fundingMeanReversion: { score: fundingMeanReversion.score, weight: WEIGHTS_24H.fundingMeanReversion },
+        oiPriceMomentum: { score: oiPriceMomentum.score, weight: WEIGHTS_24H.oiPriceMomentum },
+        crossExchangeConfluence: { score: confluence.score, weight: WEIGHTS_24H.crossExchangeConfluence }
+    };
+    const adjustments = [];
+
     // Add liquidation cascade signal (combined zone + flow)
     // Blend zone prediction with actual liquidation flow data
     const liqCombinedScore = liqZoneSignal.signal !== 'INSUFFICIENT_DATA'
@@ -665,27 +715,33 @@ function generateDailyBias(coin, dataStore, consensus = null) {
     if (liqZoneSignal.signal !== 'INSUFFICIENT_DATA' || liqFlowSignal.signal !== 'INSUFFICIENT_DATA') {
         totalWeight += WEIGHTS_24H.liquidationCascade;
         weightedScore += liqCombinedScore * WEIGHTS_24H.liquidationCascade;
+        factors.liquidationCascade = { score: liqCombinedScore, weight: WEIGHTS_24H.liquidationCascade };
     }
 
     // Add ETF flows if available (BTC only)
     if (coin === 'BTC' && etfFlows.signal !== 'NO_DATA' && etfFlows.signal !== 'STALE_DATA' && etfFlows.signal !== 'NOT_APPLICABLE') {
         totalWeight += WEIGHTS_24H.etfFlows;
         weightedScore += etfFlows.score * WEIGHTS_24H.etfFlows;
+        factors.etfFlows = { score: etfFlows.score, weight: WEIGHTS_24H.etfFlows };
     }
 
     // Add whale factor if available
     if (whales.hasData) {
         totalWeight += WEIGHTS_24H.whales;
         weightedScore += whales.score * WEIGHTS_24H.whales;
+        factors.whales = { score: whales.score, weight: WEIGHTS_24H.whales };
     }
 
     // Normalize
-    let normalizedScore = weightedScore / totalWeight;
+    const baseScore = weightedScore / totalWeight;
+    let normalizedScore = baseScore;
 
     // Add bonuses
     // Extreme funding bonus
     if (Math.abs(fundingMeanReversion.zScore) >= 3.0) {
-        normalizedScore += fundingMeanReversion.score > 0 ? BONUSES_24H.extremeFunding : -BONUSES_24H.extremeFunding;
+        const bonus = fundingMeanReversion.score > 0 ? BONUSES_24H.extremeFunding : -BONUSES_24H.extremeFunding;
+        normalizedScore += bonus;
+        adjustments.push({ name: 'extremeFunding', value: bonus });
     }
 
     // All factors aligned bonus
@@ -693,6 +749,7 @@ function generateDailyBias(coin, dataStore, consensus = null) {
     const allBearish = spotPerpDivergence.score < -0.3 && fundingMeanReversion.score < 0 && oiPriceMomentum.score < 0;
     if (allBullish || allBearish) {
         normalizedScore += allBullish ? BONUSES_24H.allFactorsAligned : -BONUSES_24H.allFactorsAligned;
+        adjustments.push({ name: 'allFactorsAligned', value: allBullish ? BONUSES_24H.allFactorsAligned : -BONUSES_24H.allFactorsAligned });
     }
 
     // Clamp score
@@ -811,7 +868,9 @@ function generateDailyBias(coin, dataStore, consensus = null) {
             direction: whales.score > 0.2 ? 'bullish' : whales.score < -0.2 ? 'bearish' : 'neutral',
             score: Math.abs(whales.score),
             impact: Math.abs(whales.score) > 0.5 ? 'high' : Math.abs(whales.score) > 0.2 ? 'medium' : 'low',
-            detail: `${Math.round(whales.longPct * 100)}% long`
+            detail: whales.weighting.method === 'smart-money'
+                ? `${Math.round(whales.longPct * 100)}% long score-weighted (${Math.round(whales.weighting.rawLongPct * 100)}% by count)`
+                : `${Math.round(whales.longPct * 100)}% long`
         });
     }
 
@@ -897,6 +956,13 @@ function generateDailyBias(coin, dataStore, consensus = null) {
                 combinedScore: liqCombinedScore
             }
         },
+        weighting: {
+            table: 'WEIGHTS_24H',
+            totalWeight,
+            baseScore,
+            factors,
+            adjustments
+        },
         generatedAt: now,
         validUntil: now + TIMEFRAMES_24H.SIGNAL_VALIDITY,
         nextRefresh,
@@ -908,6 +974,7 @@ module.exports = {
     generateDailyBias,
     calculateSpotPerpDivergence,
     calculateFundingMeanReversion,
+    getFundingBaseline,
     calculateOIPriceMomentum,
     calculateCrossExchangeConfluence,
     calculateWhaleAlignment,
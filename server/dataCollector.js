@@ -2,19 +2,26 @@
  * Data Collection Workers for All Exchanges
  *
  * Fetches market data from multiple exchanges and stores in memory
+ * Hyperliquid streams through hyperliquidWsCollector; its REST worker here only
+ * runs while that socket is down or stale
+ * API base URLs can be pointed at a local mock server via env
+ * (HYPERLIQUID_API_URL, BINANCE_API_URL, BYBIT_API_URL, NADO_API_URL, ASTERDEX_API_URL)
  */
 
 const fetch = require('node-fetch');
 const dataStore = require('./dataStore');
+const symbolRegistry = require('./symbolRegistry');
+const hyperliquidWsCollector = require('./hyperliquidWsCollector');
+const orderbookAnalytics = require('./orderbookAnalytics');
 
-const HYPERLIQUID_API = 'https://api.hyperliquid.xyz/info';
-const BINANCE_API_BASE = 'https://fapi.binance.com';
-const BYBIT_API_BASE = 'https://api.bybit.com';
-const NADO_API = 'https://archive.prod.nado.xyz/v1';
-const ASTERDEX_API = 'https://fapi.asterdex.com';
+const HYPERLIQUID_API = process.env.HYPERLIQUID_API_URL || 'https://api.hyperliquid.xyz/info';
+const BINANCE_API_BASE = process.env.BINANCE_API_URL || 'https://fapi.binance.com';
+const BYBIT_API_BASE = process.env.BYBIT_API_URL || 'https://api.bybit.com';
+const NADO_API = process.env.NADO_API_URL || 'https://archive.prod.nado.xyz/v1';
+const ASTERDEX_API = process.env.ASTERDEX_API_URL || 'https://fapi.asterdex.com';
 
-const COINS = ['BTC', 'ETH', 'SOL'];
 const FETCH_TIMEOUT_MS = 15000; // 15 second timeout
+const IMBALANCE_LEVELS = 10;     // Top levels behind the stored imbalance; deeper levels feed orderbookAnalytics
 
 // Flow tracking for perp exchanges (BTC only)
 const MAX_FLOW_HISTORY_MS = 60 * 60 * 1000; // 1 hour max storage
@@ -64,14 +71,16 @@ async function fetchHyperliquidData() {
     });
     const [meta, assetCtxs] = await metaRes.json();
 
+    const hlSymbols = symbolRegistry.getSymbolMap('hyperliquid');
+
     // Store price, OI, funding
-    for (const coin of COINS) {
-      const price = parseFloat(mids[coin] || 0);
+    for (const [coin, hlCoin] of Object.entries(hlSymbols)) {
+      const price = parseFloat(mids[hlCoin] || 0);
       if (price > 0) {
         dataStore.addPrice('hyperliquid', coin, price);
       }
 
-      const idx = meta.universe.findIndex(u => u.name === coin);
+      const idx = meta.universe.findIndex(u => u.name === hlCoin);
       if (idx !== -1 && assetCtxs[idx]) {
         const ctx = assetCtxs[idx];
         const oiValue = parseFloat(ctx.openInterest || 0) * price;
@@ -85,13 +94,19 @@ async function fetchHyperliquidData() {
     }
 
     // Fetch orderbooks
-    for (const coin of COINS) {
+    for (const [coin, hlCoin] of Object.entries(hlSymbols)) {
       const obRes = await fetchWithTimeout(HYPERLIQUID_API, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ type: 'l2Book', coin })
+        body: JSON.stringify({ type: 'l2Book', coin: hlCoin })
       });
       const book = await obRes.json();
+      orderbookAnalytics.recordBook(
+        'hyperliquid',
+        coin,
+        (book.levels?.[0] || []).map(level => [level.px, level.sz]),
+        (book.levels?.[1] || []).map(level => [level.px, level.sz])
+      );
 
       let bidVol = 0, askVol = 0;
       (book.levels?.[0] || []).forEach(level => bidVol += parseFloat(level.px) * parseFloat(level.sz));
@@ -104,11 +119,11 @@ async function fetchHyperliquidData() {
     }
 
     // Fetch CVD (recent trades)
-    for (const coin of COINS) {
+    for (const [coin, hlCoin] of Object.entries(hlSymbols)) {
       const tradesRes = await fetchWithTimeout(HYPERLIQUID_API, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ type: 'recentTrades', coin })
+        body: JSON.stringify({ type: 'recentTrades', coin: hlCoin })
       });
       const trades = await tradesRes.json();
 
@@ -158,15 +173,21 @@ async function fetchHyperliquidData() {
   }
 }
 
+/**
+ * REST fallback: poll only while the WebSocket collector is not live
+ */
+function pollHyperliquidFallback() {
+  if (hyperliquidWsCollector.isLive()) return Promise.resolve();
+  return fetchHyperliquidData();
+}
+
 // ============== BINANCE WORKER ==============
 
 async function fetchBinanceData() {
   try {
-    const symbolMap = { 'BTC': 'BTCUSDT', 'ETH': 'ETHUSDT', 'SOL': 'SOLUSDT' };
-
-    for (const coin of COINS) {
-      const symbol = symbolMap[coin];
+    const symbolMap = symbolRegistry.getSymbolMap('binance');
 
+    for (const [coin, symbol] of Object.entries(symbolMap)) {
       // Fetch ticker (price)
       const tickerRes = await fetchWithTimeout(`${BINANCE_API_BASE}/fapi/v1/ticker/24hr?symbol=${symbol}`);
       const ticker = await tickerRes.json();
@@ -190,14 +211,15 @@ async function fetchBinanceData() {
         dataStore.addOI('binance', coin, oiValue);
       }
 
-      // Fetch orderbook
-      const depthRes = await fetchWithTimeout(`${BINANCE_API_BASE}/fapi/v1/depth?symbol=${symbol}&limit=10`);
+      // Fetch orderbook (deep enough for the 2% band; imbalance stays on the top levels)
+      const depthRes = await fetchWithTimeout(`${BINANCE_API_BASE}/fapi/v1/depth?symbol=${symbol}&limit=1000`);
       const depth = await depthRes.json();
 
       let bidVol = 0, askVol = 0;
       if (depth.bids) {
-        depth.bids.forEach(level => bidVol += parseFloat(level[0]) * parseFloat(level[1]));
-        depth.asks.forEach(level => askVol += parseFloat(level[0]) * parseFloat(level[1]));
+        orderbookAnalytics.recordBook('binance', coin, depth.bids, depth.asks);
+        depth.bids.slice(0, IMBALANCE_LEVELS).forEach(level => bidVol += parseFloat(level[0]) * parseFloat(level[1]));
+        depth.asks.slice(0, IMBALANCE_LEVELS).forEach(level => askVol += parseFloat(level[0]) * parseFloat(level[1]));
       }
 
       const totalVol = bidVol + askVol;
@@ -263,11 +285,9 @@ async function fetchBinanceData() {
 
 async function fetchBybitData() {
   try {
-    const symbolMap = { 'BTC': 'BTCUSDT', 'ETH': 'ETHUSDT', 'SOL': 'SOLUSDT' };
-
-    for (const coin of COINS) {
-      const symbol = symbolMap[coin];
+    const symbolMap = symbolRegistry.getSymbolMap('bybit');
 
+    for (const [coin, symbol] of Object.entries(symbolMap)) {
       // Fetch ticker
       const tickerRes = await fetchWithTimeout(`${BYBIT_API_BASE}/v5/market/tickers?category=linear&symbol=${symbol}`);
       const tickerData = await tickerRes.json();
@@ -287,15 +307,16 @@ async function fetchBybitData() {
         }
       }
 
-      // Fetch orderbook
-      const depthRes = await fetchWithTimeout(`${BYBIT_API_BASE}/v5/market/orderbook?category=linear&symbol=${symbol}&limit=10`);
+      // Fetch orderbook (Bybit linear max depth; imbalance stays on the top levels)
+      const depthRes = await fetchWithTimeout(`${BYBIT_API_BASE}/v5/market/orderbook?category=linear&symbol=${symbol}&limit=500`);
       const depthData = await depthRes.json();
 
       if (depthData.retCode === 0 && depthData.result) {
         const depth = depthData.result;
+        orderbookAnalytics.recordBook('bybit', coin, depth.b, depth.a);
         let bidVol = 0, askVol = 0;
-        depth.b.forEach(level => bidVol += parseFloat(level[0]) * parseFloat(level[1]));
-        depth.a.forEach(level => askVol += parseFloat(level[0]) * parseFloat(level[1]));
+        depth.b.slice(0, IMBALANCE_LEVELS).forEach(level => bidVol += parseFloat(level[0]) * parseFloat(level[1]));
+        depth.a.slice(0, IMBALANCE_LEVELS).forEach(level => askVol += parseFloat(level[0]) * parseFloat(level[1]));
 
         const totalVol = bidVol + askVol;
         const imbalance = totalVol > 0 ? ((bidVol - askVol) / totalVol) * 100 : 0;
@@ -360,7 +381,7 @@ async function fetchBybitData() {
 
 async function fetchNadoData() {
   try {
-    const productMap = { 'BTC': 2, 'ETH': 4, 'SOL': 8 };
+    const productMap = symbolRegistry.getSymbolMap('nado');
 
     // Fetch prices
     const priceRes = await fetchWithTimeout(NADO_API, {
@@ -386,8 +407,7 @@ async function fetchNadoData() {
     });
     const snapshotData = await snapshotRes.json();
 
-    for (const coin of COINS) {
-      const productId = productMap[coin];
+    for (const [coin, productId] of Object.entries(productMap)) {
 
       // Price
       const coinPrice = priceData?.[productId];
@@ -431,11 +451,9 @@ async function fetchNadoData() {
 
 async function fetchAsterDexData() {
   try {
-    const symbolMap = { 'BTC': 'BTCUSDT', 'ETH': 'ETHUSDT', 'SOL': 'SOLUSDT' };
-
-    for (const coin of COINS) {
-      const symbol = symbolMap[coin];
+    const symbolMap = symbolRegistry.getSymbolMap('asterdex');
 
+    for (const [coin, symbol] of Object.entries(symbolMap)) {
       // Fetch ticker
       const tickerRes = await fetchWithTimeout(`${ASTERDEX_API}/fapi/v1/ticker/24hr?symbol=${symbol}`);
       const ticker = await tickerRes.json();
@@ -506,15 +524,18 @@ async function fetchAsterDexData() {
 function startDataCollection() {
   console.log('[DataCollector] Starting data collection workers...');
 
+  // Hyperliquid streams over WebSocket; REST fills in until it is live
+  hyperliquidWsCollector.start();
+
   // Initial fetch (staggered to avoid API rate limits)
-  setTimeout(() => fetchHyperliquidData(), 1000);
+  setTimeout(() => pollHyperliquidFallback(), 1000);
   setTimeout(() => fetchBinanceData(), 3000);
   setTimeout(() => fetchBybitData(), 5000);
   setTimeout(() => fetchNadoData(), 7000);
   setTimeout(() => fetchAsterDexData(), 9000);
 
   // Set intervals for continuous collection
-  setInterval(fetchHyperliquidData, 10000); // Every 10 seconds
+  setInterval(pollHyperliquidFallback, 10000); // Every 10 seconds while the WebSocket is down
   setInterval(fetchBinanceData, 10000);     // Every 10 seconds
   setInterval(fetchBybitData, 10000);       // Every 10 seconds
   setInterval(fetchNadoData, 60000);        // Every 60 seconds (slower API)
@@ -525,6 +546,7 @@ function startDataCollection() {
 
 /**
  * Get flow data for Hyperliquid perp
+ * Streamed trades plus any REST fallback polls (the two never cover the same period)
  * @param {number} windowMs - Rolling window in ms (default 15m)
  */
 function getHyperliquidFlow(windowMs = DEFAULT_FLOW_WINDOW_MS) {
@@ -537,8 +559,9 @@ function getHyperliquidFlow(windowMs = DEFAULT_FLOW_WINDOW_MS) {
   const sellVol = perpFlowState.hyperliquid.sells
     .filter(e => e.timestamp >= cutoff)
     .reduce((sum, e) => sum + e.value, 0);
+  const streamed = hyperliquidWsCollector.getFlow(windowMs);
 
-  return { buyVol, sellVol, timestamp: now };
+  return { buyVol: buyVol + streamed.buyVol, sellVol: sellVol + streamed.sellVol, timestamp: now };
 }
 
 /**
@@ -579,6 +602,10 @@ function getBybitPerpFlow(windowMs = DEFAULT_FLOW_WINDOW_MS) {
 
 module.exports = {
   startDataCollection,
+  fetchHyperliquidData,
+  pollHyperliquidFallback,
+  fetchBinanceData,
+  fetchBybitData,
   getHyperliquidFlow,
   getBinancePerpFlow,
   getBybitPerpFlow
@@ -3,18 +3,26 @@
  *
  * Stores 24 hours of historical data for all exchanges
  * Memory-optimized with circular buffers and automatic cleanup
- * Now with JSON file persistence for Docker restarts
+ * Persistence goes through a storage adapter (see storageAdapter.js):
+ * JSON file by default, SQLite for multi-week history
+ *
+ * Emits 'point', 'whaleTrade', 'liquidation' and 'whalePositionChange' as
+ * data lands (streamHub.js pushes them to /api/stream clients)
  */
 
-const fs = require('fs');
-const path = require('path');
+const EventEmitter = require('events');
+const { createStorageAdapter } = require('./storageAdapter');
+const symbolRegistry = require('./symbolRegistry');
 
 const MAX_HISTORY_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
-const DATA_FILE = path.join(__dirname, 'data', 'datastore.json');
+const MAX_POSITION_CHANGES = 1000;
+const MAX_WHALE_PATTERNS = 200;
 const SAVE_INTERVAL_MS = 60 * 1000; // Save every 1 minute
+const MAX_PENDING_POINTS = 200000; // Unsaved points kept while the adapter keeps failing
 
-class DataStore {
+class DataStore extends EventEmitter {
   constructor() {
+    super();
     this.data = {
       hyperliquid: this.createEmptyExchangeData(),
       binance: this.createEmptyExchangeData(),
@@ -22,23 +30,21 @@ class DataStore {
       nado: this.createEmptyExchangeData(),
       asterdex: this.createEmptyExchangeData(),
       whaleTrades: [],
+      // TWAP / iceberg episodes (whalePatternDetector), newest first (24h)
+      whalePatterns: [],
+      // Top trader positions and their changes (leaderboardCollector)
+      whales: {
+        consensus: {},      // { coin: { longs, shorts, totalNotional } }
+        positions: [],
+        traders: [],        // Ranked leaderboard
+        changes: [],        // entry/flip/increase/decrease/exit, newest first (24h)
+        lastUpdate: null
+      },
       // Spot CVD per exchange (for aggregation)
       spotCvd: {
-        binance: {
-          BTC: { current: null, history: [] },
-          ETH: { current: null, history: [] },
-          SOL: { current: null, history: [] }
-        },
-        bybit: {
-          BTC: { current: null, history: [] },
-          ETH: { current: null, history: [] },
-          SOL: { current: null, history: [] }
-        },
-        coinbase: {
-          BTC: { current: null, history: [] },
-          ETH: { current: null, history: [] },
-          SOL: { current: null, history: [] }
-        }
+        binance: symbolRegistry.mapCoins(() => ({ current: null, history: [] })),
+        bybit: symbolRegistry.mapCoins(() => ({ current: null, history: [] })),
+        coinbase: symbolRegistry.mapCoins(() => ({ current: null, history: [] }))
       },
       // ETF flow data from SoSoValue (BTC only)
       etfFlows: {
@@ -48,23 +54,11 @@ class DataStore {
         history: []  // 7-day rolling history
       },
       // Liquidation data from Binance (for cascade detection)
-      liquidations: {
-        BTC: [],
-        ETH: [],
-        SOL: []
-      },
+      liquidations: symbolRegistry.mapCoins(() => []),
       // Per-exchange flow data (buy/sell volumes for spot and perp)
-      exchangeFlow: {
-        BTC: this.createEmptyExchangeFlow(),
-        ETH: this.createEmptyExchangeFlow(),
-        SOL: this.createEmptyExchangeFlow()
-      },
+      exchangeFlow: symbolRegistry.mapCoins(() => this.createEmptyExchangeFlow()),
       // VWAP levels cache
-      vwap: {
-        BTC: null,
-        ETH: null,
-        SOL: null
-      },
+      vwap: symbolRegistry.mapCoins(() => null),
       // Long/Short ratio data (BTC only)
       longShort: {
         allAccounts: null,    // Retail sentiment
@@ -85,14 +79,19 @@ class DataStore {
 
     this.isDirty = false; // Track if data has changed since last save
 
+    this.storage = createStorageAdapter();
+    this.pendingPoints = []; // Points not yet handed to a series-persisting adapter
+
     // Try to load persisted data
     this.loadFromFile();
 
     // Start cleanup interval (every 10 minutes)
-    setInterval(() => this.cleanup(), 10 * 60 * 1000);
+    // Timers are unref'd: the HTTP server and sockets keep the process alive,
+    // scripts and tests that only require the store can still exit
+    setInterval(() => this.cleanup(), 10 * 60 * 1000).unref();
 
     // Start save interval (every 1 minute)
-    setInterval(() => this.saveToFile(), SAVE_INTERVAL_MS);
+    setInterval(() => this.saveToFile(), SAVE_INTERVAL_MS).unref();
 
     // Save on process exit
     process.on('SIGTERM', () => this.saveToFile(true));
@@ -101,18 +100,18 @@ class DataStore {
 
   createEmptyExchangeData() {
     return {
-      oi: { BTC: [], ETH: [], SOL: [] },
-      price: { BTC: [], ETH: [], SOL: [] },
-      orderbook: { BTC: [], ETH: [], SOL: [] },
-      cvd: { BTC: [], ETH: [], SOL: [] },
-      funding: { BTC: [], ETH: [], SOL: [] },
+      oi: symbolRegistry.mapCoins(() => []),
+      price: symbolRegistry.mapCoins(() => []),
+      orderbook: symbolRegistry.mapCoins(() => []),
+      cvd: symbolRegistry.mapCoins(() => []),
+      funding: symbolRegistry.mapCoins(() => []),
       // Current snapshot for quick access
       current: {
-        price: { BTC: null, ETH: null, SOL: null },
-        oi: { BTC: null, ETH: null, SOL: null },
-        funding: { BTC: null, ETH: null, SOL: null },
-        orderbook: { BTC: null, ETH: null, SOL: null },
-        cvd: { BTC: null, ETH: null, SOL: null }
+        price: symbolRegistry.mapCoins(() => null),
+        oi: symbolRegistry.mapCoins(() => null),
+        funding: symbolRegistry.mapCoins(() => null),
+        orderbook: symbolRegistry.mapCoins(() => null),
+        cvd: symbolRegistry.mapCoins(() => null)
       }
     };
   }
@@ -127,26 +126,25 @@ class DataStore {
   }
 
   /**
-   * Load data from JSON file
+   * Load persisted data through the storage adapter
    */
   loadFromFile() {
     try {
-      if (!fs.existsSync(DATA_FILE)) {
+      const now = Date.now();
+      const cutoff = now - MAX_HISTORY_AGE_MS;
+      const saved = this.storage.load(cutoff);
+
+      if (!saved) {
         console.log('[DataStore] No persisted data found, starting fresh');
         return;
       }
 
-      const raw = fs.readFileSync(DATA_FILE, 'utf8');
-      const saved = JSON.parse(raw);
-
-      if (!saved || !saved.data) {
+      if (!saved.data) {
         console.log('[DataStore] Invalid persisted data format, starting fresh');
         return;
       }
 
       // Restore data
-      const now = Date.now();
-      const cutoff = now - MAX_HISTORY_AGE_MS;
       let restoredPoints = 0;
       let expiredPoints = 0;
 
@@ -158,9 +156,24 @@ class DataStore {
           return;
         }
 
+        if (exchange === 'whalePatterns') {
+          this.data.whalePatterns = (saved.data.whalePatterns || [])
+            .filter(p => p.timestamp >= cutoff)
+            .slice(0, MAX_WHALE_PATTERNS);
+          return;
+        }
+
+        if (exchange === 'whales') {
+          // Restore position changes only - consensus is rebuilt on the first poll
+          this.data.whales.changes = (saved.data.whales?.changes || [])
+            .filter(c => c.timestamp >= cutoff)
+            .slice(0, MAX_POSITION_CHANGES);
+          return;
+        }
+
         if (!this.data[exchange]) return;
 
-        ['BTC', 'ETH', 'SOL'].forEach(coin => {
+        symbolRegistry.getCoins().forEach(coin => {
           // Restore price data
           if (saved.data[exchange]?.price?.[coin]) {
             const fresh = saved.data[exchange].price[coin].filter(e => e.timestamp >= cutoff);
@@ -201,9 +214,14 @@ class DataStore {
             restoredPoints += fresh.length;
           }
 
-          // Restore current values if available
-          if (saved.data[exchange]?.current) {
-            this.data[exchange].current = saved.data[exchange].current;
+          // Restore current values if available (per coin, so newly added symbols keep their slots)
+          const savedCurrent = saved.data[exchange]?.current;
+          if (savedCurrent) {
+            Object.keys(this.data[exchange].current).forEach(metric => {
+              if (savedCurrent[metric]?.[coin] !== undefined) {
+                this.data[exchange].current[metric][coin] = savedCurrent[metric][coin];
+              }
+            });
           }
         });
       });
@@ -222,41 +240,124 @@ class DataStore {
   }
 
   /**
-   * Save data to JSON file
+   * Save data through the storage adapter
    */
   saveToFile(force = false) {
     if (!this.isDirty && !force) return;
 
     try {
-      // Ensure data directory exists
-      const dataDir = path.dirname(DATA_FILE);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-
       const saveData = {
         savedAt: Date.now(),
         data: this.data,
         lastUpdate: this.lastUpdate
       };
 
-      fs.writeFileSync(DATA_FILE, JSON.stringify(saveData), 'utf8');
+      const points = this.pendingPoints;
+      this.storage.save(saveData, points);
+      this.pendingPoints = [];
       this.isDirty = false;
 
       const stats = this.getStats();
-      console.log(`[DataStore] ✓ Saved ${stats.totalDataPoints} data points to disk`);
+      const appended = this.storage.persistsSeries ? ` (+${points.length} appended)` : '';
+      console.log(`[DataStore] ✓ Saved ${stats.totalDataPoints} data points to ${this.storage.name}${appended}`);
 
     } catch (error) {
       console.error('[DataStore] Error saving data:', error.message);
     }
   }
 
+  /**
+   * Push a time-series entry into memory, queue it for the storage adapter
+   * and announce it to stream listeners
+   */
+  appendPoint(exchange, metric, coin, entry) {
+    this.data[exchange][metric][coin].push(entry);
+    if (this.storage.persistsSeries) {
+      if (this.pendingPoints.length >= MAX_PENDING_POINTS) {
+        // Saves keep failing: drop the oldest tenth rather than grow without bound
+        const dropped = this.pendingPoints.splice(0, Math.ceil(MAX_PENDING_POINTS / 10)).length;
+        console.warn(`[DataStore] Storage backlog full, dropped ${dropped} unsaved points`);
+      }
+      this.pendingPoints.push({ exchange, metric, coin, entry });
+    }
+    this.emit('point', { exchange, metric, coin, entry });
+  }
+
+  /**
+   * Get time-series history for a range, reaching past the in-memory window
+   * when the storage adapter keeps older points
+   * @param {string} exchange - hyperliquid, binance, bybit, nado, asterdex
+   * @param {string} metric - price, oi, funding, cvd, orderbook
+   * @param {string} coin - registry symbol (BTC, ETH, SOL, ...)
+   * @param {object} options - { from, to } epoch ms
+   * @returns {Array} - entries in the same shape as the in-memory arrays
+   */
+  getHistory(exchange, metric, coin, { from = 0, to = Date.now() } = {}) {
+    const memory = this.data[exchange]?.[metric]?.[coin];
+    if (!memory) return [];
+
+    const timeKey = metric === 'cvd' ? 'time' : 'timestamp';
+    const inRange = memory.filter(e => e[timeKey] >= from && e[timeKey] <= to);
+
+    // In-memory window covers the request (or nothing older exists)
+    const memoryStart = memory.length > 0 ? memory[0][timeKey] : Date.now();
+    if (from >= memoryStart) return inRange;
+
+    try {
+      const persisted = this.storage.queryHistory(exchange, metric, coin, from, Math.min(to, memoryStart - 1));
+      if (!persisted) return inRange;
+      return persisted.concat(inRange);
+    } catch (error) {
+      console.error('[DataStore] Error querying persisted history:', error.message);
+      return inRange;
+    }
+  }
+
+  /**
+   * Align price/OI/funding/CVD/orderbook history into fixed-interval bars
+   * Gauges (price, oi, funding, imbalance) keep the last value in each bar,
+   * CVD sums the deltas. Bars before the first price point are dropped.
+   * @param {string} exchange - hyperliquid, binance, bybit, nado, asterdex
+   * @param {string} coin - registry symbol
+   * @param {object} options - { from, to, interval } epoch ms / bar size in ms
+   * @returns {Array} - [{ timestamp, price, oi, funding, cvd, imbalance }]
+   */
+  getHistoryBars(exchange, coin, { from = 0, to = Date.now(), interval = 5 * 60 * 1000 } = {}) {
+    const bars = new Map();
+    const barFor = (ts) => {
+      const start = Math.floor(ts / interval) * interval;
+      if (!bars.has(start)) {
+        bars.set(start, { timestamp: start, price: null, oi: null, funding: null, cvd: 0, imbalance: null });
+      }
+      return bars.get(start);
+    };
+
+    this.getHistory(exchange, 'price', coin, { from, to }).forEach(e => { barFor(e.timestamp).price = e.value; });
+    this.getHistory(exchange, 'oi', coin, { from, to }).forEach(e => { barFor(e.timestamp).oi = e.value; });
+    this.getHistory(exchange, 'funding', coin, { from, to }).forEach(e => { barFor(e.timestamp).funding = e.rate; });
+    this.getHistory(exchange, 'orderbook', coin, { from, to }).forEach(e => { barFor(e.timestamp).imbalance = e.imbalance; });
+    this.getHistory(exchange, 'cvd', coin, { from, to }).forEach(e => { barFor(e.time).cvd += e.delta; });
+
+    // Carry gauges forward through bars that only received other metrics
+    const sorted = [...bars.values()].sort((a, b) => a.timestamp - b.timestamp);
+    let last = { price: null, oi: null, funding: null, imbalance: null };
+    return sorted
+      .map(bar => {
+        ['price', 'oi', 'funding', 'imbalance'].forEach(key => {
+          if (bar[key] === null) bar[key] = last[key];
+        });
+        last = bar;
+        return bar;
+      })
+      .filter(bar => bar.price !== null);
+  }
+
   /**
    * Add price data point
    */
   addPrice(exchange, coin, value) {
     const timestamp = Date.now();
-    this.data[exchange].price[coin].push({ timestamp, value: parseFloat(value) });
+    this.appendPoint(exchange, 'price', coin, { timestamp, value: parseFloat(value) });
     this.data[exchange].current.price[coin] = parseFloat(value);
     this.lastUpdate[exchange] = timestamp;
     this.isDirty = true;
@@ -267,7 +368,7 @@ class DataStore {
    */
   addOI(exchange, coin, value) {
     const timestamp = Date.now();
-    this.data[exchange].oi[coin].push({ timestamp, value: parseFloat(value) });
+    this.appendPoint(exchange, 'oi', coin, { timestamp, value: parseFloat(value) });
     this.data[exchange].current.oi[coin] = parseFloat(value);
     this.lastUpdate[exchange] = timestamp;
     this.isDirty = true;
@@ -278,7 +379,7 @@ class DataStore {
    */
   addFunding(exchange, coin, rate) {
     const timestamp = Date.now();
-    this.data[exchange].funding[coin].push({ timestamp, rate: parseFloat(rate) });
+    this.appendPoint(exchange, 'funding', coin, { timestamp, rate: parseFloat(rate) });
     this.data[exchange].current.funding[coin] = parseFloat(rate);
     this.lastUpdate[exchange] = timestamp;
     this.isDirty = true;
@@ -289,7 +390,7 @@ class DataStore {
    */
   addOrderbook(exchange, coin, imbalance, bidDepth = 0, askDepth = 0) {
     const timestamp = Date.now();
-    this.data[exchange].orderbook[coin].push({
+    this.appendPoint(exchange, 'orderbook', coin, {
       timestamp,
       imbalance: parseFloat(imbalance),
       bidDepth: parseFloat(bidDepth),
@@ -309,7 +410,7 @@ class DataStore {
    */
   addCVD(exchange, coin, delta) {
     const timestamp = Date.now();
-    this.data[exchange].cvd[coin].push({ time: timestamp, delta: parseFloat(delta) });
+    this.appendPoint(exchange, 'cvd', coin, { time: timestamp, delta: parseFloat(delta) });
     this.data[exchange].current.cvd[coin] = parseFloat(delta);
     this.lastUpdate[exchange] = timestamp;
     this.isDirty = true;
@@ -336,6 +437,7 @@ class DataStore {
     }
 
     this.isDirty = true;
+    this.emit('whaleTrade', trade);
   }
 
   /**
@@ -345,6 +447,70 @@ class DataStore {
     return this.data.whaleTrades.slice(0, limit);
   }
 
+  /**
+   * Insert or update a TWAP / iceberg pattern (same id = same episode, growing)
+   */
+  upsertWhalePattern(pattern) {
+    const cutoff = Date.now() - MAX_HISTORY_AGE_MS;
+    this.data.whalePatterns = [pattern, ...this.data.whalePatterns.filter(p => p.id !== pattern.id)]
+      .filter(p => p.timestamp >= cutoff)
+      .slice(0, MAX_WHALE_PATTERNS);
+
+    this.isDirty = true;
+    this.emit('whalePattern', pattern);
+  }
+
+  /**
+   * Get TWAP / iceberg patterns, most recently active first
+   */
+  getWhalePatterns({ symbol = null, pattern = null, limit = 50 } = {}) {
+    return this.data.whalePatterns
+      .filter(p => (!symbol || p.symbol === symbol) && (!pattern || p.pattern === pattern))
+      .slice(0, limit);
+  }
+
+  /**
+   * Replace the top trader consensus snapshot
+   * @param {object} snapshot - { consensus, positions, traders }
+   */
+  updateWhaleConsensus({ consensus, positions, traders }) {
+    this.data.whales.consensus = consensus || {};
+    this.data.whales.positions = positions || [];
+    this.data.whales.traders = traders || [];
+    this.data.whales.lastUpdate = Date.now();
+    this.isDirty = true;
+  }
+
+  /**
+   * Get the top trader consensus snapshot
+   */
+  getWhaleConsensus() {
+    const { consensus, positions, traders, lastUpdate } = this.data.whales;
+    return { consensus, positions, traders, lastUpdate };
+  }
+
+  /**
+   * Add top trader position change events (entry/flip/increase/decrease/exit)
+   */
+  addWhalePositionChanges(changes) {
+    const cutoff = Date.now() - MAX_HISTORY_AGE_MS;
+    this.data.whales.changes = [...changes, ...this.data.whales.changes]
+      .filter(c => c.timestamp >= cutoff)
+      .slice(0, MAX_POSITION_CHANGES);
+
+    this.isDirty = true;
+    changes.forEach(change => this.emit('whalePositionChange', change));
+  }
+
+  /**
+   * Get position change events, newest first
+   */
+  getWhalePositionChanges({ coin = null, since = 0, limit = 100 } = {}) {
+    return this.data.whales.changes
+      .filter(c => c.timestamp >= since && (!coin || c.coin === coin))
+      .slice(0, limit);
+  }
+
   /**
    * Get exchange data
    */
@@ -374,7 +540,7 @@ class DataStore {
   /**
    * Update spot CVD data for a specific exchange
    * @param {string} exchange - binance, bybit, coinbase
-   * @param {string} coin - BTC, ETH, SOL
+   * @param {string} coin - registry symbol (BTC, ETH, SOL, ...)
    * @param {object} cvdData - CVD data with delta field
    */
   updateSpotCvd(exchange, coin, cvdData) {
@@ -424,7 +590,7 @@ class DataStore {
   /**
    * Get aggregated spot CVD history across all spot exchanges
    * Merges Binance, Bybit, Coinbase spot CVD into time-bucketed deltas
-   * @param {string} coin - BTC, ETH, SOL
+   * @param {string} coin - registry symbol (BTC, ETH, SOL, ...)
    * @returns {Array} - [{ time, delta }, ...] aggregated across exchanges
    */
   getAggregatedSpotCvdHistory(coin) {
@@ -449,7 +615,7 @@ class DataStore {
   /**
    * Get aggregated perp CVD history across all perp exchanges
    * Merges Hyperliquid, Binance, Bybit perp CVD into time-bucketed deltas
-   * @param {string} coin - BTC, ETH, SOL
+   * @param {string} coin - registry symbol (BTC, ETH, SOL, ...)
    * @returns {Array} - [{ time, delta }, ...] aggregated across exchanges
    */
   getAggregatedPerpCvdHistory(coin) {
@@ -476,7 +642,7 @@ class DataStore {
    */
   getAllSpotCvd() {
     const result = {};
-    for (const coin of ['BTC', 'ETH', 'SOL']) {
+    for (const coin of symbolRegistry.getCoins()) {
       result[coin] = {
         binance: this.data.spotCvd.binance[coin]?.current,
         bybit: this.data.spotCvd.bybit[coin]?.current,
@@ -554,6 +720,7 @@ class DataStore {
       .slice(-1000);
 
     this.isDirty = true;
+    this.emit('liquidation', liq);
   }
 
   /**
@@ -566,7 +733,7 @@ class DataStore {
 
   /**
    * Update exchange flow data (buy/sell volumes)
-   * @param {string} coin - BTC, ETH, SOL
+   * @param {string} coin - registry symbol (BTC, ETH, SOL, ...)
    * @param {string} exchange - coinbase, binance, bybit, hyperliquid
    * @param {string} type - spot or perp
    * @param {object} flowData - { buyVol, sellVol, timestamp }
@@ -659,7 +826,7 @@ class DataStore {
     const exchanges = ['hyperliquid', 'binance', 'bybit', 'nado', 'asterdex'];
     exchanges.forEach(exchange => {
       if (!this.data[exchange]) return;
-      ['BTC', 'ETH', 'SOL'].forEach(coin => {
+      symbolRegistry.getCoins().forEach(coin => {
         // Clean price
         const priceBefore = this.data[exchange].price[coin].length;
         this.data[exchange].price[coin] = this.data[exchange].price[coin].filter(e => e.timestamp >= cutoff);
@@ -691,6 +858,16 @@ class DataStore {
       console.log(`[DataStore] Cleanup: Removed ${totalRemoved} old data points`);
       this.isDirty = true;
     }
+
+    // Persisted history has its own (longer) retention
+    try {
+      const pruned = this.storage.prune();
+      if (pruned > 0) {
+        console.log(`[DataStore] Cleanup: Pruned ${pruned} persisted points past retention`);
+      }
+    } catch (error) {
+      console.error('[DataStore] Error pruning persisted history:', error.message);
+    }
   }
 
   /**
@@ -702,7 +879,7 @@ class DataStore {
 
     EXCHANGES.forEach(exchange => {
       if (!this.data[exchange]?.price) return;
-      ['BTC', 'ETH', 'SOL'].forEach(coin => {
+      symbolRegistry.getCoins().forEach(coin => {
         totalDataPoints += this.data[exchange].price[coin]?.length || 0;
         totalDataPoints += this.data[exchange].oi[coin]?.length || 0;
         totalDataPoints += this.data[exchange].orderbook[coin]?.length || 0;
@@ -717,13 +894,13 @@ class DataStore {
     return {
       totalDataPoints,
       memoryUsageMB,
-      persistenceFile: DATA_FILE,
+      persistence: this.storage.describe(),
       exchanges: EXCHANGES
         .filter(ex => this.data[ex]?.price)
         .map(ex => ({
           name: ex,
           lastUpdate: this.lastUpdate[ex] ? new Date(this.lastUpdate[ex]).toISOString() : 'Never',
-          dataPoints: ['BTC', 'ETH', 'SOL'].reduce((sum, coin) => {
+          dataPoints: symbolRegistry.getCoins().reduce((sum, coin) => {
             return sum +
               (this.data[ex].price[coin]?.length || 0) +
               (this.data[ex].oi[coin]?.length || 0) +
@@ -14,8 +14,9 @@ const dataStore = require('./dataStore');
 
 // Configuration
 const POLL_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
-const FARSIDE_URL = 'https://farside.co.uk/btc/';
-const JSON_FALLBACK_PATH = path.join(__dirname, 'data', 'etf-flows.json');
+const FARSIDE_URL = process.env.FARSIDE_URL || 'https://farside.co.uk/btc/';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const JSON_FALLBACK_PATH = path.join(DATA_DIR, 'etf-flows.json');
 const STALE_THRESHOLD_MS = 2 * 60 * 60 * 1000; // 2 hours
 
 // Column mapping for farside.co.uk table (0-indexed)
@@ -134,41 +135,13 @@ async function fetchEtfFlows() {
       }
     });
 
-    const $ = cheerio.load(data);
-    const flows = [];
-
-    // Find the main data table
-    $('table tbody tr').each((i, row) => {
-      const cols = $(row).find('td');
-      if (cols.length < 10) return; // Skip header or invalid rows
-
-      const dateStr = $(cols[ETF_COLUMNS.DATE]).text().trim();
-
-      // Only rows with date like "09 Jan 2026"
-      if (!dateStr.match(/\d{2} \w{3} \d{4}/)) return;
-
-      // Parse individual ETF flows (values in millions USD)
-      const rowData = {
-        date: dateStr,
-        total: parseFlowValue($(cols[ETF_COLUMNS.TOTAL]).text()),
-        IBIT: parseFlowValue($(cols[ETF_COLUMNS.IBIT]).text()),
-        FBTC: parseFlowValue($(cols[ETF_COLUMNS.FBTC]).text()),
-        BITB: parseFlowValue($(cols[ETF_COLUMNS.BITB]).text()),
-        ARKB: parseFlowValue($(cols[ETF_COLUMNS.ARKB]).text()),
-        GBTC: cols.length > ETF_COLUMNS.GBTC ? parseFlowValue($(cols[ETF_COLUMNS.GBTC]).text()) : 0
-      };
-
-      flows.push(rowData);
-    });
+    const flows = parseFarsideHtml(data);
 
     if (flows.length === 0) {
       console.error('[ETF Collector] No data rows found in farside table');
       return null;
     }
 
-    // Reverse so newest (top of table) comes first
-    flows.reverse();
-
     console.log(`[ETF Collector] Scraped ${flows.length} rows from farside.co.uk`);
     console.log(`[ETF Collector] Latest: ${flows[0]?.date} | Total: $${flows[0]?.total}M`);
 
@@ -183,6 +156,42 @@ async function fetchEtfFlows() {
   }
 }
 
+/**
+ * Extract daily flow rows from the farside.co.uk table HTML
+ * @returns {Array} - rows newest first, values in millions USD
+ */
+function parseFarsideHtml(html) {
+  const $ = cheerio.load(html);
+  const flows = [];
+
+  // Find the main data table
+  $('table tbody tr').each((i, row) => {
+    const cols = $(row).find('td');
+    if (cols.length < 10) return; // Skip header or invalid rows
+
+    const dateStr = $(cols[ETF_COLUMNS.DATE]).text().trim();
+
+    // Only rows with date like "09 Jan 2026"
+    if (!dateStr.match(/\d{2} \w{3} \d{4}/)) return;
+
+    // Parse individual ETF flows (values in millions USD)
+    const rowData = {
+      date: dateStr,
+      total: parseFlowValue($(cols[ETF_COLUMNS.TOTAL]).text()),
+      IBIT: parseFlowValue($(cols[ETF_COLUMNS.IBIT]).text()),
+      FBTC: parseFlowValue($(cols[ETF_COLUMNS.FBTC]).text()),
+      BITB: parseFlowValue($(cols[ETF_COLUMNS.BITB]).text()),
+      ARKB: parseFlowValue($(cols[ETF_COLUMNS.ARKB]).text()),
+      GBTC: cols.length > ETF_COLUMNS.GBTC ? parseFlowValue($(cols[ETF_COLUMNS.GBTC]).text()) : 0
+    };
+
+    flows.push(rowData);
+  });
+
+  // Reverse so newest (top of table) comes first
+  return flows.reverse();
+}
+
 /**
  * Parse and normalize ETF flow data from scrape result
  */
@@ -558,6 +567,7 @@ module.exports = {
   getMarketStatus,
   fetchNow,
   onDataChange,
+  parseFarsideHtml,
   FLOW_THRESHOLDS,
   TRACKED_ETFS
 };
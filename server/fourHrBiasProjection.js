@@ -6,7 +6,7 @@
  * No funding, no whales, no cross-exchange - pure reactive signals
  */
 
-const { CVD_THRESHOLDS } = require('./biasProjection');
+const symbolRegistry = require('./symbolRegistry');
 
 // Weight distribution - pure flow (OI boosted based on 75% win rate backtesting)
 const WEIGHTS_4HR = {
@@ -42,7 +42,7 @@ function calculateFlowConfluence4Hr(priceHistory, oiHistory, cvdHistory, coin =
   const now = Date.now();
   const oneHourAgo = now - TIMEFRAMES_4HR.PRIMARY_WINDOW;
   const twoHoursAgo = now - TIMEFRAMES_4HR.VETO_WINDOW;
-  const thresholds = CVD_THRESHOLDS[coin] || CVD_THRESHOLDS.BTC;
+  const thresholds = symbolRegistry.getCvdThresholds(coin);
 
   // === 1HR PRIMARY CALCULATION ===
   const prices1H = priceHistory.filter(e => e && e.timestamp >= oneHourAgo);
@@ -217,7 +217,7 @@ function calculateCVDPersistence4Hr(cvdHistory, coin = 'BTC') {
 
   const now = Date.now();
   const fourHoursAgo = now - TIMEFRAMES_4HR.OI_CVD_WINDOW;
-  const thresholds = CVD_THRESHOLDS[coin] || CVD_THRESHOLDS.BTC;
+  const thresholds = symbolRegistry.getCvdThresholds(coin);
 
   const cvd4H = cvdHistory.filter(e => e && e.time >= fourHoursAgo);
   const cvd4HDelta = cvd4H.reduce((sum, e) => sum + (e.delta || 0), 0);
@@ -347,6 +347,19 @@ function generate4HrBias(coin, dataStore) {
 
   const normalizedScore = Math.max(-1, Math.min(1, weightedScore));
 
+  // Weighted sum is used as-is (the default weights sum to 1); baseScore is before clamping
+  const weighting = {
+    table: 'WEIGHTS_4HR',
+    totalWeight: WEIGHTS_4HR.flowConfluence + WEIGHTS_4HR.oiRoC + WEIGHTS_4HR.cvdPersistence,
+    baseScore: weightedScore,
+    factors: {
+      flowConfluence: { score: flowConfluence.score, weight: WEIGHTS_4HR.flowConfluence },
+      oiRoC: { score: oiRoC.score, weight: WEIGHTS_4HR.oiRoC },
+      cvdPersistence: { score: cvdPersistence.score, weight: WEIGHTS_4HR.cvdPersistence }
+    },
+    adjustments: []
+  };
+
   // Determine bias and grade
   let bias, strength;
   const absScore = Math.abs(normalizedScore);
@@ -440,6 +453,7 @@ function generate4HrBias(coin, dataStore) {
       oiRoC,
       cvdPersistence
     },
+    weighting,
     generatedAt: now,
     validUntil: now + TIMEFRAMES_4HR.VALIDITY
   };
@@ -0,0 +1,292 @@
+/**
+ * Funding History Collector
+ *
+ * Backfills and persists settled funding rates per exchange, separate from
+ * the intraday samples DataStore keeps for 24 hours:
+ * - Hyperliquid: info fundingHistory (settles hourly)
+ * - Binance: /fapi/v1/fundingRate (settles every 8H)
+ * - Bybit: /v5/market/funding/history (settles every 8H)
+ *
+ * Backfills 90 days on first start, then tops up every hour.
+ * Persisted to data/funding-history.json. Feeds the 90-day funding
+ * Z-score baseline in dailyBiasProjection.js (Hyperliquid, with Binance and
+ * Bybit as fallbacks) and the equity curve's funding carry (Binance).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const symbolRegistry = require('./symbolRegistry');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const FUNDING_FILE = path.join(DATA_DIR, 'funding-history.json');
+const BACKFILL_DAYS = 90;
+const RETENTION_DAYS = 100;
+const UPDATE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const REQUEST_DELAY_MS = 300; // Spacing between paged requests
+const MAX_PAGES = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HYPERLIQUID_API = process.env.HYPERLIQUID_API_URL || 'https://api.hyperliquid.xyz/info';
+const BINANCE_API_BASE = process.env.BINANCE_API_URL || 'https://fapi.binance.com';
+const BYBIT_API_BASE = process.env.BYBIT_API_URL || 'https://api.bybit.com';
+
+// Hours between settlements
+const INTERVAL_HOURS = {
+  hyperliquid: 1,
+  binance: 8,
+  bybit: 8
+};
+
+const EXCHANGES = Object.keys(INTERVAL_HOURS);
+
+let history = createEmptyHistory(); // { exchange: { coin: [{ timestamp, rate }] } }
+let updateInterval = null;
+let updating = false;
+let lastUpdateTime = null;
+
+function createEmptyHistory() {
+  const result = {};
+  EXCHANGES.forEach(exchange => { result[exchange] = {}; });
+  return result;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============== FETCHERS ==============
+// Each returns settled funding after startTime, oldest first: [{ timestamp, rate }]
+
+async function fetchHyperliquidFunding(ticker, startTime) {
+  const entries = [];
+  let cursor = startTime;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const { data } = await axios.post(HYPERLIQUID_API, {
+      type: 'fundingHistory',
+      coin: ticker,
+      startTime: cursor
+    }, { timeout: 15000 });
+
+    if (!Array.isArray(data) || data.length === 0) break;
+    data.forEach(f => entries.push({ timestamp: f.time, rate: parseFloat(f.fundingRate) }));
+
+    // 500 rows per response; page forward from the last settlement
+    if (data.length < 500) break;
+    cursor = data[data.length - 1].time + 1;
+    await sleep(REQUEST_DELAY_MS);
+  }
+
+  return entries;
+}
+
+async function fetchBinanceFunding(ticker, startTime) {
+  const entries = [];
+  let cursor = startTime;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const { data } = await axios.get(`${BINANCE_API_BASE}/fapi/v1/fundingRate`, {
+      params: { symbol: ticker, startTime: cursor, limit: 1000 },
+      timeout: 15000
+    });
+
+    if (!Array.isArray(data) || data.length === 0) break;
+    data.forEach(f => entries.push({ timestamp: f.fundingTime, rate: parseFloat(f.fundingRate) }));
+
+    if (data.length < 1000) break;
+    cursor = data[data.length - 1].fundingTime + 1;
+    await sleep(REQUEST_DELAY_MS);
+  }
+
+  return entries;
+}
+
+async function fetchBybitFunding(ticker, startTime) {
+  const entries = [];
+  let endTime = Date.now();
+
+  // Bybit returns newest first; page backwards until startTime
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const { data } = await axios.get(`${BYBIT_API_BASE}/v5/market/funding/history`, {
+      params: { category: 'linear', symbol: ticker, startTime, endTime, limit: 200 },
+      timeout: 15000
+    });
+
+    if (data.retCode !== 0) {
+      throw new Error(`Bybit error ${data.retCode}: ${data.retMsg}`);
+    }
+    const list = data.result?.list || [];
+    if (list.length === 0) break;
+    list.forEach(f => entries.push({
+      timestamp: parseInt(f.fundingRateTimestamp, 10),
+      rate: parseFloat(f.fundingRate)
+    }));
+
+    if (list.length < 200) break;
+    endTime = parseInt(list[list.length - 1].fundingRateTimestamp, 10) - 1;
+    await sleep(REQUEST_DELAY_MS);
+  }
+
+  return entries.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+const FETCHERS = {
+  hyperliquid: fetchHyperliquidFunding,
+  binance: fetchBinanceFunding,
+  bybit: fetchBybitFunding
+};
+
+// ============== PERSISTENCE ==============
+
+function loadFromFile() {
+  try {
+    if (!fs.existsSync(FUNDING_FILE)) {
+      console.log('[FundingHistory] No saved history, full backfill on start');
+      return;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(FUNDING_FILE, 'utf8'));
+    EXCHANGES.forEach(exchange => {
+      if (saved.history?.[exchange]) history[exchange] = saved.history[exchange];
+    });
+    lastUpdateTime = saved.savedAt || null;
+
+    const total = EXCHANGES.reduce((sum, ex) =>
+      sum + Object.values(history[ex]).reduce((s, entries) => s + entries.length, 0), 0);
+    console.log(`[FundingHistory] Loaded ${total} settlements`);
+  } catch (error) {
+    console.error('[FundingHistory] Error loading history:', error.message);
+  }
+}
+
+function saveToFile() {
+  try {
+    const dataDir = path.dirname(FUNDING_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(FUNDING_FILE, JSON.stringify({ history, savedAt: Date.now() }), 'utf8');
+  } catch (error) {
+    console.error('[FundingHistory] Error saving history:', error.message);
+  }
+}
+
+// ============== UPDATE ==============
+
+/**
+ * Append settlements newer than the stored ones and drop anything past retention
+ */
+function mergeEntries(exchange, coin, entries) {
+  const existing = history[exchange][coin] || [];
+  const lastTimestamp = existing.length > 0 ? existing[existing.length - 1].timestamp : 0;
+  const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+
+  const fresh = entries.filter(e => e.timestamp > lastTimestamp && !isNaN(e.rate));
+  history[exchange][coin] = [...existing, ...fresh].filter(e => e.timestamp >= cutoff);
+  return fresh.length;
+}
+
+/**
+ * Backfill / top up every exchange and coin, one request at a time
+ */
+async function updateFundingHistory() {
+  if (updating) return;
+  updating = true;
+
+  let added = 0;
+  for (const exchange of EXCHANGES) {
+    for (const coin of symbolRegistry.getCoinsForExchange(exchange)) {
+      const ticker = symbolRegistry.getExchangeSymbol(coin, exchange);
+      const stored = history[exchange][coin] || [];
+      const startTime = stored.length > 0
+        ? stored[stored.length - 1].timestamp + 1
+        : Date.now() - BACKFILL_DAYS * DAY_MS;
+
+      try {
+        const entries = await FETCHERS[exchange](ticker, startTime);
+        const count = mergeEntries(exchange, coin, entries);
+        added += count;
+        if (stored.length === 0) {
+          console.log(`[FundingHistory] Backfilled ${exchange} ${coin}: ${count} settlements`);
+        }
+      } catch (error) {
+        console.error(`[FundingHistory] ${exchange} ${coin} failed:`, error.message);
+      }
+      await sleep(REQUEST_DELAY_MS);
+    }
+  }
+
+  lastUpdateTime = Date.now();
+  saveToFile();
+  updating = false;
+  console.log(`[FundingHistory] Update complete (+${added} settlements)`);
+}
+
+/**
+ * Start the collector (backfill now, then hourly)
+ */
+function startFundingHistoryCollection() {
+  loadFromFile();
+  updateFundingHistory();
+  updateInterval = setInterval(updateFundingHistory, UPDATE_INTERVAL_MS);
+  console.log(`[FundingHistory] Collection started (${BACKFILL_DAYS}d backfill, hourly updates)`);
+}
+
+function stopFundingHistoryCollection() {
+  if (updateInterval) {
+    clearInterval(updateInterval);
+    updateInterval = null;
+  }
+}
+
+// ============== QUERIES ==============
+
+/**
+ * Settled funding for an exchange/coin in a range
+ * `to` defaults to Date.now() so replays with a pinned clock see no future settlements
+ * @returns {Array} - [{ timestamp, rate }] oldest first, rate per settlement interval
+ */
+function getFundingHistory(exchange, coin, { from = 0, to = Date.now() } = {}) {
+  const entries = history[exchange]?.[coin] || [];
+  return entries.filter(e => e.timestamp >= from && e.timestamp <= to);
+}
+
+/**
+ * Coverage summary for an exchange/coin
+ */
+function getCoverage(exchange, coin) {
+  const entries = history[exchange]?.[coin] || [];
+  if (entries.length === 0) {
+    return { count: 0, from: null, to: null, days: 0, intervalHours: INTERVAL_HOURS[exchange] };
+  }
+  const from = entries[0].timestamp;
+  const to = entries[entries.length - 1].timestamp;
+  return {
+    count: entries.length,
+    from,
+    to,
+    days: Math.round(((to - from) / DAY_MS) * 10) / 10,
+    intervalHours: INTERVAL_HOURS[exchange]
+  };
+}
+
+function getCollectorStatus() {
+  return {
+    running: updateInterval !== null,
+    updating,
+    lastUpdate: lastUpdateTime ? new Date(lastUpdateTime).toISOString() : null,
+    exchanges: EXCHANGES,
+    backfillDays: BACKFILL_DAYS
+  };
+}
+
+module.exports = {
+  startFundingHistoryCollection,
+  stopFundingHistoryCollection,
+  updateFundingHistory,
+  getFundingHistory,
+  getCoverage,
+  getCollectorStatus,
+  INTERVAL_HOURS
+};
@@ -0,0 +1,320 @@
+/**
+ * Hyperliquid WebSocket Collector
+ *
+ * Streams trades, l2Book and activeAssetCtx for every registry coin instead of
+ * polling allMids / metaAndAssetCtxs / l2Book / recentTrades every 10 seconds.
+ * CVD is summed from every trade between writes, so nothing between polls is
+ * lost, and the orderbook is kept current from each book push.
+ *
+ * Writes the same DataStore series as the REST worker (price, OI, funding,
+ * orderbook, CVD) every 10 seconds. While the socket is down or stale,
+ * dataCollector falls back to fetchHyperliquidData; a socket that stays open
+ * but goes silent is terminated so the reconnect loop replaces it.
+ */
+
+const WebSocket = require('ws');
+const dataStore = require('./dataStore');
+const symbolRegistry = require('./symbolRegistry');
+const orderbookAnalytics = require('./orderbookAnalytics');
+
+const HYPERLIQUID_WS = process.env.HYPERLIQUID_WS_URL || 'wss://api.hyperliquid.xyz/ws';
+const WRITE_INTERVAL_MS = 10000;      // Same cadence as the REST worker
+const STALE_AFTER_MS = 30000;         // No message for this long = fall back to REST
+const WATCHDOG_INTERVAL_MS = 5000;    // How often an open socket is checked for staleness
+const PING_INTERVAL_MS = 50000;       // Hyperliquid closes connections idle for 60s
+const RECONNECT_DELAY_MS = 5000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+const MAX_HISTORY_MS = 60 * 60 * 1000; // 1 hour of BTC flow
+const MAX_SEEN_TRADE_IDS = 10000;
+
+// Per-coin state between writes: { coin: { buyVol, sellVol, book, ctx } }
+const coinState = {};
+// BTC flow for the exchange flow panel
+const flowState = { buys: [], sells: [] };
+
+let ws = null;
+let pingInterval = null;
+let watchdogInterval = null;
+let writeInterval = null;
+let reconnectTimeout = null;
+let reconnectAttempts = 0;
+let lastMessageAt = 0;
+let seenTradeIds = new Set();
+let tradesProcessed = 0;
+
+function getCoinState(coin) {
+  if (!coinState[coin]) {
+    coinState[coin] = { buyVol: 0, sellVol: 0, book: null, ctx: null };
+  }
+  return coinState[coin];
+}
+
+/**
+ * Connect and subscribe trades / l2Book / activeAssetCtx for every coin
+ */
+function connectWebsocket() {
+  console.log('[HyperliquidWS] Connecting...');
+  ws = new WebSocket(HYPERLIQUID_WS);
+
+  ws.on('open', () => {
+    console.log('[HyperliquidWS] Connected');
+    reconnectAttempts = 0;
+    lastMessageAt = Date.now();
+
+    Object.values(symbolRegistry.getSymbolMap('hyperliquid')).forEach(hlCoin => {
+      ['trades', 'l2Book', 'activeAssetCtx'].forEach(type => {
+        ws.send(JSON.stringify({ method: 'subscribe', subscription: { type, coin: hlCoin } }));
+      });
+    });
+
+    pingInterval = setInterval(() => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ method: 'ping' }));
+      }
+    }, PING_INTERVAL_MS);
+
+    // A half-open connection never emits 'close' on its own
+    const socket = ws;
+    watchdogInterval = setInterval(() => {
+      if (Date.now() - lastMessageAt > STALE_AFTER_MS) {
+        console.warn(`[HyperliquidWS] No message for ${STALE_AFTER_MS / 1000}s, terminating`);
+        socket.terminate();
+      }
+    }, WATCHDOG_INTERVAL_MS);
+  });
+
+  ws.on('message', (data) => {
+    lastMessageAt = Date.now();
+    try {
+      handleMessage(JSON.parse(data.toString()));
+    } catch (err) {
+      console.error('[HyperliquidWS] Message error:', err.message);
+    }
+  });
+
+  ws.on('close', () => {
+    if (pingInterval) clearInterval(pingInterval);
+    if (watchdogInterval) clearInterval(watchdogInterval);
+    pingInterval = null;
+    watchdogInterval = null;
+    scheduleReconnect();
+  });
+
+  ws.on('error', (err) => {
+    console.error('[HyperliquidWS] WebSocket error:', err.message);
+  });
+}
+
+/**
+ * Reconnect with exponential backoff (capped); REST covers the gap
+ */
+function scheduleReconnect() {
+  reconnectAttempts++;
+  const delay = Math.min(RECONNECT_DELAY_MS * Math.pow(2, reconnectAttempts - 1), MAX_RECONNECT_DELAY_MS);
+  console.log(`[HyperliquidWS] Disconnected, REST fallback active, reconnecting in ${delay}ms (attempt ${reconnectAttempts})`);
+
+  clearTimeout(reconnectTimeout);
+  reconnectTimeout = setTimeout(connectWebsocket, delay);
+}
+
+// ============== MESSAGE HANDLING ==============
+
+/**
+ * Route a Hyperliquid WS message
+ * Formats:
+ * - { channel: 'trades', data: [{ coin, side, px, sz, time, tid }] }
+ * - { channel: 'l2Book', data: { coin, time, levels: [[bids], [asks]] } }
+ * - { channel: 'activeAssetCtx', data: { coin, ctx: { funding, openInterest, markPx, midPx } } }
+ */
+function handleMessage(msg) {
+  switch (msg.channel) {
+    case 'trades':
+      (msg.data || []).forEach(processTrade);
+      break;
+    case 'l2Book':
+      processBook(msg.data);
+      break;
+    case 'activeAssetCtx':
+      processAssetCtx(msg.data);
+      break;
+    default:
+      // subscriptionResponse, pong
+      break;
+  }
+}
+
+function processTrade(trade) {
+  const coin = symbolRegistry.getCoinByExchangeSymbol('hyperliquid', trade.coin);
+  if (!coin) return;
+
+  // Dedupe on tid: a (re)subscription replays recent trades
+  if (trade.tid !== undefined) {
+    const tradeId = String(trade.tid);
+    if (seenTradeIds.has(tradeId)) return;
+    seenTradeIds.add(tradeId);
+    if (seenTradeIds.size > MAX_SEEN_TRADE_IDS) {
+      seenTradeIds = new Set([...seenTradeIds].slice(-MAX_SEEN_TRADE_IDS / 2));
+    }
+  }
+
+  const value = parseFloat(trade.px) * parseFloat(trade.sz);
+  if (!(value > 0)) return;
+
+  const state = getCoinState(coin);
+  const isBuy = trade.side === 'B';
+  if (isBuy) state.buyVol += value;
+  else if (trade.side === 'A') state.sellVol += value;
+  tradesProcessed++;
+
+  if (coin === 'BTC') {
+    const entry = { timestamp: trade.time || Date.now(), value };
+    if (isBuy) flowState.buys.push(entry);
+    else flowState.sells.push(entry);
+  }
+}
+
+function processBook(book) {
+  const coin = symbolRegistry.getCoinByExchangeSymbol('hyperliquid', book?.coin);
+  if (!coin) return;
+
+  let bidVol = 0, askVol = 0;
+  (book.levels?.[0] || []).forEach(level => bidVol += parseFloat(level.px) * parseFloat(level.sz));
+  (book.levels?.[1] || []).forEach(level => askVol += parseFloat(level.px) * parseFloat(level.sz));
+
+  getCoinState(coin).book = { bidVol, askVol, levels: book.levels, time: book.time };
+  orderbookAnalytics.recordBook(
+    'hyperliquid',
+    coin,
+    (book.levels?.[0] || []).map(level => [level.px, level.sz]),
+    (book.levels?.[1] || []).map(level => [level.px, level.sz]),
+    book.time || Date.now()
+  );
+}
+
+function processAssetCtx(data) {
+  const coin = symbolRegistry.getCoinByExchangeSymbol('hyperliquid', data?.coin);
+  if (!coin || !data.ctx) return;
+
+  const ctx = data.ctx;
+  getCoinState(coin).ctx = {
+    price: parseFloat(ctx.midPx || ctx.markPx || 0),
+    openInterest: parseFloat(ctx.openInterest || 0),
+    funding: parseFloat(ctx.funding || 0)
+  };
+}
+
+// ============== DATASTORE WRITES ==============
+
+/**
+ * Write the interval's price / OI / funding / orderbook / CVD, matching fetchHyperliquidData
+ * Skipped while the socket is not live so REST and WS never both write
+ */
+function writeToDataStore() {
+  if (!isLive()) return;
+
+  Object.entries(coinState).forEach(([coin, state]) => {
+    const price = state.ctx?.price || 0;
+    if (price > 0) {
+      dataStore.addPrice('hyperliquid', coin, price);
+
+      const oiValue = state.ctx.openInterest * price;
+      if (oiValue > 0) {
+        dataStore.addOI('hyperliquid', coin, oiValue);
+      }
+      dataStore.addFunding('hyperliquid', coin, state.ctx.funding);
+    }
+
+    if (state.book) {
+      const { bidVol, askVol } = state.book;
+      const totalVol = bidVol + askVol;
+      const imbalance = totalVol > 0 ? ((bidVol - askVol) / totalVol) * 100 : 0;
+      dataStore.addOrderbook('hyperliquid', coin, imbalance, bidVol, askVol);
+    }
+
+    // Every trade since the last write
+    dataStore.addCVD('hyperliquid', coin, state.buyVol - state.sellVol);
+    state.buyVol = 0;
+    state.sellVol = 0;
+  });
+
+  const cutoff = Date.now() - MAX_HISTORY_MS;
+  flowState.buys = flowState.buys.filter(e => e.timestamp >= cutoff);
+  flowState.sells = flowState.sells.filter(e => e.timestamp >= cutoff);
+}
+
+// ============== PUBLIC API ==============
+
+/**
+ * Socket open and a message received recently
+ */
+function isLive() {
+  return ws !== null
+    && ws.readyState === WebSocket.OPEN
+    && Date.now() - lastMessageAt < STALE_AFTER_MS;
+}
+
+/**
+ * Latest l2Book levels for a coin ([[bids], [asks]]) or null
+ */
+function getBook(coin) {
+  return coinState[coin]?.book || null;
+}
+
+/**
+ * BTC perp flow from streamed trades
+ * @param {number} windowMs - Rolling window in ms (default 15m)
+ */
+function getFlow(windowMs = 15 * 60 * 1000) {
+  const now = Date.now();
+  const cutoff = now - windowMs;
+
+  const buyVol = flowState.buys
+    .filter(e => e.timestamp >= cutoff)
+    .reduce((sum, e) => sum + e.value, 0);
+  const sellVol = flowState.sells
+    .filter(e => e.timestamp >= cutoff)
+    .reduce((sum, e) => sum + e.value, 0);
+
+  return { buyVol, sellVol, timestamp: now };
+}
+
+function getStatus() {
+  return {
+    live: isLive(),
+    mode: isLive() ? 'websocket' : 'rest',
+    lastMessageAt: lastMessageAt || null,
+    reconnectAttempts,
+    tradesProcessed
+  };
+}
+
+function start() {
+  console.log('[HyperliquidWS] Starting Hyperliquid WebSocket collection...');
+  connectWebsocket();
+  writeInterval = setInterval(writeToDataStore, WRITE_INTERVAL_MS);
+}
+
+function stop() {
+  if (writeInterval) clearInterval(writeInterval);
+  if (pingInterval) clearInterval(pingInterval);
+  if (watchdogInterval) clearInterval(watchdogInterval);
+  if (reconnectTimeout) clearTimeout(reconnectTimeout);
+  writeInterval = null;
+  pingInterval = null;
+  watchdogInterval = null;
+  if (ws) {
+    ws.removeAllListeners('close');
+    ws.close();
+    ws = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  isLive,
+  getBook,
+  getFlow,
+  getStatus,
+  handleMessage
+};
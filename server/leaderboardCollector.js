@@ -0,0 +1,252 @@
+/**
+ * Leaderboard Collector
+ *
+ * Tracks Hyperliquid's top traders server-side (the dashboard used to do this
+ * from every visitor's browser):
+ * - Leaderboard ranking (by weekly PnL) refreshed every 15 minutes
+ * - clearinghouseState for the top N traders every minute (LEADERBOARD_TOP_N, default 25)
+ * - Position diffs -> entry / flip / increase / decrease / exit events
+ * - Entries and daily ROI feed traderScoring; positions carry score/weight
+ *
+ * Consensus, positions and change events are stored in DataStore and served
+ * via /api/whales/consensus and /api/whales/changes. The score-weighted
+ * consensus also feeds the whale alignment factor of the 12hr and daily projections.
+ */
+
+const axios = require('axios');
+const dataStore = require('./dataStore');
+const traderScoring = require('./traderScoring');
+
+const LEADERBOARD_API = process.env.LEADERBOARD_API_URL || 'https://stats-data.hyperliquid.xyz/Mainnet/leaderboard';
+const HYPERLIQUID_API = process.env.HYPERLIQUID_API_URL || 'https://api.hyperliquid.xyz/info';
+
+const TOP_N = Math.max(1, parseInt(process.env.LEADERBOARD_TOP_N, 10) || 25);
+const LEADERBOARD_REFRESH_MS = 15 * 60 * 1000; // 15 minutes
+const POSITION_POLL_MS = 60 * 1000; // 1 minute
+const REQUEST_DELAY_MS = 200; // Spacing between clearinghouseState calls
+const LEADERBOARD_SIZE = 200; // Traders kept for the leaderboard table
+const SIZE_CHANGE_THRESHOLD = 0.1; // +/-10% size counts as increase/decrease
+
+let pollInterval = null;
+let polling = false;
+let traders = []; // Ranked leaderboard (top LEADERBOARD_SIZE)
+let leaderboardFetchedAt = 0;
+let previousPositions = null; // { address: { coin: { size, notional } } }, null until first poll
+let lastPollTime = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch and rank the leaderboard by weekly PnL
+ */
+async function fetchLeaderboard() {
+  const { data } = await axios.get(LEADERBOARD_API, { timeout: 30000 });
+  const rows = data.leaderboardRows || [];
+
+  const processed = rows.map(t => {
+    const perfs = Object.fromEntries(t.windowPerformances || []);
+    return {
+      address: t.ethAddress,
+      displayName: t.displayName,
+      accountValue: parseFloat(t.accountValue || 0),
+      dayRoi: parseFloat(perfs.day?.roi || 0),
+      weekPnl: parseFloat(perfs.week?.pnl || 0),
+      weekRoi: parseFloat(perfs.week?.roi || 0),
+      monthPnl: parseFloat(perfs.month?.pnl || 0),
+      monthRoi: parseFloat(perfs.month?.roi || 0),
+      allTimePnl: parseFloat(perfs.allTime?.pnl || 0),
+      allTimeRoi: parseFloat(perfs.allTime?.roi || 0)
+    };
+  });
+
+  processed.sort((a, b) => b.weekPnl - a.weekPnl);
+  return processed.slice(0, LEADERBOARD_SIZE);
+}
+
+/**
+ * Fetch open positions for a trader
+ */
+async function fetchPositions(trader, rank) {
+  const { data } = await axios.post(HYPERLIQUID_API, {
+    type: 'clearinghouseState',
+    user: trader.address
+  }, { timeout: 10000 });
+
+  const positions = [];
+  for (const ap of (data.assetPositions || [])) {
+    const pos = ap.position || {};
+    const size = parseFloat(pos.szi || 0);
+    if (size === 0) continue;
+
+    const entryPx = parseFloat(pos.entryPx || 0);
+    positions.push({
+      trader: trader.address,
+      rank,
+      coin: pos.coin,
+      direction: size > 0 ? 'long' : 'short',
+      size,
+      notional: Math.abs(size) * entryPx,
+      entryPx,
+      unrealizedPnl: parseFloat(pos.unrealizedPnl || 0),
+      leverage: pos.leverage?.value || 1,
+      isConsistent: trader.weekRoi > 0 && trader.monthRoi > 0 && trader.allTimeRoi > 0
+    });
+  }
+  return positions;
+}
+
+/**
+ * Diff a trader's positions against the previous poll
+ * @returns {Array} change events
+ */
+function diffPositions(trader, rank, positions, previous, timestamp) {
+  const changes = [];
+  const currentCoins = new Set();
+  const event = (type, coin, size, notional) => ({
+    type,
+    trader: trader.address,
+    rank,
+    coin,
+    direction: size > 0 ? 'LONG' : 'SHORT',
+    notional,
+    timestamp
+  });
+
+  positions.forEach(pos => {
+    currentCoins.add(pos.coin);
+    const prev = previous[pos.coin];
+    if (!prev) {
+      changes.push(event('entry', pos.coin, pos.size, pos.notional));
+    } else if (Math.sign(pos.size) !== Math.sign(prev.size)) {
+      changes.push(event('flip', pos.coin, pos.size, pos.notional));
+    } else if (Math.abs(pos.size) > Math.abs(prev.size) * (1 + SIZE_CHANGE_THRESHOLD)) {
+      changes.push(event('increase', pos.coin, pos.size, pos.notional));
+    } else if (Math.abs(pos.size) < Math.abs(prev.size) * (1 - SIZE_CHANGE_THRESHOLD)) {
+      changes.push(event('decrease', pos.coin, pos.size, pos.notional));
+    }
+  });
+
+  Object.keys(previous).forEach(coin => {
+    if (!currentCoins.has(coin)) {
+      changes.push(event('exit', coin, previous[coin].size, previous[coin].notional));
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Poll the top N traders, rebuild consensus and record position changes
+ */
+async function pollPositions() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    if (traders.length === 0 || Date.now() - leaderboardFetchedAt >= LEADERBOARD_REFRESH_MS) {
+      traders = await fetchLeaderboard();
+      leaderboardFetchedAt = Date.now();
+      traderScoring.recordLeaderboard(traders, leaderboardFetchedAt);
+      console.log(`[Leaderboard] Ranked ${traders.length} traders, tracking top ${Math.min(TOP_N, traders.length)}`);
+    }
+
+    const timestamp = Date.now();
+    const consensus = {};
+    const allPositions = [];
+    const allChanges = [];
+    const nextPositions = {};
+
+    for (let i = 0; i < Math.min(TOP_N, traders.length); i++) {
+      const trader = traders[i];
+      const rank = i + 1;
+
+      try {
+        const positions = await fetchPositions(trader, rank);
+
+        positions.forEach(pos => {
+          allPositions.push(pos);
+          if (!consensus[pos.coin]) consensus[pos.coin] = { longs: [], shorts: [], totalNotional: 0 };
+          consensus[pos.coin][pos.direction === 'long' ? 'longs' : 'shorts'].push(pos);
+          consensus[pos.coin].totalNotional += pos.notional;
+        });
+
+        // First poll only sets the baseline; a trader new to the top N has no diff either
+        if (previousPositions && previousPositions[trader.address]) {
+          allChanges.push(...diffPositions(trader, rank, positions, previousPositions[trader.address], timestamp));
+        }
+
+        nextPositions[trader.address] = {};
+        positions.forEach(p => { nextPositions[trader.address][p.coin] = { size: p.size, notional: p.notional }; });
+        trader.positionCount = positions.length;
+      } catch (error) {
+        console.error(`[Leaderboard] Failed to fetch ${trader.address}:`, error.message);
+        // Keep the last known positions so a failed call is not read as an exit
+        if (previousPositions?.[trader.address]) {
+          nextPositions[trader.address] = previousPositions[trader.address];
+        }
+      }
+
+      await sleep(REQUEST_DELAY_MS);
+    }
+
+    previousPositions = nextPositions;
+    lastPollTime = timestamp;
+
+    traderScoring.recordCalls(allChanges, allPositions);
+    traderScoring.evaluatePending(timestamp);
+    traderScoring.applyScores(consensus);
+
+    dataStore.updateWhaleConsensus({ consensus, positions: allPositions, traders });
+    if (allChanges.length > 0) {
+      dataStore.addWhalePositionChanges(allChanges);
+      console.log(`[Leaderboard] ${allChanges.length} position changes`);
+    }
+  } catch (error) {
+    console.error('[Leaderboard] Poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start leaderboard tracking
+ */
+function startLeaderboardCollection() {
+  console.log(`[Leaderboard] Starting collection (top ${TOP_N} traders, every ${POSITION_POLL_MS / 1000}s)`);
+
+  pollPositions();
+  pollInterval = setInterval(pollPositions, POSITION_POLL_MS);
+}
+
+/**
+ * Stop leaderboard tracking
+ */
+function stopLeaderboardCollection() {
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+    console.log('[Leaderboard] Collection stopped');
+  }
+}
+
+/**
+ * Get collector status
+ */
+function getCollectorStatus() {
+  return {
+    running: pollInterval !== null,
+    topN: TOP_N,
+    lastPoll: lastPollTime ? new Date(lastPollTime).toISOString() : null,
+    leaderboardFetchedAt: leaderboardFetchedAt ? new Date(leaderboardFetchedAt).toISOString() : null,
+    pollIntervalMs: POSITION_POLL_MS
+  };
+}
+
+module.exports = {
+  startLeaderboardCollection,
+  stopLeaderboardCollection,
+  getCollectorStatus,
+  diffPositions
+};
@@ -1,22 +1,42 @@
 /**
  * Liquidation Collector Module
  *
- * Collects forced liquidation data from Binance + Bybit Futures
+ * Collects forced liquidations from Binance, Bybit, OKX, Deribit and Hyperliquid
  * Calculates velocity, directional pressure, and cascade detection
  * Used for 8-12H bias projection (10% weight)
  *
- * Multi-exchange aggregation for better accuracy:
- * - Binance: ~40% of BTC perp volume
- * - Bybit: ~30% of BTC perp volume
+ * Every feed is normalized to one event shape before it reaches DataStore:
+ * { symbol, side, price, quantity, notional, timestamp, exchange }
+ * side SELL = long liquidated, BUY = short liquidated
+ *
+ * - Binance: !forceOrder@arr (Binance throttles it to one order per symbol per second)
+ * - Bybit: liquidation.<symbol>
+ * - OKX: liquidation-orders (all USDT swaps, sizes in contracts; converted with
+ *   the coin's contractSize.okx from symbols.json, coins without one are skipped)
+ * - Deribit: perpetual trades flagged as liquidations
+ * - Hyperliquid: there is no public liquidation stream, so liquidation fills are
+ *   read from the userFills of the liquidator vault (HL_LIQUIDATOR_ADDRESSES).
+ *   Backstop liquidations are seen; market liquidations of other accounts are not.
  */
 
 const WebSocket = require('ws');
 const dataStore = require('./dataStore');
+const symbolRegistry = require('./symbolRegistry');
 
 // Configuration
-const BINANCE_LIQ_URL = 'wss://fstream.binance.com/ws/!forceOrder@arr';
-const BYBIT_LIQ_URL = 'wss://stream.bybit.com/v5/public/linear';
-const TRACKED_COINS = ['BTC', 'ETH', 'SOL'];
+// Env overrides point the sockets at a local mock server
+const BINANCE_LIQ_URL = process.env.BINANCE_LIQ_WS_URL || 'wss://fstream.binance.com/ws/!forceOrder@arr';
+const BYBIT_LIQ_URL = process.env.BYBIT_LIQ_WS_URL || 'wss://stream.bybit.com/v5/public/linear';
+const OKX_LIQ_URL = process.env.OKX_LIQ_WS_URL || 'wss://ws.okx.com:8443/ws/v5/public';
+const DERIBIT_LIQ_URL = process.env.DERIBIT_LIQ_WS_URL || 'wss://www.deribit.com/ws/api/v2';
+const HYPERLIQUID_LIQ_URL = process.env.HYPERLIQUID_LIQ_WS_URL || 'wss://api.hyperliquid.xyz/ws';
+// Hyperliquid allows 10 users across user-specific subscriptions
+const HL_LIQUIDATOR_ADDRESSES = (process.env.HL_LIQUIDATOR_ADDRESSES || '0x2e3d94f0562703b25c83308a05046ddaf9a8dd14')
+    .split(',')
+    .map(a => a.trim().toLowerCase())
+    .filter(Boolean)
+    .slice(0, 10);
+const TRACKED_COINS = symbolRegistry.getCoins();
 
 // Velocity thresholds (USD)
 const THRESHOLDS = {
@@ -40,6 +60,14 @@ let binanceReconnectTimeout = null;
 let bybitReconnectTimeout = null;
 let binancePingInterval = null;
 let bybitPingInterval = null;
+let okxWs = null;
+let okxReconnectTimeout = null;
+let okxPingInterval = null;
+let deribitWs = null;
+let deribitReconnectTimeout = null;
+let hyperliquidWs = null;
+let hyperliquidReconnectTimeout = null;
+let hyperliquidPingInterval = null;
 
 // Legacy aliases for backward compatibility
 let ws = null;
@@ -53,6 +81,9 @@ function start() {
     console.log('[LiqCollector] Starting multi-exchange liquidation collection...');
     connectBinance();
     connectBybit();
+    connectOkx();
+    connectDeribit();
+    connectHyperliquid();
 }
 
 /**
@@ -114,7 +145,8 @@ function connectBybit() {
             // Subscribe to liquidation topics for tracked coins
             const subscribeMsg = {
                 op: 'subscribe',
-                args: TRACKED_COINS.map(coin => `liquidation.${coin}USDT`)
+                args: symbolRegistry.getCoinsForExchange('bybit')
+                    .map(coin => `liquidation.${symbolRegistry.getExchangeSymbol(coin, 'bybit')}`)
             };
             bybitWs.send(JSON.stringify(subscribeMsg));
 
@@ -151,6 +183,167 @@ function connectBybit() {
     }
 }
 
+/**
+ * Connect to OKX liquidation stream
+ * liquidation-orders is per instrument type, so every SWAP arrives and is filtered on instId
+ */
+function connectOkx() {
+    try {
+        okxWs = new WebSocket(OKX_LIQ_URL);
+
+        okxWs.on('open', () => {
+            console.log('[LiqCollector] Connected to OKX liquidation stream');
+
+            okxWs.send(JSON.stringify({
+                op: 'subscribe',
+                args: [{ channel: 'liquidation-orders', instType: 'SWAP' }]
+            }));
+
+            // OKX closes idle connections after 30s
+            okxPingInterval = setInterval(() => {
+                if (okxWs.readyState === WebSocket.OPEN) {
+                    okxWs.send('ping');
+                }
+            }, 20000);
+        });
+
+        okxWs.on('message', (data) => {
+            try {
+                const msg = JSON.parse(data.toString());
+                handleOkxLiquidation(msg);
+            } catch {
+                // Silent catch (includes 'pong')
+            }
+        });
+
+        okxWs.on('error', (err) => {
+            console.error('[LiqCollector] OKX WebSocket error:', err.message);
+        });
+
+        okxWs.on('close', () => {
+            console.log('[LiqCollector] OKX disconnected, reconnecting in 5s...');
+            if (okxPingInterval) clearInterval(okxPingInterval);
+            clearTimeout(okxReconnectTimeout);
+            okxReconnectTimeout = setTimeout(connectOkx, 5000);
+        });
+
+    } catch (err) {
+        console.error('[LiqCollector] OKX connection error:', err.message);
+        okxReconnectTimeout = setTimeout(connectOkx, 5000);
+    }
+}
+
+/**
+ * Connect to Deribit perpetual trades (liquidations are flagged per trade)
+ */
+function connectDeribit() {
+    try {
+        deribitWs = new WebSocket(DERIBIT_LIQ_URL);
+
+        deribitWs.on('open', () => {
+            console.log('[LiqCollector] Connected to Deribit trade stream');
+
+            deribitWs.send(JSON.stringify({
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'public/subscribe',
+                params: {
+                    channels: symbolRegistry.getCoinsForExchange('deribit')
+                        .map(coin => `trades.${symbolRegistry.getExchangeSymbol(coin, 'deribit')}.100ms`)
+                }
+            }));
+
+            // Deribit sends test_request heartbeats that must be answered
+            deribitWs.send(JSON.stringify({
+                jsonrpc: '2.0',
+                id: 2,
+                method: 'public/set_heartbeat',
+                params: { interval: 30 }
+            }));
+        });
+
+        deribitWs.on('message', (data) => {
+            try {
+                const msg = JSON.parse(data.toString());
+                if (msg.method === 'heartbeat' && msg.params?.type === 'test_request') {
+                    deribitWs.send(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'public/test', params: {} }));
+                    return;
+                }
+                handleDeribitLiquidation(msg);
+            } catch {
+                // Silent catch
+            }
+        });
+
+        deribitWs.on('error', (err) => {
+            console.error('[LiqCollector] Deribit WebSocket error:', err.message);
+        });
+
+        deribitWs.on('close', () => {
+            console.log('[LiqCollector] Deribit disconnected, reconnecting in 5s...');
+            clearTimeout(deribitReconnectTimeout);
+            deribitReconnectTimeout = setTimeout(connectDeribit, 5000);
+        });
+
+    } catch (err) {
+        console.error('[LiqCollector] Deribit connection error:', err.message);
+        deribitReconnectTimeout = setTimeout(connectDeribit, 5000);
+    }
+}
+
+/**
+ * Connect to Hyperliquid fills of the liquidator vault(s)
+ */
+function connectHyperliquid() {
+    if (HL_LIQUIDATOR_ADDRESSES.length === 0) return;
+
+    try {
+        hyperliquidWs = new WebSocket(HYPERLIQUID_LIQ_URL);
+
+        hyperliquidWs.on('open', () => {
+            console.log(`[LiqCollector] Connected to Hyperliquid (${HL_LIQUIDATOR_ADDRESSES.length} liquidator address(es))`);
+
+            HL_LIQUIDATOR_ADDRESSES.forEach(user => {
+                hyperliquidWs.send(JSON.stringify({
+                    method: 'subscribe',
+                    subscription: { type: 'userFills', user }
+                }));
+            });
+
+            // Hyperliquid closes connections idle for 60s
+            hyperliquidPingInterval = setInterval(() => {
+                if (hyperliquidWs.readyState === WebSocket.OPEN) {
+                    hyperliquidWs.send(JSON.stringify({ method: 'ping' }));
+                }
+            }, 50000);
+        });
+
+        hyperliquidWs.on('message', (data) => {
+            try {
+                const msg = JSON.parse(data.toString());
+                handleHyperliquidLiquidation(msg);
+            } catch {
+                // Silent catch
+            }
+        });
+
+        hyperliquidWs.on('error', (err) => {
+            console.error('[LiqCollector] Hyperliquid WebSocket error:', err.message);
+        });
+
+        hyperliquidWs.on('close', () => {
+            console.log('[LiqCollector] Hyperliquid disconnected, reconnecting in 5s...');
+            if (hyperliquidPingInterval) clearInterval(hyperliquidPingInterval);
+            clearTimeout(hyperliquidReconnectTimeout);
+            hyperliquidReconnectTimeout = setTimeout(connectHyperliquid, 5000);
+        });
+
+    } catch (err) {
+        console.error('[LiqCollector] Hyperliquid connection error:', err.message);
+        hyperliquidReconnectTimeout = setTimeout(connectHyperliquid, 5000);
+    }
+}
+
 // Legacy connect function for backward compatibility
 function connect() {
     connectBinance();
@@ -164,9 +357,9 @@ function handleBinanceLiquidation(msg) {
     if (msg.e !== 'forceOrder' || !msg.o) return;
 
     const order = msg.o;
-    const symbol = order.s.replace('USDT', '');
+    const symbol = symbolRegistry.getCoinByExchangeSymbol('binance', order.s);
 
-    if (!TRACKED_COINS.includes(symbol)) return;
+    if (!symbol) return;
 
     const liq = {
         symbol,
@@ -192,9 +385,9 @@ function handleBybitLiquidation(msg) {
     if (!msg.topic || !msg.data) return;
 
     const data = msg.data;
-    const symbol = data.symbol?.replace('USDT', '');
+    const symbol = data.symbol ? symbolRegistry.getCoinByExchangeSymbol('bybit', data.symbol) : null;
 
-    if (!symbol || !TRACKED_COINS.includes(symbol)) return;
+    if (!symbol) return;
 
     const liq = {
         symbol,
@@ -210,6 +403,108 @@ function handleBybitLiquidation(msg) {
     dataStore.addLiquidation(liq);
 }
 
+/**
+ * Handle incoming OKX liquidation event
+ * OKX format: { arg: { channel: 'liquidation-orders' }, data: [{ instId: 'BTC-USDT-SWAP', details: [{ side, bkPx, sz, ts }] }] }
+ * side sell = long liquidated; sz is in contracts
+ */
+function handleOkxLiquidation(msg) {
+    if (msg.event || msg.arg?.channel !== 'liquidation-orders' || !Array.isArray(msg.data)) return;
+
+    msg.data.forEach(item => {
+        const symbol = symbolRegistry.getCoinByExchangeSymbol('okx', item.instId);
+        const ctVal = symbol && symbolRegistry.getContractSize(symbol, 'okx');
+        if (!ctVal) return; // Untracked, or no contract size to convert with
+
+        (item.details || []).forEach(detail => {
+            const price = parseFloat(detail.bkPx);
+            const quantity = parseFloat(detail.sz) * ctVal;
+
+            dataStore.addLiquidation({
+                symbol,
+                side: detail.side === 'buy' ? 'BUY' : 'SELL',
+                price,
+                quantity,
+                notional: price * quantity,
+                timestamp: parseInt(detail.ts, 10) || Date.now(),
+                exchange: 'okx'
+            });
+        });
+    });
+}
+
+/**
+ * Handle incoming Deribit trades, keeping only liquidations
+ * Deribit format: { method: 'subscription', params: { data: [{ instrument_name, direction, price, amount, liquidation, timestamp }] } }
+ * liquidation: 'T' = taker liquidated, 'M' = maker liquidated, 'MT' = both
+ */
+function handleDeribitLiquidation(msg) {
+    if (msg.method !== 'subscription' || !Array.isArray(msg.params?.data)) return;
+
+    msg.params.data.forEach(trade => {
+        if (!trade.liquidation) return;
+
+        const symbol = symbolRegistry.getCoinByExchangeSymbol('deribit', trade.instrument_name);
+        if (!symbol) return;
+
+        // Inverse perpetuals (BTC-PERPETUAL) quote amount in USD, linear ones (SOL_USDC-PERPETUAL) in coin
+        const isLinear = trade.instrument_name.includes('_');
+        const quantity = isLinear ? trade.amount : trade.amount / trade.price;
+
+        // The liquidated taker traded in the trade's direction, a liquidated maker against it
+        const takerSide = trade.direction === 'buy' ? 'BUY' : 'SELL';
+        const sides = [];
+        if (trade.liquidation.includes('T')) sides.push(takerSide);
+        if (trade.liquidation.includes('M')) sides.push(takerSide === 'BUY' ? 'SELL' : 'BUY');
+
+        sides.forEach(side => {
+            dataStore.addLiquidation({
+                symbol,
+                side,
+                price: trade.price,
+                quantity,
+                notional: trade.price * quantity,
+                timestamp: trade.timestamp || Date.now(),
+                exchange: 'deribit'
+            });
+        });
+    });
+}
+
+/**
+ * Handle incoming Hyperliquid userFills, keeping only liquidation fills
+ * Hyperliquid format: { channel: 'userFills', data: { user, isSnapshot, fills: [{ coin, px, sz, side, time, liquidation }] } }
+ * The liquidator takes over the position, so its buy = long liquidated
+ */
+function handleHyperliquidLiquidation(msg) {
+    // Snapshot fills are history re-sent on every (re)connect
+    if (msg.channel !== 'userFills' || !msg.data || msg.data.isSnapshot) return;
+
+    const owner = String(msg.data.user || '').toLowerCase();
+
+    (msg.data.fills || []).forEach(fill => {
+        if (!fill.liquidation) return;
+
+        const symbol = symbolRegistry.getCoinByExchangeSymbol('hyperliquid', fill.coin);
+        if (!symbol) return;
+
+        const sold = fill.side === 'A';
+        const isLiquidatedAccount = String(fill.liquidation.liquidatedUser || '').toLowerCase() === owner;
+        const price = parseFloat(fill.px);
+        const quantity = parseFloat(fill.sz);
+
+        dataStore.addLiquidation({
+            symbol,
+            side: isLiquidatedAccount === sold ? 'SELL' : 'BUY',
+            price,
+            quantity,
+            notional: price * quantity,
+            timestamp: fill.time || Date.now(),
+            exchange: 'hyperliquid'
+        });
+    });
+}
+
 // Legacy handler for backward compatibility
 function handleLiquidation(msg) {
     handleBinanceLiquidation(msg);
@@ -226,13 +521,24 @@ function calculateVelocity(coin, windowMs) {
 
     let longLiqValue = 0;   // Longs liquidated (bearish)
     let shortLiqValue = 0;  // Shorts liquidated (bullish)
+    const byExchange = {};  // { exchange: { longLiqValue, shortLiqValue, total, count } }
 
     recent.forEach(l => {
+        const exchange = l.exchange || 'unknown';
+        if (!byExchange[exchange]) {
+            byExchange[exchange] = { longLiqValue: 0, shortLiqValue: 0, total: 0, count: 0 };
+        }
+        const venue = byExchange[exchange];
+
         if (l.side === 'SELL') {
             longLiqValue += l.notional;  // Long was liquidated
+            venue.longLiqValue += l.notional;
         } else {
             shortLiqValue += l.notional; // Short was liquidated
+            venue.shortLiqValue += l.notional;
         }
+        venue.total += l.notional;
+        venue.count++;
     });
 
     return {
@@ -240,6 +546,7 @@ function calculateVelocity(coin, windowMs) {
         longLiqValue,
         shortLiqValue,
         count: recent.length,
+        byExchange,
         windowMs
     };
 }
@@ -278,7 +585,8 @@ function detectCascade(coin) {
         rate5m,
         rate15m,
         rate1h,
-        accelerationFactor: rate15m > 0 ? rate5m / rate15m : 0
+        accelerationFactor: rate15m > 0 ? rate5m / rate15m : 0,
+        byExchange: v5m.byExchange  // Which venues the last 5 minutes came from
     };
 }
 
@@ -358,12 +666,14 @@ function calculateLiquidationSignal(coin = 'BTC') {
                 total: v1h.total,
                 longs: v1h.longLiqValue,
                 shorts: v1h.shortLiqValue,
-                count: v1h.count
+                count: v1h.count,
+                byExchange: v1h.byExchange
             },
             '2h': {
                 total: v2h.total,
                 longs: v2h.longLiqValue,
-                shorts: v2h.shortLiqValue
+                shorts: v2h.shortLiqValue,
+                byExchange: v2h.byExchange
             }
         },
         cascade,
@@ -400,9 +710,13 @@ function getStatus() {
     return {
         running: {
             binance: binanceWs !== null && binanceWs.readyState === WebSocket.OPEN,
-            bybit: bybitWs !== null && bybitWs.readyState === WebSocket.OPEN
+            bybit: bybitWs !== null && bybitWs.readyState === WebSocket.OPEN,
+            okx: okxWs !== null && okxWs.readyState === WebSocket.OPEN,
+            deribit: deribitWs !== null && deribitWs.readyState === WebSocket.OPEN,
+            hyperliquid: hyperliquidWs !== null && hyperliquidWs.readyState === WebSocket.OPEN
         },
-        sources: ['binance', 'bybit'],
+        sources: ['binance', 'bybit', 'okx', 'deribit', 'hyperliquid'],
+        hyperliquidLiquidators: HL_LIQUIDATOR_ADDRESSES,
         trackedCoins: TRACKED_COINS,
         thresholds: THRESHOLDS
     };
@@ -415,12 +729,46 @@ function stop() {
     // Stop Binance
     if (binancePingInterval) clearInterval(binancePingInterval);
     if (binanceReconnectTimeout) clearTimeout(binanceReconnectTimeout);
-    if (binanceWs) binanceWs.close();
+    if (binanceWs) {
+        binanceWs.removeAllListeners('close'); // Don't reconnect
+        binanceWs.close();
+        binanceWs = null;
+    }
 
     // Stop Bybit
     if (bybitPingInterval) clearInterval(bybitPingInterval);
     if (bybitReconnectTimeout) clearTimeout(bybitReconnectTimeout);
-    if (bybitWs) bybitWs.close();
+    if (bybitWs) {
+        bybitWs.removeAllListeners('close'); // Don't reconnect
+        bybitWs.close();
+        bybitWs = null;
+    }
+
+    // Stop OKX
+    if (okxPingInterval) clearInterval(okxPingInterval);
+    if (okxReconnectTimeout) clearTimeout(okxReconnectTimeout);
+    if (okxWs) {
+        okxWs.removeAllListeners('close'); // Don't reconnect
+        okxWs.close();
+        okxWs = null;
+    }
+
+    // Stop Deribit
+    if (deribitReconnectTimeout) clearTimeout(deribitReconnectTimeout);
+    if (deribitWs) {
+        deribitWs.removeAllListeners('close'); // Don't reconnect
+        deribitWs.close();
+        deribitWs = null;
+    }
+
+    // Stop Hyperliquid
+    if (hyperliquidPingInterval) clearInterval(hyperliquidPingInterval);
+    if (hyperliquidReconnectTimeout) clearTimeout(hyperliquidReconnectTimeout);
+    if (hyperliquidWs) {
+        hyperliquidWs.removeAllListeners('close'); // Don't reconnect
+        hyperliquidWs.close();
+        hyperliquidWs = null;
+    }
 
     console.log('[LiqCollector] Stopped all connections');
 }
@@ -428,6 +776,11 @@ function stop() {
 module.exports = {
     start,
     stop,
+    handleBinanceLiquidation,
+    handleBybitLiquidation,
+    handleOkxLiquidation,
+    handleDeribitLiquidation,
+    handleHyperliquidLiquidation,
     calculateLiquidationSignal,
     generateLiqDescription,
     calculateVelocity,
@@ -0,0 +1,289 @@
+/**
+ * Liquidation History
+ *
+ * Keeps liquidations beyond DataStore's 2-hour raw window:
+ * - Candles: 1m / 5m / 1h buckets per coin, split by side and exchange
+ * - Cascade log: each cascade detected by liquidationCollector, with how much
+ *   was liquidated, the price path while it ran and the price 1h / 4h after
+ *
+ * Fed by DataStore 'liquidation' events; cascades are checked every minute.
+ * Served via /api/liquidations/:coin/history and /api/liquidations/:coin/cascades.
+ * Persisted to data/liquidation-history.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dataStore = require('./dataStore');
+const liquidationCollector = require('./liquidationCollector');
+const symbolRegistry = require('./symbolRegistry');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const HISTORY_FILE = path.join(DATA_DIR, 'liquidation-history.json');
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Candle intervals and how long each is kept
+const INTERVALS = {
+  '1m': { ms: MINUTE_MS, retentionMs: 24 * HOUR_MS },
+  '5m': { ms: 5 * MINUTE_MS, retentionMs: 7 * 24 * HOUR_MS },
+  '1h': { ms: HOUR_MS, retentionMs: 90 * 24 * HOUR_MS }
+};
+
+const CASCADE = {
+  MIN_15M_NOTIONAL: 10000000,   // $10M in 15 minutes on top of an accelerating, one-sided rate
+  END_QUIET_MINUTES: 5,         // Cascade ends after 5 checks without one
+  FOLLOW_UP_HOURS: [1, 4],      // Price checked this long after the end
+  MAX_PATH_POINTS: 240,         // One price sample per minute
+  MAX_CASCADES: 500
+};
+
+const CHECK_INTERVAL_MS = MINUTE_MS;
+const SAVE_INTERVAL_MS = 5 * MINUTE_MS;
+
+let candles = {};         // { coin: { interval: { bucketStart: candle } } }
+let cascades = [];        // Closed and open cascades, oldest first
+let activeCascades = {};  // { coin: cascade } (same objects as in cascades)
+let checkInterval = null;
+let saveInterval = null;
+let isDirty = false;
+
+// ============== PERSISTENCE ==============
+
+function loadFromFile() {
+  try {
+    if (!fs.existsSync(HISTORY_FILE)) {
+      console.log('[LiqHistory] No saved history, starting fresh');
+      return;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+    candles = saved.candles || {};
+    cascades = saved.cascades || [];
+    // A cascade left open by a restart is closed at its last sample
+    cascades.filter(c => !c.endedAt).forEach(c => { c.endedAt = c.lastActiveAt; });
+    pruneCandles();
+
+    console.log(`[LiqHistory] Loaded ${cascades.length} cascades`);
+  } catch (error) {
+    console.error('[LiqHistory] Error loading history:', error.message);
+  }
+}
+
+function saveToFile() {
+  if (!isDirty) return;
+  try {
+    // Expired buckets go once per save rather than on every cascade check
+    pruneCandles();
+    const dataDir = path.dirname(HISTORY_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify({ candles, cascades, savedAt: Date.now() }), 'utf8');
+    isDirty = false;
+  } catch (error) {
+    console.error('[LiqHistory] Error saving history:', error.message);
+  }
+}
+
+// ============== CANDLES ==============
+
+function emptyCandle(time) {
+  return { time, long: 0, short: 0, longCount: 0, shortCount: 0, exchanges: {} };
+}
+
+/**
+ * Add a liquidation to every candle interval
+ * side SELL = long liquidated, BUY = short liquidated
+ */
+function recordLiquidation(liq) {
+  const side = liq.side === 'SELL' ? 'long' : 'short';
+
+  Object.entries(INTERVALS).forEach(([interval, { ms }]) => {
+    const time = Math.floor(liq.timestamp / ms) * ms;
+    const byCoin = candles[liq.symbol] || (candles[liq.symbol] = {});
+    const byInterval = byCoin[interval] || (byCoin[interval] = {});
+    const candle = byInterval[time] || (byInterval[time] = emptyCandle(time));
+
+    candle[side] += liq.notional;
+    candle[`${side}Count`]++;
+    const exchange = candle.exchanges[liq.exchange] || (candle.exchanges[liq.exchange] = { long: 0, short: 0 });
+    exchange[side] += liq.notional;
+  });
+
+  const cascade = activeCascades[liq.symbol];
+  if (cascade) addToCascade(cascade, liq);
+
+  isDirty = true;
+}
+
+function pruneCandles(now = Date.now()) {
+  Object.values(candles).forEach(byInterval => {
+    Object.entries(byInterval).forEach(([interval, buckets]) => {
+      const cutoff = now - (INTERVALS[interval]?.retentionMs || 0);
+      Object.keys(buckets).forEach(time => {
+        if (Number(time) < cutoff) delete buckets[time];
+      });
+    });
+  });
+}
+
+/**
+ * Candles for a coin in a range, oldest first; empty buckets are omitted
+ * @param {object} options - { interval, from, to, exchange } (exchange narrows long/short to one venue)
+ */
+function getCandles(coin, { interval = '5m', from = 0, to = Date.now(), exchange = null } = {}) {
+  const buckets = candles[coin]?.[interval] || {};
+
+  return Object.values(buckets)
+    .filter(c => c.time >= from && c.time <= to)
+    .sort((a, b) => a.time - b.time)
+    .map(c => {
+      if (!exchange) return { ...c, total: c.long + c.short };
+      const venue = c.exchanges[exchange] || { long: 0, short: 0 };
+      return { time: c.time, long: venue.long, short: venue.short, total: venue.long + venue.short };
+    })
+    .filter(c => c.total > 0);
+}
+
+// ============== CASCADES ==============
+
+function getPrice(coin) {
+  const binance = dataStore.getExchangeData('binance').current?.price?.[coin];
+  return binance || dataStore.getExchangeData('hyperliquid').current?.price?.[coin] || null;
+}
+
+function addToCascade(cascade, liq) {
+  const side = liq.side === 'SELL' ? 'long' : 'short';
+  cascade.liquidated[side] += liq.notional;
+  cascade.liquidated.total += liq.notional;
+  cascade.liquidated.count++;
+  cascade.liquidated.byExchange[liq.exchange] = (cascade.liquidated.byExchange[liq.exchange] || 0) + liq.notional;
+}
+
+function openCascade(coin, cascadeState, now) {
+  const price = getPrice(coin);
+  const cascade = {
+    id: `${coin}_${now}`,
+    coin,
+    type: cascadeState.cascadeType,
+    startedAt: now,
+    endedAt: null,
+    lastActiveAt: now,
+    peakRatePerMin: cascadeState.rate5m,
+    liquidated: { long: 0, short: 0, total: 0, count: 0, byExchange: {} },
+    price: { start: price, end: price, low: price, high: price, changePercent: 0 },
+    pricePath: price ? [{ timestamp: now, price }] : [],
+    after: {}
+  };
+
+  // The acceleration that triggered it is part of the cascade
+  const trigger = dataStore.getLiquidations(coin).filter(l => l.timestamp >= now - 5 * MINUTE_MS);
+  trigger.forEach(l => addToCascade(cascade, l));
+  if (trigger.length > 0) cascade.startedAt = Math.min(...trigger.map(l => l.timestamp));
+
+  cascades.push(cascade);
+  cascades = cascades.slice(-CASCADE.MAX_CASCADES);
+  activeCascades[coin] = cascade;
+  console.log(`[LiqHistory] ${coin} ${cascade.type} started ($${(cascade.liquidated.total / 1e6).toFixed(1)}M in 5m)`);
+}
+
+function samplePrice(cascade, now) {
+  const price = getPrice(cascade.coin);
+  if (!price) return;
+
+  if (cascade.price.start === null) cascade.price.start = price;
+  cascade.price.end = price;
+  cascade.price.low = Math.min(cascade.price.low ?? price, price);
+  cascade.price.high = Math.max(cascade.price.high ?? price, price);
+  cascade.price.changePercent = ((price - cascade.price.start) / cascade.price.start) * 100;
+  cascade.pricePath.push({ timestamp: now, price });
+  cascade.pricePath = cascade.pricePath.slice(-CASCADE.MAX_PATH_POINTS);
+}
+
+/**
+ * Per-minute check: open, extend or close cascades and fill in 1h / 4h follow-ups
+ */
+function checkCascades(now = Date.now()) {
+  symbolRegistry.getCoins().forEach(coin => {
+    const state = liquidationCollector.detectCascade(coin);
+    const v15m = liquidationCollector.calculateVelocity(coin, 15 * MINUTE_MS);
+    const isCascading = state.cascadeType !== 'NONE' && v15m.total >= CASCADE.MIN_15M_NOTIONAL;
+    const active = activeCascades[coin];
+
+    if (active) {
+      samplePrice(active, now);
+      if (isCascading) {
+        active.lastActiveAt = now;
+        active.peakRatePerMin = Math.max(active.peakRatePerMin, state.rate5m);
+      } else if (now - active.lastActiveAt >= CASCADE.END_QUIET_MINUTES * MINUTE_MS) {
+        active.endedAt = now;
+        delete activeCascades[coin];
+        console.log(`[LiqHistory] ${coin} ${active.type} ended: $${(active.liquidated.total / 1e6).toFixed(1)}M, price ${active.price.changePercent.toFixed(2)}%`);
+      }
+      isDirty = true;
+    } else if (isCascading) {
+      openCascade(coin, state, now);
+      isDirty = true;
+    }
+  });
+
+  // Follow-up price after the cascade ended
+  cascades.forEach(cascade => {
+    if (!cascade.endedAt || !cascade.price.end) return;
+    CASCADE.FOLLOW_UP_HOURS.forEach(hours => {
+      const key = `${hours}h`;
+      if (cascade.after[key] || now < cascade.endedAt + hours * HOUR_MS) return;
+      // Too late to measure (server was down) - leave it empty rather than mislabel it
+      if (now > cascade.endedAt + hours * HOUR_MS + 10 * MINUTE_MS) {
+        cascade.after[key] = { price: null, changePercent: null };
+        return;
+      }
+      const price = getPrice(cascade.coin);
+      if (!price) return;
+      cascade.after[key] = {
+        price,
+        changePercent: ((price - cascade.price.end) / cascade.price.end) * 100
+      };
+      isDirty = true;
+    });
+  });
+}
+
+/**
+ * Cascade log for a coin (or all coins), newest first
+ */
+function getCascades({ coin = null, from = 0, to = Date.now(), limit = 100 } = {}) {
+  return cascades
+    .filter(c => (!coin || c.coin === coin) && c.startedAt >= from && c.startedAt <= to)
+    .slice(-limit)
+    .reverse();
+}
+
+// ============== LIFECYCLE ==============
+
+function startLiquidationHistory() {
+  loadFromFile();
+  dataStore.on('liquidation', recordLiquidation);
+  checkInterval = setInterval(() => checkCascades(), CHECK_INTERVAL_MS);
+  saveInterval = setInterval(saveToFile, SAVE_INTERVAL_MS);
+  console.log('[LiqHistory] Started (1m/5m/1h candles, cascade log)');
+}
+
+function stopLiquidationHistory() {
+  dataStore.off('liquidation', recordLiquidation);
+  if (checkInterval) clearInterval(checkInterval);
+  if (saveInterval) clearInterval(saveInterval);
+  checkInterval = null;
+  saveInterval = null;
+  saveToFile();
+}
+
+module.exports = {
+  startLiquidationHistory,
+  stopLiquidationHistory,
+  recordLiquidation,
+  checkCascades,
+  getCandles,
+  getCascades,
+  INTERVALS
+};
@@ -1,10 +1,15 @@
 /**
  * Liquidation Zone Calculator Module
  *
- * Estimates liquidation zones using Jump Crypto-style approach:
- * - Dynamic leverage estimation from funding rates
- * - ATR-based volatility buffers
- * - OI clustering probability assessment
+ * Estimates a liquidation heatmap from collected OI/price history:
+ * - Entry cohorts where OI actually grew (15-min buckets, per exchange)
+ * - Each cohort spread across a 5x-100x leverage distribution,
+ *   skewed toward high leverage when funding / OI velocity run hot
+ * - Cohorts whose liquidation price was already traded through are dropped
+ * - Liquidation notional bucketed by price (density per bucket)
+ *
+ * The long/short cascade zones are the nearest major clusters of the heatmap;
+ * a side with no liquidations in range has a null zone.
  *
  * No external API dependencies - all calculated from collected data.
  */
@@ -26,6 +31,29 @@ const OI_VELOCITY_MODIFIERS = {
   NORMAL: { threshold: 0, bump: 0 }       // <10% daily OI rise
 };
 
+// Share of OI opened at each leverage tier, before the funding skew
+const LEVERAGE_DISTRIBUTION = [
+  { leverage: 5, weight: 0.10 },
+  { leverage: 10, weight: 0.22 },
+  { leverage: 20, weight: 0.23 },
+  { leverage: 25, weight: 0.15 },
+  { leverage: 50, weight: 0.15 },
+  { leverage: 75, weight: 0.08 },
+  { leverage: 100, weight: 0.07 }
+];
+
+const HIGH_LEVERAGE_MIN = 50;          // Tiers the funding skew boosts
+const MAINTENANCE_MARGIN = 0.005;      // Liquidation before full margin loss
+
+// Heatmap shape
+const HEATMAP = {
+  RANGE_PERCENT: 20,                   // +/-20% around price (5x liqs sit ~19.5% away)
+  BUCKET_PERCENT: 0.5,                 // Bucket width as % of current price
+  ENTRY_BUCKET_MS: 15 * 60 * 1000,     // OI/price sampling for entry cohorts
+  AGGRESSOR_SHARE: 0.6,                // Share of new OI on the side that moved price
+  MAJOR_CLUSTER_RATIO: 0.5             // Zone = nearest bucket >= 50% of the side's peak
+};
+
 // Probability thresholds (adjusted for tighter 75-100x leverage zones)
 const PROBABILITY_TIERS = {
   HIGH: { oiMin: 500000000, distanceMax: 1 },    // >$500M OI, <1% distance
@@ -176,6 +204,216 @@ function estimateLeverage(fundingRate, oiVelocity) {
   return Math.max(50, Math.min(125, leverage));
 }
 
+/**
+ * Leverage distribution for current conditions
+ * Hot funding / OI surges (higher estimateLeverage) shift weight to the 50x+ tiers
+ */
+function getLeverageDistribution(fundingRate, oiVelocity) {
+  const estimated = estimateLeverage(fundingRate, oiVelocity);
+  // 75x is the calm baseline, 125x the cap
+  const crowding = Math.max(0, Math.min(1, (estimated - LEVERAGE_TIERS.LOW.leverage) / 50));
+
+  const skewed = LEVERAGE_DISTRIBUTION.map(tier => ({
+    leverage: tier.leverage,
+    weight: tier.leverage >= HIGH_LEVERAGE_MIN ? tier.weight * (1 + crowding) : tier.weight
+  }));
+  const total = skewed.reduce((sum, tier) => sum + tier.weight, 0);
+
+  return skewed.map(tier => ({
+    leverage: tier.leverage,
+    weight: Math.round((tier.weight / total) * 1000) / 1000
+  }));
+}
+
+/**
+ * Sample a series into fixed time buckets (last value per bucket)
+ */
+function sampleSeries(series, bucketMs) {
+  const buckets = new Map();
+  for (const entry of series) {
+    if (!entry || !(entry.value > 0)) continue;
+    buckets.set(Math.floor(entry.timestamp / bucketMs), entry);
+  }
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([bucket, entry]) => ({ bucket, timestamp: entry.timestamp, value: entry.value }));
+}
+
+/**
+ * Entry cohorts from OI growth
+ *
+ * Walks each exchange's OI in 15-min buckets. OI rises open a cohort at that
+ * bucket's price, split between longs and shorts by which side moved price;
+ * OI drops close existing cohorts pro rata. OI already open when the window
+ * starts is spread across the window's prices.
+ *
+ * @returns {Array} [{ timestamp, price, long, short }] notional in USD
+ */
+function getEntryCohorts(coin, currentPrice) {
+  const exchanges = ['hyperliquid', 'binance', 'bybit'];
+  const hlPrices = dataStore.getExchangeData('hyperliquid')?.price?.[coin] || [];
+  const cohorts = [];
+
+  for (const exchange of exchanges) {
+    const data = dataStore.getExchangeData(exchange);
+    const oiSeries = sampleSeries(data?.oi?.[coin] || [], HEATMAP.ENTRY_BUCKET_MS);
+    const priceSeries = data?.price?.[coin]?.length ? data.price[coin] : hlPrices;
+    const prices = new Map(sampleSeries(priceSeries, HEATMAP.ENTRY_BUCKET_MS).map(p => [p.bucket, p.value]));
+    const currentOI = data?.current?.oi?.[coin];
+
+    if (oiSeries.length === 0) {
+      // No history yet: treat current OI as opened at the current price
+      if (currentOI > 0) {
+        cohorts.push({ timestamp: Date.now(), price: currentPrice, long: currentOI / 2, short: currentOI / 2 });
+      }
+      continue;
+    }
+
+    const exchangeCohorts = [];
+    let lastPrice = prices.get(oiSeries[0].bucket) || currentPrice;
+
+    // Base OI: opened before the window, spread over the window's prices
+    const basePoints = oiSeries.filter(p => prices.has(p.bucket));
+    const baseShare = oiSeries[0].value / Math.max(1, basePoints.length);
+    (basePoints.length > 0 ? basePoints : [{ timestamp: oiSeries[0].timestamp, bucket: oiSeries[0].bucket }]).forEach(p => {
+      const price = prices.get(p.bucket) || lastPrice;
+      exchangeCohorts.push({ timestamp: oiSeries[0].timestamp, price, long: baseShare / 2, short: baseShare / 2 });
+    });
+
+    for (let i = 1; i < oiSeries.length; i++) {
+      const prevOI = oiSeries[i - 1].value;
+      const oi = oiSeries[i].value;
+      const price = prices.get(oiSeries[i].bucket) || lastPrice;
+
+      if (oi > prevOI) {
+        const delta = oi - prevOI;
+        const longShare = price > lastPrice ? HEATMAP.AGGRESSOR_SHARE
+          : price < lastPrice ? 1 - HEATMAP.AGGRESSOR_SHARE
+            : 0.5;
+        exchangeCohorts.push({
+          timestamp: oiSeries[i].timestamp,
+          price,
+          long: delta * longShare,
+          short: delta * (1 - longShare)
+        });
+      } else if (oi < prevOI) {
+        const factor = oi / prevOI;
+        exchangeCohorts.forEach(c => {
+          c.long *= factor;
+          c.short *= factor;
+        });
+      }
+
+      lastPrice = price;
+    }
+
+    cohorts.push(...exchangeCohorts);
+  }
+
+  return cohorts;
+}
+
+/**
+ * Bucket cohort liquidation prices into a heatmap
+ *
+ * @returns {object} { buckets: [{ price, distance, long, short }] low to high, totals, peak }
+ */
+function buildHeatmap(coin, currentPrice, cohorts, distribution) {
+  const bucketSize = HEATMAP.BUCKET_PERCENT;
+  const bucketCount = Math.round(HEATMAP.RANGE_PERCENT / bucketSize);
+  const buckets = [];
+  for (let i = -bucketCount; i < bucketCount; i++) {
+    const distance = (i + 0.5) * bucketSize;
+    buckets.push({
+      price: Math.round(currentPrice * (1 + distance / 100) * 100) / 100,
+      distance: Math.round(distance * 100) / 100,
+      long: 0,
+      short: 0
+    });
+  }
+
+  // Lowest / highest price since each cohort opened (liquidated cohorts are gone)
+  const priceHistory = (dataStore.getExchangeData('hyperliquid')?.price?.[coin] || [])
+    .filter(p => p && p.value > 0);
+  const extremesSince = (timestamp) => {
+    let low = currentPrice;
+    let high = currentPrice;
+    for (const p of priceHistory) {
+      if (p.timestamp < timestamp) continue;
+      if (p.value < low) low = p.value;
+      if (p.value > high) high = p.value;
+    }
+    return { low, high };
+  };
+
+  const bucketIndex = (liqPrice) => {
+    const distance = ((liqPrice - currentPrice) / currentPrice) * 100;
+    const index = Math.floor(distance / bucketSize) + bucketCount;
+    return index >= 0 && index < buckets.length ? index : -1;
+  };
+
+  for (const cohort of cohorts) {
+    const { low, high } = extremesSince(cohort.timestamp);
+
+    for (const tier of distribution) {
+      const move = 1 / tier.leverage - MAINTENANCE_MARGIN;
+      const longLiq = cohort.price * (1 - move);
+      const shortLiq = cohort.price * (1 + move);
+
+      if (low > longLiq && longLiq < currentPrice) {
+        const index = bucketIndex(longLiq);
+        if (index >= 0) buckets[index].long += cohort.long * tier.weight;
+      }
+      if (high < shortLiq && shortLiq > currentPrice) {
+        const index = bucketIndex(shortLiq);
+        if (index >= 0) buckets[index].short += cohort.short * tier.weight;
+      }
+    }
+  }
+
+  buckets.forEach(b => {
+    b.long = Math.round(b.long);
+    b.short = Math.round(b.short);
+  });
+
+  return {
+    bucketPercent: bucketSize,
+    rangePercent: HEATMAP.RANGE_PERCENT,
+    buckets,
+    totals: {
+      long: buckets.reduce((sum, b) => sum + b.long, 0),
+      short: buckets.reduce((sum, b) => sum + b.short, 0)
+    },
+    peak: Math.max(0, ...buckets.map(b => Math.max(b.long, b.short)))
+  };
+}
+
+/**
+ * Nearest major cluster on one side of price
+ * oiAtRisk is everything a move to the cluster would flush (cumulative from price)
+ */
+function findCascadeZone(buckets, side) {
+  const sideBuckets = side === 'long'
+    ? buckets.filter(b => b.distance < 0).reverse()   // Walk down from price
+    : buckets.filter(b => b.distance > 0);            // Walk up from price
+  const peak = Math.max(0, ...sideBuckets.map(b => b[side]));
+  if (peak === 0) return null;
+
+  let cumulative = 0;
+  for (const bucket of sideBuckets) {
+    cumulative += bucket[side];
+    if (bucket[side] >= peak * HEATMAP.MAJOR_CLUSTER_RATIO) {
+      return {
+        price: bucket.price,
+        distance: Math.abs(bucket.distance),
+        density: bucket[side],
+        oiAtRisk: cumulative
+      };
+    }
+  }
+  return null;
+}
+
 /**
  * Determine cascade probability
  */
@@ -213,40 +451,28 @@ function calculateLiquidationZones(coin = 'BTC') {
   const oiVelocity = calculateOIVelocity(coin);
   const atrPercent = calculateATRPercent(coin);
 
-  // Estimate leverage
-  const avgLeverage = estimateLeverage(avgFunding, oiVelocity);
+  // Leverage distribution, entry cohorts and the resulting heatmap
+  const distribution = getLeverageDistribution(avgFunding, oiVelocity);
+  const cohorts = getEntryCohorts(coin, currentPrice);
+  const heatmap = buildHeatmap(coin, currentPrice, cohorts, distribution);
 
-  // Calculate zones from leverage (no ATR buffer - ATR is informational only)
-  const leverageComponent = 1 / avgLeverage;
-  let longLiqPrice = currentPrice * (1 - leverageComponent);
-  let shortLiqPrice = currentPrice * (1 + leverageComponent);
+  const longZone = findCascadeZone(heatmap.buckets, 'long');
+  const shortZone = findCascadeZone(heatmap.buckets, 'short');
 
-  // Calculate distances
-  let longDistance = ((currentPrice - longLiqPrice) / currentPrice) * 100;
-  let shortDistance = ((shortLiqPrice - currentPrice) / currentPrice) * 100;
-
-  // Cap at maximum realistic distance (2%)
-  const MAX_ZONE_DISTANCE = 2;
-  if (longDistance > MAX_ZONE_DISTANCE) {
-    longLiqPrice = currentPrice * (1 - MAX_ZONE_DISTANCE / 100);
-    longDistance = MAX_ZONE_DISTANCE;
-  }
-  if (shortDistance > MAX_ZONE_DISTANCE) {
-    shortLiqPrice = currentPrice * (1 + MAX_ZONE_DISTANCE / 100);
-    shortDistance = MAX_ZONE_DISTANCE;
+  if (!longZone && !shortZone) {
+    return {
+      status: 'NO_DATA',
+      message: 'Waiting for OI data'
+    };
   }
 
-  // Estimate OI at risk (simplified: assume 30% of total OI near each zone)
-  const oiAtRiskLong = aggregatedOI * 0.3;
-  const oiAtRiskShort = aggregatedOI * 0.3;
-
   // Determine probabilities
-  const longProbability = determineProbability(oiAtRiskLong, longDistance);
-  const shortProbability = determineProbability(oiAtRiskShort, shortDistance);
+  const longProbability = longZone ? determineProbability(longZone.oiAtRisk, longZone.distance) : null;
+  const shortProbability = shortZone ? determineProbability(shortZone.oiAtRisk, shortZone.distance) : null;
 
-  // Overall cascade probability (worst of the two)
+  // Overall cascade probability (worst of the sides that have a zone)
   const probabilityRank = { HIGH: 3, MEDIUM: 2, LOW: 1 };
-  const overallProbability = probabilityRank[longProbability] >= probabilityRank[shortProbability]
+  const overallProbability = (probabilityRank[longProbability] || 0) >= (probabilityRank[shortProbability] || 0)
     ? longProbability
     : shortProbability;
 
@@ -255,28 +481,33 @@ function calculateLiquidationZones(coin = 'BTC') {
     coin,
     currentPrice: Math.round(currentPrice),
     zones: {
-      long: {
-        price: Math.round(longLiqPrice),
-        distance: Math.round(longDistance * 10) / 10,
-        oiAtRisk: oiAtRiskLong,
+      long: longZone && {
+        price: Math.round(longZone.price),
+        distance: Math.round(longZone.distance * 10) / 10,
+        density: longZone.density,
+        oiAtRisk: longZone.oiAtRisk,
         probability: longProbability,
-        description: `Long cascade zone at $${longLiqPrice.toLocaleString('en-US', { maximumFractionDigits: 0 })} (${longDistance.toFixed(1)}% below)`
+        description: `Long cascade zone at $${longZone.price.toLocaleString('en-US', { maximumFractionDigits: 0 })} (${longZone.distance.toFixed(1)}% below)`
       },
-      short: {
-        price: Math.round(shortLiqPrice),
-        distance: Math.round(shortDistance * 10) / 10,
-        oiAtRisk: oiAtRiskShort,
+      short: shortZone && {
+        price: Math.round(shortZone.price),
+        distance: Math.round(shortZone.distance * 10) / 10,
+        density: shortZone.density,
+        oiAtRisk: shortZone.oiAtRisk,
         probability: shortProbability,
-        description: `Short squeeze zone at $${shortLiqPrice.toLocaleString('en-US', { maximumFractionDigits: 0 })} (${shortDistance.toFixed(1)}% above)`
+        description: `Short squeeze zone at $${shortZone.price.toLocaleString('en-US', { maximumFractionDigits: 0 })} (${shortZone.distance.toFixed(1)}% above)`
       }
     },
+    heatmap,
     inputs: {
       avgFunding: avgFunding,
       avgFundingAnnualized: avgFunding * 3 * 365 * 100,
       aggregatedOI: aggregatedOI,
       oiVelocity: Math.round(oiVelocity * 10) / 10,
       atrPercent: Math.round(atrPercent * 100) / 100,
-      estimatedLeverage: Math.round(avgLeverage * 10) / 10
+      estimatedLeverage: Math.round(distribution.reduce((sum, t) => sum + t.leverage * t.weight, 0) * 10) / 10,
+      leverageDistribution: distribution,
+      cohorts: cohorts.length
     },
     probability: overallProbability,
     generatedAt: Date.now()
@@ -311,29 +542,29 @@ function calculateZoneSignal(coin = 'BTC') {
   let description = 'No immediate cascade risk';
 
   // Long liq zone proximity (bearish if close)
-  if (long.probability === 'HIGH') {
+  if (long?.probability === 'HIGH') {
     score = -0.7;
     signal = 'LONG_CASCADE_IMMINENT';
     description = `High risk of long cascade at $${long.price.toLocaleString()}`;
-  } else if (long.probability === 'MEDIUM' && long.distance < 1.5) {
+  } else if (long?.probability === 'MEDIUM' && long.distance < 1.5) {
     score = -0.4;
     signal = 'LONG_CASCADE_RISK';
     description = `Elevated long cascade risk at $${long.price.toLocaleString()}`;
   }
 
   // Short liq zone proximity (bullish if close - squeeze potential)
-  if (short.probability === 'HIGH') {
+  if (short?.probability === 'HIGH') {
     score = 0.7;
     signal = 'SHORT_SQUEEZE_IMMINENT';
     description = `High risk of short squeeze at $${short.price.toLocaleString()}`;
-  } else if (short.probability === 'MEDIUM' && short.distance < 1.5) {
+  } else if (short?.probability === 'MEDIUM' && short.distance < 1.5) {
     score = 0.4;
     signal = 'SHORT_SQUEEZE_RISK';
     description = `Elevated short squeeze risk at $${short.price.toLocaleString()}`;
   }
 
   // Both zones at risk = high volatility expected, neutral bias
-  if (long.probability === 'HIGH' && short.probability === 'HIGH') {
+  if (long?.probability === 'HIGH' && short?.probability === 'HIGH') {
     score = 0;
     signal = 'VOLATILITY_EXPECTED';
     description = 'Both directions at cascade risk - high volatility expected';
@@ -355,7 +586,12 @@ module.exports = {
   calculateOIVelocity,
   calculateATRPercent,
   estimateLeverage,
+  getLeverageDistribution,
+  getEntryCohorts,
+  buildHeatmap,
   determineProbability,
   LEVERAGE_TIERS,
+  LEVERAGE_DISTRIBUTION,
+  HEATMAP,
   PROBABILITY_TIERS
 };
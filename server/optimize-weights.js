@@ -0,0 +1,84 @@
+/**
+ * Optimize Projection Weights
+ *
+ * Runs the walk-forward weight optimizer over the predictions recorded in
+ * data/winrates.json and prints candidate weights next to the live ones.
+ * Nothing is changed - copy the weights into biasProjection.js /
+ * dailyBiasProjection.js by hand once the out-of-sample numbers hold up,
+ * and check them with the replay backtester first.
+ *
+ * Usage: node optimize-weights.js [--table WEIGHTS|WEIGHTS_24H] [--coin BTC]
+ *                                 [--folds 4] [--candidates 400] [--file path] [--out result.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { optimizeWeights } = require('./weightOptimizer');
+
+function parseArgs(argv) {
+  const args = { table: 'WEIGHTS', file: path.join(__dirname, 'data', 'winrates.json') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[++i];
+    }
+  }
+  return args;
+}
+
+function formatWeights(weights) {
+  return Object.entries(weights).map(([k, v]) => `${k}=${v.toFixed(2)}`).join('  ');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!fs.existsSync(args.file)) {
+    console.error(`No prediction history at ${args.file}`);
+    process.exit(1);
+  }
+  const { predictions = [] } = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+
+  const result = optimizeWeights(predictions, {
+    table: args.table,
+    coin: args.coin ? args.coin.toUpperCase() : undefined,
+    folds: args.folds ? parseInt(args.folds, 10) : undefined,
+    candidates: args.candidates ? parseInt(args.candidates, 10) : undefined
+  });
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(result, null, 2), 'utf8');
+  }
+
+  console.log(`\n${result.table} (${result.coin || 'ALL'}) - ${result.samples} evaluated predictions`);
+  if (result.status !== 'OK') {
+    console.log(`Not enough data: need ${result.minSamples}`);
+    return;
+  }
+
+  console.log(`\nCurrent:   ${formatWeights(result.currentWeights)}`);
+  console.log(`Candidate: ${formatWeights(result.candidateWeights)}`);
+
+  console.log('\nWalk-forward (out-of-sample):');
+  result.walkForward.forEach(f => {
+    console.log(`  Fold ${f.fold}: ${f.testSamples} preds  candidate ${f.outOfSampleHitRate}%  current ${f.currentWeightsHitRate}%  (in-sample ${f.inSampleHitRate}%)`);
+  });
+  console.log(`  Overall:  candidate ${result.outOfSampleHitRate}%  current ${result.currentWeightsOutOfSampleHitRate}%  recorded ${result.recordedHitRate}%`);
+
+  console.log('\nPer-signal contribution (candidate weights):');
+  Object.entries(result.signalContribution).forEach(([key, c]) => {
+    const standalone = c.standaloneHitRate === null ? '   n/a' : `${c.standaloneHitRate.toFixed(1)}%`;
+    console.log(`  ${key.padEnd(24)} w=${c.weight.toFixed(2)}  coverage ${c.coverage}%  standalone ${standalone}  ablation ${c.ablationDelta >= 0 ? '+' : ''}${c.ablationDelta}pp  share ${c.avgShare}%`);
+  });
+
+  if (args.out) {
+    console.log(`\n✓ Full result written to ${args.out}`);
+  }
+}
+
+try {
+  main();
+  process.exit(0);
+} catch (error) {
+  console.error('Optimization failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,288 @@
+/**
+ * Orderbook Analytics
+ *
+ * The DataStore orderbook series is one imbalance number from the top levels,
+ * so a thin 0.1% book and a deep 2% book look the same. For every book the
+ * collectors fetch this module records:
+ * - Depth bands: bid / ask notional within 0.1%, 0.5%, 1% and 2% of mid
+ * - Walls: single levels far larger than the levels around them
+ * - Wall lifecycle: when a wall appears and vanishes; a wall pulled before
+ *   price reached it, within a few minutes, is flagged as a suspected spoof
+ *
+ * Fed by dataCollector (Binance / Bybit REST, Hyperliquid fallback) and
+ * hyperliquidWsCollector. Served via /api/orderbook/:coin. In memory only.
+ */
+
+const BANDS = [0.1, 0.5, 1, 2]; // % from mid
+
+const CONFIG = {
+  WALL_MEDIAN_MULTIPLE: 8,            // Level >= 8x the median level within the widest band
+  MIN_WALL_NOTIONAL: { BTC: 2000000, ETH: 1000000, SOL: 300000 },
+  DEFAULT_MIN_WALL_NOTIONAL: 250000,
+  WALL_KEEP_RATIO: 0.5,               // A tracked wall lives on while its level holds half its peak
+  SPOOF_MAX_LIFETIME_MS: 5 * 60 * 1000, // Pulled within 5 minutes
+  SAMPLE_INTERVAL_MS: 60 * 1000,      // Band history resolution
+  HISTORY_MS: 24 * 60 * 60 * 1000,
+  MAX_EVENTS: 200
+};
+
+const books = {};      // { coin: { exchange: latest analysed book } }
+const walls = {};      // { exchange:coin: { side:price: wall } }
+const history = {};    // { coin: { exchange: [{ timestamp, bands }] } }
+let events = [];       // Vanished walls, newest last
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function imbalanceOf(bid, ask) {
+  return bid + ask > 0 ? ((bid - ask) / (bid + ask)) * 100 : 0;
+}
+
+// ============== BANDS ==============
+
+/**
+ * Bid / ask notional per band
+ * Bands beyond what the exchange returned are marked partial
+ */
+function computeBands(bids, asks, mid) {
+  const coverage = Math.min(
+    bids.length ? ((mid - bids[bids.length - 1][0]) / mid) * 100 : 0,
+    asks.length ? ((asks[asks.length - 1][0] - mid) / mid) * 100 : 0
+  );
+
+  const result = {};
+  BANDS.forEach(band => {
+    const bidFloor = mid * (1 - band / 100);
+    const askCeiling = mid * (1 + band / 100);
+    const bid = bids.filter(([px]) => px >= bidFloor).reduce((sum, [px, sz]) => sum + px * sz, 0);
+    const ask = asks.filter(([px]) => px <= askCeiling).reduce((sum, [px, sz]) => sum + px * sz, 0);
+    result[band] = { bid, ask, imbalance: imbalanceOf(bid, ask), partial: coverage < band };
+  });
+
+  return { bands: result, coverage };
+}
+
+// ============== WALLS ==============
+
+function findWalls(levels, side, coin, mid) {
+  const maxDistance = BANDS[BANDS.length - 1];
+  const inRange = levels
+    .map(([price, size]) => ({ price, notional: price * size, distance: (Math.abs(price - mid) / mid) * 100 }))
+    .filter(l => l.distance <= maxDistance);
+
+  const typical = median(inRange.map(l => l.notional));
+  const minNotional = CONFIG.MIN_WALL_NOTIONAL[coin] ?? CONFIG.DEFAULT_MIN_WALL_NOTIONAL;
+
+  return inRange
+    .filter(l => l.notional >= minNotional && l.notional >= typical * CONFIG.WALL_MEDIAN_MULTIPLE)
+    .map(l => ({ ...l, side }));
+}
+
+function updateWall(wall, notional, distance, timestamp) {
+  wall.notional = notional;
+  wall.peakNotional = Math.max(wall.peakNotional, notional);
+  wall.distance = distance;
+  wall.minDistance = Math.min(wall.minDistance, distance);
+  wall.lastSeen = timestamp;
+}
+
+/**
+ * Match this book's walls against the tracked ones: new walls appear,
+ * missing ones vanish as filled (price reached them) or pulled
+ */
+function trackWalls(exchange, coin, found, book, timestamp) {
+  const { bids, asks, bestBid, bestAsk, mid } = book;
+  const key = `${exchange}:${coin}`;
+  const tracked = walls[key] || (walls[key] = {});
+  const seen = new Set();
+
+  found.forEach(level => {
+    const id = `${level.side}:${level.price}`;
+    seen.add(id);
+    const wall = tracked[id];
+    if (wall) {
+      updateWall(wall, level.notional, level.distance, timestamp);
+    } else {
+      tracked[id] = {
+        id: `${exchange}_${coin}_${id}_${timestamp}`,
+        exchange,
+        coin,
+        side: level.side === 'bid' ? 'BID' : 'ASK',
+        price: level.price,
+        notional: level.notional,
+        peakNotional: level.notional,
+        distance: level.distance,
+        initialDistance: level.distance,
+        minDistance: level.distance,
+        firstSeen: timestamp,
+        lastSeen: timestamp
+      };
+    }
+  });
+
+  const sizes = {
+    BID: new Map(bids.map(([px, sz]) => [px, px * sz])),
+    ASK: new Map(asks.map(([px, sz]) => [px, px * sz]))
+  };
+  const deepest = { BID: bids[bids.length - 1][0], ASK: asks[asks.length - 1][0] };
+
+  Object.keys(tracked).forEach(id => {
+    if (seen.has(id)) return;
+    const wall = tracked[id];
+    const distance = (Math.abs(wall.price - mid) / mid) * 100;
+
+    // Still mostly there: a dip under the wall threshold is not a pull
+    const remaining = sizes[wall.side].get(wall.price) || 0;
+    if (remaining >= wall.peakNotional * CONFIG.WALL_KEEP_RATIO) {
+      updateWall(wall, remaining, distance, timestamp);
+      return;
+    }
+
+    delete tracked[id];
+
+    // Drifted outside the analysed range or the returned levels: no verdict
+    const beyondBook = wall.side === 'BID' ? wall.price < deepest.BID : wall.price > deepest.ASK;
+    if (beyondBook || distance > BANDS[BANDS.length - 1]) return;
+
+    // A bid wall is reached once the best bid is at or below it (and vice versa)
+    const reached = wall.side === 'BID' ? bestBid <= wall.price : bestAsk >= wall.price;
+    const lifetimeMs = timestamp - wall.firstSeen;
+
+    events.push({
+      ...wall,
+      outcome: reached ? 'FILLED' : 'PULLED',
+      vanishedAt: timestamp,
+      lifetimeMs,
+      priceAtVanish: mid,
+      // Pulled quickly without being traded into
+      spoof: !reached && lifetimeMs <= CONFIG.SPOOF_MAX_LIFETIME_MS,
+      // Price moved toward it before it went (the classic spoof pattern)
+      approached: wall.minDistance < wall.initialDistance * 0.5
+    });
+  });
+
+  const cutoff = timestamp - CONFIG.HISTORY_MS;
+  events = events.filter(e => e.vanishedAt >= cutoff).slice(-CONFIG.MAX_EVENTS);
+}
+
+// ============== INPUT ==============
+
+/**
+ * Analyse one book snapshot
+ * @param {string} exchange - binance, bybit, hyperliquid
+ * @param {string} coin - registry symbol
+ * @param {Array} bids - [[price, size]] best first
+ * @param {Array} asks - [[price, size]] best first
+ */
+function recordBook(exchange, coin, bids, asks, timestamp = Date.now()) {
+  const cleanBids = bids.map(([px, sz]) => [parseFloat(px), parseFloat(sz)]).filter(([px, sz]) => px > 0 && sz > 0);
+  const cleanAsks = asks.map(([px, sz]) => [parseFloat(px), parseFloat(sz)]).filter(([px, sz]) => px > 0 && sz > 0);
+  if (cleanBids.length === 0 || cleanAsks.length === 0) return;
+
+  const bestBid = cleanBids[0][0];
+  const bestAsk = cleanAsks[0][0];
+  const mid = (bestBid + bestAsk) / 2;
+  const { bands, coverage } = computeBands(cleanBids, cleanAsks, mid);
+
+  const found = [
+    ...findWalls(cleanBids, 'bid', coin, mid),
+    ...findWalls(cleanAsks, 'ask', coin, mid)
+  ];
+  trackWalls(exchange, coin, found, { bids: cleanBids, asks: cleanAsks, bestBid, bestAsk, mid }, timestamp);
+
+  const byCoin = books[coin] || (books[coin] = {});
+  byCoin[exchange] = { exchange, mid, bestBid, bestAsk, bands, coverage, levels: cleanBids.length + cleanAsks.length, timestamp };
+
+  // One band sample per minute per exchange
+  const coinHistory = history[coin] || (history[coin] = {});
+  const samples = coinHistory[exchange] || (coinHistory[exchange] = []);
+  const last = samples[samples.length - 1];
+  if (!last || timestamp - last.timestamp >= CONFIG.SAMPLE_INTERVAL_MS) {
+    const compact = {};
+    BANDS.forEach(band => { compact[band] = [bands[band].bid, bands[band].ask]; });
+    samples.push({ timestamp, bands: compact });
+    const cutoff = timestamp - CONFIG.HISTORY_MS;
+    while (samples.length > 0 && samples[0].timestamp < cutoff) samples.shift();
+  }
+}
+
+// ============== OUTPUT ==============
+
+/**
+ * Sum band liquidity across exchanges
+ */
+function aggregateBands(snapshots) {
+  const result = {};
+  BANDS.forEach(band => {
+    const bid = snapshots.reduce((sum, s) => sum + s.bands[band].bid, 0);
+    const ask = snapshots.reduce((sum, s) => sum + s.bands[band].ask, 0);
+    result[band] = { bid, ask, imbalance: imbalanceOf(bid, ask), partial: snapshots.some(s => s.bands[band].partial) };
+  });
+  return result;
+}
+
+/**
+ * Bands, walls, recent wall events and band history for a coin
+ * @param {object} options - { exchange, hours } (exchange narrows everything to one venue)
+ */
+function getOrderbookAnalytics(coin, { exchange = null, hours = 6 } = {}) {
+  const now = Date.now();
+  const snapshots = Object.values(books[coin] || {}).filter(s => !exchange || s.exchange === exchange);
+  const activeWalls = Object.entries(walls)
+    .filter(([key]) => key.endsWith(`:${coin}`) && (!exchange || key.startsWith(`${exchange}:`)))
+    .flatMap(([, tracked]) => Object.values(tracked))
+    .map(w => ({ ...w, ageMs: now - w.firstSeen }))
+    .sort((a, b) => b.notional - a.notional);
+  const recentEvents = events
+    .filter(e => e.coin === coin && (!exchange || e.exchange === exchange))
+    .slice()
+    .reverse();
+
+  // Band history summed across exchanges per sample minute
+  const cutoff = now - hours * 60 * 60 * 1000;
+  const byMinute = {};
+  Object.entries(history[coin] || {})
+    .filter(([venue]) => !exchange || venue === exchange)
+    .forEach(([, samples]) => {
+      samples.filter(s => s.timestamp >= cutoff).forEach(s => {
+        const minute = Math.floor(s.timestamp / CONFIG.SAMPLE_INTERVAL_MS) * CONFIG.SAMPLE_INTERVAL_MS;
+        const row = byMinute[minute] || (byMinute[minute] = {});
+        BANDS.forEach(band => {
+          const [bid, ask] = s.bands[band];
+          row[band] = row[band] || { bid: 0, ask: 0 };
+          row[band].bid += bid;
+          row[band].ask += ask;
+        });
+      });
+    });
+  const bandHistory = Object.entries(byMinute)
+    .map(([timestamp, row]) => ({
+      timestamp: Number(timestamp),
+      imbalance: Object.fromEntries(BANDS.map(band => [band, imbalanceOf(row[band].bid, row[band].ask)]))
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  return {
+    coin,
+    bands: BANDS,
+    aggregate: snapshots.length > 0 ? aggregateBands(snapshots) : null,
+    exchanges: Object.fromEntries(snapshots.map(s => [s.exchange, s])),
+    walls: activeWalls,
+    wallEvents: recentEvents,
+    spoofCount: recentEvents.filter(e => e.spoof).length,
+    history: bandHistory,
+    timestamp: now
+  };
+}
+
+module.exports = {
+  recordBook,
+  getOrderbookAnalytics,
+  computeBands,
+  BANDS,
+  CONFIG
+};
@@ -0,0 +1,280 @@
+/**
+ * Projection Audit Trail
+ *
+ * biasCache only holds the latest projection per coin, and winRateTracker
+ * keeps summary fields. This module stores every 12hr / 4hr / daily projection
+ * the server generates so a past call can be reconstructed later:
+ * - The full projection (component breakdown, key factors, warnings)
+ * - Weights used: the factors that entered the weighted sum with their
+ *   contributions, bonuses added after it, and the weight table at the time
+ * - Data completeness: optional factors left out and the projection's own
+ *   completeness report where it has one
+ * - Input windows: count, first / last timestamp and a SHA-1 per DataStore
+ *   series the projection could read, to check a replay sees the same data
+ *
+ * Stored as one JSON line per record in data/projection-audit/YYYY-MM-DD.jsonl
+ * (UTC days), kept PROJECTION_AUDIT_RETENTION_DAYS (default 30).
+ * Served via /api/projections/history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dataStore = require('./dataStore');
+const biasProjection = require('./biasProjection');
+const dailyBiasProjection = require('./dailyBiasProjection');
+const fourHrBiasProjection = require('./fourHrBiasProjection');
+const { SERIES_METRICS } = require('./storageAdapter');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const AUDIT_DIR = path.join(DATA_DIR, 'projection-audit');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.PROJECTION_AUDIT_RETENTION_DAYS, 10) || 30;
+const STATUS_REPEAT_MS = 15 * 60 * 1000; // Unchanged non-ACTIVE statuses are recorded at most this often
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const TYPES = ['12hr', '4hr', 'daily'];
+const PERP_EXCHANGES = ['hyperliquid', 'binance', 'bybit', 'nado', 'asterdex'];
+const SPOT_EXCHANGES = ['binance', 'bybit', 'coinbase'];
+
+const WEIGHT_TABLES = {
+  WEIGHTS: biasProjection.WEIGHTS,
+  WEIGHTS_24H: dailyBiasProjection.WEIGHTS_24H,
+  WEIGHTS_4HR: fourHrBiasProjection.WEIGHTS_4HR
+};
+
+const latest = {};       // { type:coin: last record }
+const latestActive = {}; // { type:coin: last ACTIVE record, null if none on disk }
+let recordedCount = 0;
+let pruneInterval = null;
+
+// ============== INPUTS ==============
+
+function hashEntries(entries) {
+  return crypto.createHash('sha1').update(JSON.stringify(entries)).digest('hex');
+}
+
+function describeWindow(entries, timeKey) {
+  if (!entries || entries.length === 0) return null;
+  return {
+    count: entries.length,
+    from: entries[0][timeKey],
+    to: entries[entries.length - 1][timeKey],
+    hash: hashEntries(entries)
+  };
+}
+
+/**
+ * Series the projections read for a coin, as DataStore held them at generation time
+ */
+function describeInputs(coin) {
+  const inputs = {};
+
+  PERP_EXCHANGES.forEach(exchange => {
+    const section = dataStore.data[exchange];
+    if (!section) return;
+    Object.entries(SERIES_METRICS).forEach(([metric, { timeKey }]) => {
+      const window = describeWindow(section[metric]?.[coin], timeKey);
+      if (window) inputs[`${exchange}:${metric}`] = window;
+    });
+  });
+
+  SPOT_EXCHANGES.forEach(exchange => {
+    const window = describeWindow(dataStore.data.spotCvd?.[exchange]?.[coin]?.history, 'time');
+    if (window) inputs[`spot:${exchange}:cvd`] = window;
+  });
+
+  const liquidations = describeWindow(dataStore.getLiquidations(coin), 'timestamp');
+  if (liquidations) inputs.liquidations = liquidations;
+
+  return inputs;
+}
+
+// ============== RECORDS ==============
+
+/**
+ * Weighting with each factor's share of the normalized score
+ */
+function describeWeighting(weighting) {
+  if (!weighting) return null;
+  const factors = {};
+  Object.entries(weighting.factors).forEach(([name, { score, weight }]) => {
+    factors[name] = { score, weight, contribution: weighting.totalWeight > 0 ? (score * weight) / weighting.totalWeight : 0 };
+  });
+  return { ...weighting, factors };
+}
+
+function buildRecord(type, coin, projection, timestamp) {
+  const generatedAt = projection.generatedAt || timestamp;
+  const body = { ...projection };
+  delete body.historicalPerformance;
+  const record = {
+    id: `${type}_${coin}_${generatedAt}`,
+    type,
+    coin,
+    generatedAt,
+    status: projection.status || null
+  };
+
+  if (projection.status !== 'ACTIVE') {
+    return { ...record, message: projection.message || projection.error || null, dataCompleteness: projection.dataCompleteness || null };
+  }
+
+  const weighting = describeWeighting(projection.weighting);
+  const table = weighting ? WEIGHT_TABLES[weighting.table] : null;
+  const used = weighting ? Object.keys(weighting.factors) : [];
+
+  return {
+    ...record,
+    currentPrice: projection.currentPrice,
+    prediction: projection.prediction,
+    confidence: projection.confidence,
+    invalidation: projection.invalidation || null,
+    weighting,
+    weights: table ? { ...table } : null,
+    dataCompleteness: {
+      ...(projection.dataCompleteness || {}),
+      factorsUsed: used,
+      factorsMissing: table ? Object.keys(table).filter(name => !used.includes(name)) : [],
+      dataPointCount: projection.dataPointCount ?? null
+    },
+    inputs: describeInputs(coin),
+    projection: body
+  };
+}
+
+function fileForDay(timestamp) {
+  return path.join(AUDIT_DIR, `${new Date(timestamp).toISOString().slice(0, 10)}.jsonl`);
+}
+
+/**
+ * Store a generated projection
+ * Unchanged non-ACTIVE statuses (warming up, collecting) are throttled since
+ * they are regenerated on every request
+ * @param {string} type - 12hr, 4hr, daily
+ * @param {string} coin - registry symbol
+ * @param {object} projection - generator output
+ * @returns {object|null} - the stored record, or null if skipped
+ */
+function recordProjection(type, coin, projection, timestamp = Date.now()) {
+  if (!projection) return null;
+  const key = `${type}:${coin}`;
+  const previous = latest[key];
+
+  if (projection.status !== 'ACTIVE' && previous &&
+      previous.status === projection.status &&
+      timestamp - previous.generatedAt < STATUS_REPEAT_MS) {
+    return null;
+  }
+
+  try {
+    const record = buildRecord(type, coin, projection, timestamp);
+    if (!fs.existsSync(AUDIT_DIR)) {
+      fs.mkdirSync(AUDIT_DIR, { recursive: true });
+    }
+    fs.appendFileSync(fileForDay(record.generatedAt), JSON.stringify(record) + '\n', 'utf8');
+    latest[key] = record;
+    if (record.status === 'ACTIVE') latestActive[key] = record;
+    recordedCount++;
+    return record;
+  } catch (error) {
+    console.error('[ProjectionAudit] Error recording projection:', error.message);
+    return null;
+  }
+}
+
+// ============== QUERIES ==============
+
+function readDay(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null; // Torn last line after a crash
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Stored projections in a range, newest first
+ * `at` returns the projection in effect at that moment (the last one generated at or before it)
+ * `from` is clamped to the oldest day file retention keeps, so an early `from` never walks pruned days
+ * @param {object} options - { coin, type, from, to, at, status, limit }
+ */
+function getHistory({ coin = null, type = null, from, to = Date.now(), at = null, status = null, limit = 50 } = {}) {
+  const end = at || to;
+  const oldestDay = Math.floor((Date.now() - RETENTION_DAYS * DAY_MS) / DAY_MS) * DAY_MS;
+  const start = Math.max(at ? end - DAY_MS : (from ?? end - DAY_MS), oldestDay);
+  const matches = [];
+
+  // Newest day first
+  for (let day = Math.floor(end / DAY_MS) * DAY_MS; day >= Math.floor(start / DAY_MS) * DAY_MS; day -= DAY_MS) {
+    const records = readDay(fileForDay(day))
+      .filter(r => r.generatedAt >= start && r.generatedAt <= end)
+      .filter(r => (!coin || r.coin === coin) && (!type || r.type === type))
+      .filter(r => (at ? r.status === 'ACTIVE' : !status || r.status === status))
+      .sort((a, b) => b.generatedAt - a.generatedAt);
+    matches.push(...records);
+    if (matches.length >= (at ? 1 : limit)) break;
+  }
+
+  return matches.slice(0, at ? 1 : limit);
+}
+
+/**
+ * Last ACTIVE record for a type/coin
+ * Looked up on disk (last 24h) once after a restart, then kept in memory
+ */
+function getLatest(type, coin) {
+  const key = `${type}:${coin}`;
+  if (!(key in latestActive)) {
+    latestActive[key] = getHistory({ coin, type, at: Date.now() })[0] || null;
+  }
+  return latestActive[key];
+}
+
+// ============== MAINTENANCE ==============
+
+function pruneOldFiles(now = Date.now()) {
+  if (!fs.existsSync(AUDIT_DIR)) return;
+  const cutoff = new Date(now - RETENTION_DAYS * DAY_MS).toISOString().slice(0, 10);
+  fs.readdirSync(AUDIT_DIR)
+    .filter(name => name.endsWith('.jsonl') && name.slice(0, 10) < cutoff)
+    .forEach(name => {
+      try {
+        fs.unlinkSync(path.join(AUDIT_DIR, name));
+      } catch (error) {
+        console.error(`[ProjectionAudit] Error removing ${name}:`, error.message);
+      }
+    });
+}
+
+function startProjectionAudit() {
+  pruneOldFiles();
+  pruneInterval = setInterval(() => pruneOldFiles(), PRUNE_INTERVAL_MS);
+  console.log(`[ProjectionAudit] Recording projections to ${AUDIT_DIR} (${RETENTION_DAYS} day retention)`);
+}
+
+function stopProjectionAudit() {
+  if (pruneInterval) clearInterval(pruneInterval);
+  pruneInterval = null;
+}
+
+function getStatus() {
+  return { recorded: recordedCount, retentionDays: RETENTION_DAYS, directory: AUDIT_DIR };
+}
+
+module.exports = {
+  startProjectionAudit,
+  stopProjectionAudit,
+  recordProjection,
+  getHistory,
+  getLatest,
+  getStatus,
+  TYPES
+};
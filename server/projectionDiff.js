@@ -0,0 +1,145 @@
+/**
+ * Projection Diff
+ *
+ * When a bias flips the projection only shows the new state. This compares a
+ * fresh ACTIVE projection with the previous ACTIVE one for the same coin and
+ * type (both projectionAudit records) and reports what moved:
+ * - Bias, score and confidence before and after
+ * - Factors whose score changed sign or crossed into / out of the neutral band
+ * - How each factor's weighted contribution moved, largest first
+ * - Factors and bonuses that were added or dropped
+ *
+ * Attached to the projection response as `changes` by server.js.
+ */
+
+const NEUTRAL_BAND = 0.1;       // |score| at or below this reads as neutral (keyFactors direction)
+const MIN_CONTRIBUTION_MOVE = 0.01; // Smaller contribution moves are left out of `factors`
+
+function stateOf(score) {
+  if (score > NEUTRAL_BAND) return 'bullish';
+  if (score < -NEUTRAL_BAND) return 'bearish';
+  return 'neutral';
+}
+
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function directionOf(bias) {
+  if (!bias) return 'NEUTRAL';
+  if (bias.includes('BULL')) return 'BULLISH';
+  if (bias.includes('BEAR')) return 'BEARISH';
+  return 'NEUTRAL';
+}
+
+/**
+ * Per-factor movement between two weightings
+ * A factor missing on one side counts as score 0 / contribution 0 there
+ */
+function diffFactors(before, after) {
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...names].map(name => {
+    const from = before[name] || null;
+    const to = after[name] || null;
+    const fromScore = from?.score ?? 0;
+    const toScore = to?.score ?? 0;
+    const fromState = stateOf(fromScore);
+    const toState = stateOf(toScore);
+
+    return {
+      name,
+      from: from ? { score: round(fromScore), contribution: round(from.contribution) } : null,
+      to: to ? { score: round(toScore), contribution: round(to.contribution) } : null,
+      contributionDelta: round((to?.contribution ?? 0) - (from?.contribution ?? 0)),
+      signChanged: Math.sign(fromScore) !== 0 && Math.sign(toScore) !== 0 && Math.sign(fromScore) !== Math.sign(toScore),
+      crossed: fromState !== toState ? { from: fromState, to: toState } : null,
+      added: !from,
+      removed: !to
+    };
+  });
+}
+
+function describe(changes) {
+  const parts = [];
+  if (changes.bias.changed) {
+    parts.push(`${changes.bias.from} → ${changes.bias.to}`);
+  }
+  changes.signChanges.slice(0, 3).forEach(name => {
+    const factor = changes.factors.find(f => f.name === name);
+    parts.push(`${name} flipped ${factor.crossed?.to || stateOf(factor.to.score)}`);
+  });
+  if (parts.length === 0 && changes.factors.length > 0) {
+    const top = changes.factors[0];
+    parts.push(`${top.name} ${top.contributionDelta > 0 ? '+' : ''}${top.contributionDelta.toFixed(2)}`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'No material change';
+}
+
+/**
+ * Diff two ACTIVE audit records (previous may be null: first projection)
+ * @param {object|null} previous - projectionAudit record
+ * @param {object} current - projectionAudit record
+ * @returns {object|null}
+ */
+function diffProjections(previous, current) {
+  if (!current || current.status !== 'ACTIVE') return null;
+  if (!previous || previous.status !== 'ACTIVE') {
+    return { previousGeneratedAt: null, summary: 'First projection recorded' };
+  }
+
+  const before = previous.weighting?.factors || {};
+  const after = current.weighting?.factors || {};
+  const allFactors = diffFactors(before, after);
+  const fromScore = previous.prediction?.score ?? 0;
+  const toScore = current.prediction?.score ?? 0;
+  const fromAdjustments = (previous.weighting?.adjustments || []).map(a => a.name);
+  const toAdjustments = (current.weighting?.adjustments || []).map(a => a.name);
+
+  const changes = {
+    previousGeneratedAt: previous.generatedAt,
+    elapsedMs: current.generatedAt - previous.generatedAt,
+    bias: {
+      from: previous.prediction?.bias || null,
+      to: current.prediction?.bias || null,
+      changed: previous.prediction?.bias !== current.prediction?.bias,
+      flipped: directionOf(previous.prediction?.bias) !== directionOf(current.prediction?.bias)
+    },
+    score: { from: fromScore, to: toScore, delta: round(toScore - fromScore) },
+    baseScore: {
+      from: round(previous.weighting?.baseScore ?? 0),
+      to: round(current.weighting?.baseScore ?? 0)
+    },
+    confidence: {
+      from: previous.confidence?.level || null,
+      to: current.confidence?.level || null,
+      changed: previous.confidence?.level !== current.confidence?.level
+    },
+    price: {
+      from: previous.currentPrice,
+      to: current.currentPrice,
+      changePercent: previous.currentPrice > 0
+        ? round(((current.currentPrice - previous.currentPrice) / previous.currentPrice) * 100, 2)
+        : null
+    },
+    // Factors that flipped, crossed the neutral band, came or went, or moved the score
+    factors: allFactors
+      .filter(f => f.signChanged || f.crossed || f.added || f.removed || Math.abs(f.contributionDelta) >= MIN_CONTRIBUTION_MOVE)
+      .sort((a, b) => Math.abs(b.contributionDelta) - Math.abs(a.contributionDelta)),
+    signChanges: allFactors.filter(f => f.signChanged).map(f => f.name),
+    thresholdCrossings: allFactors.filter(f => f.crossed).map(f => ({ name: f.name, ...f.crossed })),
+    adjustments: {
+      added: toAdjustments.filter(name => !fromAdjustments.includes(name)),
+      removed: fromAdjustments.filter(name => !toAdjustments.includes(name))
+    }
+  };
+
+  changes.summary = describe(changes);
+  return changes;
+}
+
+module.exports = {
+  diffProjections,
+  NEUTRAL_BAND
+};
@@ -0,0 +1,426 @@
+/**
+ * Replay Backtester
+ *
+ * Runs the real projection code over recorded history. At each replay step a
+ * read-only DataStore view is sliced to what the live server would have held
+ * at that moment, the clock is pinned to the step timestamp, and the
+ * projection functions are called unchanged. Predictions are recorded with the
+ * live cooldowns and scored with winRateTracker's evaluation logic (price path,
+ * excursions, invalidation), so replay win rates are directly comparable to
+ * /api/win-rates.
+ *
+ * History comes from dataStore.getHistory(): the in-memory window by default,
+ * up to DATASTORE_RETENTION_DAYS with DATASTORE_ADAPTER=sqlite.
+ *
+ * Not replayed: ETF flows (only the latest state is kept) and whale consensus.
+ * Liquidations are replayed from whatever DataStore still holds.
+ */
+
+const dataStore = require('./dataStore');
+const winRateTracker = require('./winRateTracker');
+const biasProjection = require('./biasProjection');
+const dailyBiasProjection = require('./dailyBiasProjection');
+const fourHrBiasProjection = require('./fourHrBiasProjection');
+const componentSignals = require('./componentSignals');
+const symbolRegistry = require('./symbolRegistry');
+const { SERIES_METRICS } = require('./storageAdapter');
+
+const PERP_EXCHANGES = ['hyperliquid', 'binance', 'bybit', 'nado', 'asterdex'];
+const SPOT_EXCHANGES = ['binance', 'bybit', 'coinbase'];
+
+// Same preference order as winRateTracker's stored price path
+const PRICE_EXCHANGES = ['binance', 'hyperliquid', 'bybit'];
+
+const DEFAULT_STEP_MS = 15 * 60 * 1000;
+const DEFAULT_LOOKBACK_MS = 24 * 60 * 60 * 1000; // Matches the live in-memory window
+const MAX_PRICE_AGE_MS = 15 * 60 * 1000;         // Older evaluation prices are inconclusive
+const MAX_STEPS = 5000;
+
+// Weight tables that can be overridden per run
+const WEIGHT_TABLES = {
+  WEIGHTS: biasProjection.WEIGHTS,
+  WEIGHTS_24H: dailyBiasProjection.WEIGHTS_24H,
+  WEIGHTS_4HR: fourHrBiasProjection.WEIGHTS_4HR
+};
+
+// Projection type -> generator, mirroring what server.js records
+const PROJECTION_TYPES = {
+  '12hr': (coin, view) => biasProjection.generateProjection(coin, view),
+  '4hr': (coin, view) => biasProjection.generateProjection(coin, view),
+  'daily': (coin, view) => dailyBiasProjection.generateDailyBias(coin, view),
+  '4hr-composite': (coin, view) => fourHrBiasProjection.generate4HrBias(coin, view),
+  'oi-4hr': (coin, view) => {
+    const signal = componentSignals.generateOISignal(coin, view);
+    return signal ? componentSignals.formatAsProjection(signal) : null;
+  },
+  'cvd-2hr': (coin, view) => {
+    const signal = componentSignals.generateCVDSignal(coin, view);
+    return signal ? componentSignals.formatAsProjection(signal) : null;
+  }
+};
+
+// DataStore read methods the projections (and the modules they call) use
+const VIEW_METHODS = [
+  'getExchangeData',
+  'getCurrentSnapshot',
+  'getAggregatedSpotCvdHistory',
+  'getAggregatedPerpCvdHistory',
+  'getLiquidations',
+  'getEtfFlows',
+  'getEtfFlowHistory'
+];
+
+const DataStore = Object.getPrototypeOf(dataStore);
+
+/**
+ * Entries with from < time <= to (entries sorted by time)
+ */
+function sliceByTime(entries, timeKey, from, to) {
+  const lowerBound = (target) => {
+    let lo = 0;
+    let hi = entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (entries[mid][timeKey] <= target) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  return entries.slice(lowerBound(from), lowerBound(to));
+}
+
+// ============== TIME-SLICED DATASTORE VIEW ==============
+
+class ReplayDataStoreView {
+  /**
+   * @param {object} source - live DataStore to read history from
+   * @param {object} options - { coins, from, to, lookbackMs }
+   */
+  constructor(source, { coins, from, to, lookbackMs = DEFAULT_LOOKBACK_MS }) {
+    this.coins = coins;
+    this.lookbackMs = lookbackMs;
+    this.cursor = null;
+
+    // Preload everything the replay can touch once, slice per step
+    const range = { from: from - lookbackMs, to };
+    this.series = {};
+    for (const exchange of PERP_EXCHANGES) {
+      this.series[exchange] = {};
+      for (const metric of Object.keys(SERIES_METRICS)) {
+        this.series[exchange][metric] = {};
+        for (const coin of coins) {
+          this.series[exchange][metric][coin] = source.getHistory(exchange, metric, coin, range);
+        }
+      }
+    }
+
+    this.spotCvd = {};
+    for (const exchange of SPOT_EXCHANGES) {
+      this.spotCvd[exchange] = {};
+      for (const coin of coins) {
+        this.spotCvd[exchange][coin] = (source.data.spotCvd[exchange]?.[coin]?.history || [])
+          .filter(e => e && e.time)
+          .sort((a, b) => a.time - b.time);
+      }
+    }
+
+    this.liquidations = {};
+    for (const coin of coins) {
+      this.liquidations[coin] = [...source.getLiquidations(coin)].sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    this.data = null;
+    this.lastUpdate = {};
+  }
+
+  /**
+   * Move the view to a timestamp: only data at or before it is visible
+   */
+  at(timestamp) {
+    const from = timestamp - this.lookbackMs;
+    const data = {};
+
+    for (const exchange of PERP_EXCHANGES) {
+      const section = DataStore.createEmptyExchangeData.call(this);
+      let lastUpdate = null;
+      for (const metric of Object.keys(SERIES_METRICS)) {
+        const { timeKey } = SERIES_METRICS[metric];
+        for (const coin of this.coins) {
+          const entries = sliceByTime(this.series[exchange][metric][coin], timeKey, from, timestamp);
+          section[metric][coin] = entries;
+
+          const last = entries[entries.length - 1];
+          if (!last) continue;
+          lastUpdate = Math.max(lastUpdate || 0, last[timeKey]);
+          if (metric === 'orderbook') {
+            section.current.orderbook[coin] = { imbalance: last.imbalance, bidDepth: last.bidDepth, askDepth: last.askDepth };
+          } else {
+            section.current[metric][coin] = last[SERIES_METRICS[metric].valueKey];
+          }
+        }
+      }
+      data[exchange] = section;
+      this.lastUpdate[exchange] = lastUpdate;
+    }
+
+    data.spotCvd = {};
+    for (const exchange of SPOT_EXCHANGES) {
+      data.spotCvd[exchange] = {};
+      for (const coin of this.coins) {
+        const history = sliceByTime(this.spotCvd[exchange][coin], 'time', from, timestamp);
+        data.spotCvd[exchange][coin] = { current: history[history.length - 1] || null, history };
+      }
+    }
+
+    data.liquidations = {};
+    for (const coin of this.coins) {
+      data.liquidations[coin] = sliceByTime(this.liquidations[coin], 'timestamp', from, timestamp);
+    }
+
+    // ETF flows only exist as the latest state
+    data.etfFlows = { lastUpdated: null, marketStatus: null, today: null, history: [] };
+
+    this.data = data;
+    this.cursor = timestamp;
+    return this;
+  }
+
+  /**
+   * Price at or before a timestamp, preferring Binance like the live tracker
+   */
+  getPriceAt(coin, timestamp, maxAgeMs = MAX_PRICE_AGE_MS) {
+    for (const exchange of PRICE_EXCHANGES) {
+      const entries = sliceByTime(this.series[exchange].price[coin], 'timestamp', timestamp - maxAgeMs, timestamp);
+      const last = entries[entries.length - 1];
+      if (last && last.value > 0) return last.value;
+    }
+    return null;
+  }
+
+  /**
+   * Recorded price path between two timestamps, or null if it has gaps
+   */
+  getPricePath(coin, from, to) {
+    for (const exchange of PRICE_EXCHANGES) {
+      const entries = sliceByTime(this.series[exchange].price[coin], 'timestamp', from, to);
+      const points = winRateTracker.buildStoredPath(entries, from, to);
+      if (points) return { source: 'stored', points };
+    }
+    return null;
+  }
+}
+
+// Read methods reuse the DataStore implementations against the sliced data;
+// anything that writes is rejected
+for (const method of VIEW_METHODS) {
+  ReplayDataStoreView.prototype[method] = function (...args) {
+    if (this.data === null) {
+      throw new Error('ReplayDataStoreView: call at(timestamp) before reading');
+    }
+    return DataStore[method].apply(this, args);
+  };
+}
+ReplayDataStoreView.prototype.createEmptyExchangeData = DataStore.createEmptyExchangeData;
+for (const method of Object.getOwnPropertyNames(DataStore)) {
+  if (/^(add|update|set|save|load|cleanup)/.test(method)) {
+    ReplayDataStoreView.prototype[method] = () => {
+      throw new Error(`ReplayDataStoreView is read-only (${method})`);
+    };
+  }
+}
+
+// ============== CLOCK & CONTEXT ==============
+
+/**
+ * Run fn with Date.now() pinned to timestamp and the DataStore singleton's
+ * read methods routed to the view. Collectors, liquidation and zone signals
+ * read the singleton directly, so they see the replayed moment too.
+ * fn must be synchronous - nothing else can run while the clock is pinned.
+ */
+function withReplayContext(view, timestamp, fn) {
+  const realNow = Date.now;
+  Date.now = () => timestamp;
+  for (const method of VIEW_METHODS) {
+    dataStore[method] = view[method].bind(view);
+  }
+
+  try {
+    return fn();
+  } finally {
+    Date.now = realNow;
+    for (const method of VIEW_METHODS) {
+      delete dataStore[method];
+    }
+  }
+}
+
+/**
+ * Temporarily override weight tables, e.g. { WEIGHTS: { oiRoC: 0.3 } }
+ * Returns a restore function
+ */
+function applyWeights(overrides = {}) {
+  const saved = {};
+  for (const [table, values] of Object.entries(overrides)) {
+    const target = WEIGHT_TABLES[table];
+    if (!target) {
+      throw new Error(`Unknown weight table: ${table} (valid: ${Object.keys(WEIGHT_TABLES).join(', ')})`);
+    }
+    for (const key of Object.keys(values)) {
+      if (!(key in target)) {
+        throw new Error(`Unknown weight ${table}.${key}`);
+      }
+    }
+    saved[table] = { ...target };
+    Object.assign(target, values);
+  }
+
+  return () => {
+    for (const [table, values] of Object.entries(saved)) {
+      Object.assign(WEIGHT_TABLES[table], values);
+    }
+  };
+}
+
+// ============== REPLAY ==============
+
+/**
+ * Summarize scored predictions (same counting as winRateTracker.recalculateStats)
+ */
+function summarize(predictions) {
+  const evaluated = predictions.filter(p => p.evaluated && p.outcome !== 'inconclusive');
+  const correct = evaluated.filter(p => p.outcome === 'correct').length;
+  const strong = evaluated.filter(p => p.strength === 'STRONG');
+  const strongCorrect = strong.filter(p => p.outcome === 'correct').length;
+
+  return {
+    total: evaluated.length,
+    correct,
+    winRate: evaluated.length > 0 ? (correct / evaluated.length) * 100 : 0,
+    strongTotal: strong.length,
+    strongCorrect,
+    strongWinRate: strong.length > 0 ? (strongCorrect / strong.length) * 100 : 0,
+    inconclusive: predictions.filter(p => p.outcome === 'inconclusive').length,
+    pending: predictions.filter(p => !p.evaluated).length
+  };
+}
+
+/**
+ * Replay projections over recorded history
+ * @param {object} options
+ * @param {string[]} options.coins - registry symbols (default: all)
+ * @param {string[]} options.types - projection types (default: 12hr, daily)
+ * @param {number} options.from - first replay timestamp (ms)
+ * @param {number} options.to - last replay timestamp (ms, default: now)
+ * @param {number} options.stepMs - time between replay steps
+ * @param {number} options.lookbackMs - history visible at each step
+ * @param {object} options.weights - weight overrides, e.g. { WEIGHTS_24H: { etfFlows: 0 } }
+ * @param {object} options.source - DataStore to read from (default: live singleton)
+ * @returns {object} - { config, summary, byCoin, predictions }
+ */
+function runReplay({
+  coins = symbolRegistry.getCoins(),
+  types = ['12hr', 'daily'],
+  from,
+  to = Date.now(),
+  stepMs = DEFAULT_STEP_MS,
+  lookbackMs = DEFAULT_LOOKBACK_MS,
+  weights = {},
+  source = dataStore
+} = {}) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || !from || from >= to) {
+    throw new Error('Replay needs finite from < to');
+  }
+  // A zero, negative or NaN step would never advance the loop
+  if (!Number.isFinite(stepMs) || stepMs <= 0) {
+    throw new Error('stepMs must be a positive number');
+  }
+  if (!Number.isFinite(lookbackMs) || lookbackMs < 0) {
+    throw new Error('lookbackMs must be a finite number of at least 0');
+  }
+  const unknownType = types.find(t => !PROJECTION_TYPES[t]);
+  if (unknownType) {
+    throw new Error(`Unknown projection type: ${unknownType} (valid: ${Object.keys(PROJECTION_TYPES).join(', ')})`);
+  }
+  const unknownCoin = coins.find(c => !symbolRegistry.isSupported(c));
+  if (unknownCoin) {
+    throw new Error(`Unknown coin: ${unknownCoin}`);
+  }
+  if ((to - from) / stepMs > MAX_STEPS) {
+    throw new Error(`Too many replay steps (max ${MAX_STEPS}) - increase stepMs or shorten the range`);
+  }
+
+  const startedAt = Date.now();
+  const maxDelay = Math.max(...types.map(t => winRateTracker.getEvaluationDelay(t)));
+  const view = new ReplayDataStoreView(source, {
+    coins,
+    from,
+    to: Math.min(to + maxDelay, startedAt),
+    lookbackMs
+  });
+
+  const predictions = [];
+  const lastRecorded = {};
+  const restoreWeights = applyWeights(weights);
+
+  try {
+    for (let ts = from; ts <= to; ts += stepMs) {
+      view.at(ts);
+      for (const coin of coins) {
+        for (const type of types) {
+          // Live recording cooldown per coin+type
+          const key = `${coin}_${type}`;
+          if (lastRecorded[key] && ts - lastRecorded[key] < winRateTracker.getRecordCooldown(type)) continue;
+
+          const projection = withReplayContext(view, ts, () => PROJECTION_TYPES[type](coin, view));
+          if (!projection || (projection.status && projection.status !== 'ACTIVE')) continue;
+          if (!projection.currentPrice || !projection.prediction) continue;
+
+          predictions.push(winRateTracker.buildPrediction(coin, projection, type, ts));
+          lastRecorded[key] = ts;
+        }
+      }
+    }
+  } finally {
+    restoreWeights();
+  }
+
+  // Score along the recorded path once each prediction's delay has passed;
+  // with gaps in the recording only the price at the horizon is scored
+  for (const prediction of predictions) {
+    const evaluateAt = prediction.timestamp + winRateTracker.getEvaluationDelay(prediction.projectionType);
+    if (evaluateAt > startedAt) continue; // Still pending in real time
+    const path = view.getPricePath(prediction.coin, prediction.timestamp, evaluateAt);
+    if (path) {
+      winRateTracker.scorePredictionPath(prediction, path, evaluateAt);
+    } else {
+      winRateTracker.scorePrediction(prediction, view.getPriceAt(prediction.coin, evaluateAt), evaluateAt);
+    }
+  }
+
+  const summary = {};
+  const byCoin = {};
+  for (const type of types) {
+    summary[type] = summarize(predictions.filter(p => p.projectionType === type));
+    byCoin[type] = {};
+    for (const coin of coins) {
+      byCoin[type][coin] = summarize(predictions.filter(p => p.projectionType === type && p.coin === coin));
+    }
+  }
+
+  return {
+    config: { coins, types, from, to, stepMs, lookbackMs, weights },
+    durationMs: Date.now() - startedAt,
+    summary,
+    byCoin,
+    predictions
+  };
+}
+
+module.exports = {
+  runReplay,
+  ReplayDataStoreView,
+  withReplayContext,
+  applyWeights,
+  PROJECTION_TYPES,
+  WEIGHT_TABLES
+};
@@ -9,6 +9,7 @@ const express = require('express');
 const cors = require('cors');
 const dataStore = require('./dataStore');
 const { startDataCollection, getHyperliquidFlow, getBinancePerpFlow, getBybitPerpFlow } = require('./dataCollector');
+const hyperliquidWsCollector = require('./hyperliquidWsCollector');
 const { startSpotDataCollection, getSpotCvd, getAllSpotCvd, detectSpotPerpDivergence, getFlow: getBinanceSpotFlow } = require('./spotDataCollector');
 const coinbaseSpotCollector = require('./coinbaseSpotCollector');
 const bybitSpotCollector = require('./bybitSpotCollector');
@@ -16,16 +17,31 @@ const binancePerpCollector = require('./binancePerpCollector');
 const bybitPerpCollector = require('./bybitPerpCollector');
 const { startEtfFlowCollection, getCollectorStatus: getEtfStatus, onDataChange: onEtfDataChange } = require('./etfFlowCollector');
 const liquidationCollector = require('./liquidationCollector');
+const liquidationHistory = require('./liquidationHistory');
+const orderbookAnalytics = require('./orderbookAnalytics');
 const liquidationZoneCalculator = require('./liquidationZoneCalculator');
 const whaleWatcher = require('./whaleWatcher');
+const whalePatternDetector = require('./whalePatternDetector');
 const biasProjection = require('./biasProjection');
 const dailyBiasProjection = require('./dailyBiasProjection');
 const fourHrBiasProjection = require('./fourHrBiasProjection');
 const winRateTracker = require('./winRateTracker');
+const projectionAudit = require('./projectionAudit');
+const projectionDiff = require('./projectionDiff');
 const backtestApi = require('./backtestApi');
+const replayBacktester = require('./replayBacktester');
+const weightOptimizer = require('./weightOptimizer');
 const vwapCalculator = require('./vwapCalculator');
 const componentSignals = require('./componentSignals');
 const longShortCollector = require('./longShortCollector');
+const fundingHistoryCollector = require('./fundingHistoryCollector');
+const leaderboardCollector = require('./leaderboardCollector');
+const traderScoring = require('./traderScoring');
+const walletWatchlist = require('./walletWatchlist');
+const symbolRegistry = require('./symbolRegistry');
+const streamHub = require('./streamHub');
+const alertEngine = require('./alertEngine');
+const { requireAdmin } = require('./adminAuth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -47,6 +63,145 @@ const CACHE_TTL = {
 // VWAP refresh interval (10 minutes)
 const VWAP_REFRESH_MS = 10 * 60 * 1000;
 
+// Projection refresh for stream clients and alert rules (regenerates only when a cache entry expires)
+const PROJECTION_REFRESH_MS = 60 * 1000;
+
+// ============== PROJECTION GENERATION ==============
+// Shared by the REST routes and the projection refresher. A projection is only
+// regenerated once its cache entry expires; every generated projection goes to
+// the audit trail, and fresh ACTIVE ones get a diff against the previous one,
+// are recorded for win-rate tracking, pushed to /api/stream clients and
+// checked against alert rules.
+
+/**
+ * Record a generated projection and attach `changes` (what moved since the
+ * previous ACTIVE projection) to ACTIVE ones
+ */
+function auditProjection(type, coin, projection) {
+  const previous = projection.status === 'ACTIVE' ? projectionAudit.getLatest(type, coin) : null;
+  const record = projectionAudit.recordProjection(type, coin, projection);
+  if (record && record.status === 'ACTIVE') {
+    projection.changes = projectionDiff.diffProjections(previous, record);
+  }
+}
+
+function announceProjection(type, coin, projection) {
+  streamHub.publishProjection(type, coin, projection);
+  alertEngine.handleProjection(type, coin, projection);
+}
+
+/**
+ * 12hr projection for a coin (cached 1 hour)
+ */
+function getProjection(upperCoin) {
+  const now = Date.now();
+  const cached = biasCache['12hr'][upperCoin];
+
+  // Check if cache is valid
+  if (cached && (now - cached.generatedAt) < CACHE_TTL['12hr']) {
+    // Return cached projection with updated freshness info
+    const projection = { ...cached.data };
+    projection.historicalPerformance = winRateTracker.getStats(upperCoin);
+    return projection;
+  }
+
+  // Generate new projection
+  const projection = biasProjection.generateProjection(upperCoin, dataStore, dataStore.getWhaleConsensus().consensus);
+  auditProjection('12hr', upperCoin, projection);
+
+  // Cache the projection (only if ACTIVE status)
+  if (projection.status === 'ACTIVE') {
+    biasCache['12hr'][upperCoin] = {
+      data: projection,
+      generatedAt: projection.generatedAt || now
+    };
+    winRateTracker.recordPrediction(upperCoin, projection);
+
+    // Record 4hr composite (same projection, shorter eval window)
+    winRateTracker.recordPrediction(upperCoin, projection, '4hr');
+
+    // Record standalone component signals
+    const oiSignal = componentSignals.generateOISignal(upperCoin, dataStore);
+    if (oiSignal) {
+      const oiProjection = componentSignals.formatAsProjection(oiSignal);
+      winRateTracker.recordPrediction(upperCoin, oiProjection, 'oi-4hr');
+    }
+
+    const cvdSignal = componentSignals.generateCVDSignal(upperCoin, dataStore);
+    if (cvdSignal) {
+      const cvdProjection = componentSignals.formatAsProjection(cvdSignal);
+      winRateTracker.recordPrediction(upperCoin, cvdProjection, 'cvd-2hr');
+    }
+  }
+
+  // Add win rate stats to response
+  projection.historicalPerformance = winRateTracker.getStats(upperCoin);
+
+  if (projection.status === 'ACTIVE') {
+    announceProjection('12hr', upperCoin, projection);
+  }
+
+  return projection;
+}
+
+/**
+ * 4hr bias (BTC only, cached 30 minutes)
+ */
+function get4HrBias(upperCoin) {
+  const now = Date.now();
+  const cached = biasCache['4hr'][upperCoin];
+
+  // Check if cache is valid
+  if (cached && (now - cached.generatedAt) < CACHE_TTL['4hr']) {
+    return cached.data;
+  }
+
+  // Generate new 4hr bias
+  const fourHrBias = fourHrBiasProjection.generate4HrBias(upperCoin, dataStore);
+  auditProjection('4hr', upperCoin, fourHrBias);
+
+  // Cache the bias (only if ACTIVE status)
+  if (fourHrBias.status === 'ACTIVE') {
+    biasCache['4hr'][upperCoin] = {
+      data: fourHrBias,
+      generatedAt: fourHrBias.generatedAt || now
+    };
+    winRateTracker.recordPrediction(upperCoin, fourHrBias, '4hr-composite');
+    announceProjection('4hr', upperCoin, fourHrBias);
+  }
+
+  return fourHrBias;
+}
+
+/**
+ * 24hr daily bias for a coin (cached 4 hours)
+ */
+function getDailyBias(upperCoin) {
+  const now = Date.now();
+  const cached = biasCache.daily[upperCoin];
+
+  // Check if cache is valid
+  if (cached && (now - cached.generatedAt) < CACHE_TTL.daily) {
+    return cached.data;
+  }
+
+  // Generate new daily bias
+  const dailyBias = dailyBiasProjection.generateDailyBias(upperCoin, dataStore, dataStore.getWhaleConsensus().consensus);
+  auditProjection('daily', upperCoin, dailyBias);
+
+  // Cache the bias (only if ACTIVE status)
+  if (dailyBias.status === 'ACTIVE') {
+    biasCache.daily[upperCoin] = {
+      data: dailyBias,
+      generatedAt: dailyBias.generatedAt || now
+    };
+    winRateTracker.recordPrediction(upperCoin, dailyBias, 'daily');
+    announceProjection('daily', upperCoin, dailyBias);
+  }
+
+  return dailyBias;
+}
+
 // ============== MIDDLEWARE ==============
 
 app.use(cors());
@@ -139,14 +294,170 @@ app.get('/api/snapshot/:exchange', (req, res) => {
 
 /**
  * Get recent whale trades
- * GET /api/whale-trades
+ * GET /api/whale-trades?limit=100&symbol=ETH
+ *
+ * BTC, ETH and SOL on every venue, stored above per-symbol notional thresholds
  */
 app.get('/api/whale-trades', (req, res) => {
   const limit = parseInt(req.query.limit) || 100;
-  const trades = dataStore.getWhaleTrades(limit);
+  const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : null;
+  const trades = symbol
+    ? dataStore.getWhaleTrades(500).filter(t => t.symbol === symbol).slice(0, limit)
+    : dataStore.getWhaleTrades(limit);
   res.json(trades);
 });
 
+/**
+ * Get detected TWAP / iceberg patterns
+ * GET /api/whale-patterns?symbol=BTC&pattern=TWAP&limit=50
+ *
+ * Episodes are updated in place while they grow; most recently active first (24h kept)
+ */
+app.get('/api/whale-patterns', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : null;
+  const pattern = req.query.pattern ? String(req.query.pattern).toUpperCase() : null;
+
+  res.json({
+    patterns: dataStore.getWhalePatterns({ symbol, pattern, limit }),
+    detector: whalePatternDetector.getDetectorStatus()
+  });
+});
+
+/**
+ * Get top trader consensus (Hyperliquid leaderboard)
+ * GET /api/whales/consensus
+ *
+ * Returns per-coin long/short positions of the top N traders,
+ * the flat position list and the ranked leaderboard. Positions carry
+ * smart-money score/weight and each coin a `weighted` long/short split.
+ */
+app.get('/api/whales/consensus', (req, res) => {
+  res.json({
+    status: leaderboardCollector.getCollectorStatus(),
+    scoring: traderScoring.getScoringConfig(),
+    ...dataStore.getWhaleConsensus()
+  });
+});
+
+/**
+ * Get smart-money scores of tracked traders
+ * GET /api/whales/scores
+ *
+ * Returns accuracy / consistency / size components, score and consensus weight, best first
+ */
+app.get('/api/whales/scores', (req, res) => {
+  res.json({
+    scoring: traderScoring.getScoringConfig(),
+    traders: traderScoring.getScores()
+  });
+});
+
+/**
+ * Get top trader position changes
+ * GET /api/whales/changes?coin=BTC&since=<ms>&limit=100
+ *
+ * Returns entry/flip/increase/decrease/exit events, newest first (24h kept)
+ */
+app.get('/api/whales/changes', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const since = parseInt(req.query.since, 10) || 0;
+  const coin = req.query.coin ? String(req.query.coin).toUpperCase() : null;
+
+  res.json({
+    changes: dataStore.getWhalePositionChanges({ coin, since, limit })
+  });
+});
+
+/**
+ * Get pinned wallets
+ * GET /api/watchlist
+ */
+app.get('/api/watchlist', (req, res) => {
+  res.json({ wallets: walletWatchlist.getWallets() });
+});
+
+/**
+ * Pin a Hyperliquid address (first snapshot is taken right away; admin token required)
+ * POST /api/watchlist  { address, label }
+ */
+app.post('/api/watchlist', requireAdmin, (req, res) => {
+  try {
+    res.status(201).json(walletWatchlist.addWallet(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to add wallet', message: error.message });
+  }
+});
+
+/**
+ * Unpin an address (its history is dropped; admin token required)
+ * DELETE /api/watchlist/:address
+ */
+app.delete('/api/watchlist/:address', requireAdmin, (req, res) => {
+  if (!walletWatchlist.removeWallet(req.params.address)) {
+    return res.status(404).json({ error: 'Wallet not found' });
+  }
+  res.json({ deleted: req.params.address.toLowerCase() });
+});
+
+/**
+ * Position / PnL history of a pinned address
+ * GET /api/watchlist/:address/history?coin=BTC&from=<ms>&to=<ms>&format=csv
+ *
+ * Returns snapshots oldest first; format=csv downloads one row per position per snapshot
+ */
+app.get('/api/watchlist/:address/history', (req, res) => {
+  const coin = req.query.coin ? String(req.query.coin).toUpperCase() : null;
+  const from = parseInt(req.query.from, 10) || 0;
+  const to = parseInt(req.query.to, 10) || Date.now();
+
+  const wallet = walletWatchlist.getWallet(req.params.address);
+  if (!wallet) {
+    return res.status(404).json({ error: 'Wallet not found' });
+  }
+  const snapshots = walletWatchlist.getHistory(wallet.address, { coin, from, to });
+
+  if (req.query.format === 'csv') {
+    const filename = `${wallet.address.slice(0, 10)}${coin ? `-${coin}` : ''}-history.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(walletWatchlist.toCsv(snapshots, coin));
+  }
+
+  res.json({
+    address: wallet.address,
+    label: wallet.label,
+    coin,
+    count: snapshots.length,
+    snapshots
+  });
+});
+
+/**
+ * Real-time push channel (Server-Sent Events)
+ * GET /api/stream?exchanges=hyperliquid,binance
+ *
+ * Events: hello, snapshot, whaleTrade, liquidation, positionChange, projection (see streamHub.js)
+ */
+app.get('/api/stream', (req, res) => {
+  const validExchanges = ['hyperliquid', 'binance', 'bybit', 'nado', 'asterdex'];
+  const exchanges = req.query.exchanges
+    ? String(req.query.exchanges).split(',').map(e => e.trim().toLowerCase())
+    : validExchanges;
+
+  const invalid = exchanges.filter(e => !validExchanges.includes(e));
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid exchange',
+      validExchanges
+    });
+  }
+
+  if (!streamHub.addClient(req, res, exchanges)) {
+    res.status(503).json({ error: 'Too many stream clients' });
+  }
+});
+
 /**
  * Get VWAP levels for a coin
  * GET /api/vwap/:coin
@@ -173,6 +484,84 @@ app.get('/api/vwap/:coin', (req, res) => {
   res.json(vwapData);
 });
 
+/**
+ * Get tracked symbols from the registry
+ * GET /api/symbols
+ *
+ * Drives the coin list on the dashboard and the valid :coin params below
+ */
+app.get('/api/symbols', (req, res) => {
+  res.json({
+    symbols: symbolRegistry.getPublicConfig(),
+    coins: symbolRegistry.getCoins()
+  });
+});
+
+// Bar sizes accepted by /api/history/:coin
+const HISTORY_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000
+};
+
+/**
+ * Get persisted market history for a coin, aligned into bars
+ * GET /api/history/:coin?exchange=hyperliquid&from=<ms>&to=<ms>&interval=5m
+ *
+ * Feeds the frontend backtest engine. Defaults to the last 24 hours; older
+ * ranges need the sqlite storage adapter (DATASTORE_ADAPTER=sqlite)
+ */
+app.get('/api/history/:coin', (req, res) => {
+  const upperCoin = req.params.coin.toUpperCase();
+  const exchange = req.query.exchange || 'hyperliquid';
+  const interval = req.query.interval || '5m';
+  const validExchanges = ['hyperliquid', 'binance', 'bybit', 'nado', 'asterdex'];
+
+  if (!symbolRegistry.isSupported(upperCoin)) {
+    return res.status(400).json({
+      error: 'Invalid coin',
+      validCoins: symbolRegistry.getCoins()
+    });
+  }
+  if (!validExchanges.includes(exchange)) {
+    return res.status(400).json({
+      error: 'Invalid exchange',
+      validExchanges
+    });
+  }
+  if (!HISTORY_INTERVALS[interval]) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      validIntervals: Object.keys(HISTORY_INTERVALS)
+    });
+  }
+
+  try {
+    const to = req.query.to ? parseInt(req.query.to, 10) : Date.now();
+    const from = req.query.from ? parseInt(req.query.from, 10) : to - 24 * 60 * 60 * 1000;
+    const bars = dataStore.getHistoryBars(exchange, upperCoin, {
+      from,
+      to,
+      interval: HISTORY_INTERVALS[interval]
+    });
+
+    res.json({
+      coin: upperCoin,
+      exchange,
+      interval,
+      from,
+      to,
+      count: bars.length,
+      bars
+    });
+  } catch (error) {
+    console.error('[History Error]', error);
+    res.status(500).json({ error: 'Failed to fetch history', message: error.message });
+  }
+});
+
 /**
  * Get server statistics
  * GET /api/stats
@@ -194,6 +583,10 @@ app.get('/api/stats', (req, res) => {
       rss: (memUsage.rss / 1024 / 1024).toFixed(2) + ' MB',
       external: (memUsage.external / 1024 / 1024).toFixed(2) + ' MB'
     },
+    collectors: {
+      hyperliquid: hyperliquidWsCollector.getStatus()
+    },
+    projectionAudit: projectionAudit.getStatus(),
     dataStore: stats
   });
 });
@@ -202,13 +595,13 @@ app.get('/api/stats', (req, res) => {
  * Get 8-12 hour bias projection for a coin
  * GET /api/:coin/projection
  *
- * Returns predictive bias analysis for BTC, ETH, or SOL
+ * Returns predictive bias analysis for any registry symbol (BTC, ETH, SOL, ...)
  * Cached for 1 hour to preserve accurate generatedAt timestamps
  */
 app.get('/api/:coin/projection', (req, res) => {
   const { coin } = req.params;
   const upperCoin = coin.toUpperCase();
-  const validCoins = ['btc', 'eth', 'sol'];
+  const validCoins = symbolRegistry.getCoins().map(c => c.toLowerCase());
 
   if (!validCoins.includes(coin.toLowerCase())) {
     return res.status(400).json({
@@ -218,49 +611,7 @@ app.get('/api/:coin/projection', (req, res) => {
   }
 
   try {
-    const now = Date.now();
-    const cached = biasCache['12hr'][upperCoin];
-
-    // Check if cache is valid
-    if (cached && (now - cached.generatedAt) < CACHE_TTL['12hr']) {
-      // Return cached projection with updated freshness info
-      const projection = { ...cached.data };
-      projection.historicalPerformance = winRateTracker.getStats(upperCoin);
-      return res.json(projection);
-    }
-
-    // Generate new projection
-    const projection = biasProjection.generateProjection(upperCoin, dataStore);
-
-    // Cache the projection (only if ACTIVE status)
-    if (projection.status === 'ACTIVE') {
-      biasCache['12hr'][upperCoin] = {
-        data: projection,
-        generatedAt: projection.generatedAt || now
-      };
-      winRateTracker.recordPrediction(upperCoin, projection);
-
-      // Record 4hr composite (same projection, shorter eval window)
-      winRateTracker.recordPrediction(upperCoin, projection, '4hr');
-
-      // Record standalone component signals
-      const oiSignal = componentSignals.generateOISignal(upperCoin, dataStore);
-      if (oiSignal) {
-        const oiProjection = componentSignals.formatAsProjection(oiSignal);
-        winRateTracker.recordPrediction(upperCoin, oiProjection, 'oi-4hr');
-      }
-
-      const cvdSignal = componentSignals.generateCVDSignal(upperCoin, dataStore);
-      if (cvdSignal) {
-        const cvdProjection = componentSignals.formatAsProjection(cvdSignal);
-        winRateTracker.recordPrediction(upperCoin, cvdProjection, 'cvd-2hr');
-      }
-    }
-
-    // Add win rate stats to response
-    projection.historicalPerformance = winRateTracker.getStats(upperCoin);
-
-    res.json(projection);
+    res.json(getProjection(upperCoin));
   } catch (error) {
     console.error('[Projection Error]', error);
     res.status(500).json({
@@ -291,27 +642,7 @@ app.get('/api/:coin/4hr-bias', (req, res) => {
   }
 
   try {
-    const now = Date.now();
-    const cached = biasCache['4hr'][upperCoin];
-
-    // Check if cache is valid
-    if (cached && (now - cached.generatedAt) < CACHE_TTL['4hr']) {
-      return res.json(cached.data);
-    }
-
-    // Generate new 4hr bias
-    const fourHrBias = fourHrBiasProjection.generate4HrBias(upperCoin, dataStore);
-
-    // Cache the bias (only if ACTIVE status)
-    if (fourHrBias.status === 'ACTIVE') {
-      biasCache['4hr'][upperCoin] = {
-        data: fourHrBias,
-        generatedAt: fourHrBias.generatedAt || now
-      };
-      winRateTracker.recordPrediction(upperCoin, fourHrBias, '4hr-composite');
-    }
-
-    res.json(fourHrBias);
+    res.json(get4HrBias(upperCoin));
   } catch (error) {
     console.error('[4hr Bias Error]', error);
     res.status(500).json({
@@ -331,7 +662,7 @@ app.get('/api/:coin/4hr-bias', (req, res) => {
 app.get('/api/:coin/daily-bias', (req, res) => {
   const { coin } = req.params;
   const upperCoin = coin.toUpperCase();
-  const validCoins = ['btc', 'eth', 'sol'];
+  const validCoins = symbolRegistry.getCoins().map(c => c.toLowerCase());
 
   if (!validCoins.includes(coin.toLowerCase())) {
     return res.status(400).json({
@@ -341,28 +672,7 @@ app.get('/api/:coin/daily-bias', (req, res) => {
   }
 
   try {
-    const now = Date.now();
-    const cached = biasCache.daily[upperCoin];
-
-    // Check if cache is valid
-    if (cached && (now - cached.generatedAt) < CACHE_TTL.daily) {
-      // Return cached daily bias
-      return res.json(cached.data);
-    }
-
-    // Generate new daily bias
-    const dailyBias = dailyBiasProjection.generateDailyBias(upperCoin, dataStore);
-
-    // Cache the bias (only if ACTIVE status)
-    if (dailyBias.status === 'ACTIVE') {
-      biasCache.daily[upperCoin] = {
-        data: dailyBias,
-        generatedAt: dailyBias.generatedAt || now
-      };
-      winRateTracker.recordPrediction(upperCoin, dailyBias, 'daily');
-    }
-
-    res.json(dailyBias);
+    res.json(getDailyBias(upperCoin));
   } catch (error) {
     console.error('[Daily Bias Error]', error);
     res.status(500).json({
@@ -377,15 +687,16 @@ app.get('/api/:coin/daily-bias', (req, res) => {
  * GET /api/:coin/liquidation-zones
  *
  * Returns estimated liquidation cascade zones with:
- * - Long liquidation zone (price level where long cascade triggers)
- * - Short liquidation zone (price level where short squeeze triggers)
+ * - Heatmap: long/short liquidation notional per 0.5% price bucket (+/-20%)
+ * - Long liquidation zone (nearest major long cluster below price)
+ * - Short liquidation zone (nearest major short cluster above price)
  * - Probability assessment (LOW/MEDIUM/HIGH)
- * - OI at risk estimates
+ * - OI at risk (cumulative notional up to each zone)
  */
 app.get('/api/:coin/liquidation-zones', (req, res) => {
   const { coin } = req.params;
   const upperCoin = coin.toUpperCase();
-  const validCoins = ['btc', 'eth', 'sol'];
+  const validCoins = symbolRegistry.getCoins().map(c => c.toLowerCase());
 
   if (!validCoins.includes(coin.toLowerCase())) {
     return res.status(400).json({
@@ -428,7 +739,7 @@ app.get('/api/win-rates/:coin?', (req, res) => {
   const { coin } = req.params;
 
   if (coin) {
-    const validCoins = ['BTC', 'ETH', 'SOL'];
+    const validCoins = symbolRegistry.getCoins();
     const upperCoin = coin.toUpperCase();
     if (!validCoins.includes(upperCoin)) {
       return res.status(400).json({
@@ -473,13 +784,27 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: 'GET /api/health',
+      symbols: 'GET /api/symbols',
+      history: 'GET /api/history/:coin',
       data: 'GET /api/data/:exchange',
       snapshot: 'GET /api/snapshot/:exchange',
       whaleTrades: 'GET /api/whale-trades',
+      whalePatterns: 'GET /api/whale-patterns',
+      liquidationHistory: 'GET /api/liquidations/:coin/history',
+      liquidationCascades: 'GET /api/liquidations/:coin/cascades',
+      orderbook: 'GET /api/orderbook/:coin',
+      whaleConsensus: 'GET /api/whales/consensus',
+      whaleChanges: 'GET /api/whales/changes',
+      whaleScores: 'GET /api/whales/scores',
+      watchlist: 'GET|POST /api/watchlist, DELETE /api/watchlist/:address, GET /api/watchlist/:address/history',
+      stream: 'GET /api/stream',
+      alerts: 'GET|POST /api/alerts, PUT|DELETE /api/alerts/:id',
       spotCvd: 'GET /api/spot-cvd/:coin?',
       etfFlows: 'GET /api/etf-flows',
+      fundingHistory: 'GET /api/funding-history/:coin',
       projection: 'GET /api/:coin/projection',
       dailyBias: 'GET /api/:coin/daily-bias',
+      projectionHistory: 'GET /api/projections/history',
       winRates: 'GET /api/win-rates/:coin?',
       predictions: 'GET /api/predictions/:coin?',
       all: 'GET /api/data/all',
@@ -499,7 +824,7 @@ app.get('/api/spot-cvd/:coin?', (req, res) => {
   const { coin } = req.params;
 
   if (coin) {
-    const validCoins = ['BTC', 'ETH', 'SOL'];
+    const validCoins = symbolRegistry.getCoins();
     const upperCoin = coin.toUpperCase();
     if (!validCoins.includes(upperCoin)) {
       return res.status(400).json({
@@ -610,6 +935,54 @@ app.get('/api/etf-flows', (req, res) => {
   });
 });
 
+/**
+ * Get settled funding history
+ * GET /api/funding-history/:coin?exchange=hyperliquid&days=90
+ *
+ * Returns backfilled settlements per exchange (all exchanges unless one is given).
+ * Rates are per settlement interval: 1H on Hyperliquid, 8H on Binance/Bybit
+ */
+app.get('/api/funding-history/:coin', (req, res) => {
+  const upperCoin = req.params.coin.toUpperCase();
+  const validExchanges = Object.keys(fundingHistoryCollector.INTERVAL_HOURS);
+
+  if (!symbolRegistry.isSupported(upperCoin)) {
+    return res.status(400).json({
+      error: 'Invalid coin',
+      validCoins: symbolRegistry.getCoins()
+    });
+  }
+  if (req.query.exchange && !validExchanges.includes(req.query.exchange)) {
+    return res.status(400).json({
+      error: 'Invalid exchange',
+      validExchanges
+    });
+  }
+
+  const days = Math.min(parseInt(req.query.days, 10) || 90, 100);
+  const to = Date.now();
+  const from = to - days * 24 * 60 * 60 * 1000;
+  const exchanges = req.query.exchange ? [req.query.exchange] : validExchanges;
+
+  const result = {};
+  exchanges.forEach(exchange => {
+    const history = fundingHistoryCollector.getFundingHistory(exchange, upperCoin, { from, to });
+    result[exchange] = {
+      ...fundingHistoryCollector.getCoverage(exchange, upperCoin),
+      history
+    };
+  });
+
+  res.json({
+    coin: upperCoin,
+    from,
+    to,
+    days,
+    status: fundingHistoryCollector.getCollectorStatus(),
+    exchanges: result
+  });
+});
+
 /**
  * Get long/short ratio data (BTC only)
  * GET /api/long-short-ratio/btc
@@ -647,7 +1020,7 @@ app.get('/api/long-short-ratio/btc', (req, res) => {
  */
 app.get('/api/liquidations/:coin?', (req, res) => {
   const { coin } = req.params;
-  const validCoins = ['BTC', 'ETH', 'SOL'];
+  const validCoins = symbolRegistry.getCoins();
 
   if (coin) {
     const upperCoin = coin.toUpperCase();
@@ -678,6 +1051,107 @@ app.get('/api/liquidations/:coin?', (req, res) => {
   });
 });
 
+/**
+ * Get liquidation candles and cascades for a time range
+ * GET /api/liquidations/:coin/history?interval=5m&from=&to=&exchange=
+ *
+ * interval: 1m (last 24h), 5m (last 7d) or 1h (last 90d); defaults to the last 24h
+ */
+app.get('/api/liquidations/:coin/history', (req, res) => {
+  const coin = req.params.coin.toUpperCase();
+  const validCoins = symbolRegistry.getCoins();
+  if (!validCoins.includes(coin)) {
+    return res.status(400).json({ error: 'Invalid coin', validCoins });
+  }
+
+  const interval = req.query.interval || '5m';
+  if (!liquidationHistory.INTERVALS[interval]) {
+    return res.status(400).json({ error: 'Invalid interval', validIntervals: Object.keys(liquidationHistory.INTERVALS) });
+  }
+
+  const to = req.query.to ? parseInt(req.query.to, 10) : Date.now();
+  const from = req.query.from ? parseInt(req.query.from, 10) : to - 24 * 60 * 60 * 1000;
+  const exchange = req.query.exchange || null;
+
+  res.json({
+    coin,
+    interval,
+    from,
+    to,
+    exchange,
+    candles: liquidationHistory.getCandles(coin, { interval, from, to, exchange }),
+    cascades: liquidationHistory.getCascades({ coin, from, to })
+  });
+});
+
+/**
+ * Get orderbook depth bands, walls and wall events (pulls / fills / suspected spoofs)
+ * GET /api/orderbook/:coin?exchange=binance&hours=6
+ *
+ * Bands are bid / ask notional within 0.1%, 0.5%, 1% and 2% of mid, summed
+ * across Binance, Bybit and Hyperliquid unless exchange is given
+ */
+app.get('/api/orderbook/:coin', (req, res) => {
+  const coin = req.params.coin.toUpperCase();
+  const validCoins = symbolRegistry.getCoins();
+  if (!validCoins.includes(coin)) {
+    return res.status(400).json({ error: 'Invalid coin', validCoins });
+  }
+
+  const hours = Math.min(parseFloat(req.query.hours) || 6, 24);
+  const exchange = req.query.exchange ? req.query.exchange.toLowerCase() : null;
+
+  res.json(orderbookAnalytics.getOrderbookAnalytics(coin, { exchange, hours }));
+});
+
+/**
+ * Get the cascade log: start, amount liquidated, price path and price 1h / 4h after
+ * GET /api/liquidations/:coin/cascades?limit=50&from=&to=
+ */
+app.get('/api/liquidations/:coin/cascades', (req, res) => {
+  const coin = req.params.coin.toUpperCase();
+  const validCoins = symbolRegistry.getCoins();
+  if (!validCoins.includes(coin)) {
+    return res.status(400).json({ error: 'Invalid coin', validCoins });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const from = parseInt(req.query.from, 10) || 0;
+  const to = parseInt(req.query.to, 10) || Date.now();
+  const cascades = liquidationHistory.getCascades({ coin, from, to, limit });
+
+  res.json({ coin, count: cascades.length, cascades });
+});
+
+/**
+ * Get stored projections with their weights, data completeness and input hashes
+ * GET /api/projections/history?coin=BTC&type=12hr&from=&to=&limit=50
+ * GET /api/projections/history?coin=BTC&type=12hr&at=<timestamp>
+ *
+ * from defaults to 24h before to; at returns the ACTIVE projection in effect at that time
+ */
+app.get('/api/projections/history', (req, res) => {
+  const coin = req.query.coin ? req.query.coin.toUpperCase() : null;
+  const validCoins = symbolRegistry.getCoins();
+  if (coin && !validCoins.includes(coin)) {
+    return res.status(400).json({ error: 'Invalid coin', validCoins });
+  }
+
+  const type = req.query.type || null;
+  if (type && !projectionAudit.TYPES.includes(type)) {
+    return res.status(400).json({ error: 'Invalid type', validTypes: projectionAudit.TYPES });
+  }
+
+  const to = parseInt(req.query.to, 10) || Date.now();
+  const from = parseInt(req.query.from, 10) || to - 24 * 60 * 60 * 1000;
+  const at = parseInt(req.query.at, 10) || null;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+  const status = req.query.status ? req.query.status.toUpperCase() : null;
+  const records = projectionAudit.getHistory({ coin, type, from, to, at, status, limit });
+
+  res.json({ coin, type, from: at ? null : from, to: at ? null : to, at, count: records.length, records });
+});
+
 // ============== BACKTEST API ENDPOINTS ==============
 
 /**
@@ -720,23 +1194,70 @@ app.get('/api/backtest/stats', (req, res) => {
   }
 });
 
+/**
+ * Get calibration analytics (reliability curve, Brier score, confidence levels, confusion matrix)
+ * GET /api/backtest/calibration?coin=BTC&type=12hr&from=&to=&buckets=10
+ */
+app.get('/api/backtest/calibration', (req, res) => {
+  try {
+    const { coin, type, from, to, buckets } = req.query;
+    const calibration = backtestApi.calculateCalibration({
+      coin,
+      type,
+      from,
+      to,
+      buckets: buckets ? Math.min(Math.max(parseInt(buckets, 10) || 10, 2), 20) : 10
+    });
+    res.json(calibration);
+  } catch (error) {
+    console.error('[Backtest Error]', error);
+    res.status(500).json({ error: 'Failed to calculate calibration', message: error.message });
+  }
+});
+
 /**
  * Get equity curve for charting
- * GET /api/backtest/equity-curve
+ * GET /api/backtest/equity-curve?coin=BTC&type=12hr&sizing=fixed|confidence|kelly
+ *   &size=1&leverage=1&feeBps=5&slippageBps=2&stopAtInvalidation=true
+ *   &stopLoss=&takeProfit=&funding=true&kellyFraction=0.5&initialCapital=10000
+ *
+ * Trades each directional prediction on its actual price move; omitted
+ * params use the defaults above.
  */
 app.get('/api/backtest/equity-curve', (req, res) => {
+  const { coin, type, from, to, sizing } = req.query;
+  if (sizing && !backtestApi.SIZING_MODES.includes(sizing)) {
+    return res.status(400).json({ error: 'Invalid sizing', validSizing: backtestApi.SIZING_MODES });
+  }
+
+  // Out-of-range numbers are clamped, unparsable ones fall back to the default
+  const number = (key, min, max) => {
+    const value = parseFloat(req.query[key]);
+    return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : undefined;
+  };
+  const flag = (key) => (req.query[key] === undefined ? undefined : !['false', '0'].includes(req.query[key]));
+
   try {
-    const { coin, type, from, to, initialCapital } = req.query;
-    const curve = backtestApi.generateEquityCurve({
+    const result = backtestApi.generateEquityCurve({
       coin,
       type,
       from,
       to,
-      initialCapital: initialCapital ? parseFloat(initialCapital) : 10000
+      sizing,
+      initialCapital: number('initialCapital', 1, 1e9),
+      size: number('size', 0, 1),
+      leverage: number('leverage', 0.1, 20),
+      feeBps: number('feeBps', 0, 100),
+      slippageBps: number('slippageBps', 0, 100),
+      stopAtInvalidation: flag('stopAtInvalidation'),
+      stopLoss: number('stopLoss', 0.01, 100),
+      takeProfit: number('takeProfit', 0.01, 100),
+      funding: flag('funding'),
+      kellyFraction: number('kellyFraction', 0, 1)
     });
     res.json({
-      points: curve.length,
-      curve
+      points: result.curve.length,
+      ...result
     });
   } catch (error) {
     console.error('[Backtest Error]', error);
@@ -759,6 +1280,162 @@ app.get('/api/backtest/streaks', (req, res) => {
   }
 });
 
+/**
+ * Search projection weights against recorded per-signal scores
+ * GET /api/backtest/optimize?table=WEIGHTS|WEIGHTS_24H&coin=BTC&folds=4&candidates=400
+ *
+ * Walk-forward validated; reports candidate weights, out-of-sample hit rate
+ * and per-signal contribution. Does not change the live weights.
+ * CPU-bound and synchronous (candidates x folds), so it needs the admin token.
+ */
+app.get('/api/backtest/optimize', requireAdmin, (req, res) => {
+  const { table, coin, folds, candidates } = req.query;
+  if (table && !weightOptimizer.TABLES[table]) {
+    return res.status(400).json({ error: 'Invalid table', validTables: Object.keys(weightOptimizer.TABLES) });
+  }
+  const foldCount = folds === undefined ? undefined : Number(folds);
+  if (foldCount !== undefined && (!Number.isInteger(foldCount) || foldCount < 2)) {
+    return res.status(400).json({
+      error: 'Invalid folds',
+      message: `folds must be an integer from 2 to ${weightOptimizer.MAX_FOLDS}`
+    });
+  }
+  const candidateCount = candidates === undefined ? undefined : parseInt(candidates, 10);
+  if (candidateCount !== undefined && !(candidateCount >= 1)) {
+    return res.status(400).json({ error: 'Invalid candidates', message: 'candidates must be a positive integer' });
+  }
+
+  try {
+    const result = weightOptimizer.optimizeWeights(winRateTracker.predictions, {
+      table,
+      coin: coin ? coin.toUpperCase() : undefined,
+      folds: foldCount,
+      candidates: candidateCount
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('[Backtest Error]', error);
+    res.status(500).json({ error: 'Failed to optimize weights', message: error.message });
+  }
+});
+
+/**
+ * Replay the real projection code over recorded history
+ * POST /api/backtest/replay
+ *
+ * Body: { coins, types, from, to, stepMinutes, lookbackHours, weights }
+ * e.g. { "types": ["12hr"], "from": 1735689600000, "weights": { "WEIGHTS": { "oiRoC": 0.30 } } }
+ * Runs synchronously - keep ranges modest on small VPS instances. Needs the admin token.
+ */
+app.post('/api/backtest/replay', requireAdmin, (req, res) => {
+  const { coins, types, from, to, stepMinutes, lookbackHours, weights } = req.body || {};
+
+  try {
+    const result = replayBacktester.runReplay({
+      coins: coins ? coins.map(c => String(c).toUpperCase()) : undefined,
+      types,
+      from: from ? parseInt(from, 10) : Date.now() - 24 * 60 * 60 * 1000,
+      to: to ? parseInt(to, 10) : undefined,
+      stepMs: stepMinutes ? parseFloat(stepMinutes) * 60 * 1000 : undefined,
+      lookbackMs: lookbackHours ? parseFloat(lookbackHours) * 60 * 60 * 1000 : undefined,
+      weights
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('[Backtest Error]', error);
+    res.status(400).json({ error: 'Failed to run replay', message: error.message });
+  }
+});
+
+// ============== ALERT RULES ==============
+
+/**
+ * List alert rules (webhook URLs masked)
+ * GET /api/alerts
+ */
+app.get('/api/alerts', (req, res) => {
+  res.json({ rules: alertEngine.getRules().map(rule => alertEngine.toPublicRule(rule)) });
+});
+
+/**
+ * Recently triggered alerts (newest first)
+ * GET /api/alerts/history?limit=50
+ */
+app.get('/api/alerts/history', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  res.json({ alerts: alertEngine.getHistory(limit) });
+});
+
+/**
+ * Get one alert rule
+ * GET /api/alerts/:id
+ */
+app.get('/api/alerts/:id', (req, res) => {
+  const rule = alertEngine.getRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  res.json(alertEngine.toPublicRule(rule));
+});
+
+/**
+ * Create an alert rule (admin token required)
+ * POST /api/alerts
+ *
+ * Body: { name, coin, condition: { type, ... }, webhook: { url, format, chatId }, cooldownMinutes, enabled }
+ * See alertEngine.js for condition types
+ */
+app.post('/api/alerts', requireAdmin, (req, res) => {
+  try {
+    res.status(201).json(alertEngine.toPublicRule(alertEngine.createRule(req.body)));
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid alert rule', message: error.message });
+  }
+});
+
+/**
+ * Update an alert rule (omitted fields are kept; admin token required)
+ * PUT /api/alerts/:id
+ */
+app.put('/api/alerts/:id', requireAdmin, (req, res) => {
+  try {
+    const rule = alertEngine.updateRule(req.params.id, req.body || {});
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json(alertEngine.toPublicRule(rule));
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid alert rule', message: error.message });
+  }
+});
+
+/**
+ * Delete an alert rule (admin token required)
+ * DELETE /api/alerts/:id
+ */
+app.delete('/api/alerts/:id', requireAdmin, (req, res) => {
+  if (!alertEngine.deleteRule(req.params.id)) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  res.json({ deleted: req.params.id });
+});
+
+/**
+ * Send a test message through a rule's webhook (admin token required)
+ * POST /api/alerts/:id/test
+ */
+app.post('/api/alerts/:id/test', requireAdmin, async (req, res) => {
+  try {
+    const delivery = await alertEngine.sendTest(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.status(delivery.ok ? 200 : 502).json(delivery);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to send test alert', message: error.message });
+  }
+});
+
 // ============== ERROR HANDLING ==============
 
 // 404 handler
@@ -817,6 +1494,15 @@ function startServer() {
   // Start long/short ratio collector (Binance Futures)
   longShortCollector.startLongShortCollection();
 
+  // Start leaderboard collector (Hyperliquid top trader positions)
+  leaderboardCollector.startLeaderboardCollection();
+
+  // Start wallet watchlist snapshots (pinned Hyperliquid addresses)
+  walletWatchlist.start();
+
+  // Start funding history collector (90-day settled funding backfill)
+  fundingHistoryCollector.startFundingHistoryCollection();
+
   // Invalidate daily bias cache when ETF data date changes
   onEtfDataChange((newDate) => {
     if (biasCache.daily.BTC) {
@@ -828,6 +1514,37 @@ function startServer() {
   // Start liquidation collector (Binance forced orders)
   liquidationCollector.start();
 
+  // Keep liquidation candles and the cascade log beyond the 2h raw window
+  liquidationHistory.startLiquidationHistory();
+
+  // Audit trail of every generated projection
+  projectionAudit.startProjectionAudit();
+
+  // ============== STREAM ==============
+
+  streamHub.start();
+
+  // Regenerate expired projections while dashboards are connected or alert
+  // rules watch them, so neither has to poll the projection routes
+  function refreshProjections() {
+    if (streamHub.getClientCount() === 0 && !alertEngine.needsProjections()) return;
+    try {
+      symbolRegistry.getCoins().forEach(coin => {
+        getProjection(coin);
+        getDailyBias(coin);
+      });
+      get4HrBias('BTC');
+    } catch (error) {
+      console.error('[Projections] Refresh failed:', error.message);
+    }
+  }
+
+  setInterval(refreshProjections, PROJECTION_REFRESH_MS);
+
+  // ============== ALERTS ==============
+
+  alertEngine.start();
+
   // ============== VWAP REFRESH ==============
 
   async function refreshVwapData() {
@@ -858,6 +1575,7 @@ function startServer() {
     console.log(`    Health:   GET http://localhost:${PORT}/api/health`);
     console.log(`    Data:     GET http://localhost:${PORT}/api/data/:exchange`);
     console.log(`    Snapshot: GET http://localhost:${PORT}/api/snapshot/:exchange`);
+    console.log(`    Stream:   GET http://localhost:${PORT}/api/stream`);
     console.log(`    SpotCVD:  GET http://localhost:${PORT}/api/spot-cvd/:coin`);
     console.log(`    Stats:    GET http://localhost:${PORT}/api/stats`);
     console.log('');
@@ -11,21 +11,17 @@
 
 const WebSocket = require('ws');
 const dataStore = require('./dataStore');
+const symbolRegistry = require('./symbolRegistry');
 
 const BINANCE_SPOT_WS = 'wss://stream.binance.com:9443/ws';
-const COINS = ['BTC', 'ETH', 'SOL'];
-const SPOT_PAIRS = {
-    BTC: 'btcusdt',
-    ETH: 'ethusdt',
-    SOL: 'solusdt'
-};
+const SPOT_PAIRS = symbolRegistry.getSymbolMap('binance', 'spot'); // { BTC: 'btcusdt', ... }
+const COINS = Object.keys(SPOT_PAIRS);
 
 // CVD tracking per coin
-const cvdState = {
-    BTC: { cumulative: 0, rolling5m: [], rolling15m: [], rolling1h: [] },
-    ETH: { cumulative: 0, rolling5m: [], rolling15m: [], rolling1h: [] },
-    SOL: { cumulative: 0, rolling5m: [], rolling15m: [], rolling1h: [] }
-};
+const cvdState = {};
+for (const coin of COINS) {
+    cvdState[coin] = { cumulative: 0, rolling5m: [], rolling15m: [], rolling1h: [] };
+}
 
 // Flow tracking for exchange flow feature (BTC only)
 const flowState = { buys: [], sells: [] };
@@ -96,7 +92,7 @@ function processTrade(trade) {
 
     let coin = null;
     for (const [c, pair] of Object.entries(SPOT_PAIRS)) {
-        if (symbol === pair) {
+        if (symbol === pair.toLowerCase()) {
             coin = c;
             break;
         }
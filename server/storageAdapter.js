@@ -0,0 +1,253 @@
+/**
+ * Storage Adapters for DataStore Persistence
+ *
+ * DataStore keeps the last 24 hours in memory and hands persistence to an
+ * adapter. Select one with the DATASTORE_ADAPTER env var:
+ *   - json   (default) rewrites data/datastore.json with the in-memory state
+ *   - sqlite appends every time-series point to data/datastore.sqlite and
+ *            retains it for DATASTORE_RETENTION_DAYS (default 90) so history
+ *            outlives the in-memory window (90-day funding baselines)
+ *
+ * Adapter interface:
+ *   name                          adapter identifier
+ *   persistsSeries                true if save() consumes appended points
+ *   load(cutoff)                  -> { savedAt, data, lastUpdate } | null
+ *   save(snapshot, points)        persist snapshot (+ points appended since last save)
+ *   queryHistory(exchange, metric, coin, from, to) -> entries | null if unsupported
+ *   prune(cutoff)                 drop persisted points older than cutoff, returns count
+ *   describe()                    info for /api/stats
+ *   close()                       flush and release resources
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Per-metric entry layout as stored in DataStore arrays
+const SERIES_METRICS = {
+  price: { timeKey: 'timestamp', valueKey: 'value' },
+  oi: { timeKey: 'timestamp', valueKey: 'value' },
+  funding: { timeKey: 'timestamp', valueKey: 'rate' },
+  cvd: { timeKey: 'time', valueKey: 'delta' },
+  orderbook: { timeKey: 'timestamp', valueKey: 'imbalance' }
+};
+
+function ensureDir(filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Exchange sections of DataStore.data carry per-metric history arrays
+ */
+function isSeriesSection(section) {
+  return !!(section && section.current && section.price);
+}
+
+// ============== JSON ADAPTER ==============
+
+class JsonStorageAdapter {
+  constructor(filePath = path.join(DATA_DIR, 'datastore.json')) {
+    this.name = 'json';
+    this.persistsSeries = false;
+    this.filePath = filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+    const raw = fs.readFileSync(this.filePath, 'utf8');
+    return JSON.parse(raw);
+  }
+
+  save(snapshot) {
+    ensureDir(this.filePath);
+    fs.writeFileSync(this.filePath, JSON.stringify(snapshot), 'utf8');
+  }
+
+  queryHistory() {
+    return null; // Only the in-memory window exists
+  }
+
+  prune() {
+    return 0;
+  }
+
+  describe() {
+    return { adapter: this.name, location: this.filePath };
+  }
+
+  close() { }
+}
+
+// ============== SQLITE ADAPTER ==============
+
+class SqliteStorageAdapter {
+  constructor(filePath = path.join(DATA_DIR, 'datastore.sqlite'), retentionDays = DEFAULT_RETENTION_DAYS) {
+    // Optional dependency, only required when this adapter is selected
+    const Database = require('better-sqlite3');
+
+    this.name = 'sqlite';
+    this.persistsSeries = true;
+    this.filePath = filePath;
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+
+    ensureDir(filePath);
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS series (
+        exchange TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        coin TEXT NOT NULL,
+        ts INTEGER NOT NULL,
+        value REAL,
+        bid_depth REAL,
+        ask_depth REAL
+      );
+      CREATE INDEX IF NOT EXISTS idx_series_lookup ON series (exchange, metric, coin, ts);
+      CREATE INDEX IF NOT EXISTS idx_series_ts ON series (ts);
+      CREATE TABLE IF NOT EXISTS state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+
+    this.insertPoint = this.db.prepare(
+      'INSERT INTO series (exchange, metric, coin, ts, value, bid_depth, ask_depth) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    );
+    this.upsertState = this.db.prepare(
+      'INSERT INTO state (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+    );
+    this.selectState = this.db.prepare('SELECT value FROM state WHERE key = ?');
+    this.selectRange = this.db.prepare(
+      'SELECT ts, value, bid_depth, ask_depth FROM series WHERE exchange = ? AND metric = ? AND coin = ? AND ts >= ? AND ts <= ? ORDER BY ts'
+    );
+    this.selectSince = this.db.prepare(
+      'SELECT exchange, metric, coin, ts, value, bid_depth, ask_depth FROM series WHERE ts >= ? ORDER BY ts'
+    );
+    this.deleteBefore = this.db.prepare('DELETE FROM series WHERE ts < ?');
+
+    this.writePoints = this.db.transaction((points) => {
+      for (const p of points) {
+        const layout = SERIES_METRICS[p.metric];
+        if (!layout) continue;
+        this.insertPoint.run(
+          p.exchange,
+          p.metric,
+          p.coin,
+          p.entry[layout.timeKey],
+          p.entry[layout.valueKey],
+          p.entry.bidDepth ?? null,
+          p.entry.askDepth ?? null
+        );
+      }
+    });
+  }
+
+  /**
+   * Convert a series row back into the DataStore entry shape
+   */
+  toEntry(metric, row) {
+    const layout = SERIES_METRICS[metric];
+    const entry = { [layout.timeKey]: row.ts, [layout.valueKey]: row.value };
+    if (metric === 'orderbook') {
+      entry.bidDepth = row.bid_depth ?? 0;
+      entry.askDepth = row.ask_depth ?? 0;
+    }
+    return entry;
+  }
+
+  load(cutoff = 0) {
+    const row = this.selectState.get('snapshot');
+    if (!row) return null;
+
+    const snapshot = JSON.parse(row.value);
+    const data = snapshot.data || {};
+
+    // Rebuild the in-memory window from the series table
+    for (const point of this.selectSince.iterate(cutoff)) {
+      const section = data[point.exchange];
+      if (!isSeriesSection(section) || !SERIES_METRICS[point.metric]) continue;
+      if (!section[point.metric][point.coin]) section[point.metric][point.coin] = [];
+      section[point.metric][point.coin].push(this.toEntry(point.metric, point));
+    }
+
+    return snapshot;
+  }
+
+  save(snapshot, points = []) {
+    // History lives in the series table; the state blob only holds the rest
+    const data = {};
+    Object.keys(snapshot.data).forEach(key => {
+      const section = snapshot.data[key];
+      if (!isSeriesSection(section)) {
+        data[key] = section;
+        return;
+      }
+      const stripped = { current: section.current };
+      Object.keys(SERIES_METRICS).forEach(metric => {
+        stripped[metric] = {};
+        Object.keys(section[metric] || {}).forEach(coin => {
+          stripped[metric][coin] = [];
+        });
+      });
+      data[key] = stripped;
+    });
+
+    this.db.transaction(() => {
+      this.writePoints(points);
+      this.upsertState.run('snapshot', JSON.stringify({ ...snapshot, data }));
+    })();
+  }
+
+  queryHistory(exchange, metric, coin, from, to) {
+    if (!SERIES_METRICS[metric]) return [];
+    return this.selectRange.all(exchange, metric, coin, from, to).map(row => this.toEntry(metric, row));
+  }
+
+  prune(cutoff = Date.now() - this.retentionMs) {
+    return this.deleteBefore.run(cutoff).changes;
+  }
+
+  describe() {
+    const { oldest } = this.db.prepare('SELECT MIN(ts) AS oldest FROM series').get();
+    return {
+      adapter: this.name,
+      location: this.filePath,
+      retentionDays: this.retentionMs / (24 * 60 * 60 * 1000),
+      oldestPoint: oldest ? new Date(oldest).toISOString() : null
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Build the adapter selected by DATASTORE_ADAPTER (json | sqlite)
+ */
+function createStorageAdapter(type = process.env.DATASTORE_ADAPTER || 'json') {
+  if (type === 'sqlite') {
+    const retentionDays = parseFloat(process.env.DATASTORE_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+    try {
+      return new SqliteStorageAdapter(process.env.DATASTORE_SQLITE_FILE || undefined, retentionDays);
+    } catch (error) {
+      console.error('[StorageAdapter] SQLite unavailable, falling back to json:', error.message);
+    }
+  } else if (type !== 'json') {
+    console.warn(`[StorageAdapter] Unknown adapter "${type}", falling back to json`);
+  }
+  return new JsonStorageAdapter();
+}
+
+module.exports = {
+  createStorageAdapter,
+  JsonStorageAdapter,
+  SqliteStorageAdapter,
+  SERIES_METRICS
+};
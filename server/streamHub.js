@@ -0,0 +1,163 @@
+/**
+ * Stream Hub - Server-Sent Events push channel
+ *
+ * Serves GET /api/stream. Listens to DataStore and pushes to every connected
+ * dashboard instead of having it poll the REST routes:
+ * - snapshot:   new time-series points per exchange + current values,
+ *               batched every SNAPSHOT_FLUSH_MS
+ * - whaleTrade: each new whale trade, immediately
+ * - liquidation: each liquidation event, immediately
+ * - positionChange: each top trader entry/flip/increase/decrease/exit, immediately
+ * - whalePattern: each TWAP / iceberg detection or update, immediately
+ * - projection: 12hr / daily / 4hr projections when they are regenerated
+ *
+ * Clients can narrow snapshots with ?exchanges=hyperliquid,binance
+ * (default: all perp exchanges). EventSource reconnects on its own; the
+ * dashboard refetches full state over REST after a reconnect.
+ */
+
+const dataStore = require('./dataStore');
+
+const EXCHANGES = ['hyperliquid', 'binance', 'bybit', 'nado', 'asterdex'];
+const SNAPSHOT_FLUSH_MS = 2000;
+const HEARTBEAT_MS = 15000;
+const MAX_CLIENTS = 100; // The VPS has 1GB - refuse runaway tabs
+
+class StreamHub {
+  constructor() {
+    this.clients = new Set();
+    this.pending = {}; // { exchange: { metric: { coin: [entries] } } }
+    this.flushTimer = null;
+    this.heartbeatTimer = null;
+    this.listening = false;
+  }
+
+  /**
+   * Subscribe to DataStore events and start the flush/heartbeat timers
+   */
+  start() {
+    if (this.listening) return;
+    this.listening = true;
+
+    dataStore.on('point', ({ exchange, metric, coin, entry }) => {
+      if (this.clients.size === 0 || !EXCHANGES.includes(exchange)) return;
+      const byMetric = this.pending[exchange] || (this.pending[exchange] = {});
+      const byCoin = byMetric[metric] || (byMetric[metric] = {});
+      (byCoin[coin] || (byCoin[coin] = [])).push(entry);
+    });
+
+    dataStore.on('whaleTrade', (trade) => this.broadcast('whaleTrade', trade));
+    dataStore.on('liquidation', (liq) => this.broadcast('liquidation', liq));
+    dataStore.on('whalePositionChange', (change) => this.broadcast('positionChange', change));
+    dataStore.on('whalePattern', (pattern) => this.broadcast('whalePattern', pattern));
+
+    this.flushTimer = setInterval(() => this.flushSnapshots(), SNAPSHOT_FLUSH_MS);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_MS);
+
+    console.log(`[StreamHub] Started (snapshot flush ${SNAPSHOT_FLUSH_MS}ms)`);
+  }
+
+  /**
+   * Attach an HTTP response as an SSE client
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {Array} exchanges - exchanges whose snapshots this client wants
+   * @returns {boolean} - false if the client was refused
+   */
+  addClient(req, res, exchanges = EXCHANGES) {
+    if (this.clients.size >= MAX_CLIENTS) {
+      return false;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, exchanges: new Set(exchanges) };
+    this.clients.add(client);
+
+    this.send(client, 'hello', {
+      serverTime: Date.now(),
+      exchanges,
+      snapshotIntervalMs: SNAPSHOT_FLUSH_MS
+    });
+
+    req.on('close', () => {
+      this.clients.delete(client);
+    });
+
+    return true;
+  }
+
+  /**
+   * Publish a regenerated projection
+   * @param {string} type - '12hr', 'daily' or '4hr'
+   * @param {string} coin - registry symbol
+   * @param {object} projection - projection as returned by the REST route
+   */
+  publishProjection(type, coin, projection) {
+    this.broadcast('projection', { type, coin, projection });
+  }
+
+  /**
+   * Send batched points and current values for each exchange that changed
+   */
+  flushSnapshots() {
+    const pending = this.pending;
+    this.pending = {};
+
+    for (const exchange of Object.keys(pending)) {
+      const snapshot = dataStore.getCurrentSnapshot(exchange);
+      if (!snapshot) continue;
+
+      const payload = {
+        exchange,
+        points: pending[exchange],
+        current: snapshot.current,
+        lastUpdate: snapshot.lastUpdate
+      };
+      for (const client of this.clients) {
+        if (client.exchanges.has(exchange)) {
+          this.send(client, 'snapshot', payload);
+        }
+      }
+    }
+  }
+
+  /**
+   * Comment line keeps proxies from closing idle connections
+   */
+  heartbeat() {
+    for (const client of this.clients) {
+      client.res.write(': ping\n\n');
+    }
+  }
+
+  broadcast(event, data) {
+    for (const client of this.clients) {
+      this.send(client, event, data);
+    }
+  }
+
+  send(client, event, data) {
+    try {
+      client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      console.error(`[StreamHub] Write failed, dropping client: ${error.message}`);
+      this.clients.delete(client);
+    }
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+}
+
+// Singleton instance
+const streamHub = new StreamHub();
+
+module.exports = streamHub;
@@ -0,0 +1,212 @@
+/**
+ * Symbol Registry
+ *
+ * Single source of truth for the coins Trader Bias tracks.
+ * Loaded once at startup from symbols.json (override with SYMBOLS_FILE);
+ * collectors, DataStore, projections and the win-rate tracker all read
+ * their coin lists and exchange tickers from here. Restart to apply changes.
+ *
+ * Exchange tickers can be omitted for USDT-margined venues; they default to
+ * the conventional format (BTC -> BTCUSDT / btcusdt / BTC-USD / BTC-USDT-SWAP,
+ * Deribit BTC_USDC-PERPETUAL). Set a ticker
+ * to null to skip a venue that does not list the coin. Nado needs an explicit
+ * product id.
+ *
+ * Per-coin trading constants live here too: the whale trade threshold (USD)
+ * and contract sizes for venues that quote size in contracts (OKX ctVal).
+ * A coin without a contract size is skipped on that venue, never guessed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SYMBOLS_FILE = process.env.SYMBOLS_FILE || path.join(__dirname, 'symbols.json');
+
+// Used when no config file exists and as fallback CVD thresholds
+const DEFAULT_SYMBOLS = [
+  { symbol: 'BTC', name: 'Bitcoin', perp: { nado: 2 }, cvdThresholds: { strong: 50000, moderate: 20000, weak: 5000 }, whaleThreshold: 500000, contractSize: { okx: 0.01 } },
+  { symbol: 'ETH', name: 'Ethereum', perp: { nado: 4 }, cvdThresholds: { strong: 20000, moderate: 8000, weak: 2000 }, whaleThreshold: 250000, contractSize: { okx: 0.1 } },
+  { symbol: 'SOL', name: 'Solana', perp: { nado: 8 }, cvdThresholds: { strong: 5000, moderate: 2000, weak: 500 }, whaleThreshold: 100000, contractSize: { okx: 1 } }
+];
+
+const PERP_DEFAULTS = {
+  hyperliquid: s => s,
+  binance: s => `${s}USDT`,
+  bybit: s => `${s}USDT`,
+  nado: () => null,
+  asterdex: s => `${s}USDT`,
+  okx: s => `${s}-USDT-SWAP`,
+  deribit: s => `${s}_USDC-PERPETUAL`
+};
+
+const SPOT_DEFAULTS = {
+  binance: s => `${s.toLowerCase()}usdt`,
+  bybit: s => `${s}USDT`,
+  coinbase: s => `${s}-USD`,
+  okx: s => `${s}-USDT`,
+  kraken: s => `${s}/USD`
+};
+
+/**
+ * Fill in default tickers and normalize a raw config entry
+ */
+function normalizeSymbol(entry) {
+  const symbol = String(entry.symbol).toUpperCase();
+  const resolve = (defaults, overrides = {}) => {
+    const result = {};
+    for (const [exchange, fallback] of Object.entries(defaults)) {
+      result[exchange] = overrides[exchange] !== undefined ? overrides[exchange] : fallback(symbol);
+    }
+    return result;
+  };
+
+  return {
+    symbol,
+    name: entry.name || symbol,
+    enabled: entry.enabled !== false,
+    perp: resolve(PERP_DEFAULTS, entry.perp),
+    spot: resolve(SPOT_DEFAULTS, entry.spot),
+    cvdThresholds: entry.cvdThresholds || null,
+    whaleThreshold: entry.whaleThreshold || null,
+    contractSize: entry.contractSize || {}
+  };
+}
+
+function loadSymbols() {
+  try {
+    if (fs.existsSync(SYMBOLS_FILE)) {
+      const raw = JSON.parse(fs.readFileSync(SYMBOLS_FILE, 'utf8'));
+      const entries = (raw.symbols || []).filter(e => e && e.symbol);
+      if (entries.length > 0) {
+        return entries.map(normalizeSymbol);
+      }
+      console.warn(`[SymbolRegistry] No symbols in ${SYMBOLS_FILE}, using defaults`);
+    }
+  } catch (error) {
+    console.error('[SymbolRegistry] Error loading symbols config:', error.message);
+  }
+  return DEFAULT_SYMBOLS.map(normalizeSymbol);
+}
+
+const symbols = loadSymbols().filter(s => s.enabled);
+const bySymbol = new Map(symbols.map(s => [s.symbol, s]));
+
+console.log(`[SymbolRegistry] Tracking ${symbols.map(s => s.symbol).join(', ')}`);
+
+/**
+ * All enabled coins, e.g. ['BTC', 'ETH', 'SOL']
+ */
+function getCoins() {
+  return symbols.map(s => s.symbol);
+}
+
+/**
+ * Full config for one coin (or null)
+ */
+function getSymbol(coin) {
+  return bySymbol.get(String(coin).toUpperCase()) || null;
+}
+
+function isSupported(coin) {
+  return bySymbol.has(String(coin).toUpperCase());
+}
+
+/**
+ * Exchange ticker for a coin
+ * @param {string} coin - registry symbol
+ * @param {string} exchange - hyperliquid, binance, bybit, nado, asterdex, okx, deribit, coinbase
+ * @param {string} market - 'perp' or 'spot'
+ * @returns {string|number|null} - null if the venue does not list the coin
+ */
+function getExchangeSymbol(coin, exchange, market = 'perp') {
+  const entry = getSymbol(coin);
+  return entry?.[market]?.[exchange] ?? null;
+}
+
+/**
+ * Coins listed on an exchange/market
+ */
+function getCoinsForExchange(exchange, market = 'perp') {
+  return symbols
+    .filter(s => s[market]?.[exchange] !== null && s[market]?.[exchange] !== undefined)
+    .map(s => s.symbol);
+}
+
+/**
+ * Ticker map for one exchange/market, e.g. { BTC: 'BTCUSDT', ETH: 'ETHUSDT' }
+ */
+function getSymbolMap(exchange, market = 'perp') {
+  const map = {};
+  for (const coin of getCoinsForExchange(exchange, market)) {
+    map[coin] = getExchangeSymbol(coin, exchange, market);
+  }
+  return map;
+}
+
+/**
+ * Reverse lookup: exchange ticker -> registry coin (case-insensitive)
+ */
+function getCoinByExchangeSymbol(exchange, ticker, market = 'perp') {
+  const needle = String(ticker).toUpperCase();
+  const match = symbols.find(s => String(s[market]?.[exchange] ?? '').toUpperCase() === needle);
+  return match ? match.symbol : null;
+}
+
+/**
+ * CVD thresholds for a coin, falling back to BTC levels
+ */
+function getCvdThresholds(coin) {
+  return getSymbol(coin)?.cvdThresholds || getSymbol('BTC')?.cvdThresholds || DEFAULT_SYMBOLS[0].cvdThresholds;
+}
+
+/**
+ * Minimum notional (USD) for a whale trade in a coin, null if not configured
+ */
+function getWhaleThreshold(coin) {
+  return getSymbol(coin)?.whaleThreshold || null;
+}
+
+/**
+ * Base-currency size of one contract on a venue (OKX ctVal), null if not configured
+ */
+function getContractSize(coin, exchange) {
+  return getSymbol(coin)?.contractSize[exchange] || null;
+}
+
+/**
+ * Build { [coin]: factory() } for every tracked coin
+ */
+function mapCoins(factory) {
+  const result = {};
+  for (const coin of getCoins()) {
+    result[coin] = factory(coin);
+  }
+  return result;
+}
+
+/**
+ * Client-facing view for /api/symbols
+ */
+function getPublicConfig() {
+  return symbols.map(s => ({
+    symbol: s.symbol,
+    name: s.name,
+    perp: s.perp,
+    spot: s.spot
+  }));
+}
+
+module.exports = {
+  getCoins,
+  getSymbol,
+  isSupported,
+  getExchangeSymbol,
+  getCoinsForExchange,
+  getSymbolMap,
+  getCoinByExchangeSymbol,
+  getCvdThresholds,
+  getWhaleThreshold,
+  getContractSize,
+  mapCoins,
+  getPublicConfig
+};
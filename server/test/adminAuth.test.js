@@ -0,0 +1,49 @@
+/**
+ * requireAdmin: disabled without ADMIN_TOKEN, bearer or X-Admin-Token accepted
+ */
+
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requireAdmin } = require('../adminAuth');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.post('/protected', requireAdmin, (req, res) => res.json({ ok: true }));
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  delete process.env.ADMIN_TOKEN;
+  await new Promise(resolve => server.close(resolve));
+});
+
+const post = headers => fetch(`${baseUrl}/protected`, { method: 'POST', headers });
+
+test('without ADMIN_TOKEN the route is disabled', async () => {
+  delete process.env.ADMIN_TOKEN;
+  const response = await post({ Authorization: 'Bearer anything' });
+  assert.equal(response.status, 503);
+});
+
+test('missing or wrong tokens are rejected', async () => {
+  process.env.ADMIN_TOKEN = 's3cret-token';
+  assert.equal((await post({})).status, 401);
+  assert.equal((await post({ Authorization: 'Bearer s3cret-tokeN' })).status, 401);
+  assert.equal((await post({ 'X-Admin-Token': 's3cret' })).status, 401);
+});
+
+test('the configured token is accepted as bearer or X-Admin-Token', async () => {
+  process.env.ADMIN_TOKEN = 's3cret-token';
+  const bearer = await post({ Authorization: 'Bearer s3cret-token' });
+  assert.equal(bearer.status, 200);
+  assert.deepEqual(await bearer.json(), { ok: true });
+  assert.equal((await post({ 'X-Admin-Token': 's3cret-token' })).status, 200);
+});
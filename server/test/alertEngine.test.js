@@ -0,0 +1,102 @@
+/**
+ * alertEngine webhook safety: private hosts rejected on input and at
+ * delivery, URLs masked in API copies, masked URLs kept on update
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+
+const SLACK_URL = 'https://hooks.slack.com/services/T000/B000/secretXYZ9';
+
+let alertEngine;
+
+function ruleWith(url) {
+  return {
+    coin: 'BTC',
+    condition: { type: 'funding_zscore', abs: 3 },
+    webhook: { url, format: 'slack' }
+  };
+}
+
+before(() => {
+  alertEngine = require('../alertEngine');
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('createRule: loopback, private, link-local and metadata hosts are rejected', () => {
+  [
+    'http://localhost:8080/hook',
+    'http://api.localhost/hook',
+    'http://127.0.0.1/hook',
+    'http://2130706433/hook',          // 127.0.0.1 in decimal
+    'http://0.0.0.0/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.5/hook',
+    'http://192.168.1.10/hook',
+    'http://100.64.0.1/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd12:3456::1]/hook',
+    'http://[fe80::1]/hook'
+  ].forEach(url => {
+    assert.throws(() => alertEngine.createRule(ruleWith(url)), /public host/, url);
+  });
+
+  assert.throws(() => alertEngine.createRule(ruleWith('ftp://example.com/hook')), /http\(s\) URL/);
+  assert.equal(alertEngine.getRules().length, 0);
+});
+
+test('toPublicRule: the webhook URL is masked, the stored rule is not', () => {
+  const rule = alertEngine.createRule(ruleWith(SLACK_URL));
+  const copy = alertEngine.toPublicRule(rule);
+
+  assert.equal(copy.webhook.url, 'https://hooks.slack.com/****XYZ9');
+  assert.equal(copy.webhook.format, 'slack');
+  assert.equal(alertEngine.getRule(rule.id).webhook.url, SLACK_URL);
+  assert.ok(!JSON.stringify(copy).includes('secret'));
+});
+
+test('updateRule: a masked URL sent back keeps the stored one, a new URL replaces it', () => {
+  const [rule] = alertEngine.getRules();
+  const readBack = alertEngine.toPublicRule(rule);
+
+  const renamed = alertEngine.updateRule(rule.id, { ...readBack, name: 'renamed' });
+  assert.equal(renamed.name, 'renamed');
+  assert.equal(renamed.webhook.url, SLACK_URL);
+
+  const moved = alertEngine.updateRule(rule.id, { webhook: { url: 'https://discord.com/api/webhooks/1/abc', format: 'discord' } });
+  assert.equal(moved.webhook.url, 'https://discord.com/api/webhooks/1/abc');
+
+  assert.throws(() => alertEngine.updateRule(rule.id, { webhook: { url: 'http://127.0.0.1:9000/', format: 'generic' } }), /public host/);
+});
+
+test('deliver: a public name resolving to a private address is not fetched', async () => {
+  mock.method(dns.promises, 'lookup', async () => [{ address: '10.0.0.8', family: 4 }]);
+  const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(null, { status: 200 }));
+
+  const [rule] = alertEngine.getRules();
+  const delivery = await alertEngine.sendTest(rule.id);
+
+  assert.equal(delivery.ok, false);
+  assert.match(delivery.error, /resolves to non-public address 10\.0\.0\.8/);
+  assert.equal(fetchMock.mock.callCount(), 0);
+});
+
+test('deliver: public addresses are posted without following redirects', async () => {
+  mock.method(dns.promises, 'lookup', async () => [{ address: '162.159.128.233', family: 4 }]);
+  const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+
+  const [rule] = alertEngine.getRules();
+  const delivery = await alertEngine.sendTest(rule.id);
+
+  assert.equal(delivery.ok, true);
+  const [url, options] = fetchMock.mock.calls[0].arguments;
+  assert.equal(url, 'https://discord.com/api/webhooks/1/abc');
+  assert.equal(options.redirect, 'manual');
+});
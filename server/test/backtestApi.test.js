@@ -0,0 +1,195 @@
+/**
+ * backtestApi calibration maths over hand-built prediction sets: reliability
+ * buckets, Brier score and skill, the HIGH vs LOW z-test and the confusion
+ * matrix; and equity curve sizing when trades overlap
+ */
+
+require('./helpers/env');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const T = 1767225600000;
+const HOUR = 60 * 60 * 1000;
+
+let winRateTracker;
+let backtestApi;
+
+let nextId = 0;
+function prediction({ score, confidence = 'MEDIUM', predicted, actual, type = '4hr', ...rest }) {
+  nextId++;
+  return {
+    id: `pred_${nextId}`,
+    coin: 'BTC',
+    projectionType: type,
+    timestamp: T + nextId * HOUR,
+    evaluated: true,
+    ...(score === undefined ? {} : { score }),
+    confidence,
+    predictedDirection: predicted,
+    actualDirection: actual,
+    outcome: predicted === actual ? 'correct' : 'incorrect',
+    ...rest
+  };
+}
+
+/**
+ * A directional call held `hours` from `at` hours after T, exiting at the horizon
+ */
+function trade(at, hours, move, predicted = 'BULLISH') {
+  return prediction({
+    coin: 'ETH',
+    predicted,
+    actual: predicted,
+    timestamp: T + at * HOUR,
+    evaluatedAt: T + (at + hours) * HOUR,
+    actualPriceChange: move
+  });
+}
+
+// Frictionless replay of just these trades
+function equityCurve(trades, options = {}) {
+  winRateTracker.predictions = trades;
+  return backtestApi.generateEquityCurve({ coin: 'ETH', feeBps: 0, slippageBps: 0, funding: false, ...options });
+}
+
+before(() => {
+  winRateTracker = require('../winRateTracker');
+  backtestApi = require('../backtestApi');
+
+  winRateTracker.predictions = [
+    // |score| 0.2 (forecast 0.6), LOW: 2 of 4 right
+    prediction({ score: 0.2, confidence: 'LOW', predicted: 'BULLISH', actual: 'BULLISH' }),
+    prediction({ score: -0.2, confidence: 'LOW', predicted: 'BEARISH', actual: 'BEARISH' }),
+    prediction({ score: 0.2, confidence: 'LOW', predicted: 'BULLISH', actual: 'BEARISH' }),
+    prediction({ score: 0.2, confidence: 'LOW', predicted: 'NEUTRAL', actual: 'BULLISH' }),
+    // |score| 0.8 (forecast 0.9) and a full-strength call, HIGH: 4 of 5 right
+    prediction({ score: 0.8, confidence: 'HIGH', predicted: 'BULLISH', actual: 'BULLISH' }),
+    prediction({ score: 0.8, confidence: 'HIGH', predicted: 'BULLISH', actual: 'BULLISH' }),
+    prediction({ score: -0.8, confidence: 'HIGH', predicted: 'BEARISH', actual: 'BEARISH' }),
+    prediction({ score: -0.8, confidence: 'HIGH', predicted: 'BEARISH', actual: 'NEUTRAL' }),
+    prediction({ score: 1, confidence: 'HIGH', predicted: 'BULLISH', actual: 'BULLISH' }),
+    // No score: counted in the matrix, not in the reliability curve or Brier
+    prediction({ predicted: 'NEUTRAL', actual: 'BEARISH' }),
+    // Never part of the scoring
+    prediction({ score: 0.5, predicted: 'BULLISH', actual: 'BEARISH', outcome: 'inconclusive' }),
+    prediction({ score: 0.5, predicted: 'BULLISH', actual: null, evaluated: false, outcome: null })
+  ];
+});
+
+test('calculateCalibration: reliability buckets, last bucket inclusive of |score| 1', () => {
+  const { total, scored, reliability } = backtestApi.calculateCalibration({ type: '4hr', buckets: 2 });
+
+  assert.equal(total, 10);
+  assert.equal(scored, 9);
+  assert.deepEqual(reliability, [
+    { min: 0, max: 0.5, count: 4, avgScore: 0.2, forecast: 0.6, hitRate: 0.5 },
+    { min: 0.5, max: 1, count: 5, avgScore: 0.84, forecast: 0.92, hitRate: 0.8 }
+  ]);
+});
+
+test('calculateCalibration: Brier score against always forecasting the base rate', () => {
+  const { brier } = backtestApi.calculateCalibration({ type: '4hr' });
+
+  // (2 x 0.4² + 2 x 0.6² + 3 x 0.1² + 0.9² + 0²) / 9 vs (6 x (1/3)² + 3 x (2/3)²) / 9
+  assert.deepEqual(brier, { score: 0.2089, reference: 0.2222, skill: 0.06, baseRate: 0.6667 });
+});
+
+test('calculateCalibration: confidence levels and the HIGH vs LOW z-test', () => {
+  const { byConfidence, confidenceSpread } = backtestApi.calculateCalibration({ type: '4hr' });
+
+  assert.deepEqual(byConfidence, {
+    HIGH: { count: 5, hitRate: 0.8, avgScore: 0.84 },
+    MEDIUM: { count: 1, hitRate: 0, avgScore: null },
+    LOW: { count: 4, hitRate: 0.5, avgScore: 0.2 }
+  });
+  // Pooled 6/9, standard error sqrt(2/9 x (1/5 + 1/4)) = sqrt(0.1)
+  assert.deepEqual(confidenceSpread, { difference: 0.3, zScore: 0.95, significant: false });
+});
+
+test('calculateCalibration: confusion matrix with per-class precision and recall', () => {
+  const { confusion } = backtestApi.calculateCalibration({ type: '4hr' });
+
+  assert.deepEqual(confusion.classes, ['BULLISH', 'NEUTRAL', 'BEARISH']);
+  assert.deepEqual(confusion.matrix, {
+    BULLISH: { BULLISH: 4, NEUTRAL: 0, BEARISH: 1 },
+    NEUTRAL: { BULLISH: 1, NEUTRAL: 0, BEARISH: 1 },
+    BEARISH: { BULLISH: 0, NEUTRAL: 1, BEARISH: 2 }
+  });
+  assert.deepEqual(confusion.perClass, {
+    BULLISH: { predicted: 5, actual: 5, precision: 0.8, recall: 0.8 },
+    NEUTRAL: { predicted: 2, actual: 1, precision: 0, recall: 0 },
+    BEARISH: { predicted: 3, actual: 4, precision: 0.6667, recall: 0.5 }
+  });
+});
+
+test('calculateCalibration: a clear HIGH vs LOW gap is significant; no data gives nulls, not NaN', () => {
+  const daily = [
+    ...Array.from({ length: 12 }, (_, i) => prediction({
+      type: 'daily', score: 0.9, confidence: 'HIGH', predicted: 'BULLISH', actual: i < 10 ? 'BULLISH' : 'BEARISH'
+    })),
+    ...Array.from({ length: 12 }, (_, i) => prediction({
+      type: 'daily', score: 0.3, confidence: 'LOW', predicted: 'BULLISH', actual: i < 4 ? 'BULLISH' : 'BEARISH'
+    }))
+  ];
+  winRateTracker.predictions.push(...daily);
+
+  const { confidenceSpread } = backtestApi.calculateCalibration({ type: 'daily' });
+  assert.equal(confidenceSpread.difference, 0.5);
+  assert.equal(confidenceSpread.significant, true);
+
+  const empty = backtestApi.calculateCalibration({ coin: 'SOL' });
+  assert.equal(empty.total, 0);
+  assert.deepEqual(empty.brier, { score: null, reference: null, skill: null, baseRate: null });
+  assert.equal(empty.confidenceSpread, null);
+  assert.ok(empty.reliability.every(b => b.count === 0 && b.hitRate === null));
+  assert.equal(empty.confusion.perClass.BULLISH.precision, null);
+});
+
+test('generateEquityCurve: open notional is capped at equity x leverage', () => {
+  const overlapping = [trade(0, 4, 10), trade(1, 4, 10)];
+
+  const full = equityCurve(overlapping, { size: 1, leverage: 1 });
+  assert.equal(full.summary.trades, 1);
+  assert.equal(full.summary.skipped, 1);
+  assert.equal(full.summary.finalEquity, 11000);
+
+  // Room for both at half size each, or at 0.5 x 2 with 2x leverage
+  const half = equityCurve(overlapping, { size: 0.5, leverage: 1 });
+  assert.equal(half.summary.skipped, 0);
+  assert.deepEqual(half.curve.slice(1).map(p => p.prediction.exposure), [0.5, 0.5]);
+
+  const levered = equityCurve(overlapping, { size: 0.5, leverage: 2 });
+  assert.deepEqual(levered.curve.slice(1).map(p => p.prediction.pnl), [1000, 1000]);
+
+  // The remainder when only part of the cap is free
+  const partial = equityCurve(overlapping, { size: 0.75, leverage: 1 });
+  assert.deepEqual(partial.curve.slice(1).map(p => p.prediction.exposure), [0.75, 0.25]);
+});
+
+test('generateEquityCurve: trades are sized from the equity at their own entry, not a later exit', () => {
+  // The second trade opens before the first books its +10%
+  const { curve, summary } = equityCurve([trade(0, 4, 10), trade(1, 4, 10), trade(6, 2, 10)], { size: 0.5 });
+
+  assert.deepEqual(curve.map(p => p.equity), [10000, 10500, 11000, 11550]);
+  assert.deepEqual(curve.map(p => (p.timestamp - T) / HOUR), [0, 4, 5, 8]);
+  assert.equal(summary.totalReturnPercent, 15.5);
+});
+
+test('generateEquityCurve: exits book in exit order and free room for an entry at the same time', () => {
+  const { curve } = equityCurve([trade(0, 6, 10), trade(1, 2, -10), trade(6, 2, 5, 'BEARISH')], { size: 0.5 });
+
+  // The later call exits first; the short opening as the first closes gets its full half of 10000
+  assert.deepEqual(curve.map(p => p.prediction?.pnl ?? null), [null, -500, 500, -250]);
+  assert.deepEqual(curve.map(p => (p.timestamp - T) / HOUR), [0, 3, 6, 8]);
+  assert.equal(curve[3].prediction.direction, 'BEARISH');
+  assert.equal(curve[3].prediction.exposure, 0.5);
+});
+
+test('generateEquityCurve: a blown account takes no further trades', () => {
+  const { curve, summary } = equityCurve([trade(0, 4, -25), trade(5, 4, 10)], { size: 1, leverage: 5 });
+
+  assert.equal(curve.length, 2);
+  assert.equal(summary.trades, 1);
+  assert.equal(summary.finalEquity, 0);
+  assert.equal(summary.totalReturnPercent, -100);
+});
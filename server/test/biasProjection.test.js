@@ -0,0 +1,141 @@
+/**
+ * biasProjection golden files: synthetic trend / range / squeeze /
+ * capitulation histories through the scoring maths and the full projection
+ *
+ * The clock is pinned to the scenarios' NOW, so every snapshot is
+ * reproducible. After an intended weight or threshold change, regenerate
+ * with `UPDATE_GOLDEN=1 npm test` and review the diff of test/golden/.
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SCENARIOS, createStore, NOW } = require('./helpers/syntheticHistory');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+let biasProjection;
+
+before(() => {
+  mock.method(Date, 'now', () => NOW);
+  biasProjection = require('../biasProjection');
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+function snapshot(history) {
+  const { price, oi, funding } = history.hyperliquid;
+  const {
+    calculateRSI, detectRSIDivergence, calculateFundingZScore, calculateOIRoC,
+    detectRegime, calculateFlowConfluence, calculateInvalidation, generateProjection
+  } = biasProjection;
+
+  return {
+    rsi: calculateRSI(price),
+    divergence: detectRSIDivergence(price),
+    fundingZScore: calculateFundingZScore(funding, price),
+    oiRoC: calculateOIRoC(oi, price),
+    regime: detectRegime(oi, funding, price),
+    flowConfluence: calculateFlowConfluence(price, oi, history.perpCvd, history.coin),
+    invalidation: {
+      bullish: calculateInvalidation(price, 'BULLISH'),
+      bearish: calculateInvalidation(price, 'BEARISH'),
+      neutral: calculateInvalidation(price, 'NEUTRAL')
+    },
+    projection: generateProjection(history.coin, createStore(history), null)
+  };
+}
+
+// Compare through JSON so undefined fields and -0 match what is on disk
+function assertGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, `${name}.json`);
+  const plain = JSON.parse(JSON.stringify(actual));
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(plain, null, 2) + '\n');
+    return;
+  }
+
+  assert.ok(fs.existsSync(file), `Missing golden file ${name}.json (run with UPDATE_GOLDEN=1)`);
+  assert.deepEqual(plain, JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+const results = {};
+
+Object.entries(SCENARIOS).forEach(([name, createHistory]) => {
+  test(`golden: ${name}`, () => {
+    results[name] = snapshot(createHistory());
+    assertGolden(name, results[name]);
+  });
+});
+
+test('scenarios read the way their shapes were built', () => {
+  const { trend, range, squeeze, capitulation } = results;
+
+  assert.equal(trend.projection.prediction.bias.includes('BULL'), true);
+  assert.equal(trend.flowConfluence.signal, 'STRONG_BULL');
+  assert.equal(trend.oiRoC.trend, 'building');
+
+  assert.equal(range.projection.prediction.bias, 'NEUTRAL');
+  assert.equal(range.flowConfluence.signal, 'NEUTRAL');
+
+  assert.equal(squeeze.oiRoC.trend, 'short_squeeze_exhaustion');
+
+  assert.equal(capitulation.oiRoC.trend, 'long_capitulation');
+  assert.equal(capitulation.fundingZScore.zone, 'high_short_bias');
+});
+
+test('detectRSIDivergence: lower low on fading momentum is bullish, higher high is bearish', () => {
+  const series = values => values.map((value, i) => ({ timestamp: NOW - (values.length - 1 - i) * 60000, value }));
+  const chop = Array.from({ length: 20 }, (_, i) => 100 + (i % 2 ? 0.3 : -0.3));
+
+  // Sharp drop to a first low, bounce, then a slow drift to a marginally lower low
+  const bullish = biasProjection.detectRSIDivergence(series([
+    ...chop, 100, 98, 96, 94, 92, 93, 94.5, 95, 94.6, 94, 93.4, 92.8, 92.4, 91.9, 92.6, 93.4, 94, 94.5, 95
+  ]));
+  assert.equal(bullish.type, 'bullish_divergence');
+  assert.equal(bullish.score, 0.2);
+
+  const bearish = biasProjection.detectRSIDivergence(series([
+    ...chop, 100, 102, 104, 106, 108, 107, 105.5, 105, 105.4, 106, 106.6, 107.2, 107.6, 108.1, 107.4, 106.6, 106, 105.5, 105
+  ]));
+  assert.equal(bearish.type, 'bearish_divergence');
+  assert.equal(bearish.score, -0.2);
+
+  assert.equal(biasProjection.detectRSIDivergence(series(chop)).detected, false);
+});
+
+test('calculateWhaleAlignment: reads the projected coin, not BTC', () => {
+  const consensus = {
+    BTC: { longs: [{}, {}, {}, {}], shorts: [] },
+    ETH: { longs: [{}], shorts: [{}, {}, {}], weighted: { longPct: 0.2, rawLongPct: 0.25 } }
+  };
+
+  const eth = biasProjection.calculateWhaleAlignment('ETH', consensus);
+  assert.equal(eth.hasData, true);
+  assert.equal(eth.longPct, 0.2);
+  assert.ok(Math.abs(eth.score - -0.6) < 1e-9);
+  assert.equal(eth.weighting.method, 'smart-money');
+
+  assert.equal(biasProjection.calculateWhaleAlignment('BTC', consensus).score, 1);
+  assert.equal(biasProjection.calculateWhaleAlignment('SOL', consensus).hasData, false);
+  assert.equal(biasProjection.calculateWhaleAlignment('BTC', null).hasData, false);
+});
+
+test('generateProjection: another coin\'s consensus leaves the projection unchanged', () => {
+  const history = SCENARIOS.trend();
+  const ethOnly = { ETH: { longs: [{}, {}, {}], shorts: [] } };
+
+  const projection = biasProjection.generateProjection('BTC', createStore(history), ethOnly);
+  assert.equal(projection.components.whales.hasData, false);
+  assert.deepEqual(JSON.parse(JSON.stringify(projection)), JSON.parse(JSON.stringify(results.trend.projection)));
+
+  const withBtc = biasProjection.generateProjection('BTC', createStore(history), { BTC: ethOnly.ETH });
+  assert.equal(withBtc.components.whales.hasData, true);
+  assert.equal(withBtc.components.whales.longPct, 1);
+});
@@ -0,0 +1,89 @@
+/**
+ * dailyBiasProjection whale alignment: each coin reads its own consensus
+ * entry; the funding baseline's span, window and source
+ */
+
+require('./helpers/env');
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fundingHistoryCollector = require('../fundingHistoryCollector');
+const { calculateWhaleAlignment, calculateFundingMeanReversion, getFundingBaseline } = require('../dailyBiasProjection');
+
+const T = 1767225600000;
+const HOUR = 60 * 60 * 1000;
+
+test('calculateWhaleAlignment: reads the projected coin, not BTC', () => {
+  const consensus = {
+    BTC: { longs: [{}, {}, {}], shorts: [] },
+    ETH: { longs: [{}], shorts: [{}, {}, {}] }
+  };
+
+  const eth = calculateWhaleAlignment('ETH', consensus);
+  assert.equal(eth.hasData, true);
+  assert.equal(eth.longPct, 0.25);
+  assert.equal(eth.score, -0.5);
+  assert.equal(eth.weighting.method, 'equal');
+
+  assert.equal(calculateWhaleAlignment('BTC', consensus).score, 1);
+  assert.equal(calculateWhaleAlignment('SOL', consensus).hasData, false);
+  assert.equal(calculateWhaleAlignment('ETH', { ETH: { longs: [{}], shorts: [{}] } }).hasData, false);
+});
+
+test('calculateFundingMeanReversion: baselineDays is the time the samples span, not their count', () => {
+  // 24 hours of 10-second intraday samples: 8640 rates, still under a day
+  const intraday = Array.from({ length: 8640 }, (_, i) => ({
+    timestamp: T - (8639 - i) * 10 * 1000,
+    rate: i === 8639 ? 0.00005 : (i % 2 ? 0.00001 : 0.00002)
+  }));
+  const result = calculateFundingMeanReversion(intraday, [], 24);
+
+  assert.equal(result.baselineDays, 0);
+  assert.equal(result.current, 0.00005);
+  // Hourly rate x 24 x 365, in percent
+  assert.equal(result.annualized.toFixed(3), '43.800');
+  // Very conservative thresholds below 30 days
+  assert.equal(result.zone, 'extreme_long_bias');
+});
+
+test('calculateFundingMeanReversion: settled history is clipped to 90 days before the latest settlement', () => {
+  const hourly = Array.from({ length: 100 * 24 }, (_, i) => ({
+    timestamp: T - (100 * 24 - 1 - i) * HOUR,
+    rate: i < 10 * 24 ? 0.001 : (i % 2 ? 0.00001 : 0.00003)
+  }));
+  const result = calculateFundingMeanReversion(hourly, [], 24);
+
+  assert.equal(result.baselineDays, 90);
+  // The 0.001 outliers are older than 90 days, so they do not move the mean
+  assert.equal(result.mean.toFixed(6), '0.000020');
+
+  const binance = hourly.filter((_, i) => i % 8 === 7);
+  assert.equal(calculateFundingMeanReversion(binance, [], 3).baselineDays, 90);
+  assert.equal(calculateFundingMeanReversion(hourly.slice(0, 29), [], 24).mode, 'insufficient_data');
+});
+
+test('getFundingBaseline: Hyperliquid settlements first, then Binance / Bybit, then intraday samples', () => {
+  const settled = (count, intervalHours) => Array.from({ length: count }, (_, i) => ({
+    timestamp: T - (count - i) * intervalHours * HOUR,
+    rate: 0.0001
+  }));
+  const intraday = [{ timestamp: T - 10000, rate: 0.0002 }, { timestamp: T, rate: 0.0003 }];
+  const stored = { hyperliquid: settled(40, 1), binance: settled(40, 8), bybit: settled(40, 8) };
+  mock.method(fundingHistoryCollector, 'getFundingHistory', (exchange) => stored[exchange]);
+
+  const hyperliquid = getFundingBaseline('BTC', intraday);
+  assert.equal(hyperliquid.source, 'hyperliquid');
+  assert.equal(hyperliquid.periodsPerDay, 24);
+  assert.equal(hyperliquid.history.length, 41);
+  assert.equal(hyperliquid.history[40].rate, 0.0003);
+
+  stored.hyperliquid = settled(29, 1);
+  const binance = getFundingBaseline('BTC', intraday);
+  assert.deepEqual([binance.source, binance.periodsPerDay, binance.history.length], ['binance', 3, 40]);
+
+  stored.binance = [];
+  assert.equal(getFundingBaseline('BTC', intraday).source, 'bybit');
+
+  stored.bybit = [];
+  assert.deepEqual(getFundingBaseline('BTC', intraday), { history: intraday, periodsPerDay: 24, source: 'intraday' });
+  mock.restoreAll();
+});
@@ -0,0 +1,152 @@
+/**
+ * dataCollector REST workers replayed against recorded-format payloads
+ * served by the local mock exchange (HYPERLIQUID_API_URL, BINANCE_API_URL, BYBIT_API_URL)
+ */
+
+const { loadFixture } = require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockExchange } = require('./helpers/mockExchange');
+
+const hyperliquid = loadFixture('hyperliquid-info.json');
+const binance = loadFixture('binance-futures-rest.json');
+const bybit = loadFixture('bybit-v5-rest.json');
+
+let mock;
+let dataStore;
+let dataCollector;
+let orderbookAnalytics;
+
+function notional(levels, limit = levels.length) {
+  return levels.slice(0, limit).reduce((sum, [px, sz]) => sum + parseFloat(px) * parseFloat(sz), 0);
+}
+
+function imbalance(bids, asks) {
+  const bid = notional(bids);
+  const ask = notional(asks);
+  return ((bid - ask) / (bid + ask)) * 100;
+}
+
+before(async () => {
+  mock = await startMockExchange({
+    routes: {
+      'POST /info': ({ body }) => {
+        if (body.type === 'allMids') return hyperliquid.allMids;
+        if (body.type === 'metaAndAssetCtxs') return hyperliquid.metaAndAssetCtxs;
+        if (body.type === 'l2Book') return hyperliquid.l2Book[body.coin];
+        if (body.type === 'recentTrades') return hyperliquid.recentTrades[body.coin];
+        return undefined;
+      },
+      'GET /fapi/v1/ticker/24hr': ({ query }) => binance.ticker24hr[query.symbol],
+      'GET /fapi/v1/premiumIndex': ({ query }) => binance.premiumIndex[query.symbol],
+      'GET /fapi/v1/openInterest': ({ query }) => binance.openInterest[query.symbol],
+      'GET /fapi/v1/depth': ({ query }) => binance.depth[query.symbol],
+      'GET /fapi/v1/trades': ({ query }) => binance.trades[query.symbol],
+      'GET /v5/market/tickers': ({ query }) => bybit.tickers[query.symbol],
+      'GET /v5/market/orderbook': ({ query }) => bybit.orderbook[query.symbol],
+      'GET /v5/market/recent-trade': ({ query }) => bybit.recentTrade[query.symbol]
+    }
+  });
+
+  process.env.HYPERLIQUID_API_URL = `${mock.httpUrl}/info`;
+  process.env.BINANCE_API_URL = mock.httpUrl;
+  process.env.BYBIT_API_URL = mock.httpUrl;
+
+  dataStore = require('../dataStore');
+  dataCollector = require('../dataCollector');
+  orderbookAnalytics = require('../orderbookAnalytics');
+});
+
+after(async () => {
+  await mock.close();
+});
+
+test('Hyperliquid: allMids + metaAndAssetCtxs + l2Book + recentTrades', async () => {
+  await dataCollector.fetchHyperliquidData();
+  const current = dataStore.data.hyperliquid.current;
+
+  assert.deepEqual(
+    mock.requests.filter(r => r.path === '/info').map(r => r.body.type + (r.body.coin ? `:${r.body.coin}` : '')),
+    ['allMids', 'metaAndAssetCtxs', 'l2Book:BTC', 'l2Book:ETH', 'l2Book:SOL', 'recentTrades:BTC', 'recentTrades:ETH', 'recentTrades:SOL']
+  );
+
+  assert.equal(current.price.BTC, 97250.5);
+  assert.equal(current.price.SOL, 198.42);
+  // Asset contexts are matched by universe index, not position in our symbol list (ATOM sits before SOL)
+  assert.equal(current.oi.BTC, 24512.33 * 97250.5);
+  assert.equal(current.oi.SOL, 3120455.0 * 198.42);
+  assert.equal(current.funding.BTC, 0.0000125);
+  assert.equal(current.funding.SOL, -0.0000052);
+
+  const btcBook = hyperliquid.l2Book.BTC.levels;
+  const expected = imbalance(btcBook[0].map(l => [l.px, l.sz]), btcBook[1].map(l => [l.px, l.sz]));
+  assert.ok(Math.abs(current.orderbook.BTC.imbalance - expected) < 1e-9);
+
+  // B = taker buy, A = taker sell
+  assert.ok(Math.abs(current.cvd.BTC - (0.5 * 97250 - 0.2 * 97249 + 0.1 * 97251)) < 1e-6);
+  assert.ok(Math.abs(current.cvd.ETH - (4 * 3412.2 - 10 * 3412)) < 1e-6);
+
+  const flow = dataCollector.getHyperliquidFlow();
+  assert.ok(Math.abs(flow.buyVol - (0.5 * 97250 + 0.1 * 97251)) < 1e-6);
+  assert.ok(Math.abs(flow.sellVol - 0.2 * 97249) < 1e-6);
+});
+
+test('Hyperliquid: repeated trade ids are not double counted in flow', async () => {
+  const before = dataCollector.getHyperliquidFlow();
+  await dataCollector.fetchHyperliquidData();
+  const afterFetch = dataCollector.getHyperliquidFlow();
+  assert.equal(afterFetch.buyVol, before.buyVol);
+  assert.equal(afterFetch.sellVol, before.sellVol);
+});
+
+test('Binance: ticker, premiumIndex, openInterest, depth and trades', async () => {
+  await dataCollector.fetchBinanceData();
+  const current = dataStore.data.binance.current;
+
+  assert.equal(current.price.BTC, parseFloat(binance.ticker24hr.BTCUSDT.lastPrice));
+  assert.equal(current.funding.ETH, parseFloat(binance.premiumIndex.ETHUSDT.lastFundingRate));
+  assert.equal(current.oi.BTC, parseFloat(binance.openInterest.BTCUSDT.openInterest) * current.price.BTC);
+
+  const { bids, asks } = binance.depth.BTCUSDT;
+  assert.ok(Math.abs(current.orderbook.BTC.imbalance - imbalance(bids, asks)) < 1e-9);
+  assert.ok(Math.abs(current.orderbook.BTC.bidDepth - notional(bids)) < 1e-6);
+
+  // isBuyerMaker = taker sold
+  assert.ok(Math.abs(current.cvd.BTC - (0.3 * 97250.1 - 0.12 * 97249.9 + 0.05 * 97250)) < 1e-6);
+  assert.ok(current.cvd.ETH < 0);
+  assert.ok(current.cvd.SOL > 0);
+
+  // The deep book also reaches orderbookAnalytics
+  const book = orderbookAnalytics.getOrderbookAnalytics('BTC', { exchange: 'binance' }).exchanges.binance;
+  assert.equal(book.bestBid, parseFloat(bids[0][0]));
+  assert.equal(book.bestAsk, parseFloat(asks[0][0]));
+  assert.equal(book.levels, bids.length + asks.length);
+});
+
+test('Bybit: v5 tickers, orderbook and recent-trade', async () => {
+  await dataCollector.fetchBybitData();
+  const current = dataStore.data.bybit.current;
+  const ticker = bybit.tickers.BTCUSDT.result.list[0];
+
+  assert.equal(current.price.BTC, parseFloat(ticker.lastPrice));
+  assert.equal(current.funding.BTC, parseFloat(ticker.fundingRate));
+  assert.equal(current.oi.BTC, parseFloat(ticker.openInterest) * parseFloat(ticker.lastPrice));
+
+  const { b, a } = bybit.orderbook.SOLUSDT.result;
+  assert.ok(Math.abs(current.orderbook.SOL.imbalance - imbalance(b, a)) < 1e-9);
+
+  assert.ok(Math.abs(current.cvd.BTC - (0.4 * 97250.4 - 0.15 * 97249.8)) < 1e-6);
+  assert.ok(current.cvd.ETH < 0);
+});
+
+test('Bybit: a non-zero retCode leaves the series untouched', async () => {
+  const priceCount = dataStore.data.bybit.price.BTC.length;
+  const original = bybit.tickers.BTCUSDT;
+  bybit.tickers.BTCUSDT = { retCode: 10001, retMsg: 'params error', result: {}, time: 0 };
+  try {
+    await dataCollector.fetchBybitData();
+  } finally {
+    bybit.tickers.BTCUSDT = original;
+  }
+  assert.equal(dataStore.data.bybit.price.BTC.length, priceCount);
+});
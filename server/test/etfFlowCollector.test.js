@@ -0,0 +1,82 @@
+/**
+ * etfFlowCollector: the farside.co.uk table parser, and a scrape served by
+ * the local mock exchange (FARSIDE_URL override)
+ */
+
+const { loadFixture } = require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startMockExchange } = require('./helpers/mockExchange');
+
+const farsideHtml = loadFixture('farside-btc.html');
+
+let mock;
+let dataStore;
+let etfFlowCollector;
+
+before(async () => {
+  mock = await startMockExchange({ routes: { 'GET /btc/': farsideHtml } });
+  process.env.FARSIDE_URL = `${mock.httpUrl}/btc/`;
+
+  dataStore = require('../dataStore');
+  etfFlowCollector = require('../etfFlowCollector');
+});
+
+after(async () => {
+  await mock.close();
+});
+
+test('parseFarsideHtml: dated rows only, newest first, millions USD', () => {
+  const flows = etfFlowCollector.parseFarsideHtml(farsideHtml);
+
+  // Header, fee, Total and Average rows are not flows
+  assert.deepEqual(flows.map(f => f.date), ['02 Jan 2026', '31 Dec 2025', '30 Dec 2025', '29 Dec 2025']);
+  assert.deepEqual(flows[0], { date: '02 Jan 2026', total: 1245.6, IBIT: 511.2, FBTC: 325.9, BITB: 44.7, ARKB: 96.1, GBTC: 120.4 });
+});
+
+test('parseFarsideHtml: parentheses and minus are outflows, dashes are zero', () => {
+  const [, dec31, , dec29] = etfFlowCollector.parseFarsideHtml(farsideHtml);
+  assert.equal(dec31.total, -145.7);
+  assert.equal(dec31.BITB, 0);
+  assert.equal(dec29.IBIT, -180.2);
+  assert.equal(dec29.GBTC, -66.8);
+});
+
+test('parseFarsideHtml: a page without the table yields no rows', () => {
+  assert.deepEqual(etfFlowCollector.parseFarsideHtml('<html><body><p>Service unavailable</p></body></html>'), []);
+});
+
+test('fetchNow: scrapes FARSIDE_URL when there is no JSON file and feeds the signal', async () => {
+  const ok = await etfFlowCollector.fetchNow();
+  assert.equal(ok, true);
+  assert.equal(mock.requests.filter(r => r.path === '/btc/').length, 1);
+
+  const etf = dataStore.getEtfFlows();
+  assert.equal(etf.today.date, '02 Jan 2026');
+  assert.equal(etf.today.source, 'farside');
+  assert.equal(etf.today.netFlow, 1245.6 * 1e6);
+  assert.equal(etf.today.IBIT.flow, 511.2 * 1e6);
+
+  const signal = etfFlowCollector.calculateEtfFlowSignal();
+  assert.equal(signal.signal, 'STRONG_INFLOW');
+  assert.equal(signal.score, 0.85);
+});
+
+test('fetchNow: the JSON file takes priority over scraping', async () => {
+  fs.writeFileSync(path.join(process.env.DATA_DIR, 'etf-flows.json'), JSON.stringify({
+    lastUpdated: '2026-01-05T22:00:00.000Z',
+    today: { date: '05 Jan 2026', netFlowM: -120.5, IBIT: -80, FBTC: -40.5 },
+    history: [{ date: '05 Jan 2026', netFlowM: -120.5, IBIT: -80, FBTC: -40.5 }]
+  }));
+
+  const scrapes = mock.requests.length;
+  assert.equal(await etfFlowCollector.fetchNow(), true);
+  assert.equal(mock.requests.length, scrapes);
+
+  const etf = dataStore.getEtfFlows();
+  assert.equal(etf.today.source, 'json-fallback');
+  assert.equal(etf.today.netFlow, -120.5 * 1e6);
+  assert.equal(etfFlowCollector.calculateEtfFlowSignal().signal, 'MODERATE_OUTFLOW');
+});
@@ -0,0 +1,135 @@
+/**
+ * fundingHistoryCollector against the local mock exchange: backfill paging on
+ * each exchange, top-ups that skip settlements already stored, and the
+ * funding-history.json round trip
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startMockExchange, waitFor } = require('./helpers/mockExchange');
+
+const T = 1767225600000;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let exchange;
+let now = T;
+let fundingHistoryCollector;
+
+// BTC settlements: 600 hourly on Hyperliquid (two pages of 500), 270 8-hourly on Bybit (two pages of 200)
+const hyperliquid = Array.from({ length: 600 }, (_, i) => ({ coin: 'BTC', fundingRate: '0.0000125', time: T - (600 - i) * HOUR }));
+const binance = Array.from({ length: 30 }, (_, i) => ({ symbol: 'BTCUSDT', fundingRate: '0.0001', fundingTime: T - (30 - i) * 8 * HOUR }));
+const bybit = Array.from({ length: 270 }, (_, i) => ({ symbol: 'BTCUSDT', fundingRate: '-0.00005', fundingRateTimestamp: String(T - (270 - i) * 8 * HOUR) }));
+
+before(async () => {
+  exchange = await startMockExchange({
+    routes: {
+      'POST /info': ({ body }) => (body.type === 'fundingHistory' && body.coin === 'BTC'
+        ? hyperliquid.filter(f => f.time >= body.startTime).slice(0, 500)
+        : []),
+      // Ignores startTime, so every top-up overlaps what is already stored
+      'GET /fapi/v1/fundingRate': ({ query }) => (query.symbol === 'BTCUSDT' ? binance : []),
+      'GET /v5/market/funding/history': ({ query }) => ({
+        retCode: 0,
+        result: {
+          list: query.symbol === 'BTCUSDT'
+            ? bybit
+              .filter(f => +f.fundingRateTimestamp >= +query.startTime && +f.fundingRateTimestamp <= +query.endTime)
+              .reverse()
+              .slice(0, 200)
+            : []
+        }
+      })
+    }
+  });
+
+  process.env.HYPERLIQUID_API_URL = `${exchange.httpUrl}/info`;
+  process.env.BINANCE_API_URL = exchange.httpUrl;
+  process.env.BYBIT_API_URL = exchange.httpUrl;
+  mock.method(Date, 'now', () => now);
+  fundingHistoryCollector = require('../fundingHistoryCollector');
+});
+
+after(async () => {
+  mock.restoreAll();
+  await exchange.close();
+});
+
+function requestsFor(match) {
+  return exchange.requests.filter(match);
+}
+
+test('updateFundingHistory: backfills 90 days, paging forward on Hyperliquid and backwards on Bybit', async () => {
+  await fundingHistoryCollector.updateFundingHistory();
+
+  const hlPages = requestsFor(r => r.path === '/info' && r.body.coin === 'BTC');
+  assert.deepEqual(hlPages.map(r => r.body.startTime), [T - 90 * DAY, hyperliquid[499].time + 1]);
+  const bybitPages = requestsFor(r => r.path === '/v5/market/funding/history' && r.query.symbol === 'BTCUSDT');
+  assert.deepEqual(bybitPages.map(r => +r.query.endTime), [T, +bybit[70].fundingRateTimestamp - 1]);
+
+  const hl = fundingHistoryCollector.getFundingHistory('hyperliquid', 'BTC');
+  assert.equal(hl.length, 600);
+  assert.deepEqual(hl[0], { timestamp: hyperliquid[0].time, rate: 0.0000125 });
+  assert.equal(fundingHistoryCollector.getFundingHistory('binance', 'BTC').length, 30);
+
+  // Oldest first whichever way the exchange pages
+  const by = fundingHistoryCollector.getFundingHistory('bybit', 'BTC');
+  assert.equal(by.length, 270);
+  assert.ok(by.every((e, i) => i === 0 || e.timestamp > by[i - 1].timestamp));
+  assert.deepEqual(fundingHistoryCollector.getCoverage('bybit', 'BTC'), {
+    count: 270, from: T - 270 * 8 * HOUR, to: T - 8 * HOUR, days: 89.7, intervalHours: 8
+  });
+  assert.equal(fundingHistoryCollector.getCoverage('hyperliquid', 'ETH').count, 0);
+});
+
+test('updateFundingHistory: top-ups start after the last settlement and skip ones already stored', async () => {
+  now = T + 8 * HOUR;
+  hyperliquid.push(...Array.from({ length: 8 }, (_, i) => ({ coin: 'BTC', fundingRate: '0.00002', time: T + i * HOUR })));
+  binance.push({ symbol: 'BTCUSDT', fundingRate: '0.0002', fundingTime: T });
+  const seen = exchange.requests.length;
+
+  await fundingHistoryCollector.updateFundingHistory();
+
+  const topUp = exchange.requests.slice(seen);
+  assert.equal(topUp.find(r => r.path === '/info' && r.body.coin === 'BTC').body.startTime, T - HOUR + 1);
+  assert.equal(topUp.find(r => r.query.symbol === 'BTCUSDT' && r.path === '/fapi/v1/fundingRate').query.startTime, String(T - 8 * HOUR + 1));
+
+  assert.equal(fundingHistoryCollector.getFundingHistory('hyperliquid', 'BTC').length, 608);
+  // All 31 Binance settlements came back; only the new one is added
+  const bn = fundingHistoryCollector.getFundingHistory('binance', 'BTC');
+  assert.equal(bn.length, 31);
+  assert.equal(new Set(bn.map(e => e.timestamp)).size, 31);
+  assert.deepEqual(bn[30], { timestamp: T, rate: 0.0002 });
+
+  // `to` defaults to now
+  now = T - HOUR;
+  assert.equal(fundingHistoryCollector.getFundingHistory('hyperliquid', 'BTC').length, 600);
+  now = T + 8 * HOUR;
+});
+
+test('persistence: a restart loads the saved settlements and only tops up', async () => {
+  const file = path.join(process.env.DATA_DIR, 'funding-history.json');
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(saved.savedAt, T + 8 * HOUR);
+  assert.equal(saved.history.bybit.BTC.length, 270);
+
+  delete require.cache[require.resolve('../fundingHistoryCollector')];
+  const restarted = require('../fundingHistoryCollector');
+  const seen = exchange.requests.length;
+
+  restarted.startFundingHistoryCollection();
+  // Loaded before the first request goes out
+  assert.equal(restarted.getFundingHistory('hyperliquid', 'BTC').length, 608);
+  assert.equal(restarted.getCollectorStatus().lastUpdate, new Date(T + 8 * HOUR).toISOString());
+
+  await waitFor(() => !restarted.getCollectorStatus().updating, { timeoutMs: 10000 });
+  restarted.stopFundingHistoryCollection();
+
+  const hlRequest = exchange.requests.slice(seen).find(r => r.path === '/info' && r.body.coin === 'BTC');
+  assert.equal(hlRequest.body.startTime, T + 7 * HOUR + 1);
+  assert.equal(restarted.getFundingHistory('binance', 'BTC').length, 31);
+  assert.equal(restarted.getCollectorStatus().running, false);
+});
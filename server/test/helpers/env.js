@@ -0,0 +1,31 @@
+/**
+ * Test environment: require before any server module
+ *
+ * Points DATA_DIR at a throwaway directory so modules that load or persist
+ * state at require time (dataStore, winRateTracker, ...) start empty and
+ * never touch server/data. Collector logs are muted; errors still print.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+if (!process.env.DATA_DIR) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'traderbias-test-'));
+  process.env.DATA_DIR = dataDir;
+  process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+}
+
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function loadFixture(name) {
+  const raw = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(raw) : raw;
+}
+
+module.exports = { loadFixture, FIXTURES_DIR };
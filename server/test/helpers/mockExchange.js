@@ -0,0 +1,113 @@
+/**
+ * Local mock exchange for offline collector tests
+ *
+ * One HTTP server answers REST routes and accepts WebSocket connections on
+ * the same port, so a collector can be pointed at it through its env URL
+ * override (BINANCE_API_URL, WHALE_WS_<FEED>, BINANCE_LIQ_WS_URL, FARSIDE_URL, ...)
+ *
+ * routes:   { 'GET /fapi/v1/ticker/24hr': body | (request) => body }
+ *           request = { method, path, query, body } (body parsed if JSON)
+ *           objects are sent as JSON, strings as text/html
+ * sockets:  { '/binanceSpot': [frame, ...] | (socket, request) => void }
+ *           frame arrays are replayed as soon as the client connects
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+function send(res, status, body) {
+  const isText = typeof body === 'string';
+  res.writeHead(status, { 'Content-Type': isText ? 'text/html; charset=utf-8' : 'application/json' });
+  res.end(isText ? body : JSON.stringify(body));
+}
+
+function parseBody(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Start the mock on a random local port
+ * @returns {Promise<object>} - { httpUrl, wsUrl, requests, received, close() }
+ */
+function startMockExchange({ routes = {}, sockets = {} } = {}) {
+  const requests = [];   // Every REST request, in order
+  const received = {};   // { socketPath: [parsed client messages] }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body: parseBody(raw)
+      };
+      requests.push(request);
+
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (route === undefined) {
+        send(res, 404, { error: `No mock for ${req.method} ${url.pathname}` });
+        return;
+      }
+      const body = typeof route === 'function' ? route(request) : route;
+      if (body === undefined) {
+        send(res, 404, { error: 'Not mocked' });
+        return;
+      }
+      send(res, 200, body);
+    });
+  });
+
+  const wss = new WebSocketServer({ server });
+  wss.on('connection', (socket, req) => {
+    const socketPath = new URL(req.url, 'http://localhost').pathname;
+    received[socketPath] = received[socketPath] || [];
+    socket.on('message', data => received[socketPath].push(parseBody(data.toString())));
+
+    const handler = sockets[socketPath];
+    if (typeof handler === 'function') {
+      handler(socket, req);
+    } else if (Array.isArray(handler)) {
+      handler.forEach(frame => socket.send(typeof frame === 'string' ? frame : JSON.stringify(frame)));
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        httpUrl: `http://127.0.0.1:${port}`,
+        wsUrl: `ws://127.0.0.1:${port}`,
+        requests,
+        received,
+        close: () => new Promise(done => {
+          wss.clients.forEach(client => client.terminate());
+          wss.close(() => server.close(() => done()));
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Poll until check() returns truthy (collectors write asynchronously)
+ * Timed on the monotonic clock so tests can pin Date.now
+ */
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = performance.now() + timeoutMs;
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (performance.now() > deadline) throw new Error('waitFor: condition not met in time');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = { startMockExchange, waitFor };
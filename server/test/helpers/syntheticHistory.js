@@ -0,0 +1,145 @@
+/**
+ * Deterministic market histories for the projection golden tests
+ *
+ * Each scenario is 12 hours of 1-minute Hyperliquid price / OI / CVD points
+ * and 5-minute funding points ending at NOW, plus Binance / Bybit prices and
+ * aggregated spot / perp CVD, shaped like DataStore series:
+ * - trend:        steady grind up, OI and CVD building, funding drifting up
+ * - range:        chop around a level, flat OI, two-sided flow
+ * - squeeze:      shorts crowded (negative funding), then a fast rip as OI unwinds
+ * - capitulation: selloff into a flush, OI collapsing, spot absorbing perp selling
+ *
+ * Noise comes from a seeded PRNG so every run produces the same numbers.
+ */
+
+const NOW = Date.UTC(2026, 0, 15, 14, 30); // 14:30 UTC, a fixed session
+const MINUTE = 60 * 1000;
+const HOURS = 12;
+const POINTS = HOURS * 60;
+
+// mulberry32
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Build a scenario from shape functions of progress p (0 = 12h ago, 1 = now)
+ */
+function build(name, seed, shape) {
+  const random = createRandom(seed);
+  const noise = scale => (random() - 0.5) * 2 * scale;
+  const timeAt = i => NOW - (POINTS - 1 - i) * MINUTE;
+  const progress = i => i / (POINTS - 1);
+
+  const price = [];
+  const oi = [];
+  const cvd = [];
+  const funding = [];
+  const spotCvd = [];
+
+  for (let i = 0; i < POINTS; i++) {
+    const p = progress(i);
+    const timestamp = timeAt(i);
+    const value = round(shape.price(p) * (1 + noise(shape.priceNoise ?? 0.0004)), 2);
+    price.push({ timestamp, value });
+    oi.push({ timestamp, value: round(shape.oi(p) * (1 + noise(0.0005)), 0) });
+    cvd.push({ time: timestamp, delta: round(shape.cvd(p) + noise(shape.cvdNoise ?? 600), 2) });
+    spotCvd.push({ time: timestamp, delta: round(shape.spotCvd(p) + noise(300), 2) });
+    if (i % 5 === 0) {
+      funding.push({ timestamp, rate: round(shape.funding(p) + noise(0.000002), 8) });
+    }
+  }
+
+  // Other venues track Hyperliquid with a small basis
+  const venue = basis => price.map(({ timestamp, value }) => ({ timestamp, value: round(value * (1 + basis), 2) }));
+
+  return {
+    name,
+    coin: 'BTC',
+    now: NOW,
+    hyperliquid: { price, oi, funding, cvd },
+    binance: { price: venue(-0.0002) },
+    bybit: { price: venue(0.0001) },
+    spotCvd,
+    perpCvd: cvd
+  };
+}
+
+// Smooth step from 0 to 1 between a and b
+function ramp(p, a, b) {
+  if (p <= a) return 0;
+  if (p >= b) return 1;
+  const x = (p - a) / (b - a);
+  return x * x * (3 - 2 * x);
+}
+
+const SCENARIOS = {
+  trend: () => build('trend', 11, {
+    price: p => 94000 * (1 + 0.02 * p + 0.035 * ramp(p, 0.9, 1)),
+    oi: p => 2.1e9 * (1 + 0.03 * p + 0.03 * ramp(p, 0.9, 1)),
+    cvd: p => 200 + 1500 * ramp(p, 0.85, 1),
+    spotCvd: p => 100 + 400 * p,
+    funding: p => 0.00001 + 0.00002 * p
+  }),
+
+  range: () => build('range', 23, {
+    // One swing per hour, so any 1H window nets out near zero
+    price: p => 96000 * (1 + 0.004 * Math.sin(p * Math.PI * 24)),
+    oi: p => 2.4e9 * (1 + 0.002 * Math.sin(p * Math.PI * 6)),
+    cvd: p => 800 * Math.sin(p * Math.PI * 24),
+    spotCvd: p => 300 * Math.cos(p * Math.PI * 24),
+    funding: p => 0.0000125 + 0.000004 * Math.sin(p * Math.PI * 6)
+  }),
+
+  squeeze: () => build('squeeze', 37, {
+    price: p => 92000 * (1 - 0.01 * ramp(p, 0, 0.7) + 0.045 * ramp(p, 0.82, 1)),
+    oi: p => 2.6e9 * (1 + 0.03 * ramp(p, 0, 0.7) - 0.09 * ramp(p, 0.82, 1)),
+    cvd: p => -150 + 2000 * ramp(p, 0.82, 1),
+    spotCvd: p => 50 + 400 * ramp(p, 0.82, 1),
+    funding: p => -0.00002 - 0.00005 * ramp(p, 0.3, 0.8) + 0.00003 * ramp(p, 0.9, 1)
+  }),
+
+  capitulation: () => build('capitulation', 53, {
+    price: p => 98000 * (1 - 0.02 * ramp(p, 0, 0.6) - 0.07 * ramp(p, 0.75, 0.97) + 0.004 * ramp(p, 0.97, 1)),
+    oi: p => 2.8e9 * (1 - 0.02 * ramp(p, 0, 0.6) - 0.12 * ramp(p, 0.75, 0.97)),
+    cvd: p => -200 - 1800 * ramp(p, 0.75, 0.95),
+    spotCvd: p => 80 + 600 * ramp(p, 0.85, 1),
+    funding: p => 0.00001 - 0.00004 * ramp(p, 0.6, 1),
+    priceNoise: 0.0008,
+    cvdNoise: 900
+  })
+};
+
+/**
+ * DataStore stand-in serving a scenario to generateProjection
+ */
+function createStore(history) {
+  const { coin } = history;
+  const exchange = section => {
+    if (!section) return null;
+    const series = {};
+    Object.entries(section).forEach(([metric, entries]) => { series[metric] = { [coin]: entries }; });
+    const last = section.price[section.price.length - 1].value;
+    return { ...series, current: { price: { [coin]: last } } };
+  };
+
+  return {
+    getExchangeData: name => exchange(history[name]),
+    getAggregatedSpotCvdHistory: requested => (requested === coin ? history.spotCvd : []),
+    getAggregatedPerpCvdHistory: requested => (requested === coin ? history.perpCvd : [])
+  };
+}
+
+module.exports = { SCENARIOS, createStore, createRandom, NOW };
@@ -0,0 +1,146 @@
+/**
+ * hyperliquidWsCollector against the local mock exchange: trades / l2Book /
+ * activeAssetCtx frames into the 10-second DataStore write, and the switch
+ * to the REST worker when the socket goes silent and back once it reconnects.
+ * Timers and Date are mocked; socket and HTTP I/O are real.
+ */
+
+const { loadFixture } = require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockExchange } = require('./helpers/mockExchange');
+
+const T = 1767225600000;
+const hyperliquid = loadFixture('hyperliquid-info.json');
+
+let exchange;
+let dataStore;
+let dataCollector;
+let hyperliquidWsCollector;
+const serverSockets = [];
+
+const FRAMES = [
+  { channel: 'subscriptionResponse', data: { method: 'subscribe' } },
+  {
+    channel: 'trades',
+    data: [
+      { coin: 'BTC', side: 'B', px: '97000', sz: '0.5', time: T, tid: 1 },
+      { coin: 'BTC', side: 'A', px: '97010', sz: '0.2', time: T, tid: 2 },
+      { coin: 'NOTLISTED', side: 'B', px: '1', sz: '1000', time: T, tid: 3 }
+    ]
+  },
+  { channel: 'l2Book', data: { coin: 'BTC', time: T, levels: [[{ px: '96990', sz: '2', n: 1 }], [{ px: '97010', sz: '1', n: 1 }]] } },
+  { channel: 'activeAssetCtx', data: { coin: 'BTC', ctx: { funding: '0.0000125', openInterest: '100', markPx: '97001', midPx: '97000.5' } } }
+];
+
+// Let socket and HTTP callbacks run; the mocked timers never fire on their own
+async function until(check, timeoutMs = 5000) {
+  const deadline = performance.now() + timeoutMs;
+  while (!check()) {
+    if (performance.now() > deadline) throw new Error('until: condition not met in time');
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+const subscriptions = () => (exchange.received['/ws'] || []).filter(m => m.method === 'subscribe');
+const restRequests = () => exchange.requests.filter(r => r.path === '/info');
+
+before(async () => {
+  exchange = await startMockExchange({
+    routes: {
+      'POST /info': ({ body }) => {
+        if (body.type === 'allMids') return hyperliquid.allMids;
+        if (body.type === 'metaAndAssetCtxs') return hyperliquid.metaAndAssetCtxs;
+        if (body.type === 'l2Book') return hyperliquid.l2Book[body.coin];
+        if (body.type === 'recentTrades') return hyperliquid.recentTrades[body.coin];
+        return undefined;
+      }
+    },
+    sockets: {
+      '/ws': socket => {
+        serverSockets.push(socket);
+        FRAMES.forEach(frame => socket.send(JSON.stringify(frame)));
+        // After a reconnect: the replay above, then one new trade
+        if (serverSockets.length > 1) {
+          socket.send(JSON.stringify({ channel: 'trades', data: [{ coin: 'BTC', side: 'B', px: '97100', sz: '0.1', time: T, tid: 4 }] }));
+        }
+      }
+    }
+  });
+  process.env.HYPERLIQUID_API_URL = `${exchange.httpUrl}/info`;
+  process.env.HYPERLIQUID_WS_URL = `${exchange.wsUrl}/ws`;
+
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: T });
+  dataStore = require('../dataStore');
+  dataCollector = require('../dataCollector');
+  hyperliquidWsCollector = require('../hyperliquidWsCollector');
+});
+
+after(async () => {
+  hyperliquidWsCollector.stop();
+  mock.timers.reset();
+  await exchange.close();
+});
+
+test('messages: trades, book and asset context land in the DataStore on the 10s write', async () => {
+  hyperliquidWsCollector.start();
+  await until(() => hyperliquidWsCollector.getStatus().tradesProcessed === 2 && hyperliquidWsCollector.getBook('BTC'));
+  await until(() => subscriptions().length === 9);
+
+  // trades / l2Book / activeAssetCtx for each registry coin
+  assert.deepEqual(
+    subscriptions().filter(m => m.subscription.coin === 'BTC').map(m => m.subscription.type),
+    ['trades', 'l2Book', 'activeAssetCtx']
+  );
+  assert.equal(hyperliquidWsCollector.isLive(), true);
+
+  mock.timers.tick(10000);
+  const current = dataStore.data.hyperliquid.current;
+  assert.equal(current.price.BTC, 97000.5);
+  assert.equal(current.oi.BTC, 100 * 97000.5);
+  assert.equal(current.funding.BTC, 0.0000125);
+  // B = taker buy, A = taker sell; the unlisted coin is ignored
+  assert.ok(Math.abs(current.cvd.BTC - (0.5 * 97000 - 0.2 * 97010)) < 1e-6);
+  assert.ok(Math.abs(current.orderbook.BTC.imbalance - ((2 * 96990 - 97010) / (2 * 96990 + 97010)) * 100) < 1e-9);
+
+  const flow = hyperliquidWsCollector.getFlow();
+  assert.ok(Math.abs(flow.buyVol - 0.5 * 97000) < 1e-6);
+  assert.ok(Math.abs(flow.sellVol - 0.2 * 97010) < 1e-6);
+
+  // CVD is per write: nothing traded since, so the next write adds 0
+  mock.timers.tick(10000);
+  assert.equal(dataStore.data.hyperliquid.current.cvd.BTC, 0);
+});
+
+test('switch: a silent socket is terminated, REST polls, and the reconnect takes over again', async () => {
+  // Live: the REST worker stays idle
+  await dataCollector.pollHyperliquidFallback();
+  assert.equal(restRequests().length, 0);
+
+  // No message for more than 30s: the watchdog terminates the socket and a reconnect is scheduled
+  mock.timers.tick(20000);
+  assert.equal(hyperliquidWsCollector.isLive(), false);
+  await until(() => hyperliquidWsCollector.getStatus().reconnectAttempts === 1);
+  assert.equal(hyperliquidWsCollector.getStatus().mode, 'rest');
+  await until(() => serverSockets[0].readyState === serverSockets[0].CLOSED);
+
+  // Not live: REST fills in
+  await dataCollector.pollHyperliquidFallback();
+  assert.deepEqual(restRequests().slice(0, 2).map(r => r.body.type), ['allMids', 'metaAndAssetCtxs']);
+  assert.equal(dataStore.data.hyperliquid.current.price.BTC, 97250.5);
+
+  // Reconnect after 5s: subscriptions are sent again and the socket is live
+  mock.timers.tick(5000);
+  await until(() => subscriptions().length === 18 && hyperliquidWsCollector.isLive());
+  assert.equal(serverSockets.length, 2);
+
+  // The replayed trades are deduped on tid; only the new one counts
+  await until(() => hyperliquidWsCollector.getStatus().tradesProcessed >= 3);
+  assert.equal(hyperliquidWsCollector.getStatus().tradesProcessed, 3);
+  assert.equal(hyperliquidWsCollector.getStatus().reconnectAttempts, 0);
+
+  const requests = restRequests().length;
+  await dataCollector.pollHyperliquidFallback();
+  assert.equal(restRequests().length, requests);
+  assert.equal(hyperliquidWsCollector.getStatus().mode, 'websocket');
+});
@@ -0,0 +1,136 @@
+/**
+ * liquidationCollector handlers, and all five liquidation streams replayed
+ * over WebSocket from the local mock exchange (<EXCHANGE>_LIQ_WS_URL overrides)
+ */
+
+const { loadFixture } = require('./helpers/env');
+const { test, before, after, mock: testMock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockExchange, waitFor } = require('./helpers/mockExchange');
+
+const feeds = loadFixture('liquidation-feeds.json');
+const NOW = 1767225600000 + 60 * 1000; // One minute after the fixture prints; older than 2h is dropped
+
+let mock;
+let dataStore;
+let liquidationCollector;
+
+function clearLiquidations() {
+  Object.keys(dataStore.data.liquidations).forEach(coin => {
+    dataStore.data.liquidations[coin] = [];
+  });
+}
+
+before(async () => {
+  testMock.method(Date, 'now', () => NOW);
+
+  mock = await startMockExchange({
+    sockets: Object.fromEntries(Object.entries(feeds).map(([exchange, frames]) => [`/${exchange}`, frames]))
+  });
+  process.env.BINANCE_LIQ_WS_URL = `${mock.wsUrl}/binance`;
+  process.env.BYBIT_LIQ_WS_URL = `${mock.wsUrl}/bybit`;
+  process.env.OKX_LIQ_WS_URL = `${mock.wsUrl}/okx`;
+  process.env.DERIBIT_LIQ_WS_URL = `${mock.wsUrl}/deribit`;
+  process.env.HYPERLIQUID_LIQ_WS_URL = `${mock.wsUrl}/hyperliquid`;
+
+  dataStore = require('../dataStore');
+  liquidationCollector = require('../liquidationCollector');
+});
+
+after(async () => {
+  liquidationCollector.stop();
+  await mock.close();
+  testMock.restoreAll();
+});
+
+test('Binance forceOrder: SELL = long liquidated, unknown symbols skipped', () => {
+  clearLiquidations();
+  feeds.binance.forEach(msg => liquidationCollector.handleBinanceLiquidation(msg));
+
+  const [btc] = dataStore.getLiquidations('BTC');
+  assert.deepEqual(btc, {
+    symbol: 'BTC', side: 'SELL', price: 96980.1, quantity: 0.75,
+    notional: 96980.1 * 0.75, timestamp: 1767225600999, exchange: 'binance'
+  });
+  assert.equal(dataStore.getLiquidations('ETH')[0].side, 'BUY');
+  assert.equal(Object.values(dataStore.data.liquidations).flat().length, 2);
+});
+
+test('Bybit liquidation topic: acks and pongs are ignored', () => {
+  clearLiquidations();
+  feeds.bybit.forEach(msg => liquidationCollector.handleBybitLiquidation(msg));
+
+  const liqs = dataStore.getLiquidations('BTC');
+  assert.equal(liqs.length, 1);
+  assert.equal(liqs[0].side, 'BUY');
+  assert.equal(liqs[0].quantity, 1.2);
+  assert.equal(liqs[0].timestamp, 1767225601300);
+});
+
+test('OKX liquidation-orders: contracts converted to coin, other swaps skipped', () => {
+  clearLiquidations();
+  feeds.okx.forEach(msg => liquidationCollector.handleOkxLiquidation(msg));
+
+  const [sol] = dataStore.getLiquidations('SOL');
+  assert.equal(sol.side, 'SELL');
+  assert.equal(sol.quantity, 1500);
+  const [btc] = dataStore.getLiquidations('BTC');
+  assert.equal(btc.side, 'BUY');
+  assert.ok(Math.abs(btc.quantity - 0.4) < 1e-9);
+  assert.equal(Object.values(dataStore.data.liquidations).flat().length, 2);
+});
+
+test('Deribit trades: only liquidation trades, inverse amounts in USD', () => {
+  clearLiquidations();
+  feeds.deribit.forEach(msg => liquidationCollector.handleDeribitLiquidation(msg));
+
+  const btc = dataStore.getLiquidations('BTC');
+  assert.equal(btc.length, 1);
+  assert.equal(btc[0].side, 'SELL');             // Liquidated taker sold
+  assert.equal(btc[0].quantity, 48500 / 97000);  // BTC-PERPETUAL amount is USD
+  const [sol] = dataStore.getLiquidations('SOL');
+  assert.equal(sol.side, 'SELL');                // Liquidated maker was on the other side of a buy
+  assert.equal(sol.quantity, 250);               // SOL_USDC-PERPETUAL amount is SOL
+});
+
+test('Hyperliquid userFills: snapshot and non-liquidation fills skipped', () => {
+  clearLiquidations();
+  feeds.hyperliquid.forEach(msg => liquidationCollector.handleHyperliquidLiquidation(msg));
+
+  assert.equal(dataStore.getLiquidations('BTC').length, 0);
+  const eth = dataStore.getLiquidations('ETH');
+  assert.equal(eth.length, 1);
+  assert.equal(eth[0].side, 'SELL'); // Liquidator bought = long liquidated
+  assert.equal(eth[0].quantity, 25);
+});
+
+test('replay: every stream is subscribed and lands in the DataStore', async () => {
+  clearLiquidations();
+  liquidationCollector.start();
+
+  const all = await waitFor(() => {
+    const stored = Object.values(dataStore.data.liquidations).flat();
+    return stored.length >= 8 && stored;
+  });
+
+  assert.deepEqual(
+    all.map(l => `${l.exchange}:${l.symbol}:${l.side}`).sort(),
+    [
+      'binance:BTC:SELL', 'binance:ETH:BUY', 'bybit:BTC:BUY', 'deribit:BTC:SELL',
+      'deribit:SOL:SELL', 'hyperliquid:ETH:SELL', 'okx:BTC:BUY', 'okx:SOL:SELL'
+    ]
+  );
+
+  assert.deepEqual(mock.received['/bybit'][0].args, ['liquidation.BTCUSDT', 'liquidation.ETHUSDT', 'liquidation.SOLUSDT']);
+  assert.deepEqual(mock.received['/okx'][0].args, [{ channel: 'liquidation-orders', instType: 'SWAP' }]);
+  assert.deepEqual(mock.received['/deribit'][0].params.channels, [
+    'trades.BTC-PERPETUAL.100ms', 'trades.ETH-PERPETUAL.100ms', 'trades.SOL_USDC-PERPETUAL.100ms'
+  ]);
+  assert.equal(mock.received['/hyperliquid'][0].subscription.type, 'userFills');
+
+  const velocity = liquidationCollector.calculateVelocity('BTC', 60 * 60 * 1000);
+  assert.equal(velocity.count, 4);
+  assert.deepEqual(Object.keys(velocity.byExchange).sort(), ['binance', 'bybit', 'deribit', 'okx']);
+  assert.ok(Math.abs(velocity.longLiqValue - (96980.1 * 0.75 + 97000 * 0.5)) < 1e-6);
+  assert.ok(Math.abs(velocity.shortLiqValue - (97400.5 * 1.2 + 97500 * 0.4)) < 1e-6);
+});
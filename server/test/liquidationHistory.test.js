@@ -0,0 +1,141 @@
+/**
+ * liquidationHistory driven by recordLiquidation and checkCascades(now) with
+ * a pinned clock: candle bucketing and per-exchange filtering, a cascade's
+ * open / extend / close, the 1h / 4h follow-ups and pruning on save
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const T = 1767225600000; // On an hour boundary
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let now = T;
+let dataStore;
+let liquidationHistory;
+
+/**
+ * A liquidation seen by both the collector's raw window and the history
+ * side SELL = long liquidated
+ */
+function liquidate(symbol, timestamp, notional, side = 'SELL', exchange = 'binance') {
+  const liq = { symbol, timestamp, notional, side, exchange, price: 100000 };
+  dataStore.addLiquidation(liq);
+  liquidationHistory.recordLiquidation(liq);
+}
+
+function check(at, price) {
+  now = at;
+  if (price) dataStore.data.binance.current.price.BTC = price;
+  liquidationHistory.checkCascades(at);
+}
+
+before(() => {
+  mock.method(Date, 'now', () => now);
+  dataStore = require('../dataStore');
+  liquidationHistory = require('../liquidationHistory');
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('getCandles: liquidations bucketed per interval, split by side, narrowed to one exchange', () => {
+  liquidate('ETH', T + 10 * 1000, 1000, 'SELL', 'binance');
+  liquidate('ETH', T + 50 * 1000, 500, 'BUY', 'bybit');
+  liquidate('ETH', T + 70 * 1000, 2000, 'SELL', 'bybit');
+  liquidate('ETH', T + 6 * MINUTE, 300, 'BUY', 'binance');
+  now = T + 10 * MINUTE;
+
+  const summary = c => [(c.time - T) / MINUTE, c.long, c.short, c.total];
+  assert.deepEqual(liquidationHistory.getCandles('ETH', { interval: '1m' }).map(summary), [
+    [0, 1000, 500, 1500], [1, 2000, 0, 2000], [6, 0, 300, 300]
+  ]);
+
+  const fiveMinute = liquidationHistory.getCandles('ETH');
+  assert.deepEqual(fiveMinute.map(summary), [[0, 3000, 500, 3500], [5, 0, 300, 300]]);
+  assert.deepEqual([fiveMinute[0].longCount, fiveMinute[0].shortCount], [2, 1]);
+  assert.deepEqual(fiveMinute[0].exchanges, { binance: { long: 1000, short: 0 }, bybit: { long: 2000, short: 500 } });
+
+  assert.deepEqual(liquidationHistory.getCandles('ETH', { interval: '1h' }).map(summary), [[0, 3000, 800, 3800]]);
+
+  // Buckets with nothing on that venue are dropped
+  assert.deepEqual(liquidationHistory.getCandles('ETH', { exchange: 'bybit' }), [{ time: T, long: 2000, short: 500, total: 2500 }]);
+  assert.deepEqual(liquidationHistory.getCandles('ETH', { interval: '1m', from: T + MINUTE, to: T + 5 * MINUTE }).map(summary), [[1, 2000, 0, 2000]]);
+  assert.deepEqual(liquidationHistory.getCandles('SOL'), []);
+});
+
+test('checkCascades: opens on an accelerating one-sided burst, extends while it lasts, closes after 5 quiet minutes', () => {
+  // $12M of longs in one print: 2.4M/min over 5m vs 0.8M over 15m and 0.2M over 1h
+  now = T - 30 * 1000;
+  for (let i = 0; i < 12; i++) liquidate('BTC', now, 1000000);
+  check(T, 100000);
+
+  const [opened] = liquidationHistory.getCascades({ coin: 'BTC' });
+  assert.equal(opened.type, 'LONG_CASCADE');
+  assert.equal(opened.startedAt, T - 30 * 1000);
+  assert.equal(opened.endedAt, null);
+  assert.deepEqual(opened.liquidated, { long: 12000000, short: 0, total: 12000000, count: 12, byExchange: { binance: 12000000 } });
+
+  // Liquidations while it runs are added to it
+  now = T + 30 * 1000;
+  liquidate('BTC', now, 5000000, 'SELL', 'bybit');
+  for (let minute = 1; minute <= 8; minute++) check(T + minute * MINUTE, 99000);
+
+  // The burst leaves the 5m window at T+5m; last active at T+4m, so still open at T+8m
+  const running = liquidationHistory.getCascades({ coin: 'BTC' })[0];
+  assert.equal(running.lastActiveAt, T + 4 * MINUTE);
+  assert.equal(running.endedAt, null);
+  assert.equal(running.peakRatePerMin, 3400000);
+  assert.deepEqual(running.liquidated.byExchange, { binance: 12000000, bybit: 5000000 });
+
+  check(T + 9 * MINUTE, 99000);
+  const closed = liquidationHistory.getCascades({ coin: 'BTC' })[0];
+  assert.equal(closed.endedAt, T + 9 * MINUTE);
+  assert.deepEqual(closed.price, { start: 100000, end: 99000, low: 99000, high: 100000, changePercent: -1 });
+  assert.equal(closed.pricePath.length, 10);
+  assert.equal(liquidationHistory.getCascades({ coin: 'ETH' }).length, 0);
+
+  // A later check does not reopen or extend it
+  check(T + 10 * MINUTE, 99000);
+  assert.equal(liquidationHistory.getCascades({ coin: 'BTC' }).length, 1);
+  assert.equal(closed.pricePath.length, 10);
+});
+
+test('checkCascades: 1h follow-up priced on time, 4h left empty when checked too late', () => {
+  const endedAt = T + 9 * MINUTE;
+
+  check(endedAt + HOUR - MINUTE, 99500);
+  const cascade = liquidationHistory.getCascades({ coin: 'BTC' })[0];
+  assert.deepEqual(cascade.after, {});
+
+  check(endedAt + HOUR + 2 * MINUTE, 99990);
+  assert.deepEqual(cascade.after['1h'], { price: 99990, changePercent: 1 });
+
+  // Checked again later: the 1h price is kept
+  check(endedAt + 2 * HOUR, 90000);
+  assert.equal(cascade.after['1h'].price, 99990);
+
+  // More than 10 minutes past the 4h mark (server was down)
+  check(endedAt + 4 * HOUR + 11 * MINUTE, 90000);
+  assert.deepEqual(cascade.after['4h'], { price: null, changePercent: null });
+});
+
+test('pruneCandles: expired buckets survive the minute checks and go on save', () => {
+  liquidate('SOL', now - 2 * 24 * HOUR, 700);
+  check(now + MINUTE);
+  assert.equal(liquidationHistory.getCandles('SOL', { interval: '1m' }).length, 1);
+
+  liquidationHistory.stopLiquidationHistory();
+
+  // 1m buckets are kept for a day, 1h buckets for 90 days
+  assert.deepEqual(liquidationHistory.getCandles('SOL', { interval: '1m' }), []);
+  assert.equal(liquidationHistory.getCandles('SOL', { interval: '1h' }).length, 1);
+  const saved = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'liquidation-history.json'), 'utf8'));
+  assert.deepEqual(Object.keys(saved.candles.SOL['1m']), []);
+  assert.equal(saved.cascades.length, 1);
+});
@@ -0,0 +1,129 @@
+/**
+ * liquidationZoneCalculator over fixed DataStore histories: entry cohorts
+ * from OI growth, heatmap bucketing with cohorts already traded through
+ * dropped, and zones when only one side has liquidations in range
+ */
+
+require('./helpers/env');
+const { test, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const T = 1767225600000;
+const MINUTE = 60 * 1000;
+
+let dataStore;
+let liquidationZoneCalculator;
+
+function reset() {
+  ['hyperliquid', 'binance', 'bybit'].forEach(exchange => {
+    dataStore.data[exchange] = dataStore.createEmptyExchangeData();
+  });
+}
+
+// [minutesAgo, value] -> [{ timestamp, value }]
+function series(points) {
+  return points.map(([minutesAgo, value]) => ({ timestamp: T - minutesAgo * MINUTE, value }));
+}
+
+before(() => {
+  mock.method(Date, 'now', () => T);
+  dataStore = require('../dataStore');
+  liquidationZoneCalculator = require('../liquidationZoneCalculator');
+});
+
+beforeEach(reset);
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('getEntryCohorts: base OI over the window, aggressor-split growth, pro rata closes', () => {
+  const hl = dataStore.data.hyperliquid;
+  hl.price.BTC = series([[60, 100], [45, 102], [30, 101], [15, 101]]);
+  // +500 as price rises 100 -> 102, then OI drops by a fifth
+  hl.oi.BTC = series([[60, 1000], [45, 1500], [30, 1200], [15, 1200]]);
+  // No history on Bybit yet, only a current OI
+  dataStore.data.bybit.current.oi.BTC = 400;
+
+  const cohorts = liquidationZoneCalculator.getEntryCohorts('BTC', 100)
+    .map(c => ({ ...c, long: Math.round(c.long * 1000) / 1000, short: Math.round(c.short * 1000) / 1000 }));
+
+  const opened = T - 60 * MINUTE;
+  assert.deepEqual(cohorts, [
+    // 1000 already open, a quarter at each bucket's price, scaled by 1200 / 1500
+    { timestamp: opened, price: 100, long: 100, short: 100 },
+    { timestamp: opened, price: 102, long: 100, short: 100 },
+    { timestamp: opened, price: 101, long: 100, short: 100 },
+    { timestamp: opened, price: 101, long: 100, short: 100 },
+    // Price went up, so 60% of the new 500 is long
+    { timestamp: T - 45 * MINUTE, price: 102, long: 240, short: 160 },
+    { timestamp: T, price: 100, long: 200, short: 200 }
+  ]);
+});
+
+test('getEntryCohorts: an exchange without its own prices uses Hyperliquid\'s', () => {
+  dataStore.data.hyperliquid.price.BTC = series([[30, 90], [15, 95]]);
+  dataStore.data.binance.oi.BTC = series([[30, 800], [15, 800]]);
+
+  assert.deepEqual(liquidationZoneCalculator.getEntryCohorts('BTC', 100), [
+    { timestamp: T - 30 * MINUTE, price: 90, long: 200, short: 200 },
+    { timestamp: T - 30 * MINUTE, price: 95, long: 200, short: 200 }
+  ]);
+});
+
+test('buildHeatmap: liquidation prices bucketed by leverage tier, traded-through cohorts dropped', () => {
+  // The dip to 99.3 after the first cohort opened took out its 50x longs (99.485)
+  dataStore.data.hyperliquid.price.BTC = series([[60, 101], [30, 101], [20, 99.3], [10, 100]]);
+  const cohorts = [
+    { timestamp: T - 60 * MINUTE, price: 101, long: 1000, short: 500 },
+    { timestamp: T - 15 * MINUTE, price: 101, long: 200, short: 100 }
+  ];
+  const distribution = [{ leverage: 10, weight: 0.6 }, { leverage: 50, weight: 0.4 }];
+
+  const heatmap = liquidationZoneCalculator.buildHeatmap('BTC', 100, cohorts, distribution);
+
+  assert.equal(heatmap.buckets.length, 80);
+  assert.deepEqual(heatmap.buckets[0], { price: 80.25, distance: -19.75, long: 0, short: 0 });
+  assert.deepEqual(
+    heatmap.buckets.filter(b => b.long || b.short).map(b => [b.distance, b.long, b.short]),
+    [
+      [-8.75, 720, 0],  // 10x longs at 91.41: 0.6 x (1000 + 200)
+      [-0.75, 80, 0],   // 50x longs at 99.49: only the later cohort
+      [2.75, 0, 240],   // 50x shorts at 102.52: 0.4 x (500 + 100)
+      [10.75, 0, 360]   // 10x shorts at 110.6: 0.6 x (500 + 100)
+    ]
+  );
+  assert.deepEqual(heatmap.totals, { long: 800, short: 600 });
+  assert.equal(heatmap.peak, 720);
+});
+
+test('calculateLiquidationZones: a side with nothing in range is null, the heatmap is kept', () => {
+  const hl = dataStore.data.hyperliquid;
+  // Everything opened at 100; the pump to 120 liquidated every short
+  hl.price.BTC = series([[60, 100], [30, 120]]);
+  hl.oi.BTC = series([[60, 1e9]]);
+  hl.current.price.BTC = 120;
+  hl.current.oi.BTC = 1e9;
+
+  const zones = liquidationZoneCalculator.calculateLiquidationZones('BTC');
+
+  assert.equal(zones.status, 'ACTIVE');
+  assert.equal(zones.zones.short, null);
+  assert.equal(zones.heatmap.totals.short, 0);
+  assert.ok(zones.heatmap.totals.long > 0);
+  // Nearest major cluster: the bucket centred 17.25% under 120
+  assert.equal(zones.zones.long.distance, 17.3);
+  assert.equal(zones.probability, zones.zones.long.probability);
+
+  const signal = liquidationZoneCalculator.calculateZoneSignal('BTC');
+  assert.equal(signal.signal, 'NEUTRAL');
+  assert.equal(signal.zones.zones.short, null);
+});
+
+test('calculateLiquidationZones: no price, or no liquidations on either side, is NO_DATA', () => {
+  assert.deepEqual(liquidationZoneCalculator.calculateLiquidationZones('BTC'), { status: 'NO_DATA', message: 'Waiting for price data' });
+
+  dataStore.data.hyperliquid.current.price.BTC = 100;
+  assert.deepEqual(liquidationZoneCalculator.calculateLiquidationZones('BTC'), { status: 'NO_DATA', message: 'Waiting for OI data' });
+  assert.equal(liquidationZoneCalculator.calculateZoneSignal('BTC').signal, 'INSUFFICIENT_DATA');
+});
@@ -0,0 +1,152 @@
+/**
+ * orderbookAnalytics: depth bands, wall detection and the wall lifecycle
+ * (filled vs pulled, spoof flag) over hand-built SOL books around a 100 mid
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const T = 1767225600000;
+const MINUTE = 60 * 1000;
+
+let now = T;
+let analytics;
+
+/**
+ * 41 levels a side in 0.05 steps, 100 SOL each (~10k notional)
+ * @param {object} options - { bestBid (in cents), wall: { price, size }, levelSize }
+ */
+function book({ bestBid = 9995, wall = null, levelSize = 100 } = {}) {
+  const level = price => [price, wall && wall.price === price ? wall.size : levelSize];
+  const bids = Array.from({ length: 41 }, (_, i) => level((bestBid - i * 5) / 100));
+  const asks = Array.from({ length: 41 }, (_, i) => level((bestBid + 10 + i * 5) / 100));
+  return { bids, asks };
+}
+
+function record(exchange, levels, timestamp) {
+  analytics.recordBook(exchange, 'SOL', levels.bids, levels.asks, timestamp);
+}
+
+before(() => {
+  mock.method(Date, 'now', () => now);
+  analytics = require('../orderbookAnalytics');
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('computeBands: notional per band, imbalance, partial beyond the returned depth', () => {
+  const bids = [[99.95, 10], [99.6, 10], [99.2, 10], [98.5, 10]];
+  const asks = [[100.05, 10], [100.4, 20], [100.8, 10], [101.5, 10]];
+  const { bands, coverage } = analytics.computeBands(bids, asks, 100);
+
+  assert.equal(coverage, 1.5);
+  assert.deepEqual(bands[0.1], { bid: 999.5, ask: 1000.5, imbalance: ((999.5 - 1000.5) / 2000) * 100, partial: false });
+  assert.equal(bands[0.5].bid, 999.5 + 996);
+  assert.equal(bands[0.5].ask, 1000.5 + 2008);
+  assert.ok(bands[0.5].imbalance < 0);
+  assert.equal(bands[1].bid, 999.5 + 996 + 992);
+  assert.equal(bands[1].partial, false);
+  assert.equal(bands[2].bid, 999.5 + 996 + 992 + 985);
+  assert.equal(bands[2].partial, true);
+});
+
+test('recordBook: string levels are parsed, empty levels dropped, one-sided books ignored', () => {
+  analytics.recordBook('okx', 'SOL', [['99.95', '10'], ['99.90', '0']], [['100.05', '10']], T);
+  const { exchanges } = analytics.getOrderbookAnalytics('SOL', { exchange: 'okx' });
+  assert.ok(Math.abs(exchanges.okx.mid - 100) < 1e-9);
+  assert.equal(exchanges.okx.levels, 2);
+
+  analytics.recordBook('okx', 'SOL', [], [['100.05', '10']], T + MINUTE);
+  assert.equal(analytics.getOrderbookAnalytics('SOL', { exchange: 'okx' }).exchanges.okx.timestamp, T);
+});
+
+test('walls: a level far above the median and the coin minimum, not a uniformly deep book', () => {
+  now = T;
+  record('binance', book({ wall: { price: 99, size: 5000 } }), T);
+  const [wall] = analytics.getOrderbookAnalytics('SOL', { exchange: 'binance' }).walls;
+  assert.equal(wall.side, 'BID');
+  assert.equal(wall.price, 99);
+  assert.equal(wall.notional, 495000);
+  assert.ok(Math.abs(wall.distance - 1) < 1e-9);
+
+  // Under the 300k SOL minimum, however large against its neighbours
+  record('bybit', book({ wall: { price: 99, size: 2500 } }), T);
+  assert.equal(analytics.getOrderbookAnalytics('SOL', { exchange: 'bybit' }).walls.length, 0);
+
+  // Every level this size: nothing stands out from the median
+  record('hyperliquid', book({ levelSize: 5000 }), T);
+  assert.equal(analytics.getOrderbookAnalytics('SOL', { exchange: 'hyperliquid' }).walls.length, 0);
+});
+
+test('wall lifecycle: a dip keeps the wall, a quick pull away from price is a spoof, a slow one is not', () => {
+  const walled = book({ wall: { price: 99, size: 5000 } });
+  const exchange = 'binance';
+
+  // Still half its peak: shrinking under the minimum is not a pull
+  record(exchange, book({ wall: { price: 99, size: 2600 } }), T + MINUTE);
+  let result = analytics.getOrderbookAnalytics('SOL', { exchange });
+  assert.equal(result.walls.length, 1);
+  assert.equal(result.walls[0].notional, 257400);
+  assert.equal(result.walls[0].peakNotional, 495000);
+  assert.equal(result.wallEvents.length, 0);
+
+  record(exchange, book(), T + 2 * MINUTE);
+  result = analytics.getOrderbookAnalytics('SOL', { exchange });
+  assert.equal(result.walls.length, 0);
+  const [pulled] = result.wallEvents;
+  assert.equal(pulled.outcome, 'PULLED');
+  assert.equal(pulled.lifetimeMs, 2 * MINUTE);
+  assert.equal(pulled.spoof, true);
+  assert.equal(pulled.approached, false);
+  assert.equal(result.spoofCount, 1);
+
+  // Standing for longer than the spoof window before going
+  record(exchange, walled, T + 3 * MINUTE);
+  record(exchange, walled, T + 9 * MINUTE);
+  record(exchange, book(), T + 10 * MINUTE);
+  result = analytics.getOrderbookAnalytics('SOL', { exchange });
+  assert.equal(result.wallEvents.length, 2);
+  assert.equal(result.wallEvents[0].outcome, 'PULLED');
+  assert.equal(result.wallEvents[0].lifetimeMs, 7 * MINUTE);
+  assert.equal(result.wallEvents[0].spoof, false);
+  assert.equal(result.spoofCount, 1);
+});
+
+test('wall lifecycle: price trading down through a bid wall is a fill, not a spoof', () => {
+  const exchange = 'bybit';
+  record(exchange, book({ wall: { price: 99.5, size: 5000 } }), T + MINUTE);
+  record(exchange, book({ bestBid: 9960, wall: { price: 99.5, size: 5000 } }), T + 2 * MINUTE);
+  record(exchange, book({ bestBid: 9945 }), T + 3 * MINUTE);
+
+  const [event] = analytics.getOrderbookAnalytics('SOL', { exchange }).wallEvents;
+  assert.equal(event.outcome, 'FILLED');
+  assert.equal(event.spoof, false);
+  assert.equal(event.approached, true);
+  assert.ok(Math.abs(event.priceAtVanish - 99.5) < 1e-9);
+});
+
+test('getOrderbookAnalytics: bands summed across exchanges, history one sample per minute', () => {
+  now = T + 10 * MINUTE;
+  const all = analytics.getOrderbookAnalytics('SOL');
+  const venues = Object.keys(all.exchanges).sort();
+  assert.deepEqual(venues, ['binance', 'bybit', 'hyperliquid', 'okx']);
+  assert.equal(all.aggregate[0.5].bid, venues.reduce((sum, v) => sum + all.exchanges[v].bands[0.5].bid, 0));
+  assert.equal(all.aggregate[2].partial, true); // The two-level okx book only covers 0.05%
+
+  // binance sampled at T, +1m, +2m, +3m, +9m, +10m
+  const binance = analytics.getOrderbookAnalytics('SOL', { exchange: 'binance' });
+  assert.deepEqual(binance.history.map(h => (h.timestamp - T) / MINUTE), [0, 1, 2, 3, 9, 10]);
+  assert.equal(binance.history[5].imbalance[0.1], binance.exchanges.binance.bands[0.1].imbalance);
+
+  // A second book inside the same minute does not add a sample
+  record('binance', book(), T + 10 * MINUTE + 20000);
+  assert.equal(analytics.getOrderbookAnalytics('SOL', { exchange: 'binance' }).history.length, 6);
+
+  // hours narrows the history window
+  assert.equal(analytics.getOrderbookAnalytics('SOL', { exchange: 'binance', hours: 0.1 }).history.length, 2);
+
+  assert.equal(analytics.getOrderbookAnalytics('ETH').aggregate, null);
+});
@@ -0,0 +1,173 @@
+/**
+ * projectionAudit with a pinned clock: ACTIVE records with their weighting,
+ * missing factors and hashed input windows, the non-ACTIVE throttle, and
+ * history queries by range, filter and `at`, clamped to the retention window
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const T = 1767225600000; // 2026-01-01T00:00:00Z
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+let now = T;
+let dataStore;
+let biasProjection;
+let projectionAudit;
+
+const sha1 = entries => crypto.createHash('sha1').update(JSON.stringify(entries)).digest('hex');
+
+// An ACTIVE generator output with two of the six 12hr factors weighted in
+function active(generatedAt) {
+  return {
+    status: 'ACTIVE',
+    generatedAt,
+    currentPrice: 97000,
+    prediction: { bias: 'BULLISH', score: 0.42 },
+    confidence: { level: 'MEDIUM' },
+    weighting: {
+      table: 'WEIGHTS',
+      totalWeight: 0.65,
+      baseScore: 0.2,
+      factors: { flowConfluence: { score: 0.5, weight: 0.4 }, oiRoC: { score: -0.2, weight: 0.25 } },
+      adjustments: []
+    },
+    historicalPerformance: { winRate: 61, sampleSize: 120 },
+    dataPointCount: 3
+  };
+}
+
+const ids = records => records.map(r => r.id);
+
+before(() => {
+  mock.method(Date, 'now', () => now);
+  dataStore = require('../dataStore');
+  biasProjection = require('../biasProjection');
+  projectionAudit = require('../projectionAudit');
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('recordProjection: ACTIVE record with factor contributions, missing factors and hashed input windows', () => {
+  const price = [0, 1, 2].map(i => ({ timestamp: T - (3 - i) * MINUTE, value: 97000 + i }));
+  const cvd = [{ time: T - 2 * MINUTE, delta: 5 }, { time: T - MINUTE, delta: -3 }];
+  const spot = [{ time: T - MINUTE, cvd: 12 }];
+  dataStore.data.hyperliquid.price.BTC = price;
+  dataStore.data.binance.cvd.BTC = cvd;
+  dataStore.data.spotCvd.coinbase = { BTC: { current: null, history: spot } };
+  dataStore.addLiquidation({ symbol: 'BTC', timestamp: T - MINUTE, notional: 1000, side: 'SELL', exchange: 'binance' });
+
+  const projection = active(T);
+  const record = projectionAudit.recordProjection('12hr', 'BTC', projection, T);
+
+  assert.equal(record.id, `12hr_BTC_${T}`);
+  assert.deepEqual(record.weighting.factors, {
+    flowConfluence: { score: 0.5, weight: 0.4, contribution: (0.5 * 0.4) / 0.65 },
+    oiRoC: { score: -0.2, weight: 0.25, contribution: (-0.2 * 0.25) / 0.65 }
+  });
+  assert.deepEqual(record.weights, biasProjection.WEIGHTS);
+  assert.deepEqual(record.dataCompleteness, {
+    factorsUsed: ['flowConfluence', 'oiRoC'],
+    factorsMissing: ['fundingZScore', 'confluence', 'liquidationMomentum', 'whales'],
+    dataPointCount: 3
+  });
+
+  // One window per non-empty series, hashed as DataStore held it
+  assert.deepEqual(Object.keys(record.inputs), ['hyperliquid:price', 'binance:cvd', 'spot:coinbase:cvd', 'liquidations']);
+  assert.deepEqual(record.inputs['hyperliquid:price'], { count: 3, from: T - 3 * MINUTE, to: T - MINUTE, hash: sha1(price) });
+  assert.deepEqual(record.inputs['binance:cvd'], { count: 2, from: T - 2 * MINUTE, to: T - MINUTE, hash: sha1(cvd) });
+  assert.equal(record.inputs['spot:coinbase:cvd'].hash, sha1(spot));
+  assert.equal(record.inputs.liquidations.count, 1);
+
+  // Per-coin win rates are left out of the stored copy, not the caller's object
+  assert.equal('historicalPerformance' in record.projection, false);
+  assert.equal(record.projection.prediction.bias, 'BULLISH');
+  assert.deepEqual(projection.historicalPerformance, { winRate: 61, sampleSize: 120 });
+
+  // Same data, same hash; one changed point, new hash
+  const unchanged = projectionAudit.recordProjection('12hr', 'BTC', active(T + MINUTE), T + MINUTE);
+  assert.equal(unchanged.inputs['hyperliquid:price'].hash, record.inputs['hyperliquid:price'].hash);
+  price[1].value = 96000;
+  const changed = projectionAudit.recordProjection('12hr', 'BTC', active(T + 2 * MINUTE), T + 2 * MINUTE);
+  assert.notEqual(changed.inputs['hyperliquid:price'].hash, record.inputs['hyperliquid:price'].hash);
+  assert.equal(changed.inputs['binance:cvd'].hash, record.inputs['binance:cvd'].hash);
+
+  const file = path.join(process.env.DATA_DIR, 'projection-audit', '2026-01-01.jsonl');
+  const stored = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(ids(stored), [`12hr_BTC_${T}`, `12hr_BTC_${T + MINUTE}`, `12hr_BTC_${T + 2 * MINUTE}`]);
+});
+
+test('recordProjection: an unchanged non-ACTIVE status is stored at most every 15 minutes', () => {
+  const warming = { status: 'WARMING_UP', message: 'Collecting data' };
+  const stored = projectionAudit.recordProjection('4hr', 'ETH', warming, T);
+  assert.deepEqual(stored, { id: `4hr_ETH_${T}`, type: '4hr', coin: 'ETH', generatedAt: T, status: 'WARMING_UP', message: 'Collecting data', dataCompleteness: null });
+
+  assert.equal(projectionAudit.recordProjection('4hr', 'ETH', warming, T + 5 * MINUTE), null);
+  // Another coin or type has its own throttle
+  assert.ok(projectionAudit.recordProjection('daily', 'ETH', warming, T + 5 * MINUTE));
+  assert.ok(projectionAudit.recordProjection('4hr', 'ETH', warming, T + 15 * MINUTE));
+  // A status change is stored straight away
+  assert.ok(projectionAudit.recordProjection('4hr', 'ETH', { status: 'ERROR', error: 'No price' }, T + 16 * MINUTE));
+  assert.equal(projectionAudit.recordProjection('4hr', 'ETH', { status: 'ERROR', error: 'No price' }, T + 17 * MINUTE), null);
+});
+
+test('getHistory: newest first, filtered by coin / type / status, limited, and `at` picks the ACTIVE record in effect', () => {
+  const record = (type, at, projection = active(at)) => projectionAudit.recordProjection(type, 'SOL', projection, at);
+  record('4hr', T - 30 * HOUR);
+  record('4hr', T - 2 * HOUR);
+  record('daily', T - HOUR);
+  record('4hr', T + 10 * MINUTE, { status: 'WARMING_UP', generatedAt: T + 10 * MINUTE });
+  now = T + 20 * MINUTE;
+
+  // Last 24h by default
+  assert.deepEqual(ids(projectionAudit.getHistory({ coin: 'SOL' })), [
+    `4hr_SOL_${T + 10 * MINUTE}`, `daily_SOL_${T - HOUR}`, `4hr_SOL_${T - 2 * HOUR}`
+  ]);
+  assert.deepEqual(ids(projectionAudit.getHistory({ coin: 'SOL', type: '4hr', from: T - 2 * DAY })), [
+    `4hr_SOL_${T + 10 * MINUTE}`, `4hr_SOL_${T - 2 * HOUR}`, `4hr_SOL_${T - 30 * HOUR}`
+  ]);
+  assert.deepEqual(ids(projectionAudit.getHistory({ coin: 'SOL', type: '4hr', from: T - 2 * DAY, to: T - HOUR, status: 'ACTIVE' })), [
+    `4hr_SOL_${T - 2 * HOUR}`, `4hr_SOL_${T - 30 * HOUR}`
+  ]);
+  assert.deepEqual(ids(projectionAudit.getHistory({ coin: 'SOL', from: T - 2 * DAY, limit: 2 })), [
+    `4hr_SOL_${T + 10 * MINUTE}`, `daily_SOL_${T - HOUR}`
+  ]);
+  assert.deepEqual(projectionAudit.getHistory({ coin: 'ADA' }), []);
+
+  // The WARMING_UP record is skipped; a record more than 24h before does not count
+  assert.deepEqual(ids(projectionAudit.getHistory({ coin: 'SOL', type: '4hr', at: T + 15 * MINUTE })), [`4hr_SOL_${T - 2 * HOUR}`]);
+  assert.deepEqual(ids(projectionAudit.getHistory({ coin: 'SOL', type: '4hr', at: T - 29 * HOUR })), [`4hr_SOL_${T - 30 * HOUR}`]);
+  assert.deepEqual(projectionAudit.getHistory({ coin: 'SOL', type: '4hr', at: T - 3 * HOUR }), []);
+
+  assert.equal(projectionAudit.getLatest('4hr', 'SOL').id, `4hr_SOL_${T - 2 * HOUR}`);
+  assert.equal(projectionAudit.getLatest('12hr', 'SOL'), null);
+
+  // After a restart the latest ACTIVE record is read back from disk
+  delete require.cache[require.resolve('../projectionAudit')];
+  const restarted = require('../projectionAudit');
+  assert.equal(restarted.getLatest('4hr', 'SOL').id, `4hr_SOL_${T - 2 * HOUR}`);
+  assert.equal(restarted.getLatest('daily', 'SOL').id, `daily_SOL_${T - HOUR}`);
+});
+
+test('getHistory: an early `from` reads only the days retention keeps', () => {
+  projectionAudit.recordProjection('daily', 'BNB', active(T - 29 * DAY), T - 29 * DAY);
+  // Left behind by a prune that has not run yet
+  const stale = { id: `daily_BNB_${T - 40 * DAY}`, type: 'daily', coin: 'BNB', generatedAt: T - 40 * DAY, status: 'ACTIVE' };
+  fs.writeFileSync(path.join(process.env.DATA_DIR, 'projection-audit', '2025-11-22.jsonl'), JSON.stringify(stale) + '\n');
+
+  const existsSync = mock.method(fs, 'existsSync');
+  const history = projectionAudit.getHistory({ coin: 'BNB', from: 0, limit: 1000 });
+  existsSync.mock.restore();
+
+  assert.deepEqual(ids(history), [`daily_BNB_${T - 29 * DAY}`]);
+  // Today back to the first day of the 30-day window, not every day since 1970
+  assert.equal(existsSync.mock.callCount(), 31);
+});
@@ -0,0 +1,129 @@
+/**
+ * projectionDiff over hand-built projectionAudit records: bias flips, sign
+ * changes and neutral-band crossings, contribution moves, added / dropped
+ * factors and bonuses, and the one-line summary
+ */
+
+require('./helpers/env');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffProjections } = require('../projectionDiff');
+
+const T = 1767225600000;
+const HOUR = 60 * 60 * 1000;
+
+function record({ generatedAt = T, price = 100000, bias, score, level = 'MEDIUM', baseScore = score, factors, adjustments = [], status = 'ACTIVE' }) {
+  return {
+    status,
+    generatedAt,
+    currentPrice: price,
+    prediction: { bias, score },
+    confidence: { level },
+    weighting: {
+      baseScore,
+      factors: Object.fromEntries(Object.entries(factors).map(([name, [factorScore, contribution]]) => [name, { score: factorScore, contribution }])),
+      adjustments: adjustments.map(name => ({ name }))
+    }
+  };
+}
+
+const previous = record({
+  bias: 'LEAN_BEARISH',
+  score: -0.25,
+  level: 'LOW',
+  baseScore: -0.2,
+  factors: {
+    flow: [-0.4, -0.1],
+    funding: [0.05, 0.005],
+    oi: [0.3, 0.06],
+    whales: [0.2, 0.02],
+    rsi: [0.5, 0.05]
+  },
+  adjustments: ['divergence']
+});
+
+const flipped = record({
+  generatedAt: T + 4 * HOUR,
+  price: 101000,
+  bias: 'BULLISH',
+  score: 0.35,
+  baseScore: 0.3,
+  factors: {
+    flow: [0.5, 0.125],     // Bearish to bullish
+    funding: [0.2, 0.02],   // Out of the neutral band, same sign
+    oi: [0.3, 0.065],       // Moved less than the reporting floor
+    rsi: [0.5, 0.05],       // Unchanged
+    regime: [-0.15, -0.03]  // New factor
+  },
+  adjustments: ['squeeze']
+});
+
+test('diffProjections: a bias flip with the factors that drove it, largest move first', () => {
+  const changes = diffProjections(previous, flipped);
+
+  assert.equal(changes.previousGeneratedAt, T);
+  assert.equal(changes.elapsedMs, 4 * HOUR);
+  assert.deepEqual(changes.bias, { from: 'LEAN_BEARISH', to: 'BULLISH', changed: true, flipped: true });
+  assert.deepEqual(changes.score, { from: -0.25, to: 0.35, delta: 0.6 });
+  assert.deepEqual(changes.baseScore, { from: -0.2, to: 0.3 });
+  assert.deepEqual(changes.confidence, { from: 'LOW', to: 'MEDIUM', changed: true });
+  assert.deepEqual(changes.price, { from: 100000, to: 101000, changePercent: 1 });
+
+  assert.deepEqual(changes.factors.map(f => [f.name, f.contributionDelta]), [
+    ['flow', 0.225], ['regime', -0.03], ['whales', -0.02], ['funding', 0.015]
+  ]);
+  assert.deepEqual(changes.signChanges, ['flow']);
+  assert.deepEqual(changes.thresholdCrossings, [
+    { name: 'flow', from: 'bearish', to: 'bullish' },
+    { name: 'funding', from: 'neutral', to: 'bullish' },
+    { name: 'whales', from: 'bullish', to: 'neutral' },
+    { name: 'regime', from: 'neutral', to: 'bearish' }
+  ]);
+  assert.deepEqual(changes.adjustments, { added: ['squeeze'], removed: ['divergence'] });
+
+  assert.equal(changes.summary, 'LEAN_BEARISH → BULLISH, flow flipped bullish');
+});
+
+test('diffProjections: added and dropped factors read as score 0 on the missing side', () => {
+  const { factors } = diffProjections(previous, flipped);
+  const regime = factors.find(f => f.name === 'regime');
+  const whales = factors.find(f => f.name === 'whales');
+
+  assert.deepEqual(regime, {
+    name: 'regime', from: null, to: { score: -0.15, contribution: -0.03 }, contributionDelta: -0.03,
+    signChanged: false, crossed: { from: 'neutral', to: 'bearish' }, added: true, removed: false
+  });
+  assert.equal(whales.removed, true);
+  assert.equal(whales.to, null);
+  assert.equal(whales.signChanged, false);
+});
+
+test('diffProjections: a stronger bias in the same direction is a change, not a flip', () => {
+  const lean = record({ bias: 'LEAN_BULLISH', score: 0.2, factors: { flow: [0.3, 0.06], oi: [0.2, 0.04] } });
+  const strong = record({
+    generatedAt: T + HOUR, bias: 'STRONG_BULLISH', score: 0.45, factors: { flow: [0.6, 0.12], oi: [0.25, 0.05] }
+  });
+
+  const changes = diffProjections(lean, strong);
+  assert.deepEqual(changes.bias, { from: 'LEAN_BULLISH', to: 'STRONG_BULLISH', changed: true, flipped: false });
+  assert.deepEqual(changes.signChanges, []);
+  assert.equal(changes.summary, 'LEAN_BULLISH → STRONG_BULLISH');
+});
+
+test('diffProjections: without a bias change the summary names the largest contribution move', () => {
+  const earlier = record({ bias: 'NEUTRAL', score: 0.02, factors: { flow: [0.1, 0.02], oi: [-0.05, -0.01] } });
+  const later = record({ generatedAt: T + HOUR, bias: 'NEUTRAL', score: 0.04, factors: { flow: [0.08, 0.016], oi: [-0.3, -0.06] } });
+
+  const changes = diffProjections(earlier, later);
+  assert.deepEqual(changes.factors.map(f => f.name), ['oi']);
+  assert.equal(changes.summary, 'oi -0.05');
+
+  assert.equal(diffProjections(earlier, { ...earlier, generatedAt: T + HOUR }).summary, 'No material change');
+});
+
+test('diffProjections: first projection, and non-ACTIVE records', () => {
+  assert.deepEqual(diffProjections(null, flipped), { previousGeneratedAt: null, summary: 'First projection recorded' });
+  assert.deepEqual(diffProjections({ ...previous, status: 'WARMING_UP' }, flipped), { previousGeneratedAt: null, summary: 'First projection recorded' });
+  assert.equal(diffProjections(previous, { ...flipped, status: 'WARMING_UP' }), null);
+  assert.equal(diffProjections(previous, null), null);
+});
@@ -0,0 +1,82 @@
+/**
+ * replayBacktester: run option validation (a step that never advances must
+ * throw, not hang) and the view's price lookup with its staleness limit
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const T = 1767225600000;
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let replayBacktester;
+
+/**
+ * DataStore-shaped source holding only price series
+ * @param {object} prices - { exchange: [{ timestamp, value }] } for BTC
+ */
+function source(prices = {}) {
+  return {
+    getHistory: (exchange, metric, coin) => (metric === 'price' && coin === 'BTC' ? prices[exchange] || [] : []),
+    getLiquidations: () => [],
+    data: { spotCvd: {} }
+  };
+}
+
+before(() => {
+  mock.method(Date, 'now', () => T);
+  replayBacktester = require('../replayBacktester');
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('runReplay: rejects steps that would not advance and non-finite bounds', () => {
+  const base = { coins: ['BTC'], types: ['12hr'], from: T - 2 * HOUR, to: T, source: source() };
+  const rejects = (overrides, message) => assert.throws(() => replayBacktester.runReplay({ ...base, ...overrides }), { message });
+
+  rejects({ stepMs: -60000 }, 'stepMs must be a positive number');
+  rejects({ stepMs: 0 }, 'stepMs must be a positive number');
+  rejects({ stepMs: NaN }, 'stepMs must be a positive number');
+  rejects({ stepMs: Infinity }, 'stepMs must be a positive number');
+  rejects({ lookbackMs: Infinity }, 'lookbackMs must be a finite number of at least 0');
+  rejects({ lookbackMs: -HOUR }, 'lookbackMs must be a finite number of at least 0');
+  rejects({ from: NaN }, 'Replay needs finite from < to');
+  rejects({ to: Infinity }, 'Replay needs finite from < to');
+  rejects({ from: T, to: T - HOUR }, 'Replay needs finite from < to');
+  rejects({ stepMs: 1000, from: T - 2 * HOUR }, /Too many replay steps/);
+});
+
+test('runReplay: a valid range walks every step and ends', () => {
+  const result = replayBacktester.runReplay({
+    coins: ['BTC'], types: ['12hr'], from: T - 2 * HOUR, to: T, stepMs: 30 * MINUTE, source: source()
+  });
+
+  // Nothing recorded, so every projection is still warming up
+  assert.deepEqual(result.predictions, []);
+  assert.equal(result.summary['12hr'].total, 0);
+  assert.deepEqual(result.config.coins, ['BTC']);
+  assert.equal(result.config.stepMs, 30 * MINUTE);
+});
+
+test('getPriceAt: newest price at or before the moment, Binance first, nothing older than 15 minutes', () => {
+  const view = new replayBacktester.ReplayDataStoreView(source({
+    binance: [{ timestamp: T - 40 * MINUTE, value: 96000 }, { timestamp: T - 20 * MINUTE, value: 96500 }],
+    hyperliquid: [{ timestamp: T - 10 * MINUTE, value: 96600 }, { timestamp: T + MINUTE, value: 99999 }],
+    bybit: [{ timestamp: T - 30 * MINUTE, value: 96200 }, { timestamp: T + 15 * MINUTE, value: 0 }]
+  }), { coins: ['BTC'], from: T - HOUR, to: T + HOUR });
+
+  // Binance is preferred while fresh
+  assert.equal(view.getPriceAt('BTC', T - 15 * MINUTE), 96500);
+  // Binance's last print is 20 minutes old: fall through to Hyperliquid, never a later print
+  assert.equal(view.getPriceAt('BTC', T), 96600);
+  assert.equal(view.getPriceAt('BTC', T + 10 * MINUTE), 99999);
+  // Bybit's fresh print is zero, which is not a price; the rest are stale
+  assert.equal(view.getPriceAt('BTC', T + 20 * MINUTE), null);
+  // A wider window accepts older prints
+  assert.equal(view.getPriceAt('BTC', T + 20 * MINUTE, HOUR), 96500);
+  assert.equal(view.getPriceAt('BTC', T - 50 * MINUTE), null);
+});
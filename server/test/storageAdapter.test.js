@@ -0,0 +1,151 @@
+/**
+ * storageAdapter: load / save / queryHistory / prune round trips for the
+ * JSON and SQLite adapters, and the DataStore's cap on unsaved points
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const T = 1767225600000;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+let storageAdapter;
+let dataStore;
+let sqlite;
+
+function emptySection() {
+  return {
+    price: { BTC: [] }, oi: { BTC: [] }, funding: { BTC: [] }, cvd: { BTC: [] }, orderbook: { BTC: [] },
+    current: { price: { BTC: 97000 } }
+  };
+}
+
+function snapshot(binance = emptySection()) {
+  return {
+    savedAt: T,
+    data: { binance, whaleTrades: [{ symbol: 'BTC', size: 12 }] },
+    lastUpdate: { binance: T }
+  };
+}
+
+before(() => {
+  // The DataStore singleton writes through SQLite, so its pending queue is live
+  process.env.DATASTORE_ADAPTER = 'sqlite';
+  storageAdapter = require('../storageAdapter');
+  dataStore = require('../dataStore');
+  sqlite = new storageAdapter.SqliteStorageAdapter(path.join(process.env.DATA_DIR, 'series.sqlite'));
+});
+
+after(() => {
+  sqlite.close();
+  dataStore.storage.close();
+  mock.restoreAll();
+});
+
+test('json: save then load returns the snapshot; no history beyond memory, nothing to prune', () => {
+  const file = path.join(process.env.DATA_DIR, 'nested', 'datastore.json');
+  const json = new storageAdapter.JsonStorageAdapter(file);
+  assert.equal(json.load(), null);
+
+  const section = emptySection();
+  section.price.BTC.push({ timestamp: T, value: 97000 });
+  json.save(snapshot(section));
+
+  assert.deepEqual(json.load(), snapshot(section));
+  assert.equal(json.queryHistory('binance', 'price', 'BTC', 0, T), null);
+  assert.equal(json.prune(T), 0);
+  assert.equal(json.persistsSeries, false);
+  assert.ok(fs.existsSync(file));
+});
+
+test('sqlite: points go to the series table and load rebuilds the window from the cutoff', () => {
+  assert.equal(sqlite.load(), null);
+
+  // The arrays in the snapshot are ignored: history comes back from the table
+  const section = emptySection();
+  section.price.BTC.push({ timestamp: T, value: 1 });
+  const points = [
+    { exchange: 'binance', metric: 'price', coin: 'BTC', entry: { timestamp: T - 2 * DAY, value: 95000 } },
+    { exchange: 'binance', metric: 'price', coin: 'BTC', entry: { timestamp: T - MINUTE, value: 96900 } },
+    { exchange: 'binance', metric: 'price', coin: 'BTC', entry: { timestamp: T, value: 97000 } },
+    { exchange: 'binance', metric: 'cvd', coin: 'BTC', entry: { time: T, delta: -12.5 } },
+    { exchange: 'binance', metric: 'funding', coin: 'BTC', entry: { timestamp: T, rate: 0.0001 } },
+    { exchange: 'binance', metric: 'orderbook', coin: 'BTC', entry: { timestamp: T, imbalance: 12, bidDepth: 5, askDepth: 4 } },
+    { exchange: 'binance', metric: 'unknown', coin: 'BTC', entry: { timestamp: T, value: 1 } }
+  ];
+  sqlite.save(snapshot(section), points);
+
+  const loaded = sqlite.load(T - DAY);
+  assert.deepEqual(loaded.data.binance.price.BTC, [{ timestamp: T - MINUTE, value: 96900 }, { timestamp: T, value: 97000 }]);
+  assert.deepEqual(loaded.data.binance.cvd.BTC, [{ time: T, delta: -12.5 }]);
+  assert.deepEqual(loaded.data.binance.funding.BTC, [{ timestamp: T, rate: 0.0001 }]);
+  assert.deepEqual(loaded.data.binance.orderbook.BTC, [{ timestamp: T, imbalance: 12, bidDepth: 5, askDepth: 4 }]);
+  assert.deepEqual(loaded.data.binance.current, { price: { BTC: 97000 } });
+  assert.deepEqual(loaded.data.whaleTrades, [{ symbol: 'BTC', size: 12 }]);
+  assert.deepEqual(loaded.lastUpdate, { binance: T });
+
+  // Everything since 0, including the two-day-old point
+  assert.equal(sqlite.load(0).data.binance.price.BTC.length, 3);
+});
+
+test('sqlite: queryHistory reads a closed range in time order', () => {
+  assert.deepEqual(sqlite.queryHistory('binance', 'price', 'BTC', T - 3 * DAY, T - MINUTE), [
+    { timestamp: T - 2 * DAY, value: 95000 },
+    { timestamp: T - MINUTE, value: 96900 }
+  ]);
+  assert.deepEqual(sqlite.queryHistory('bybit', 'price', 'BTC', 0, T), []);
+  assert.deepEqual(sqlite.queryHistory('binance', 'unknown', 'BTC', 0, T), []);
+});
+
+test('sqlite: prune drops points before the cutoff, defaulting to 90 days of retention', () => {
+  sqlite.save(snapshot(), [
+    { exchange: 'binance', metric: 'price', coin: 'BTC', entry: { timestamp: T - 100 * DAY, value: 60000 } }
+  ]);
+  assert.equal(sqlite.describe().retentionDays, 90);
+  assert.equal(sqlite.describe().oldestPoint, new Date(T - 100 * DAY).toISOString());
+
+  mock.method(Date, 'now', () => T);
+  assert.equal(sqlite.prune(), 1);
+  mock.restoreAll();
+  assert.equal(sqlite.prune(T - DAY), 1);
+  assert.deepEqual(sqlite.queryHistory('binance', 'price', 'BTC', 0, T).map(e => e.timestamp), [T - MINUTE, T]);
+
+  // Survives a reopen
+  sqlite.close();
+  sqlite = new storageAdapter.SqliteStorageAdapter(path.join(process.env.DATA_DIR, 'series.sqlite'));
+  assert.equal(sqlite.load(0).data.binance.price.BTC.length, 2);
+});
+
+test('createStorageAdapter: unknown types fall back to json', () => {
+  mock.method(console, 'warn', () => {});
+  assert.equal(storageAdapter.createStorageAdapter('redis').name, 'json');
+  const adapter = storageAdapter.createStorageAdapter('sqlite');
+  assert.equal(adapter.name, 'sqlite');
+  adapter.close();
+  mock.restoreAll();
+});
+
+test('dataStore: unsaved points are capped while saves keep failing', () => {
+  assert.equal(dataStore.storage.name, 'sqlite');
+  mock.method(console, 'error', () => {});
+  const warnings = mock.method(console, 'warn', () => {});
+  mock.method(dataStore.storage, 'save', () => { throw new Error('disk I/O error'); });
+
+  for (let i = 0; i < 200001; i++) {
+    dataStore.appendPoint('binance', 'price', 'BTC', { timestamp: T + i, value: 97000 });
+  }
+  dataStore.saveToFile(true);
+
+  assert.equal(dataStore.pendingPoints.length, 180001);
+  assert.equal(dataStore.pendingPoints[0].entry.timestamp, T + 20000); // Oldest tenth dropped
+  assert.equal(warnings.mock.callCount(), 1);
+  mock.restoreAll();
+
+  dataStore.saveToFile(true);
+  assert.equal(dataStore.pendingPoints.length, 0);
+  assert.equal(dataStore.storage.queryHistory('binance', 'price', 'BTC', T, T + 200001).length, 180001);
+});
@@ -0,0 +1,91 @@
+/**
+ * symbolRegistry defaults and per-coin constants, and the whaleWatcher /
+ * liquidationCollector parsers running on a custom SYMBOLS_FILE
+ */
+
+const { FIXTURES_DIR } = require('./helpers/env');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+let symbolRegistry;
+let whaleWatcher;
+let liquidationCollector;
+let dataStore;
+
+before(() => {
+  process.env.SYMBOLS_FILE = path.join(FIXTURES_DIR, 'symbols-custom.json');
+  delete process.env.WHALE_MIN_DOGE;
+  symbolRegistry = require('../symbolRegistry');
+  whaleWatcher = require('../whaleWatcher');
+  liquidationCollector = require('../liquidationCollector');
+  dataStore = require('../dataStore');
+});
+
+test('omitted tickers default per venue, disabled coins are dropped', () => {
+  assert.deepEqual(symbolRegistry.getCoins(), ['BTC', 'DOGE']);
+  assert.equal(symbolRegistry.getExchangeSymbol('DOGE', 'okx'), 'DOGE-USDT-SWAP');
+  assert.equal(symbolRegistry.getExchangeSymbol('DOGE', 'okx', 'spot'), 'DOGE-USDT');
+  assert.equal(symbolRegistry.getExchangeSymbol('DOGE', 'kraken', 'spot'), 'XDG/USD');
+  assert.equal(symbolRegistry.getExchangeSymbol('BTC', 'kraken', 'spot'), 'BTC/USD');
+  assert.equal(symbolRegistry.getCoinByExchangeSymbol('kraken', 'xdg/usd', 'spot'), 'DOGE');
+  assert.deepEqual(symbolRegistry.getCoinsForExchange('deribit'), ['BTC']);
+});
+
+test('whale thresholds and contract sizes come from the config, never guessed', () => {
+  assert.equal(symbolRegistry.getWhaleThreshold('BTC'), 750000);
+  assert.equal(symbolRegistry.getWhaleThreshold('DOGE'), 50000);
+  assert.equal(symbolRegistry.getContractSize('BTC', 'okx'), 0.01);
+  assert.equal(symbolRegistry.getContractSize('DOGE', 'okx'), null);
+  assert.equal(symbolRegistry.getContractSize('ETH', 'okx'), null);
+
+  assert.equal(whaleWatcher.getThreshold('BTC'), 750000);
+  assert.equal(whaleWatcher.getThreshold('DOGE'), 50000);
+});
+
+test('whaleWatcher: registry tickers map back to coins, untracked ones are dropped', () => {
+  const [doge] = whaleWatcher.parseMessage('kraken', {
+    channel: 'trade',
+    type: 'update',
+    data: [
+      { symbol: 'XDG/USD', side: 'buy', price: 0.41, qty: 150000, ord_type: 'market', trade_id: 1, timestamp: '2026-01-01T00:00:00.000Z' },
+      { symbol: 'ETH/USD', side: 'buy', price: 3500, qty: 100, ord_type: 'market', trade_id: 2, timestamp: '2026-01-01T00:00:00.000Z' }
+    ]
+  });
+  assert.equal(doge.symbol, 'DOGE');
+
+  const bybit = whaleWatcher.parseMessage('bybitLinear', {
+    topic: 'publicTrade.ETHUSDT',
+    data: [{ T: 1, s: 'ETHUSDT', S: 'Buy', v: '100', p: '3500', i: 'x' }]
+  });
+  assert.deepEqual(bybit, []);
+  assert.equal(whaleWatcher.parseMessage('binanceSpot', { data: { e: 'aggTrade', s: 'ETHUSDT', p: '3500', q: '100', m: false, T: 1, a: 1 } }), null);
+});
+
+test('whaleWatcher: OKX swap trades without a contract size are skipped', () => {
+  const trades = whaleWatcher.parseMessage('okxSwap', {
+    arg: { channel: 'trades' },
+    data: [
+      { instId: 'DOGE-USDT-SWAP', tradeId: '1', px: '0.41', sz: '5000', side: 'buy', ts: '1' },
+      { instId: 'BTC-USDT-SWAP', tradeId: '2', px: '97000', sz: '100', side: 'buy', ts: '2' }
+    ]
+  });
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].symbol, 'BTC');
+  assert.equal(trades[0].size, 1);
+});
+
+test('liquidationCollector: OKX liquidations use the registry ctVal, coins without one are skipped', () => {
+  liquidationCollector.handleOkxLiquidation({
+    arg: { channel: 'liquidation-orders', instType: 'SWAP' },
+    data: [
+      { instId: 'DOGE-USDT-SWAP', details: [{ side: 'sell', bkPx: '0.41', sz: '90000', ts: String(Date.now()) }] },
+      { instId: 'BTC-USDT-SWAP', details: [{ side: 'buy', bkPx: '97000', sz: '250', ts: String(Date.now()) }] }
+    ]
+  });
+
+  assert.equal(dataStore.getLiquidations('DOGE').length, 0);
+  const [btc] = dataStore.getLiquidations('BTC');
+  assert.equal(btc.exchange, 'okx');
+  assert.ok(Math.abs(btc.quantity - 2.5) < 1e-9);
+});
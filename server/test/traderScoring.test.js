@@ -0,0 +1,88 @@
+/**
+ * traderScoring: calls priced at entry + 4H from stored history, stale calls
+ * dropped after downtime, accuracy shrinkage and consensus weighting
+ */
+
+require('./helpers/env');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const HOUR = 60 * 60 * 1000;
+const T = 1767225600000;
+
+let dataStore;
+let traderScoring;
+
+function setPrices(points, current) {
+  const hl = dataStore.data.hyperliquid;
+  hl.price.BTC = points.map(([timestamp, value]) => ({ timestamp, value }));
+  hl.current.price.BTC = current;
+}
+
+function call(trader, direction, timestamp, entryPx = 100000) {
+  traderScoring.recordCalls(
+    [{ type: 'entry', trader, coin: 'BTC', direction, timestamp }],
+    [{ trader, coin: 'BTC', entryPx }]
+  );
+}
+
+before(() => {
+  dataStore = require('../dataStore');
+  traderScoring = require('../traderScoring');
+});
+
+test('evaluatePending: waits for the horizon, then prices from history at entry + 4H', () => {
+  call('0xa', 'LONG', T);
+  setPrices([[T + 4 * HOUR - 30000, 102000], [T + 4 * HOUR + 30000, 102500]], 90000);
+
+  assert.equal(traderScoring.evaluatePending(T + 3 * HOUR), 0);
+  assert.equal(traderScoring.getScores().find(s => s.address === '0xa').pending, 1);
+
+  // Hours late, the current price (a 10% loss) is ignored in favour of the stored 4H price
+  assert.equal(traderScoring.evaluatePending(T + 9 * HOUR), 1);
+  const score = traderScoring.getScore('0xa');
+  assert.equal(score.calls, 1);
+  assert.equal(score.accuracy, Math.round(((1 + 2.5) / 6) * 1000) / 1000);
+});
+
+test('evaluatePending: without history the live price counts only within one poll', () => {
+  setPrices([], 99000);
+
+  call('0xb', 'SHORT', T);
+  assert.equal(traderScoring.evaluatePending(T + 4 * HOUR + 30000), 1);
+  assert.equal(traderScoring.getScore('0xb').calls, 1);     // Short, price down 1%: hit
+
+  call('0xc', 'SHORT', T);
+  assert.equal(traderScoring.evaluatePending(T + 12 * HOUR), 0);
+  const stale = traderScoring.getScores().find(s => s.address === '0xc');
+  assert.equal(stale.calls, 0);
+  assert.equal(stale.pending, 0);                             // Dropped, not judged late
+});
+
+test('evaluatePending: moves under 0.1% are neither hit nor miss', () => {
+  call('0xd', 'LONG', T);
+  setPrices([[T + 4 * HOUR, 100050]], 100050);
+
+  assert.equal(traderScoring.evaluatePending(T + 4 * HOUR), 0);
+  const flat = traderScoring.getScores().find(s => s.address === '0xd');
+  assert.equal(flat.calls, 0);
+  assert.equal(flat.pending, 0);
+});
+
+test('applyScores: proven traders outweigh the raw head count', () => {
+  traderScoring.recordLeaderboard([
+    { address: '0xwhale', accountValue: 50e6, dayRoi: 0.02, weekRoi: 0.1, monthRoi: 0.3, allTimeRoi: 2 },
+    { address: '0xnew1', accountValue: 150e3, dayRoi: -0.05, weekRoi: -0.1, monthRoi: -0.2, allTimeRoi: -0.3 },
+    { address: '0xnew2', accountValue: 150e3, dayRoi: -0.05, weekRoi: -0.1, monthRoi: -0.2, allTimeRoi: -0.3 }
+  ], T);
+
+  const consensus = traderScoring.applyScores({
+    BTC: { longs: [{ trader: '0xwhale' }], shorts: [{ trader: '0xnew1' }, { trader: '0xnew2' }] }
+  });
+
+  const { weighted, longs } = consensus.BTC;
+  assert.ok(longs[0].weight > 1);
+  assert.equal(weighted.rawLongPct, 1 / 3);
+  assert.ok(weighted.longPct > weighted.rawLongPct);
+  assert.equal(traderScoring.getScore('0xnobody').weight, 1);
+});
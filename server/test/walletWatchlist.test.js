@@ -0,0 +1,112 @@
+/**
+ * walletWatchlist snapshots against the local mock exchange: realized PnL
+ * pages through userFillsByTime's 2000-fill cap without double counting, and
+ * overlapping snapshots of one wallet share a single run
+ */
+
+require('./helpers/env');
+const { test, before, after, mock: testMock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockExchange } = require('./helpers/mockExchange');
+
+const ADDRESS = '0x' + 'ab'.repeat(20);
+const PINNED_AT = 1767225600000;
+const PAGE_SIZE = 2000;
+
+let mock;
+let walletWatchlist;
+let now = PINNED_AT + 60 * 60 * 1000;
+
+// 4500 fills, one per millisecond, except 1998-2001 which share one (the first page boundary)
+const fills = Array.from({ length: 4500 }, (_, i) => ({
+  coin: i % 3 === 0 ? 'ETH' : 'BTC',
+  time: PINNED_AT + 10 + (i >= 1998 && i <= 2001 ? 1998 : i),
+  closedPnl: '1.0',
+  fee: '0.1',
+  tid: 900000 + i
+}));
+
+function fillsByTime({ startTime, endTime }) {
+  return fills
+    .filter(f => f.time >= startTime && f.time <= endTime)
+    .sort((a, b) => a.time - b.time)
+    .slice(0, PAGE_SIZE);
+}
+
+before(async () => {
+  testMock.method(Date, 'now', () => now);
+
+  mock = await startMockExchange({
+    routes: {
+      'POST /info': ({ body }) => {
+        if (body.type === 'userFillsByTime') return fillsByTime(body);
+        if (body.type === 'clearinghouseState') {
+          return {
+            marginSummary: { accountValue: '250000.0', totalNtlPos: '97000.0' },
+            assetPositions: [{ position: { coin: 'BTC', szi: '1.0', entryPx: '95000.0', positionValue: '97000.0', unrealizedPnl: '2000.0', leverage: { value: 5 } } }]
+          };
+        }
+        return undefined;
+      }
+    }
+  });
+  process.env.HYPERLIQUID_API_URL = `${mock.httpUrl}/info`;
+
+  walletWatchlist = require('../walletWatchlist');
+});
+
+after(async () => {
+  await mock.close();
+  testMock.restoreAll();
+});
+
+const fillRequests = () => mock.requests.filter(r => r.body?.type === 'userFillsByTime');
+
+test('snapshotWallet: pages past 2000 fills, counting boundary fills once', async () => {
+  const wallet = { address: ADDRESS, label: null, addedAt: PINNED_AT, realized: {}, fillsCursor: PINNED_AT, snapshots: [] };
+  await walletWatchlist.snapshotWallet(wallet);
+
+  // Pages start at the previous page's last fill time
+  assert.deepEqual(fillRequests().map(r => r.body.startTime), [PINNED_AT, PINNED_AT + 10 + 1998, PINNED_AT + 10 + 3997]);
+
+  const ethFills = fills.filter(f => f.coin === 'ETH').length;
+  assert.ok(Math.abs(wallet.realized.ETH - ethFills * 0.9) < 1e-6);
+  assert.ok(Math.abs(wallet.realized.BTC - (4500 - ethFills) * 0.9) < 1e-6);
+  assert.equal(wallet.fillsCursor, PINNED_AT + 10 + 4499 + 1);
+
+  const [snapshot] = wallet.snapshots;
+  assert.equal(snapshot.timestamp, now);
+  assert.equal(snapshot.positions[0].realizedPnl, wallet.realized.BTC);
+  assert.ok(Math.abs(snapshot.realizedPnl - 4500 * 0.9) < 1e-6);
+});
+
+test('snapshotWallet: the next snapshot resumes after the newest fill', async () => {
+  const wallet = { address: ADDRESS, label: null, addedAt: PINNED_AT, realized: {}, fillsCursor: PINNED_AT, snapshots: [] };
+  await walletWatchlist.snapshotWallet(wallet);
+  const realized = wallet.realized.BTC;
+
+  fills.push({ coin: 'BTC', time: now + 1000, closedPnl: '-50.0', fee: '0.5', tid: 990001 });
+  now += 15 * 60 * 1000;
+  mock.requests.length = 0;
+
+  await walletWatchlist.snapshotWallet(wallet);
+  assert.deepEqual(fillRequests().map(r => r.body.startTime), [PINNED_AT + 10 + 4500]);
+  assert.ok(Math.abs(wallet.realized.BTC - (realized - 50.5)) < 1e-6);
+  assert.equal(wallet.fillsCursor, now - 15 * 60 * 1000 + 1001);
+  assert.equal(wallet.snapshots.length, 2);
+});
+
+test('addWallet during snapshotAll: the wallet is snapshotted once and its fills counted once', async () => {
+  fills.push({ coin: 'SOL', time: now, closedPnl: '10.0', fee: '1.0', tid: 990002 });
+  mock.requests.length = 0;
+
+  // addWallet's first snapshot is still in flight when the scheduled run reaches the wallet
+  walletWatchlist.addWallet({ address: ADDRESS, label: 'desk' });
+  await walletWatchlist.snapshotAll();
+
+  const wallet = walletWatchlist.getWallet(ADDRESS);
+  assert.equal(fillRequests().length, 1);
+  assert.equal(wallet.realized.SOL, 9);
+  assert.equal(wallet.snapshots.length, 1);
+  assert.equal(wallet.fillsCursor, now + 1);
+});
@@ -0,0 +1,109 @@
+/**
+ * weightOptimizer: weight normalisation, candidate generation, walk-forward
+ * fold splitting and option validation over synthetic recorded signals
+ */
+
+require('./helpers/env');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const T = 1767225600000;
+const HOUR = 60 * 60 * 1000;
+
+let weightOptimizer;
+
+/**
+ * Evaluated 12hr predictions whose direction follows flowConfluence;
+ * liquidation momentum is never recorded and whales never active
+ */
+function predictions(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const up = i % 3 !== 0;
+    return {
+      coin: i % 2 ? 'BTC' : 'ETH',
+      projectionType: '12hr',
+      timestamp: T + (count - i) * HOUR, // Deliberately out of order
+      evaluated: true,
+      outcome: 'correct',
+      actualDirection: up ? 'BULLISH' : 'BEARISH',
+      signals: {
+        flowConfluence: up ? 0.5 : -0.4,
+        oiRoC: up ? -0.5 : 0.4,
+        fundingZScore: 0.1,
+        confluenceScore: 0,
+        whales: 0.3,
+        whalesActive: false
+      }
+    };
+  });
+}
+
+const sum = weights => Object.values(weights).reduce((total, w) => total + w, 0);
+
+before(() => {
+  weightOptimizer = require('../weightOptimizer');
+});
+
+test('normalizeWeights: floors each weight, then scales to a sum of 1 at 2 decimals', () => {
+  assert.deepEqual(weightOptimizer.normalizeWeights({ a: 2, b: 6, c: 0 }, 0.2), { a: 0.24, b: 0.73, c: 0.02 });
+  assert.deepEqual(weightOptimizer.normalizeWeights({ a: 1, b: 1 }, 0), { a: 0.5, b: 0.5 });
+});
+
+test('generateCandidates: live weights first, then perturbations, then seeded simplex draws', () => {
+  const { generateCandidates, createRandom, TABLES } = weightOptimizer;
+  const candidates = generateCandidates('WEIGHTS', 30, 0.02, createRandom(7), ['whales']);
+
+  assert.equal(candidates.length, 30);
+  assert.deepEqual(candidates[0], TABLES.WEIGHTS.weights);
+  // flowConfluence x 0.5, x 1.5, x 2 come first, renormalised (0.2 / 0.8, 0.6 / 1.2, 0.8 / 1.4)
+  assert.deepEqual(candidates.slice(1, 4).map(c => c.flowConfluence), [0.25, 0.5, 0.57]);
+  // Five free keys x 3 perturbations; whales is fixed, so the draws start at 16
+  assert.equal(candidates[16].whales, 0.05);
+
+  // Random draws keep the fixed key at its live weight and sum to 1 up to rounding
+  candidates.slice(16).forEach(c => {
+    assert.equal(c.whales, 0.05);
+    assert.ok(Math.abs(sum(c) - 1) <= 0.03, `sum ${sum(c)}`);
+    assert.ok(Object.values(c).every(w => w >= 0.01));
+  });
+
+  assert.deepEqual(generateCandidates('WEIGHTS', 30, 0.02, createRandom(7), ['whales']), candidates);
+});
+
+test('optimizeWeights: chronological folds, training on every earlier fold', () => {
+  const result = weightOptimizer.optimizeWeights(predictions(50), { folds: 4, candidates: 60 });
+  const sorted = predictions(50).map(p => p.timestamp).sort((a, b) => a - b);
+
+  assert.equal(result.status, 'OK');
+  assert.equal(result.folds, 4);
+  assert.equal(result.samples, 50);
+  // 50 / 4 = 12 per fold; the last fold takes the remainder
+  assert.deepEqual(result.walkForward.map(f => [f.fold, f.trainSamples, f.testSamples]), [[1, 12, 12], [2, 24, 12], [3, 36, 14]]);
+  assert.deepEqual(result.walkForward.map(f => f.testFrom), [sorted[12], sorted[24], sorted[36]]);
+  assert.equal(result.walkForward[2].testTo, sorted[49]);
+
+  assert.deepEqual(result.unrecordedSignals, ['liquidationMomentum', 'whales']);
+  assert.equal(result.candidatesTested, 60);
+  assert.equal(result.outOfSampleHitRate, 100);
+  assert.equal(result.signalContribution.flowConfluence.standaloneHitRate, 100);
+  assert.equal(result.signalContribution.whales.coverage, 0);
+});
+
+test('optimizeWeights: folds must be an integer of at least 2; folds and candidates are capped', () => {
+  const samples = predictions(50);
+  const message = 'Walk-forward needs an integer of at least 2 folds';
+
+  assert.throws(() => weightOptimizer.optimizeWeights(samples, { folds: 1 }), { message });
+  assert.throws(() => weightOptimizer.optimizeWeights(samples, { folds: 2.5 }), { message });
+  assert.throws(() => weightOptimizer.optimizeWeights(samples, { folds: 'abc' }), { message });
+  assert.throws(() => weightOptimizer.optimizeWeights(samples, { table: 'WEIGHTS_1H' }), /Unknown weight table/);
+
+  const capped = weightOptimizer.optimizeWeights(samples, { folds: 500, candidates: 50000 });
+  assert.equal(capped.folds, weightOptimizer.MAX_FOLDS);
+  assert.equal(capped.walkForward.length, weightOptimizer.MAX_FOLDS - 1);
+  assert.equal(capped.candidatesTested, weightOptimizer.MAX_CANDIDATES);
+
+  const few = weightOptimizer.optimizeWeights(predictions(39));
+  assert.equal(few.status, 'INSUFFICIENT_DATA');
+  assert.equal(few.samples, 39);
+});
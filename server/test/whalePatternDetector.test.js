@@ -0,0 +1,105 @@
+/**
+ * whalePatternDetector: TWAP runs of similar clips at regular intervals and
+ * icebergs refilling at one price level, as published to the DataStore
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const T = 1767225600000;
+const THRESHOLD = 500000; // BTC whale threshold
+
+let dataStore;
+let detector;
+
+const clip = (i, { exchange = 'binanceFutures', side = 'BUY', size = 2.6, intervalMs = 30000, jitter = [0] } = {}) => ({
+  exchange, symbol: 'BTC', side, type: 'PERP',
+  price: 100000, size,
+  timestamp: T + i * intervalMs + jitter[i % jitter.length]
+});
+
+before(() => {
+  mock.method(Date, 'now', () => T + 60 * 60 * 1000);
+  dataStore = require('../dataStore');
+  detector = require('../whalePatternDetector');
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test('TWAP: eight similar clips on a schedule open an episode that keeps its id as it grows', () => {
+  for (let i = 0; i < 7; i++) detector.recordClip(clip(i, { jitter: [0, 2000, -1500] }), THRESHOLD);
+  assert.equal(dataStore.getWhalePatterns({ pattern: 'TWAP' }).length, 0);
+
+  detector.recordClip(clip(7, { jitter: [0, 2000, -1500] }), THRESHOLD);
+  const [detected] = dataStore.getWhalePatterns({ pattern: 'TWAP' });
+  assert.equal(detected.id, `twap_binanceFutures_BTC_BUY_${T}`);
+  assert.equal(detected.fillCount, 8);
+  assert.equal(detected.estimatedNotional, 8 * 260000);
+  assert.equal(detected.startedAt, T);
+
+  // A clip of another size is not part of the schedule; the next regular one is
+  detector.recordClip(clip(8, { size: 9 }), THRESHOLD);
+  detector.recordClip(clip(9), THRESHOLD);
+  const patterns = dataStore.getWhalePatterns({ pattern: 'TWAP' });
+  assert.equal(patterns.length, 1);
+  assert.equal(patterns[0].id, detected.id);
+  assert.equal(patterns[0].fillCount, 9);
+  assert.equal(patterns[0].durationMs, 9 * 30000);
+});
+
+test('TWAP: irregular spacing, sweeps and small totals are not schedules', () => {
+  const existing = dataStore.getWhalePatterns({ pattern: 'TWAP' }).length;
+
+  // Spacing all over the place
+  [0, 5000, 90000, 100000, 200000, 205000, 330000, 340000, 500000]
+    .forEach((offset, i) => detector.recordClip({ ...clip(i, { exchange: 'okxSwap' }), timestamp: T + offset }, THRESHOLD));
+  // Faster than MIN_INTERVAL_MS
+  for (let i = 0; i < 10; i++) detector.recordClip(clip(i, { exchange: 'bybitLinear', intervalMs: 500 }), THRESHOLD);
+  // Regular but only $120K clips: 8 x 120K is under 4x the threshold
+  for (let i = 0; i < 10; i++) detector.recordClip(clip(i, { exchange: 'hyperliquid', size: 1.2 }), THRESHOLD);
+
+  assert.equal(dataStore.getWhalePatterns({ pattern: 'TWAP' }).length, existing);
+});
+
+test('ICEBERG: refills at one level over time, resting side opposite the takers', () => {
+  const fill = i => ({
+    exchange: 'binanceSpot', symbol: 'BTC', side: 'SELL', type: 'SPOT',
+    price: 97000, size: 2, timestamp: T + i * 4000
+  });
+
+  for (let i = 0; i < 5; i++) detector.recordFill(fill(i), THRESHOLD);
+  assert.equal(dataStore.getWhalePatterns({ pattern: 'ICEBERG' }).length, 0); // $970K is under 2x threshold
+
+  detector.recordFill(fill(5), THRESHOLD);
+  const [iceberg] = dataStore.getWhalePatterns({ pattern: 'ICEBERG' });
+  assert.equal(iceberg.side, 'BUY');          // Sellers hitting a resting bid
+  assert.equal(iceberg.fillCount, 6);
+  assert.equal(iceberg.estimatedSize, 12);
+  assert.equal(iceberg.durationMs, 20000);
+
+  detector.recordFill(fill(6), THRESHOLD);
+  const grown = dataStore.getWhalePatterns({ pattern: 'ICEBERG' });
+  assert.equal(grown.length, 1);
+  assert.equal(grown[0].id, iceberg.id);
+  assert.equal(grown[0].fillCount, 7);
+});
+
+test('ICEBERG: one fast sweep through a level is not an iceberg', () => {
+  for (let i = 0; i < 8; i++) {
+    detector.recordFill({ exchange: 'coinbase', symbol: 'BTC', side: 'BUY', type: 'SPOT', price: 98000, size: 3, timestamp: T + i * 500 }, THRESHOLD);
+  }
+  assert.ok(!dataStore.getWhalePatterns({ pattern: 'ICEBERG' }).some(p => p.exchange === 'coinbase'));
+});
+
+test('prune: idle clips, levels and episodes are dropped', () => {
+  const status = detector.getDetectorStatus();
+  assert.equal(status.activeTwap, 1);
+  assert.equal(status.activeIceberg, 1);
+  assert.ok(status.trackedLevels > 0);
+
+  detector.prune(T + 2 * 60 * 60 * 1000);
+  assert.deepEqual(detector.getDetectorStatus(), { detected: status.detected, activeTwap: 0, activeIceberg: 0, trackedLevels: 0 });
+});
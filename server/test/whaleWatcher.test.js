@@ -0,0 +1,102 @@
+/**
+ * whaleWatcher feed parsers, and every feed replayed over WebSocket from the
+ * local mock exchange (WHALE_WS_<FEED> overrides)
+ */
+
+const { loadFixture } = require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockExchange, waitFor } = require('./helpers/mockExchange');
+
+const feeds = loadFixture('whale-trade-feeds.json');
+
+let mock;
+let dataStore;
+let whaleWatcher;
+
+before(async () => {
+  mock = await startMockExchange({
+    sockets: Object.fromEntries(Object.entries(feeds).map(([key, frames]) => [`/${key}`, frames]))
+  });
+  Object.keys(feeds).forEach(key => {
+    process.env[`WHALE_WS_${key.toUpperCase()}`] = `${mock.wsUrl}/${key}`;
+  });
+
+  dataStore = require('../dataStore');
+  whaleWatcher = require('../whaleWatcher');
+});
+
+after(async () => {
+  whaleWatcher.stop();
+  await mock.close();
+});
+
+test('parseMessage: Binance aggTrade maker flag sets the taker side', () => {
+  const [buy, sell] = feeds.binanceSpot.map(frame => whaleWatcher.parseMessage('binanceSpot', frame));
+  assert.deepEqual(buy, {
+    symbol: 'BTC', price: 97250, size: 6.2, side: 'BUY', timestamp: 1767225600009,
+    tradeId: 3120001, exchange: 'binanceSpot', type: 'SPOT'
+  });
+  assert.equal(sell.side, 'SELL');
+});
+
+test('parseMessage: OKX swap sizes are contracts, converted to coin', () => {
+  const [trade] = whaleWatcher.parseMessage('okxSwap', feeds.okxSwap[1]);
+  assert.equal(trade.symbol, 'BTC');
+  assert.ok(Math.abs(trade.size - 6.2) < 1e-9);
+  assert.equal(trade.timestamp, 1767225600090);
+});
+
+test('parseMessage: subscription acks and heartbeats are not trades', () => {
+  assert.equal(whaleWatcher.parseMessage('okxSpot', feeds.okxSpot[0]), null);
+  assert.equal(whaleWatcher.parseMessage('hyperliquid', feeds.hyperliquid[0]), null);
+  assert.equal(whaleWatcher.parseMessage('coinbase', feeds.coinbase[0]), null);
+  assert.equal(whaleWatcher.parseMessage('kraken', feeds.kraken[1]), null);
+  assert.equal(whaleWatcher.parseMessage('unknownFeed', feeds.kraken[2]), null);
+});
+
+test('parseMessage: Coinbase market_trades events flatten to trades', () => {
+  const trades = whaleWatcher.parseMessage('coinbase', feeds.coinbase[1]);
+  assert.equal(trades.length, 3);
+  assert.deepEqual(trades.map(t => t.side), ['SELL', 'SELL', 'SELL']);
+  assert.equal(trades[0].timestamp, Date.parse('2026-01-01T00:00:00.110Z'));
+});
+
+test('replay: whale-sized prints from every feed reach the DataStore', async () => {
+  whaleWatcher.start();
+
+  // 8 direct prints + 2 aggregated spot sweeps (Bybit spot, Coinbase) after the 500ms window
+  const trades = await waitFor(() => {
+    const stored = dataStore.getWhaleTrades(50);
+    return stored.length >= 10 && stored;
+  });
+  const byKey = Object.fromEntries(trades.map(t => [`${t.exchange}:${t.symbol}`, t]));
+
+  assert.deepEqual(Object.keys(byKey).sort(), [
+    'binanceFutures:BTC', 'binanceSpot:BTC', 'binanceSpot:ETH', 'bybitLinear:BTC', 'bybitLinear:SOL',
+    'bybitSpot:BTC', 'coinbase:BTC', 'hyperliquid:BTC', 'okxSpot:ETH', 'okxSwap:BTC'
+  ]);
+
+  // Below the per-symbol threshold: BTC 0.5 on Binance spot, BTC 1.0 on Kraken
+  assert.equal(trades.filter(t => t.exchange === 'binanceSpot' && t.symbol === 'BTC').length, 1);
+  assert.ok(!trades.some(t => t.exchange === 'kraken'));
+
+  // SOL clears its own lower threshold
+  assert.ok(byKey['bybitLinear:SOL'].notional >= whaleWatcher.getThreshold('SOL'));
+  assert.ok(byKey['bybitLinear:SOL'].notional < whaleWatcher.getThreshold('BTC'));
+
+  const sweep = byKey['bybitSpot:BTC'];
+  assert.equal(sweep.aggregated, true);
+  assert.equal(sweep.fillCount, 3);
+  assert.equal(sweep.tradeId, 'agg_bs-0001_3');
+  assert.ok(Math.abs(sweep.size - 5.5) < 1e-9);
+  assert.equal(byKey['coinbase:BTC'].fillCount, 3);
+  assert.equal(byKey['coinbase:BTC'].side, 'SELL');
+});
+
+test('replay: subscriptions name every watched symbol', () => {
+  assert.deepEqual(mock.received['/bybitLinear'][0].args, ['publicTrade.BTCUSDT', 'publicTrade.ETHUSDT', 'publicTrade.SOLUSDT']);
+  assert.deepEqual(mock.received['/okxSwap'][0].args.map(a => a.instId), ['BTC-USDT-SWAP', 'ETH-USDT-SWAP', 'SOL-USDT-SWAP']);
+  assert.deepEqual(mock.received['/hyperliquid'].map(m => m.subscription.coin), ['BTC', 'ETH', 'SOL']);
+  assert.deepEqual(mock.received['/coinbase'][0].product_ids, ['BTC-USD', 'ETH-USD', 'SOL-USD']);
+});
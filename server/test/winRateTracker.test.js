@@ -0,0 +1,64 @@
+/**
+ * winRateTracker scheduling: the startup recovery and hourly evaluation run
+ * from timers, so a failed run must be logged rather than left as an
+ * unhandled rejection
+ */
+
+require('./helpers/env');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const HOUR = 60 * 60 * 1000;
+
+let winRateTracker;
+const unhandled = [];
+const onUnhandled = reason => unhandled.push(reason);
+
+// Let the rejected promise and its .catch settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+before(() => {
+  process.on('unhandledRejection', onUnhandled);
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  winRateTracker = require('../winRateTracker');
+});
+
+after(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+  process.off('unhandledRejection', onUnhandled);
+});
+
+test('startup recovery: a failure is logged with the tracker prefix', async () => {
+  const errors = mock.method(console, 'error', () => {});
+  mock.method(winRateTracker, 'evaluatePredictions', async () => { throw new Error('disk full'); });
+
+  mock.timers.tick(60 * 1000);
+  await settle();
+
+  assert.deepEqual(errors.mock.calls.map(c => c.arguments), [
+    ['[WinRateTracker] Error recovering missed predictions:', 'disk full']
+  ]);
+  assert.deepEqual(unhandled, []);
+  errors.mock.restore();
+});
+
+test('hourly evaluation: a failed run is logged and the next one still fires', async () => {
+  const errors = mock.method(console, 'error', () => {});
+  let runs = 0;
+  mock.method(winRateTracker, 'evaluatePredictions', async () => {
+    runs++;
+    throw new Error('klines unavailable');
+  });
+
+  mock.timers.tick(HOUR);
+  await settle();
+  mock.timers.tick(HOUR);
+  await settle();
+
+  assert.equal(runs, 2);
+  assert.equal(errors.mock.callCount(), 2);
+  assert.deepEqual(errors.mock.calls[0].arguments, ['[WinRateTracker] Error evaluating predictions:', 'klines unavailable']);
+  assert.deepEqual(unhandled, []);
+  errors.mock.restore();
+});
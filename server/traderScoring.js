@@ -0,0 +1,287 @@
+/**
+ * Trader Scoring
+ *
+ * Rates each tracked leaderboard address so the whale consensus counts
+ * proven traders more than lucky ones:
+ * - Accuracy: share of entries/flips followed by a move in the trader's
+ *   direction 4 hours later (shrunk toward 50% until enough calls exist),
+ *   priced from the stored Hyperliquid price at that moment
+ * - Consistency: Sharpe-like mean/stdev of daily ROI samples; falls back to
+ *   positive week/month/all-time ROI until 5 days are recorded
+ * - Size: account value on a log scale ($100K -> 0, $100M -> 1)
+ *
+ * Fed by leaderboardCollector. Persisted to data/trader-scores.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dataStore = require('./dataStore');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SCORES_FILE = path.join(DATA_DIR, 'trader-scores.json');
+
+const SCORE_WEIGHTS = {
+  accuracy: 0.5,
+  consistency: 0.3,
+  size: 0.2
+};
+
+const EVALUATION_HORIZON_MS = 4 * 60 * 60 * 1000; // Entry judged 4H later
+const POLL_GRACE_MS = 60 * 1000;                  // One leaderboard poll: the live price still counts as "4H later"
+const PRICE_TOLERANCE_MS = 2 * 60 * 1000;         // Nearest stored price point must be this close to the target time
+const MIN_MOVE_PERCENT = 0.1;   // Smaller moves are neither hit nor miss
+const PRIOR_CALLS = 5;          // Accuracy shrinkage toward 50%
+const MAX_CALLS = 100;          // Evaluated calls kept per trader
+const MIN_DAILY_SAMPLES = 5;
+const MAX_DAILY_SAMPLES = 60;
+
+// Consensus weight = MIN_WEIGHT + score * (MAX_WEIGHT - MIN_WEIGHT)
+const MIN_WEIGHT = 0.5;
+const MAX_WEIGHT = 1.5;
+
+let traders = {}; // { address: { calls: [], pending: [], dailyRoi: { date: roi }, accountValue, windowRoi } }
+let loaded = false;
+
+function getTrader(address) {
+  if (!traders[address]) {
+    traders[address] = { calls: [], pending: [], dailyRoi: {}, accountValue: 0, windowRoi: null };
+  }
+  return traders[address];
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+// ============== PERSISTENCE ==============
+
+function loadFromFile() {
+  loaded = true;
+  try {
+    if (!fs.existsSync(SCORES_FILE)) {
+      console.log('[TraderScoring] No saved scores, starting fresh');
+      return;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(SCORES_FILE, 'utf8'));
+    if (saved.traders) traders = saved.traders;
+    console.log(`[TraderScoring] Loaded ${Object.keys(traders).length} traders`);
+  } catch (error) {
+    console.error('[TraderScoring] Error loading scores:', error.message);
+  }
+}
+
+function saveToFile() {
+  try {
+    const dataDir = path.dirname(SCORES_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(SCORES_FILE, JSON.stringify({ traders, savedAt: Date.now() }), 'utf8');
+  } catch (error) {
+    console.error('[TraderScoring] Error saving scores:', error.message);
+  }
+}
+
+// ============== INPUTS ==============
+
+/**
+ * Record account size and today's ROI from a leaderboard refresh
+ */
+function recordLeaderboard(rankedTraders, timestamp = Date.now()) {
+  if (!loaded) loadFromFile();
+  const date = new Date(timestamp).toISOString().slice(0, 10);
+
+  rankedTraders.forEach(t => {
+    const trader = getTrader(t.address);
+    trader.accountValue = t.accountValue;
+    trader.windowRoi = { week: t.weekRoi, month: t.monthRoi, allTime: t.allTimeRoi };
+
+    // Last refresh of the UTC day wins, so each date holds that day's full ROI
+    if (Number.isFinite(t.dayRoi)) {
+      trader.dailyRoi[date] = t.dayRoi;
+      const dates = Object.keys(trader.dailyRoi).sort();
+      dates.slice(0, Math.max(0, dates.length - MAX_DAILY_SAMPLES)).forEach(d => delete trader.dailyRoi[d]);
+    }
+  });
+
+  saveToFile();
+}
+
+/**
+ * Queue entries and flips for evaluation once the horizon has passed
+ * @param {Array} changes - position change events from leaderboardCollector
+ * @param {Array} positions - current positions (for the entry price)
+ */
+function recordCalls(changes, positions) {
+  if (!loaded) loadFromFile();
+
+  changes
+    .filter(c => c.type === 'entry' || c.type === 'flip')
+    .forEach(change => {
+      const position = positions.find(p => p.trader === change.trader && p.coin === change.coin);
+      if (!position?.entryPx) return;
+
+      getTrader(change.trader).pending.push({
+        coin: change.coin,
+        direction: change.direction,
+        entryPx: position.entryPx,
+        timestamp: change.timestamp
+      });
+    });
+}
+
+/**
+ * Stored price closest to a moment, or null if nothing was recorded near it
+ */
+function priceAt(history, timestamp) {
+  let closest = null;
+  (history || []).forEach(point => {
+    const distance = Math.abs(point.timestamp - timestamp);
+    if (distance <= PRICE_TOLERANCE_MS && (!closest || distance < closest.distance)) {
+      closest = { value: point.value, distance };
+    }
+  });
+  return closest ? closest.value : null;
+}
+
+/**
+ * Judge pending calls whose horizon has passed at the Hyperliquid price
+ * recorded at entry + horizon. The live price is only used within one poll of
+ * that moment; calls that cannot be priced then (e.g. the server was down)
+ * are dropped rather than judged against a later price.
+ * @returns {number} - calls evaluated
+ */
+function evaluatePending(now = Date.now()) {
+  if (!loaded) loadFromFile();
+  const hlData = dataStore.getExchangeData('hyperliquid');
+  const currentPrices = hlData.current?.price || {};
+  let evaluated = 0;
+
+  Object.values(traders).forEach(trader => {
+    trader.pending = trader.pending.filter(call => {
+      const target = call.timestamp + EVALUATION_HORIZON_MS;
+      if (now < target) return true;
+
+      const late = now - target > POLL_GRACE_MS;
+      const price = priceAt(hlData.price?.[call.coin], target) ?? (late ? null : currentPrices[call.coin]);
+      if (!price) return !late;
+
+      const movePercent = ((price - call.entryPx) / call.entryPx) * 100;
+      const directional = call.direction === 'LONG' ? movePercent : -movePercent;
+      if (Math.abs(directional) >= MIN_MOVE_PERCENT) {
+        trader.calls.push({ ...call, exitPx: price, returnPercent: directional, hit: directional > 0 });
+        trader.calls = trader.calls.slice(-MAX_CALLS);
+        evaluated++;
+      }
+      return false;
+    });
+  });
+
+  if (evaluated > 0) saveToFile();
+  return evaluated;
+}
+
+// ============== SCORES ==============
+
+/**
+ * Score breakdown for an address (0-1 per component)
+ */
+function getScore(address) {
+  if (!loaded) loadFromFile();
+  const trader = traders[address];
+  if (!trader) {
+    return { score: 0.5, weight: 1, accuracy: 0.5, consistency: 0.5, size: 0, calls: 0, dailySamples: 0 };
+  }
+
+  // Accuracy with PRIOR_CALLS virtual 50% calls
+  const hits = trader.calls.filter(c => c.hit).length;
+  const accuracy = (hits + PRIOR_CALLS * 0.5) / (trader.calls.length + PRIOR_CALLS);
+
+  // Sharpe-like consistency of daily ROI, mapped to 0-1
+  const daily = Object.values(trader.dailyRoi);
+  let consistency;
+  if (daily.length >= MIN_DAILY_SAMPLES) {
+    const mean = daily.reduce((sum, r) => sum + r, 0) / daily.length;
+    const stdDev = Math.sqrt(daily.reduce((sum, r) => sum + (r - mean) ** 2, 0) / daily.length);
+    const sharpe = stdDev > 0 ? mean / stdDev : (mean > 0 ? 1 : 0);
+    consistency = clamp01(0.5 + Math.tanh(sharpe) / 2);
+  } else if (trader.windowRoi) {
+    const windows = Object.values(trader.windowRoi);
+    consistency = windows.filter(r => r > 0).length / windows.length;
+  } else {
+    consistency = 0.5;
+  }
+
+  const size = trader.accountValue > 0 ? clamp01((Math.log10(trader.accountValue) - 5) / 3) : 0;
+
+  const score = accuracy * SCORE_WEIGHTS.accuracy
+    + consistency * SCORE_WEIGHTS.consistency
+    + size * SCORE_WEIGHTS.size;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    weight: Math.round((MIN_WEIGHT + score * (MAX_WEIGHT - MIN_WEIGHT)) * 1000) / 1000,
+    accuracy: Math.round(accuracy * 1000) / 1000,
+    consistency: Math.round(consistency * 1000) / 1000,
+    size: Math.round(size * 1000) / 1000,
+    calls: trader.calls.length,
+    dailySamples: daily.length
+  };
+}
+
+/**
+ * Annotate consensus positions with score/weight and add a weighted view per coin
+ * Mutates and returns the consensus: { coin: { longs, shorts, totalNotional, weighted } }
+ */
+function applyScores(consensus) {
+  Object.values(consensus).forEach(data => {
+    [...data.longs, ...data.shorts].forEach(pos => {
+      const { score, weight } = getScore(pos.trader);
+      pos.score = score;
+      pos.weight = weight;
+    });
+
+    const longWeight = data.longs.reduce((sum, p) => sum + p.weight, 0);
+    const shortWeight = data.shorts.reduce((sum, p) => sum + p.weight, 0);
+    const total = data.longs.length + data.shorts.length;
+
+    data.weighted = {
+      longWeight: Math.round(longWeight * 1000) / 1000,
+      shortWeight: Math.round(shortWeight * 1000) / 1000,
+      longPct: longWeight + shortWeight > 0 ? longWeight / (longWeight + shortWeight) : 0.5,
+      rawLongPct: total > 0 ? data.longs.length / total : 0.5
+    };
+  });
+
+  return consensus;
+}
+
+/**
+ * Scores for every known trader, best first
+ */
+function getScores() {
+  if (!loaded) loadFromFile();
+  return Object.keys(traders)
+    .map(address => ({ address, ...getScore(address), pending: traders[address].pending.length }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function getScoringConfig() {
+  return {
+    weights: SCORE_WEIGHTS,
+    horizonHours: EVALUATION_HORIZON_MS / (60 * 60 * 1000),
+    minWeight: MIN_WEIGHT,
+    maxWeight: MAX_WEIGHT
+  };
+}
+
+module.exports = {
+  recordLeaderboard,
+  recordCalls,
+  evaluatePending,
+  getScore,
+  getScores,
+  applyScores,
+  getScoringConfig
+};
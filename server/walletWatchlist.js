@@ -0,0 +1,334 @@
+/**
+ * Wallet Watchlist
+ *
+ * Pinned Hyperliquid addresses, snapshotted on a schedule so a wallet's
+ * positions can be reviewed over time instead of only at the moment it is
+ * clicked. Each snapshot stores per-coin size, entry, leverage, liquidation
+ * price, unrealized PnL and realized PnL (closedPnl minus fees from fills,
+ * accumulated since the wallet was pinned).
+ *
+ * Managed through /api/watchlist; history is served as JSON or CSV.
+ * Persisted to data/watchlist.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const WATCHLIST_FILE = path.join(DATA_DIR, 'watchlist.json');
+const HYPERLIQUID_API = process.env.HYPERLIQUID_API_URL || 'https://api.hyperliquid.xyz/info';
+const SNAPSHOT_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+const RETENTION_MS = 14 * 24 * 60 * 60 * 1000; // 14 days of snapshots
+const REQUEST_DELAY_MS = 250;
+const MAX_WALLETS = 20;
+const FILLS_PAGE_SIZE = 2000; // userFillsByTime returns at most this many fills per call
+const MAX_FILL_PAGES = 25;    // Per snapshot; the cursor picks up the rest next time
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+
+const CSV_COLUMNS = [
+  'timestamp', 'coin', 'side', 'size', 'entryPx', 'positionValue', 'leverage',
+  'liquidationPx', 'unrealizedPnl', 'realizedPnl', 'fundingSinceOpen', 'accountValue'
+];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function toNumber(value) {
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+}
+
+function normalizeAddress(address) {
+  return typeof address === 'string' ? address.trim().toLowerCase() : '';
+}
+
+class WalletWatchlist {
+  constructor() {
+    this.wallets = {}; // { address: { address, label, addedAt, realized, fillsCursor, snapshots } }
+    this.interval = null;
+    this.snapshotting = false;
+    this.inFlight = new Map(); // { address: running snapshot promise }
+    this.loadFromFile();
+  }
+
+  loadFromFile() {
+    try {
+      if (!fs.existsSync(WATCHLIST_FILE)) {
+        console.log('[Watchlist] No saved watchlist, starting fresh');
+        return;
+      }
+
+      const saved = JSON.parse(fs.readFileSync(WATCHLIST_FILE, 'utf8'));
+      if (saved.wallets) this.wallets = saved.wallets;
+
+      console.log(`[Watchlist] Loaded ${Object.keys(this.wallets).length} wallets`);
+    } catch (error) {
+      console.error('[Watchlist] Error loading watchlist:', error.message);
+    }
+  }
+
+  saveToFile() {
+    try {
+      const dataDir = path.dirname(WATCHLIST_FILE);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      fs.writeFileSync(WATCHLIST_FILE, JSON.stringify({ wallets: this.wallets, savedAt: Date.now() }), 'utf8');
+    } catch (error) {
+      console.error('[Watchlist] Error saving watchlist:', error.message);
+    }
+  }
+
+  /**
+   * Start scheduled snapshots of every pinned wallet
+   */
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.snapshotAll(), SNAPSHOT_INTERVAL_MS);
+    this.snapshotAll();
+    console.log(`[Watchlist] Started (${Object.keys(this.wallets).length} wallets, every ${SNAPSHOT_INTERVAL_MS / 60000}m)`);
+  }
+
+  // ============== WALLETS ==============
+
+  getWallets() {
+    return Object.values(this.wallets).map(wallet => this.summarize(wallet));
+  }
+
+  getWallet(address) {
+    return this.wallets[normalizeAddress(address)] || null;
+  }
+
+  summarize(wallet) {
+    const latest = wallet.snapshots[wallet.snapshots.length - 1] || null;
+    return {
+      address: wallet.address,
+      label: wallet.label,
+      addedAt: wallet.addedAt,
+      snapshots: wallet.snapshots.length,
+      latest
+    };
+  }
+
+  /**
+   * Pin an address; the first snapshot is taken right away
+   * @returns {object} - wallet summary
+   */
+  addWallet({ address, label } = {}) {
+    const normalized = normalizeAddress(address);
+    if (!ADDRESS_PATTERN.test(normalized)) {
+      throw new Error('address must be a 0x-prefixed 40 character hex address');
+    }
+    if (this.wallets[normalized]) {
+      throw new Error('Address is already on the watchlist');
+    }
+    if (Object.keys(this.wallets).length >= MAX_WALLETS) {
+      throw new Error(`Watchlist limit reached (${MAX_WALLETS})`);
+    }
+
+    const now = Date.now();
+    const wallet = {
+      address: normalized,
+      label: typeof label === 'string' && label.trim() ? label.trim().slice(0, 50) : null,
+      addedAt: now,
+      realized: {},      // { coin: realized PnL since pinned }
+      fillsCursor: now,  // Fills before pinning are not counted
+      snapshots: []
+    };
+    this.wallets[normalized] = wallet;
+    this.saveToFile();
+    console.log(`[Watchlist] Pinned ${normalized}`);
+
+    this.snapshotWallet(wallet)
+      .then(() => this.saveToFile())
+      .catch(error => console.error(`[Watchlist] Snapshot failed for ${normalized}:`, error.message));
+
+    return this.summarize(wallet);
+  }
+
+  removeWallet(address) {
+    const normalized = normalizeAddress(address);
+    if (!this.wallets[normalized]) return false;
+    delete this.wallets[normalized];
+    this.saveToFile();
+    return true;
+  }
+
+  // ============== SNAPSHOTS ==============
+
+  async snapshotAll() {
+    if (this.snapshotting) return;
+    this.snapshotting = true;
+
+    for (const wallet of Object.values(this.wallets)) {
+      try {
+        await this.snapshotWallet(wallet);
+      } catch (error) {
+        console.error(`[Watchlist] Snapshot failed for ${wallet.address}:`, error.message);
+      }
+      await sleep(REQUEST_DELAY_MS);
+    }
+
+    this.snapshotting = false;
+    this.saveToFile();
+  }
+
+  /**
+   * Fills from the wallet's cursor up to endTime, paging past the 2000-fill cap
+   * Each page starts at the previous page's last fill time, so fills sharing
+   * that millisecond are fetched again and skipped by trade id
+   */
+  async fetchNewFills(wallet, endTime) {
+    const fills = [];
+    const seen = new Set();
+    let startTime = wallet.fillsCursor;
+
+    for (let page = 0; page < MAX_FILL_PAGES; page++) {
+      const { data } = await axios.post(HYPERLIQUID_API, {
+        type: 'userFillsByTime',
+        user: wallet.address,
+        startTime,
+        endTime
+      }, { timeout: 10000 });
+
+      const batch = Array.isArray(data) ? data : [];
+      batch.forEach(fill => {
+        const id = fill.tid ?? `${fill.hash}:${fill.oid}:${fill.time}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+        fills.push(fill);
+      });
+
+      if (batch.length < FILLS_PAGE_SIZE) break;
+
+      const lastTime = batch.reduce((max, fill) => Math.max(max, fill.time), startTime);
+      startTime = lastTime > startTime ? lastTime : startTime + 1; // A full page inside one millisecond
+      await sleep(REQUEST_DELAY_MS);
+    }
+
+    return fills;
+  }
+
+  /**
+   * Snapshot one wallet, joining its snapshot if one is already running
+   * (pinning and the schedule can overlap; two runs from the same fillsCursor
+   * would add the same fills to realized twice)
+   */
+  snapshotWallet(wallet) {
+    const running = this.inFlight.get(wallet.address);
+    if (running) return running;
+
+    const snapshot = this.takeSnapshot(wallet)
+      .finally(() => this.inFlight.delete(wallet.address));
+    this.inFlight.set(wallet.address, snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Realized PnL from new fills, then current positions
+   */
+  async takeSnapshot(wallet) {
+    const now = Date.now();
+
+    const fills = await this.fetchNewFills(wallet, now);
+    fills.forEach(fill => {
+      const pnl = (toNumber(fill.closedPnl) || 0) - (toNumber(fill.fee) || 0);
+      wallet.realized[fill.coin] = (wallet.realized[fill.coin] || 0) + pnl;
+    });
+    if (fills.length > 0) {
+      wallet.fillsCursor = fills.reduce((max, fill) => Math.max(max, fill.time), wallet.fillsCursor) + 1;
+    }
+
+    const { data: state } = await axios.post(HYPERLIQUID_API, {
+      type: 'clearinghouseState',
+      user: wallet.address
+    }, { timeout: 10000 });
+
+    const positions = (state.assetPositions || [])
+      .map(ap => ap.position || {})
+      .filter(pos => toNumber(pos.szi))
+      .map(pos => ({
+        coin: pos.coin,
+        size: toNumber(pos.szi),
+        entryPx: toNumber(pos.entryPx),
+        positionValue: toNumber(pos.positionValue),
+        leverage: pos.leverage?.value || null,
+        liquidationPx: toNumber(pos.liquidationPx),
+        unrealizedPnl: toNumber(pos.unrealizedPnl),
+        realizedPnl: wallet.realized[pos.coin] || 0,
+        fundingSinceOpen: toNumber(pos.cumFunding?.sinceOpen)
+      }));
+
+    wallet.snapshots.push({
+      timestamp: now,
+      accountValue: toNumber(state.marginSummary?.accountValue),
+      totalNotional: toNumber(state.marginSummary?.totalNtlPos),
+      unrealizedPnl: positions.reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0),
+      realizedPnl: Object.values(wallet.realized).reduce((sum, v) => sum + v, 0),
+      positions
+    });
+
+    const cutoff = now - RETENTION_MS;
+    wallet.snapshots = wallet.snapshots.filter(s => s.timestamp >= cutoff);
+  }
+
+  // ============== HISTORY ==============
+
+  /**
+   * Snapshot history, optionally narrowed to one coin and a time range
+   * @returns {Array|null} - snapshots oldest first, null if the address is not pinned
+   */
+  getHistory(address, { coin = null, from = 0, to = Date.now() } = {}) {
+    const wallet = this.getWallet(address);
+    if (!wallet) return null;
+
+    return wallet.snapshots
+      .filter(s => s.timestamp >= from && s.timestamp <= to)
+      .map(s => coin
+        ? { ...s, positions: s.positions.filter(p => p.coin === coin) }
+        : s);
+  }
+
+  /**
+   * History as CSV, one row per position per snapshot
+   * Snapshots without a (matching) position get a FLAT row so the timeline has no gaps
+   */
+  toCsv(snapshots, coin = null) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    snapshots.forEach(s => {
+      const timestamp = new Date(s.timestamp).toISOString();
+      if (s.positions.length === 0) {
+        rows.push([timestamp, coin || '', 'FLAT', 0, '', '', '', '', '', '', '', s.accountValue ?? ''].join(','));
+        return;
+      }
+      s.positions.forEach(p => {
+        rows.push([
+          timestamp,
+          p.coin,
+          p.size > 0 ? 'LONG' : 'SHORT',
+          p.size,
+          p.entryPx ?? '',
+          p.positionValue ?? '',
+          p.leverage ?? '',
+          p.liquidationPx ?? '',
+          p.unrealizedPnl ?? '',
+          p.realizedPnl ?? '',
+          p.fundingSinceOpen ?? '',
+          s.accountValue ?? ''
+        ].join(','));
+      });
+    });
+
+    return rows.join('\n') + '\n';
+  }
+}
+
+// Singleton instance
+const walletWatchlist = new WalletWatchlist();
+
+module.exports = walletWatchlist;
@@ -0,0 +1,324 @@
+/**
+ * Weight Optimizer for Projection Weights
+ *
+ * Searches weight vectors for biasProjection WEIGHTS (12hr/4hr predictions)
+ * and dailyBiasProjection WEIGHTS_24H (daily predictions) using the per-signal
+ * scores winRateTracker records next to each outcome.
+ *
+ * A candidate is scored by rebuilding each prediction's weighted sum from its
+ * recorded signals; direction is the sign of the sum, as in the projections.
+ * Bonuses (RSI divergence, alignment, spot/perp) and the volume adjustment on
+ * Flow Confluence are not recorded, so they are left out of the rebuild.
+ *
+ * Walk-forward validation: predictions are split chronologically into folds;
+ * for each fold the search runs on everything before it and the winner is
+ * tested on the fold itself. Only those out-of-sample hit rates are reported
+ * as the expected performance.
+ *
+ * Usage: node optimize-weights.js, or GET /api/backtest/optimize
+ */
+
+const { WEIGHTS } = require('./biasProjection');
+const { WEIGHTS_24H } = require('./dailyBiasProjection');
+
+// Weight key -> recorded signal field, and the prediction types each table drives
+const TABLES = {
+  WEIGHTS: {
+    weights: WEIGHTS,
+    types: ['12hr', '4hr'],
+    signals: {
+      flowConfluence: 'flowConfluence',
+      oiRoC: 'oiRoC',
+      fundingZScore: 'fundingZScore',
+      confluence: 'confluenceScore',
+      liquidationMomentum: 'liquidationMomentum',
+      whales: 'whales'
+    }
+  },
+  WEIGHTS_24H: {
+    weights: WEIGHTS_24H,
+    types: ['daily'],
+    signals: {
+      oiPriceMomentum: 'oiPriceMomentum',
+      spotPerpDivergence: 'spotPerpDivergence',
+      fundingMeanReversion: 'fundingMeanReversion',
+      liquidationCascade: 'liquidationCascade',
+      etfFlows: 'etfFlows',
+      crossExchangeConfluence: 'confluenceScore',
+      whales: 'whales'
+    }
+  }
+};
+
+const DEFAULTS = {
+  folds: 4,
+  candidates: 400,
+  minSamples: 40,
+  minWeight: 0.02, // Keep every factor in play, the projections expect non-zero weights
+  seed: 42
+};
+const MAX_FOLDS = 10;          // Each fold must keep enough samples to test on
+const MAX_CANDIDATES = 2000;   // Every candidate is scored on every fold, synchronously
+
+/**
+ * Small seeded PRNG so runs are reproducible (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Scale weights to sum to 1 with a floor, rounded to 2 decimals
+ */
+function normalizeWeights(weights, minWeight) {
+  const keys = Object.keys(weights);
+  const floored = {};
+  keys.forEach(k => { floored[k] = Math.max(minWeight, weights[k]); });
+  const total = keys.reduce((sum, k) => sum + floored[k], 0);
+  const result = {};
+  keys.forEach(k => { result[k] = Math.round((floored[k] / total) * 100) / 100; });
+  return result;
+}
+
+/**
+ * Recorded signal value for a weight key (null when the factor was not in play)
+ */
+function getSignal(prediction, table, key) {
+  const field = TABLES[table].signals[key];
+  const signals = prediction.signals || {};
+  if (key === 'whales' && signals.whalesActive === false) return null;
+  const value = signals[field];
+  return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+/**
+ * Rebuild the weighted score of one prediction
+ */
+function weightedScore(prediction, table, weights) {
+  let score = 0;
+  let totalWeight = 0;
+  for (const key of Object.keys(weights)) {
+    const value = getSignal(prediction, table, key);
+    if (value === null) continue;
+    score += value * weights[key];
+    totalWeight += weights[key];
+  }
+  return totalWeight > 0 ? score / totalWeight : 0;
+}
+
+/**
+ * Hit rate of a weight vector (same rule as winRateTracker: direction must match)
+ */
+function evaluateWeights(predictions, table, weights) {
+  if (predictions.length === 0) return { total: 0, correct: 0, hitRate: 0 };
+  let correct = 0;
+  for (const p of predictions) {
+    const score = weightedScore(p, table, weights);
+    const direction = score > 0 ? 'BULLISH' : score < 0 ? 'BEARISH' : 'NEUTRAL';
+    if (direction === p.actualDirection) correct++;
+  }
+  return {
+    total: predictions.length,
+    correct,
+    hitRate: Math.round((correct / predictions.length) * 10000) / 100
+  };
+}
+
+/**
+ * Candidate weight vectors: the live weights, random points on the simplex,
+ * and single-factor perturbations of the live weights. Factors with no
+ * recorded data keep their live weight - the sample says nothing about them.
+ */
+function generateCandidates(table, count, minWeight, random, fixedKeys = []) {
+  const base = { ...TABLES[table].weights };
+  const keys = Object.keys(base).filter(k => !fixedKeys.includes(k));
+  const fixedTotal = fixedKeys.reduce((sum, k) => sum + base[k], 0);
+  const candidates = [normalizeWeights(base, minWeight)];
+
+  keys.forEach(key => {
+    [0.5, 1.5, 2].forEach(factor => {
+      candidates.push(normalizeWeights({ ...base, [key]: base[key] * factor }, minWeight));
+    });
+  });
+
+  while (candidates.length < count) {
+    const raw = { ...base };
+    // -log(u) draws are exponential, normalizing them samples the simplex uniformly
+    const draws = keys.map(() => -Math.log(1 - random()));
+    const drawTotal = draws.reduce((sum, v) => sum + v, 0);
+    keys.forEach((k, i) => { raw[k] = (draws[i] / drawTotal) * (1 - fixedTotal); });
+    candidates.push(normalizeWeights(raw, minWeight));
+  }
+
+  return candidates;
+}
+
+/**
+ * Best candidate on a training set (ties keep the earlier candidate, i.e. the live weights)
+ */
+function searchWeights(predictions, table, candidates) {
+  let best = null;
+  for (const weights of candidates) {
+    const result = evaluateWeights(predictions, table, weights);
+    if (!best || result.hitRate > best.result.hitRate) {
+      best = { weights, result };
+    }
+  }
+  return best;
+}
+
+/**
+ * Per-signal contribution under a weight vector
+ * - standalone: hit rate of the signal's own sign where it was non-zero
+ * - ablation: hit rate change when the signal's weight is set to zero
+ * - share: average share of |weight x score| in the weighted sum
+ */
+function signalContribution(predictions, table, weights) {
+  const baseline = evaluateWeights(predictions, table, weights).hitRate;
+  const contribution = {};
+
+  for (const key of Object.keys(weights)) {
+    const active = predictions.filter(p => {
+      const value = getSignal(p, table, key);
+      return value !== null && value !== 0;
+    });
+    const standaloneCorrect = active.filter(p => {
+      const direction = getSignal(p, table, key) > 0 ? 'BULLISH' : 'BEARISH';
+      return direction === p.actualDirection;
+    }).length;
+
+    const shares = predictions.map(p => {
+      const parts = Object.keys(weights).map(k => Math.abs((getSignal(p, table, k) || 0) * weights[k]));
+      const total = parts.reduce((sum, v) => sum + v, 0);
+      return total > 0 ? Math.abs((getSignal(p, table, key) || 0) * weights[key]) / total : 0;
+    });
+
+    const ablation = evaluateWeights(predictions, table, { ...weights, [key]: 0 }).hitRate;
+
+    contribution[key] = {
+      weight: weights[key],
+      coverage: Math.round((active.length / predictions.length) * 10000) / 100,
+      standaloneHitRate: active.length > 0 ? Math.round((standaloneCorrect / active.length) * 10000) / 100 : null,
+      ablationDelta: Math.round((baseline - ablation) * 100) / 100,
+      avgShare: Math.round((shares.reduce((sum, v) => sum + v, 0) / predictions.length) * 10000) / 100
+    };
+  }
+
+  return contribution;
+}
+
+/**
+ * Run the optimizer over recorded predictions
+ * @param {Array} predictions - winRateTracker predictions (any type; filtered here)
+ * @param {object} options - { table, coin, folds, candidates, minSamples, minWeight, seed }
+ * @returns {object} - candidate weights, walk-forward results and per-signal contribution
+ */
+function optimizeWeights(predictions, options = {}) {
+  const table = options.table || 'WEIGHTS';
+  if (!TABLES[table]) {
+    throw new Error(`Unknown weight table: ${table} (valid: ${Object.keys(TABLES).join(', ')})`);
+  }
+  const settings = { ...DEFAULTS };
+  Object.keys(DEFAULTS).forEach(key => {
+    if (options[key] !== undefined && !Number.isNaN(options[key])) settings[key] = options[key];
+  });
+  const { minSamples, minWeight, seed } = settings;
+  if (!Number.isInteger(settings.folds) || settings.folds < 2) {
+    throw new Error('Walk-forward needs an integer of at least 2 folds');
+  }
+  const folds = Math.min(settings.folds, MAX_FOLDS);
+  const candidateCount = Math.min(settings.candidates, MAX_CANDIDATES);
+
+  const samples = predictions
+    .filter(p => TABLES[table].types.includes(p.projectionType))
+    .filter(p => !options.coin || p.coin === options.coin)
+    .filter(p => p.evaluated && p.outcome !== 'inconclusive' && p.actualDirection)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const currentWeights = normalizeWeights({ ...TABLES[table].weights }, 0);
+
+  if (samples.length < minSamples) {
+    return {
+      status: 'INSUFFICIENT_DATA',
+      table,
+      samples: samples.length,
+      minSamples,
+      currentWeights
+    };
+  }
+
+  const uncovered = Object.keys(currentWeights).filter(key =>
+    samples.every(p => getSignal(p, table, key) === null)
+  );
+  const random = createRandom(seed);
+  const candidates = generateCandidates(table, candidateCount, minWeight, random, uncovered);
+
+  // Expanding-window walk-forward: train on folds [0, i), test on fold i
+  const foldSize = Math.floor(samples.length / folds);
+  const walkForward = [];
+  for (let i = 1; i < folds; i++) {
+    const train = samples.slice(0, i * foldSize);
+    const test = samples.slice(i * foldSize, i === folds - 1 ? samples.length : (i + 1) * foldSize);
+    const best = searchWeights(train, table, candidates);
+
+    walkForward.push({
+      fold: i,
+      trainSamples: train.length,
+      testSamples: test.length,
+      testFrom: test[0].timestamp,
+      testTo: test[test.length - 1].timestamp,
+      weights: best.weights,
+      inSampleHitRate: best.result.hitRate,
+      outOfSampleHitRate: evaluateWeights(test, table, best.weights).hitRate,
+      currentWeightsHitRate: evaluateWeights(test, table, currentWeights).hitRate
+    });
+  }
+
+  const tested = walkForward.reduce((sum, f) => sum + f.testSamples, 0);
+  const weightedAvg = (field) => Math.round(
+    walkForward.reduce((sum, f) => sum + f[field] * f.testSamples, 0) / tested * 100
+  ) / 100;
+
+  // Final candidate is trained on everything; walk-forward is its performance estimate
+  const final = searchWeights(samples, table, candidates);
+
+  return {
+    status: 'OK',
+    table,
+    coin: options.coin || 'ALL',
+    samples: samples.length,
+    folds,
+    from: samples[0].timestamp,
+    to: samples[samples.length - 1].timestamp,
+    candidatesTested: candidates.length,
+    unrecordedSignals: uncovered,
+    currentWeights,
+    candidateWeights: final.weights,
+    inSampleHitRate: final.result.hitRate,
+    outOfSampleHitRate: weightedAvg('outOfSampleHitRate'),
+    currentWeightsOutOfSampleHitRate: weightedAvg('currentWeightsHitRate'),
+    recordedHitRate: Math.round((samples.filter(p => p.outcome === 'correct').length / samples.length) * 10000) / 100,
+    walkForward,
+    signalContribution: signalContribution(samples, table, final.weights),
+    currentSignalContribution: signalContribution(samples, table, currentWeights)
+  };
+}
+
+module.exports = {
+  optimizeWeights,
+  evaluateWeights,
+  weightedScore,
+  normalizeWeights,
+  generateCandidates,
+  createRandom,
+  TABLES,
+  MAX_FOLDS,
+  MAX_CANDIDATES
+};
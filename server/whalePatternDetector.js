@@ -0,0 +1,247 @@
+/**
+ * Whale Pattern Detector
+ *
+ * Finds whales splitting size across many prints, which the 500ms spot
+ * aggregation and the per-trade thresholds in whaleWatcher never see:
+ * - TWAP: repeated same-side clips of similar size at regular intervals
+ * - Iceberg: repeated fills at one price level (a resting order refilling)
+ *
+ * whaleWatcher feeds every clip above a per-symbol minimum. Detected patterns
+ * are upserted into DataStore as they grow (stable id per episode), pushed as
+ * the `whalePattern` stream event and served via /api/whale-patterns.
+ */
+
+const dataStore = require('./dataStore');
+
+const CONFIG = {
+  // Clips / fills are tracked from this share of the symbol's whale threshold
+  TWAP_MIN_CLIP_RATIO: 0.2,       // BTC $100K clips
+  ICEBERG_MIN_FILL_RATIO: 0.05,   // BTC $25K fills
+
+  TWAP: {
+    WINDOW_MS: 30 * 60 * 1000,    // Clips considered
+    MIN_CLIPS: 8,
+    SIZE_BAND: 0.25,              // Clip within +/-25% of the latest clip (episode median once detected)
+    MAX_SIZE_CV: 0.2,             // Similar sizes
+    MAX_INTERVAL_CV: 0.35,        // Regular spacing
+    MIN_INTERVAL_MS: 2000,        // Faster than this is a sweep, not a schedule
+    MIN_TOTAL_RATIO: 4,           // Total >= 4x the symbol's whale threshold
+    END_GAP_MULTIPLE: 4           // Episode ends after 4 missed intervals
+  },
+
+  ICEBERG: {
+    WINDOW_MS: 5 * 60 * 1000,
+    MIN_FILLS: 5,
+    MIN_DURATION_MS: 10 * 1000,   // Refills over time, not one sweep
+    MIN_TOTAL_RATIO: 2,           // Total >= 2x the symbol's whale threshold
+    PRICE_TOLERANCE: 0.0001       // 0.01% counts as the same level
+  }
+};
+
+const twapClips = {};      // { exchange:symbol:side: [clip] }
+const twapEpisodes = {};   // { exchange:symbol:side: episode }
+const icebergFills = {};   // { exchange:symbol:level: [fill] }
+const icebergEpisodes = {}; // { exchange:symbol:level: episode }
+
+let detectedCount = 0;
+
+// ============== HELPERS ==============
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function coefficientOfVariation(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  if (mean === 0) return Infinity;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
+
+function summarize(fills) {
+  const notional = fills.reduce((sum, f) => sum + f.notional, 0);
+  const size = fills.reduce((sum, f) => sum + f.size, 0);
+  return { notional, size, vwap: size > 0 ? notional / size : 0 };
+}
+
+function publish(pattern) {
+  dataStore.upsertWhalePattern(pattern);
+}
+
+// ============== TWAP ==============
+
+/**
+ * Record a taker clip (aggTrade or 500ms-aggregated spot fill)
+ * @param {object} trade - { exchange, symbol, side, price, size, timestamp, type }
+ * @param {number} threshold - the symbol's whale store threshold
+ */
+function recordClip(trade, threshold) {
+  const notional = trade.price * trade.size;
+  if (notional < threshold * CONFIG.TWAP_MIN_CLIP_RATIO) return;
+
+  const key = `${trade.exchange}:${trade.symbol}:${trade.side}`;
+  const clip = { price: trade.price, size: trade.size, notional, timestamp: trade.timestamp };
+  const clips = (twapClips[key] || []).filter(c => trade.timestamp - c.timestamp <= CONFIG.TWAP.WINDOW_MS);
+  clips.push(clip);
+  twapClips[key] = clips;
+
+  const episode = twapEpisodes[key];
+  if (episode) {
+    const gap = trade.timestamp - episode.lastTimestamp;
+    const sameSize = Math.abs(notional - episode.medianClip) <= episode.medianClip * CONFIG.TWAP.SIZE_BAND;
+    if (gap > episode.medianInterval * CONFIG.TWAP.END_GAP_MULTIPLE) {
+      delete twapEpisodes[key];
+    } else if (sameSize) {
+      episode.clips.push(clip);
+      episode.lastTimestamp = trade.timestamp;
+      publish(buildTwapPattern(trade, episode));
+      return;
+    } else {
+      return;
+    }
+  }
+
+  // Trailing run of clips close to this clip's size
+  const run = clips.filter(c => Math.abs(c.notional - notional) <= notional * CONFIG.TWAP.SIZE_BAND);
+  if (run.length < CONFIG.TWAP.MIN_CLIPS) return;
+
+  const intervals = run.slice(1).map((c, i) => c.timestamp - run[i].timestamp);
+  const medianInterval = median(intervals);
+  if (medianInterval < CONFIG.TWAP.MIN_INTERVAL_MS) return;
+  if (coefficientOfVariation(intervals) > CONFIG.TWAP.MAX_INTERVAL_CV) return;
+  if (coefficientOfVariation(run.map(c => c.notional)) > CONFIG.TWAP.MAX_SIZE_CV) return;
+  if (summarize(run).notional < threshold * CONFIG.TWAP.MIN_TOTAL_RATIO) return;
+
+  twapEpisodes[key] = {
+    id: `twap_${trade.exchange}_${trade.symbol}_${trade.side}_${run[0].timestamp}`,
+    clips: run,
+    medianClip: median(run.map(c => c.notional)),
+    medianInterval,
+    lastTimestamp: trade.timestamp
+  };
+  detectedCount++;
+  publish(buildTwapPattern(trade, twapEpisodes[key]));
+}
+
+function buildTwapPattern(trade, episode) {
+  const { notional, size, vwap } = summarize(episode.clips);
+  const startedAt = episode.clips[0].timestamp;
+  return {
+    id: episode.id,
+    pattern: 'TWAP',
+    exchange: trade.exchange,
+    symbol: trade.symbol,
+    side: trade.side,
+    type: trade.type,
+    price: vwap,
+    estimatedSize: size,
+    estimatedNotional: notional,
+    fillCount: episode.clips.length,
+    avgClip: notional / episode.clips.length,
+    intervalMs: Math.round(episode.medianInterval),
+    startedAt,
+    timestamp: episode.lastTimestamp,
+    durationMs: episode.lastTimestamp - startedAt
+  };
+}
+
+// ============== ICEBERG ==============
+
+/**
+ * Record an individual fill; repeated fills at one level reveal a refilling resting order
+ * @param {object} trade - { exchange, symbol, side, price, size, timestamp, type }
+ * @param {number} threshold - the symbol's whale store threshold
+ */
+function recordFill(trade, threshold) {
+  const notional = trade.price * trade.size;
+  if (notional < threshold * CONFIG.ICEBERG_MIN_FILL_RATIO) return;
+
+  // Log-spaced buckets so prices within the tolerance land on one level
+  const level = Math.round(Math.log(trade.price) / Math.log(1 + CONFIG.ICEBERG.PRICE_TOLERANCE));
+  const key = `${trade.exchange}:${trade.symbol}:${level}`;
+
+  const fills = (icebergFills[key] || []).filter(f => trade.timestamp - f.timestamp <= CONFIG.ICEBERG.WINDOW_MS);
+  fills.push({ price: trade.price, size: trade.size, notional, side: trade.side, timestamp: trade.timestamp });
+  icebergFills[key] = fills;
+
+  if (fills.length < CONFIG.ICEBERG.MIN_FILLS) return;
+  if (fills[fills.length - 1].timestamp - fills[0].timestamp < CONFIG.ICEBERG.MIN_DURATION_MS) return;
+
+  // The resting order sits on the side opposite the takers hitting it
+  const takerSells = fills.filter(f => f.side === 'SELL').reduce((sum, f) => sum + f.notional, 0);
+  const total = summarize(fills).notional;
+  if (total < threshold * CONFIG.ICEBERG.MIN_TOTAL_RATIO) return;
+
+  let episode = icebergEpisodes[key];
+  if (!episode || trade.timestamp - episode.lastTimestamp > CONFIG.ICEBERG.WINDOW_MS) {
+    episode = icebergEpisodes[key] = {
+      id: `iceberg_${trade.exchange}_${trade.symbol}_${level}_${fills[0].timestamp}`,
+      startedAt: fills[0].timestamp,
+      fills: [...fills]
+    };
+    detectedCount++;
+  } else {
+    episode.fills.push(fills[fills.length - 1]);
+  }
+  episode.lastTimestamp = trade.timestamp;
+
+  const totals = summarize(episode.fills);
+  publish({
+    id: episode.id,
+    pattern: 'ICEBERG',
+    exchange: trade.exchange,
+    symbol: trade.symbol,
+    side: takerSells >= total / 2 ? 'BUY' : 'SELL',
+    type: trade.type,
+    price: totals.vwap,
+    estimatedSize: totals.size,
+    estimatedNotional: totals.notional,
+    fillCount: episode.fills.length,
+    avgClip: totals.notional / episode.fills.length,
+    startedAt: episode.startedAt,
+    timestamp: trade.timestamp,
+    durationMs: trade.timestamp - episode.startedAt
+  });
+}
+
+// ============== MAINTENANCE ==============
+
+/**
+ * Drop idle keys so price levels do not accumulate
+ */
+function prune(now = Date.now()) {
+  Object.keys(twapClips).forEach(key => {
+    twapClips[key] = twapClips[key].filter(c => now - c.timestamp <= CONFIG.TWAP.WINDOW_MS);
+    if (twapClips[key].length === 0) delete twapClips[key];
+  });
+  Object.keys(twapEpisodes).forEach(key => {
+    const episode = twapEpisodes[key];
+    if (now - episode.lastTimestamp > episode.medianInterval * CONFIG.TWAP.END_GAP_MULTIPLE) delete twapEpisodes[key];
+  });
+  Object.keys(icebergFills).forEach(key => {
+    icebergFills[key] = icebergFills[key].filter(f => now - f.timestamp <= CONFIG.ICEBERG.WINDOW_MS);
+    if (icebergFills[key].length === 0) delete icebergFills[key];
+  });
+  Object.keys(icebergEpisodes).forEach(key => {
+    if (now - icebergEpisodes[key].lastTimestamp > CONFIG.ICEBERG.WINDOW_MS) delete icebergEpisodes[key];
+  });
+}
+
+function getDetectorStatus() {
+  return {
+    detected: detectedCount,
+    activeTwap: Object.keys(twapEpisodes).length,
+    activeIceberg: Object.keys(icebergEpisodes).length,
+    trackedLevels: Object.keys(icebergFills).length
+  };
+}
+
+module.exports = {
+  recordClip,
+  recordFill,
+  prune,
+  getDetectorStatus,
+  CONFIG
+};
@@ -1,22 +1,53 @@
 const WebSocket = require('ws');
 const dataStore = require('./dataStore');
+const whalePatternDetector = require('./whalePatternDetector');
+const symbolRegistry = require('./symbolRegistry');
+
+// Tracked coins (symbols.json); each feed subscribes to the ones its venue lists
+const SYMBOLS = symbolRegistry.getCoins();
+
+// Venue tickers for every registry coin the venue lists
+function tickers(exchange, market) {
+    return symbolRegistry.getCoinsForExchange(exchange, market)
+        .map(coin => symbolRegistry.getExchangeSymbol(coin, exchange, market));
+}
+
+// Venue ticker -> registry coin (null for anything not tracked)
+function coinOf(exchange, market, ticker) {
+    return symbolRegistry.getCoinByExchangeSymbol(exchange, ticker, market);
+}
+
+// OKX swaps trade in contracts: only coins with a ctVal in symbols.json are watched
+const OKX_SWAP_COINS = symbolRegistry.getCoinsForExchange('okx', 'perp')
+    .filter(coin => symbolRegistry.getContractSize(coin, 'okx'));
+
+// Parsers map tickers back to registry coins; untracked tickers are dropped
+const tracked = trades => trades.filter(t => t.symbol);
 
 const CONFIG = {
-    // Threshold to keep in memory (lower than frontend to allow filtering)
+    SYMBOLS,
+    // Per-symbol threshold to keep in memory (lower than frontend to allow filtering)
+    // Smaller books move on smaller prints: whaleThreshold in symbols.json, WHALE_MIN_<SYMBOL> overrides
+    SYMBOL_THRESHOLDS: symbolRegistry.mapCoins(symbol =>
+        parseFloat(process.env[`WHALE_MIN_${symbol}`]) || symbolRegistry.getWhaleThreshold(symbol)
+    ),
+    // Fallback for symbols without their own threshold
     MIN_STORE_THRESHOLD: 500_000,
     // Aggregation window for spot exchanges (ms)
     SPOT_AGGREGATION_WINDOW: 500,
 
     EXCHANGES: {
         binanceSpot: {
-            url: 'wss://stream.binance.com/stream?streams=btcusdt@aggTrade',
+            url: `wss://stream.binance.com/stream?streams=${tickers('binance', 'spot').map(t => `${t.toLowerCase()}@aggTrade`).join('/')}`,
             type: 'SPOT',
             name: 'Binance',
             parse: (msg) => {
                 const trade = msg.data || msg;
                 if (trade.e !== 'aggTrade') return null;
+                const symbol = coinOf('binance', 'spot', trade.s);
+                if (!symbol) return null;
                 return {
-                    symbol: trade.s.replace('USDT', ''),
+                    symbol,
                     price: parseFloat(trade.p),
                     size: parseFloat(trade.q),
                     side: trade.m ? 'SELL' : 'BUY',
@@ -28,14 +59,16 @@ const CONFIG = {
             }
         },
         binanceFutures: {
-            url: 'wss://fstream.binance.com/stream?streams=btcusdt@aggTrade',
+            url: `wss://fstream.binance.com/stream?streams=${tickers('binance', 'perp').map(t => `${t.toLowerCase()}@aggTrade`).join('/')}`,
             type: 'PERP',
             name: 'Binance',
             parse: (msg) => {
                 const trade = msg.data || msg;
                 if (trade.e !== 'aggTrade') return null;
+                const symbol = coinOf('binance', 'perp', trade.s);
+                if (!symbol) return null;
                 return {
-                    symbol: trade.s.replace('USDT', ''),
+                    symbol,
                     price: parseFloat(trade.p),
                     size: parseFloat(trade.q),
                     side: trade.m ? 'SELL' : 'BUY',
@@ -50,13 +83,13 @@ const CONFIG = {
             url: 'wss://stream.bybit.com/v5/public/linear',
             type: 'PERP',
             name: 'Bybit',
-            subscribe: { op: 'subscribe', args: ['publicTrade.BTCUSDT'] },
+            subscribe: { op: 'subscribe', args: tickers('bybit', 'perp').map(t => `publicTrade.${t}`) },
             ping: { op: 'ping' },
             pingInterval: 20000,
             parse: (msg) => {
                 if (!msg.topic?.startsWith('publicTrade') || !msg.data) return null;
-                return msg.data.map(t => ({
-                    symbol: t.s.replace('USDT', ''),
+                return tracked(msg.data.map(t => ({
+                    symbol: coinOf('bybit', 'perp', t.s),
                     price: parseFloat(t.p),
                     size: parseFloat(t.v),
                     side: t.S === 'Buy' ? 'BUY' : 'SELL',
@@ -64,7 +97,53 @@ const CONFIG = {
                     tradeId: t.i,
                     exchange: 'bybitLinear',
                     type: 'PERP'
-                }));
+                })));
+            }
+        },
+        bybitSpot: {
+            url: 'wss://stream.bybit.com/v5/public/spot',
+            type: 'SPOT',
+            name: 'Bybit',
+            aggregate: true,
+            subscribe: { op: 'subscribe', args: tickers('bybit', 'spot').map(t => `publicTrade.${t}`) },
+            ping: { op: 'ping' },
+            pingInterval: 20000,
+            parse: (msg) => {
+                if (!msg.topic?.startsWith('publicTrade') || !msg.data) return null;
+                return tracked(msg.data.map(t => ({
+                    symbol: coinOf('bybit', 'spot', t.s),
+                    price: parseFloat(t.p),
+                    size: parseFloat(t.v),
+                    side: t.S === 'Buy' ? 'BUY' : 'SELL',
+                    timestamp: t.T,
+                    tradeId: t.i,
+                    exchange: 'bybitSpot',
+                    type: 'SPOT'
+                })));
+            }
+        },
+        okxSpot: {
+            url: 'wss://ws.okx.com:8443/ws/v5/public',
+            type: 'SPOT',
+            name: 'OKX',
+            subscribe: {
+                op: 'subscribe',
+                args: tickers('okx', 'spot').map(instId => ({ channel: 'trades', instId }))
+            },
+            ping: 'ping',
+            pingInterval: 15000,
+            parse: (msg) => {
+                if (msg.event || !msg.data) return null;
+                return tracked(msg.data.map(t => ({
+                    symbol: coinOf('okx', 'spot', t.instId),
+                    price: parseFloat(t.px),
+                    size: parseFloat(t.sz),
+                    side: t.side === 'buy' ? 'BUY' : 'SELL',
+                    timestamp: parseInt(t.ts),
+                    tradeId: t.tradeId,
+                    exchange: 'okxSpot',
+                    type: 'SPOT'
+                })));
             }
         },
         okxSwap: {
@@ -73,31 +152,27 @@ const CONFIG = {
             name: 'OKX',
             subscribe: {
                 op: 'subscribe',
-                args: [
-                    { channel: 'trades', instId: 'BTC-USDT-SWAP' }
-                ]
+                args: OKX_SWAP_COINS.map(coin => ({ channel: 'trades', instId: symbolRegistry.getExchangeSymbol(coin, 'okx') }))
             },
             ping: 'ping',
             pingInterval: 15000,
             parse: (msg) => {
                 if (msg.event || !msg.data) return null;
-                return msg.data.map(t => {
-                    const symbol = t.instId.split('-')[0];
-                    const contractSize = parseFloat(t.sz);
-                    let multiplier = 1;
-                    if (symbol === 'BTC') multiplier = 0.01;
-                    else if (symbol === 'ETH') multiplier = 0.1;
-
-                    return {
+                return msg.data.flatMap(t => {
+                    const symbol = coinOf('okx', 'perp', t.instId);
+                    const ctVal = symbol && symbolRegistry.getContractSize(symbol, 'okx');
+                    if (!ctVal) return []; // Untracked, or no contract size to convert with
+
+                    return [{
                         symbol,
                         price: parseFloat(t.px),
-                        size: contractSize * multiplier,
+                        size: parseFloat(t.sz) * ctVal,
                         side: t.side === 'buy' ? 'BUY' : 'SELL',
                         timestamp: parseInt(t.ts),
                         tradeId: t.tradeId,
                         exchange: 'okxSwap',
                         type: 'PERP'
-                    };
+                    }];
                 });
             }
         },
@@ -105,15 +180,13 @@ const CONFIG = {
             url: 'wss://api.hyperliquid.xyz/ws',
             type: 'PERP',
             name: 'Hyperliquid',
-            subscribe: [
-                { method: 'subscribe', subscription: { type: 'trades', coin: 'BTC' } }
-            ],
+            subscribe: tickers('hyperliquid', 'perp').map(coin => ({ method: 'subscribe', subscription: { type: 'trades', coin } })),
             ping: { method: 'ping' },
             pingInterval: 30000,
             parse: (msg) => {
                 if (msg.channel !== 'trades' || !msg.data) return null;
-                return msg.data.map(t => ({
-                    symbol: t.coin,
+                return tracked(msg.data.map(t => ({
+                    symbol: coinOf('hyperliquid', 'perp', t.coin),
                     price: parseFloat(t.px),
                     size: parseFloat(t.sz),
                     side: t.side === 'B' ? 'BUY' : 'SELL',
@@ -121,16 +194,17 @@ const CONFIG = {
                     tradeId: t.tid,
                     exchange: 'hyperliquid',
                     type: 'PERP'
-                }));
+                })));
             }
         },
         coinbase: {
             url: 'wss://advanced-trade-ws.coinbase.com',
             type: 'SPOT',
             name: 'Coinbase',
+            aggregate: true,
             subscribe: {
                 type: 'subscribe',
-                product_ids: ['BTC-USD'],
+                product_ids: tickers('coinbase', 'spot'),
                 channel: 'market_trades'
             },
             ping: { type: 'ping' }, // Coinbase specific ping not always needed but good practice? Actually they use keepalives.
@@ -142,8 +216,10 @@ const CONFIG = {
                 msg.events.forEach(e => {
                     if (e.trades) {
                         e.trades.forEach(t => {
+                            const symbol = coinOf('coinbase', 'spot', t.product_id);
+                            if (!symbol) return;
                             trades.push({
-                                symbol: t.product_id.split('-')[0],
+                                symbol,
                                 price: parseFloat(t.price),
                                 size: parseFloat(t.size),
                                 side: t.side === 'BUY' ? 'BUY' : 'SELL',
@@ -162,16 +238,17 @@ const CONFIG = {
             url: 'wss://ws.kraken.com/v2',
             type: 'SPOT',
             name: 'Kraken',
+            aggregate: true,
             subscribe: {
                 method: 'subscribe',
-                params: { channel: 'trade', symbol: ['BTC/USD'] }
+                params: { channel: 'trade', symbol: tickers('kraken', 'spot') }
             },
             ping: { method: 'ping' },
             pingInterval: 30000,
             parse: (msg) => {
                 if (msg.channel !== 'trade' || !msg.data) return null;
-                return msg.data.map(t => ({
-                    symbol: t.symbol.split('/')[0],
+                return tracked(msg.data.map(t => ({
+                    symbol: coinOf('kraken', 'spot', t.symbol),
                     price: parseFloat(t.price),
                     size: parseFloat(t.qty),
                     side: t.side === 'buy' ? 'BUY' : 'SELL',
@@ -179,7 +256,7 @@ const CONFIG = {
                     tradeId: t.trade_id,
                     exchange: 'kraken',
                     type: 'SPOT'
-                }));
+                })));
             }
         }
     }
@@ -187,6 +264,14 @@ const CONFIG = {
 
 const connections = {};
 const reconnectTimeouts = {};
+let pruneInterval = null;
+
+/**
+ * Minimum notional to store a trade for a symbol
+ */
+function getThreshold(symbol) {
+    return CONFIG.SYMBOL_THRESHOLDS[symbol] || CONFIG.MIN_STORE_THRESHOLD;
+}
 
 // Spot trade aggregation buffer: key = "exchange:symbol:side"
 const spotAggBuffer = {};
@@ -196,8 +281,19 @@ function flushSpotAgg(key) {
     const agg = spotAggBuffer[key];
     if (!agg || agg.trades.length === 0) return;
 
+    // The aggregated sweep is one clip for TWAP detection, whale-sized or not
+    whalePatternDetector.recordClip({
+        exchange: agg.exchange,
+        symbol: agg.symbol,
+        side: agg.side,
+        price: agg.totalNotional / agg.totalSize,
+        size: agg.totalSize,
+        timestamp: agg.lastTimestamp,
+        type: 'SPOT'
+    }, getThreshold(agg.symbol));
+
     const notional = agg.totalNotional;
-    if (notional >= CONFIG.MIN_STORE_THRESHOLD) {
+    if (notional >= getThreshold(agg.symbol)) {
         const vwap = agg.totalNotional / agg.totalSize;
         dataStore.addWhaleTrade({
             symbol: agg.symbol,
@@ -256,6 +352,29 @@ function start() {
     Object.keys(CONFIG.EXCHANGES).forEach(key => {
         connect(key);
     });
+    pruneInterval = setInterval(() => whalePatternDetector.prune(), 60 * 1000);
+}
+
+function stop() {
+    if (pruneInterval) clearInterval(pruneInterval);
+    pruneInterval = null;
+
+    Object.keys(CONFIG.EXCHANGES).forEach(key => {
+        clearTimeout(reconnectTimeouts[key]);
+        if (connections[`${key}_ping`]) clearInterval(connections[`${key}_ping`]);
+        const ws = connections[key];
+        if (ws) {
+            ws.removeAllListeners('close'); // Don't reconnect
+            ws.close();
+        }
+        delete connections[key];
+        delete connections[`${key}_ping`];
+    });
+
+    // Pending spot sweeps are flushed, not dropped
+    Object.keys(spotAggBuffer).forEach(flushSpotAgg);
+
+    console.log('[WhaleWatcher] Stopped all connections');
 }
 
 function connect(key) {
@@ -263,7 +382,8 @@ function connect(key) {
     if (!exConfig) return;
 
     try {
-        const ws = new WebSocket(exConfig.url);
+        // WHALE_WS_<KEY> (e.g. WHALE_WS_BINANCESPOT) points a feed at a local mock server
+        const ws = new WebSocket(process.env[`WHALE_WS_${key.toUpperCase()}`] || exConfig.url);
         connections[key] = ws;
 
         ws.on('open', () => {
@@ -289,42 +409,7 @@ function connect(key) {
             }
         });
 
-        ws.on('message', (data) => {
-            try {
-                const strData = data.toString();
-                // Skip pongs
-                if (strData.includes('pong') || strData === 'pong') return;
-
-                const msg = JSON.parse(strData);
-                // Skip events
-                if (msg.event === 'subscribe' || msg.event === 'info') return;
-
-                const parsed = exConfig.parse(msg);
-                if (!parsed) return;
-
-                const trades = Array.isArray(parsed) ? parsed : [parsed];
-                const useAggregation = key === 'coinbase' || key === 'kraken';
-
-                trades.forEach(trade => {
-                    if (useAggregation) {
-                        // Aggregate spot fills for exchanges without aggTrade
-                        addToSpotAgg(trade);
-                    } else {
-                        const notional = trade.price * trade.size;
-                        if (notional >= CONFIG.MIN_STORE_THRESHOLD) {
-                            dataStore.addWhaleTrade({
-                                ...trade,
-                                notional,
-                                receivedAt: Date.now()
-                            });
-                        }
-                    }
-                });
-
-            } catch (e) {
-                // Silent catch for parse errors to avoid spam
-            }
-        });
+        ws.on('message', (data) => handleMessage(key, data));
 
         ws.on('error', (err) => {
             console.error(`[WhaleWatcher] Error on ${key}:`, err.message);
@@ -343,4 +428,59 @@ function connect(key) {
     }
 }
 
-module.exports = { start };
+/**
+ * Route one raw feed frame: pattern detection, spot aggregation, whale store
+ */
+function handleMessage(key, data) {
+    const exConfig = CONFIG.EXCHANGES[key];
+    if (!exConfig) return;
+
+    try {
+        const strData = data.toString();
+        // Skip pongs
+        if (strData.includes('pong') || strData === 'pong') return;
+
+        const msg = JSON.parse(strData);
+        // Skip events
+        if (msg.event === 'subscribe' || msg.event === 'info') return;
+
+        const parsed = exConfig.parse(msg);
+        if (!parsed) return;
+
+        const trades = Array.isArray(parsed) ? parsed : [parsed];
+
+        trades.forEach(trade => {
+            // Every fill counts toward iceberg levels; clips toward TWAP runs
+            whalePatternDetector.recordFill(trade, getThreshold(trade.symbol));
+
+            if (exConfig.aggregate) {
+                // Aggregate spot fills for exchanges without aggTrade
+                addToSpotAgg(trade);
+            } else {
+                whalePatternDetector.recordClip(trade, getThreshold(trade.symbol));
+
+                const notional = trade.price * trade.size;
+                if (notional >= getThreshold(trade.symbol)) {
+                    dataStore.addWhaleTrade({
+                        ...trade,
+                        notional,
+                        receivedAt: Date.now()
+                    });
+                }
+            }
+        });
+
+    } catch (e) {
+        // Silent catch for parse errors to avoid spam
+    }
+}
+
+/**
+ * Parse a raw feed message with an exchange's parser (null if not a trade)
+ */
+function parseMessage(key, msg) {
+    const exConfig = CONFIG.EXCHANGES[key];
+    return exConfig ? exConfig.parse(msg) : null;
+}
+
+module.exports = { start, stop, handleMessage, parseMessage, getThreshold, SYMBOLS };
@@ -2,14 +2,23 @@
  * Win Rate Tracker for Bias Projections
  *
  * Tracks prediction accuracy over time to validate algorithm performance
- * Stores predictions and evaluates outcome after 10-20 hours (type-dependent)
+ * Stores predictions and evaluates outcome after 1.5-16 hours (type-dependent)
+ *
+ * Evaluation walks the price path from creation to the horizon: stored
+ * DataStore prices, or Binance klines when the server was down for part of
+ * it. Besides the outcome at the horizon each prediction records its max
+ * favourable / adverse excursion, whether the invalidation level was touched
+ * before the target, and the time to target. Predictions that came due during
+ * downtime are evaluated from history after a restart.
  */
 
 const fs = require('fs');
 const path = require('path');
 const dataStore = require('./dataStore');
+const symbolRegistry = require('./symbolRegistry');
 
-const WIN_RATE_FILE = path.join(__dirname, 'data', 'winrates.json');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const WIN_RATE_FILE = path.join(DATA_DIR, 'winrates.json');
 const MAX_HISTORY_DAYS = 365;
 const EVALUATION_DELAYS = {
   '12hr': 8 * 60 * 60 * 1000,   // 8 hours
@@ -29,21 +38,46 @@ const RECORD_COOLDOWNS = {
   'cvd-2hr': 1 * 60 * 60 * 1000 // 1 hour cooldown for CVD signals
 };
 
+// Path evaluation
+const TARGET_MOVE_PERCENT = 0.5;  // Same band that separates BULLISH / BEARISH from NEUTRAL
+const PATH_EXCHANGES = ['binance', 'hyperliquid', 'bybit']; // Preference order
+const MAX_PATH_GAP_MS = 15 * 60 * 1000; // Larger gaps in stored prices = backfill from klines
+const BINANCE_API_BASE = process.env.BINANCE_API_URL || 'https://fapi.binance.com';
+const KLINE_LIMIT = 1500;
+const KLINE_INTERVALS = [
+  { interval: '1m', ms: 60 * 1000 },
+  { interval: '5m', ms: 5 * 60 * 1000 },
+  { interval: '15m', ms: 15 * 60 * 1000 }
+];
+const MAX_BACKFILLS_PER_RUN = 50;
+const RECOVERY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // Retry missing paths this long, then inconclusive
+const STARTUP_EVALUATION_DELAY_MS = 60 * 1000;
+
 class WinRateTracker {
     constructor() {
         this.predictions = [];
-        this.stats = {
-            BTC: { total: 0, correct: 0, winRate: 0, strongCorrect: 0, strongTotal: 0 },
-            ETH: { total: 0, correct: 0, winRate: 0, strongCorrect: 0, strongTotal: 0 },
-            SOL: { total: 0, correct: 0, winRate: 0, strongCorrect: 0, strongTotal: 0 }
-        };
+        this.stats = symbolRegistry.mapCoins(() => this.createEmptyStats());
+        this.evaluating = false;
         this.loadFromFile();
 
+        // Catch up on predictions that came due while the server was down
+        setTimeout(() => {
+            this.recoverMissedPredictions()
+                .catch(error => console.error('[WinRateTracker] Error recovering missed predictions:', error.message));
+        }, STARTUP_EVALUATION_DELAY_MS).unref();
+
         // Evaluate predictions every hour
-        setInterval(() => this.evaluatePredictions(), 60 * 60 * 1000);
+        setInterval(() => {
+            this.evaluatePredictions()
+                .catch(error => console.error('[WinRateTracker] Error evaluating predictions:', error.message));
+        }, 60 * 60 * 1000).unref();
 
         // Save stats every 5 minutes
-        setInterval(() => this.saveToFile(), 5 * 60 * 1000);
+        setInterval(() => this.saveToFile(), 5 * 60 * 1000).unref();
+    }
+
+    createEmptyStats() {
+        return { total: 0, correct: 0, winRate: 0, strongCorrect: 0, strongTotal: 0 };
     }
 
     /**
@@ -60,7 +94,7 @@ class WinRateTracker {
             const saved = JSON.parse(raw);
 
             if (saved.predictions) this.predictions = saved.predictions;
-            if (saved.stats) this.stats = saved.stats;
+            if (saved.stats) this.stats = { ...this.stats, ...saved.stats };
 
             console.log(`[WinRateTracker] Loaded ${this.predictions.length} predictions`);
         } catch (error) {
@@ -99,8 +133,7 @@ class WinRateTracker {
      */
     recordPrediction(coin, projection, projectionType = '12hr') {
         // Check cooldown - don't record if we have a recent prediction for same coin+type
-        const cooldown = RECORD_COOLDOWNS[projectionType] || RECORD_COOLDOWNS['12hr'];
-        const cutoff = Date.now() - cooldown;
+        const cutoff = Date.now() - this.getRecordCooldown(projectionType);
         const recentPrediction = this.predictions.find(p =>
             p.coin === coin &&
             p.projectionType === projectionType &&
@@ -110,7 +143,18 @@ class WinRateTracker {
             return; // Skip - already have a recent prediction
         }
 
+        const prediction = this.buildPrediction(coin, projection, projectionType);
+        this.predictions.push(prediction);
+        console.log(`[WinRateTracker] Recorded ${coin} ${projectionType} prediction: ${prediction.predictedBias} @ $${projection.currentPrice}`);
+    }
+
+    /**
+     * Build an unevaluated prediction record from a projection
+     * (shared with the replay backtester so both record the same fields)
+     */
+    buildPrediction(coin, projection, projectionType = '12hr', timestamp = Date.now()) {
         // Extract signal scores from components (if available)
+        // Optional factors are null when the projection left them out of its weighted sum
         const c = projection.components || {};
         const signals = {
             flowConfluence: c.flowConfluence?.score ?? null,
@@ -123,14 +167,26 @@ class WinRateTracker {
             regime: c.regime?.regime ?? null,
             regimeScore: c.regime?.score ?? null,
             confluence: c.confluence?.agreement ?? null,
-            whales: c.whales?.score ?? null
+            confluenceScore: c.confluence?.score ?? null,
+            whales: c.whales?.score ?? null,
+            whalesActive: c.whales?.hasData ?? null,
+            liquidationMomentum: c.liquidationMomentum && c.liquidationMomentum.signal !== 'INSUFFICIENT_DATA'
+                ? c.liquidationMomentum.score : null,
+            // Daily bias components
+            spotPerpDivergence: c.spotPerpDivergence?.score ?? null,
+            fundingMeanReversion: c.fundingMeanReversion?.score ?? null,
+            oiPriceMomentum: c.oiPriceMomentum?.score ?? null,
+            etfFlows: ['NO_DATA', 'STALE_DATA', 'NOT_APPLICABLE'].includes(c.etfFlows?.signal) ? null : c.etfFlows?.score ?? null,
+            liquidationCascade: c.liquidation &&
+                (c.liquidation.zoneSignal?.signal !== 'INSUFFICIENT_DATA' || c.liquidation.flowSignal?.signal !== 'INSUFFICIENT_DATA')
+                ? c.liquidation.combinedScore : null
         };
 
-        const prediction = {
-            id: `${coin}_${projectionType}_${Date.now()}`,
+        return {
+            id: `${coin}_${projectionType}_${timestamp}`,
             coin,
             projectionType,
-            timestamp: Date.now(),
+            timestamp,
             initialPrice: projection.currentPrice,
             predictedBias: projection.prediction.bias,
             predictedDirection: projection.prediction.direction,
@@ -138,69 +194,276 @@ class WinRateTracker {
             strength: projection.prediction.strength,
             grade: projection.prediction.grade,
             confidence: projection.confidence.level,
+            invalidation: this.compactInvalidation(projection.invalidation),
             signals,
             evaluated: false,
             outcome: null
         };
+    }
 
-        this.predictions.push(prediction);
-        console.log(`[WinRateTracker] Recorded ${coin} ${projectionType} prediction: ${prediction.predictedBias} @ $${projection.currentPrice}`);
+    /**
+     * Keep only the level(s) path evaluation needs from a projection's invalidation
+     */
+    compactInvalidation(invalidation) {
+        if (!invalidation) return null;
+        if ((invalidation.type === 'below' || invalidation.type === 'above') && invalidation.price > 0) {
+            return { type: invalidation.type, price: invalidation.price };
+        }
+        if (invalidation.type === 'range' && invalidation.rangeLow > 0 && invalidation.rangeHigh > 0) {
+            return { type: 'range', rangeLow: invalidation.rangeLow, rangeHigh: invalidation.rangeHigh };
+        }
+        return null;
     }
 
     /**
-     * Get current price for a coin from dataStore (prefer Binance, fallback to others)
+     * Delay before a prediction of this type is evaluated
      */
-    getCurrentPrice(coin) {
-        const exchanges = ['binance', 'hyperliquid', 'bybit'];
-        for (const exchange of exchanges) {
-            const price = dataStore.data[exchange]?.current?.price?.[coin];
-            if (price && price > 0) {
-                return price;
-            }
+    getEvaluationDelay(projectionType) {
+        return EVALUATION_DELAYS[projectionType] || EVALUATION_DELAYS['12hr'];
+    }
+
+    /**
+     * Minimum time between recorded predictions of this type (per coin)
+     */
+    getRecordCooldown(projectionType) {
+        return RECORD_COOLDOWNS[projectionType] || RECORD_COOLDOWNS['12hr'];
+    }
+
+    // ============== PRICE PATH ==============
+
+    /**
+     * Turn stored price entries into path points, or null if they leave a gap
+     * (at the start, in between or before the horizon) longer than MAX_PATH_GAP_MS
+     */
+    buildStoredPath(entries, from, to) {
+        const prices = entries.filter(e => e.value > 0);
+        if (prices.length === 0) return null;
+
+        const times = [from, ...prices.map(e => e.timestamp), to];
+        const covered = times.slice(1).every((t, i) => t - times[i] <= MAX_PATH_GAP_MS);
+        if (!covered) return null;
+
+        return prices.map(e => ({ timestamp: e.timestamp, high: e.value, low: e.value, close: e.value }));
+    }
+
+    /**
+     * Price path from DataStore history (prefer Binance, fallback to others)
+     */
+    getStoredPath(coin, from, to) {
+        for (const exchange of PATH_EXCHANGES) {
+            const points = this.buildStoredPath(dataStore.getHistory(exchange, 'price', coin, { from, to }), from, to);
+            if (points) return points;
         }
         return null;
     }
 
     /**
-     * Evaluate predictions that are due based on their type
+     * Price path from Binance Futures klines, for stretches the server did not record
+     * Points are stamped at bar close; bars closing after the horizon are left out
      */
-    evaluatePredictions() {
-        const now = Date.now();
-
-        // Find unevaluated predictions that are due based on their type
-        const duePredictions = this.predictions.filter(p => {
-            if (p.evaluated) return false;
-            const delay = EVALUATION_DELAYS[p.projectionType] || EVALUATION_DELAYS['12hr'];
-            return p.timestamp <= (now - delay);
-        });
+    async fetchKlinePath(coin, from, to) {
+        const symbol = symbolRegistry.getExchangeSymbol(coin, 'binance');
+        const bar = KLINE_INTERVALS.find(k => (to - from) / k.ms <= KLINE_LIMIT);
+        if (!symbol || !bar) return null;
+
+        try {
+            const url = new URL(`${BINANCE_API_BASE}/fapi/v1/klines`);
+            url.searchParams.set('symbol', symbol);
+            url.searchParams.set('interval', bar.interval);
+            url.searchParams.set('startTime', from.toString());
+            url.searchParams.set('endTime', (to - bar.ms).toString());
+            url.searchParams.set('limit', KLINE_LIMIT.toString());
+
+            const response = await fetch(url.toString());
+            if (!response.ok) {
+                throw new Error(`Binance API error: ${response.status}`);
+            }
+            const klines = await response.json();
+
+            const points = klines
+                .map(k => ({ timestamp: k[0] + bar.ms, high: parseFloat(k[2]), low: parseFloat(k[3]), close: parseFloat(k[4]) }))
+                .filter(p => p.timestamp <= to && p.close > 0);
+            if (points.length === 0 || to - points[points.length - 1].timestamp > MAX_PATH_GAP_MS) return null;
+            return points;
+        } catch (error) {
+            console.error(`[WinRateTracker] Kline backfill failed for ${coin}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Walk a price path: excursions, target and invalidation touches
+     * Excursions are % from initialPrice (MFE >= 0, MAE <= 0). NEUTRAL has no
+     * target; its adverse excursion is the largest move either way.
+     * When one bar touches both, the invalidation counts as first.
+     */
+    analyzePath(prediction, points) {
+        const entry = prediction.initialPrice;
+        const direction = prediction.predictedDirection;
+        const invalidation = prediction.invalidation;
+        const percent = (price) => ((price - entry) / entry) * 100;
+
+        let maxUp = 0;
+        let maxDown = 0;
+        let targetHitAt = null;
+        let invalidatedAt = null;
+
+        for (const point of points) {
+            const up = percent(point.high);
+            const down = percent(point.low);
+            maxUp = Math.max(maxUp, up);
+            maxDown = Math.min(maxDown, down);
+
+            if (targetHitAt === null) {
+                if ((direction === 'BULLISH' && up >= TARGET_MOVE_PERCENT) ||
+                    (direction === 'BEARISH' && down <= -TARGET_MOVE_PERCENT)) {
+                    targetHitAt = point.timestamp;
+                }
+            }
+
+            if (invalidatedAt === null && invalidation) {
+                const touched = invalidation.type === 'below' ? point.low <= invalidation.price
+                    : invalidation.type === 'above' ? point.high >= invalidation.price
+                        : point.low < invalidation.rangeLow || point.high > invalidation.rangeHigh;
+                if (touched) invalidatedAt = point.timestamp;
+            }
+        }
 
-        if (duePredictions.length === 0) {
-            return;
+        let mfePercent = null;
+        let maePercent;
+        if (direction === 'BULLISH') {
+            mfePercent = maxUp;
+            maePercent = maxDown;
+        } else if (direction === 'BEARISH') {
+            mfePercent = -maxDown;
+            maePercent = -maxUp;
+        } else {
+            maePercent = -Math.max(maxUp, -maxDown);
         }
 
-        console.log(`[WinRateTracker] Evaluating ${duePredictions.length} predictions...`);
+        return {
+            mfePercent,
+            maePercent,
+            targetHit: targetHitAt !== null,
+            timeToTargetMs: targetHitAt !== null ? targetHitAt - prediction.timestamp : null,
+            invalidationHit: invalidatedAt !== null,
+            timeToInvalidationMs: invalidatedAt !== null ? invalidatedAt - prediction.timestamp : null,
+            invalidatedFirst: invalidatedAt !== null && (targetHitAt === null || invalidatedAt <= targetHitAt)
+        };
+    }
+
+    // ============== EVALUATION ==============
+
+    /**
+     * Evaluate predictions that are due based on their type
+     * A prediction without a usable path stays pending (next run retries the
+     * kline backfill) until it is RECOVERY_WINDOW_MS past its horizon
+     */
+    async evaluatePredictions() {
+        if (this.evaluating) return;
+        this.evaluating = true;
+
+        try {
+            const now = Date.now();
+
+            // Find unevaluated predictions that are due based on their type
+            const duePredictions = this.predictions.filter(p => {
+                if (p.evaluated) return false;
+                return p.timestamp <= (now - this.getEvaluationDelay(p.projectionType));
+            });
+
+            if (duePredictions.length === 0) {
+                return;
+            }
+
+            console.log(`[WinRateTracker] Evaluating ${duePredictions.length} predictions...`);
+
+            let backfills = 0;
+            for (const pred of duePredictions) {
+                const horizon = pred.timestamp + this.getEvaluationDelay(pred.projectionType);
+                const stored = this.getStoredPath(pred.coin, pred.timestamp, horizon);
+                let path = stored ? { source: 'stored', points: stored } : null;
+
+                if (!path && backfills < MAX_BACKFILLS_PER_RUN) {
+                    backfills++;
+                    const klines = await this.fetchKlinePath(pred.coin, pred.timestamp, horizon);
+                    if (klines) path = { source: 'klines', points: klines };
+                }
+
+                if (!path && now - horizon < RECOVERY_WINDOW_MS) continue;
+                this.evaluateSinglePrediction(pred, path, horizon);
+            }
 
-        for (const pred of duePredictions) {
-            const currentPrice = this.getCurrentPrice(pred.coin);
-            this.evaluateSinglePrediction(pred, currentPrice);
+            this.recalculateStats();
+            this.saveToFile();
+        } finally {
+            this.evaluating = false;
         }
+    }
+
+    /**
+     * After a restart: reopen predictions left inconclusive (no price while the
+     * server was down) that are still within the recovery window, then evaluate
+     * everything that came due in the meantime
+     */
+    async recoverMissedPredictions() {
+        const cutoff = Date.now() - RECOVERY_WINDOW_MS;
+        const reopened = this.predictions.filter(p =>
+            p.outcome === 'inconclusive' &&
+            p.timestamp + this.getEvaluationDelay(p.projectionType) >= cutoff
+        );
+        reopened.forEach(p => {
+            p.evaluated = false;
+            p.outcome = null;
+        });
 
-        this.recalculateStats();
-        this.saveToFile();
+        if (reopened.length > 0) {
+            console.log(`[WinRateTracker] Re-evaluating ${reopened.length} inconclusive predictions from history`);
+        }
+        return this.evaluatePredictions();
     }
 
     /**
-     * Evaluate a single prediction (requires current price to be passed manually)
-     * Call this from server when evaluating
+     * Evaluate a single prediction against its price path up to the horizon
      */
-    evaluateSinglePrediction(prediction, currentPrice = null) {
+    evaluateSinglePrediction(prediction, path = null, horizon = Date.now()) {
         if (prediction.evaluated) return;
 
+        this.scorePredictionPath(prediction, path, horizon);
+        if (prediction.outcome === 'inconclusive') return;
+
+        const invalidated = prediction.invalidatedFirst ? ', invalidated first' : '';
+        console.log(`[WinRateTracker] ${prediction.coin} ${prediction.outcome.toUpperCase()} - Predicted: ${prediction.predictedDirection}, Actual: ${prediction.actualDirection} (${prediction.actualPriceChange > 0 ? '+' : ''}${prediction.actualPriceChange.toFixed(2)}%, MAE ${prediction.maePercent.toFixed(2)}%${invalidated}) [${prediction.pathSource}]`);
+    }
+
+    /**
+     * Score a prediction from its price path (no logging)
+     * The outcome uses the last price at or before the horizon
+     */
+    scorePredictionPath(prediction, path, horizon) {
+        if (!path || path.points.length === 0) {
+            return this.scorePrediction(prediction, null, horizon);
+        }
+
+        const last = path.points[path.points.length - 1];
+        this.scorePrediction(prediction, last.close, horizon);
+        Object.assign(prediction, this.analyzePath(prediction, path.points), {
+            pathSource: path.source,
+            pathPoints: path.points.length
+        });
+        return prediction;
+    }
+
+    /**
+     * Score a prediction against the price at evaluation time (no logging)
+     * A move within +/-0.5% counts as NEUTRAL
+     */
+    scorePrediction(prediction, currentPrice = null, evaluatedAt = Date.now()) {
         // If no current price provided, mark as evaluated but inconclusive
         if (!currentPrice) {
             prediction.evaluated = true;
             prediction.outcome = 'inconclusive';
-            return;
+            return prediction;
         }
 
         const priceChange = ((currentPrice - prediction.initialPrice) / prediction.initialPrice) * 100;
@@ -221,18 +484,19 @@ class WinRateTracker {
         prediction.finalPrice = currentPrice;
         prediction.actualPriceChange = priceChange;
         prediction.actualDirection = actualDirection;
-        prediction.evaluatedAt = Date.now();
-
-        console.log(`[WinRateTracker] ${prediction.coin} ${prediction.outcome.toUpperCase()} - Predicted: ${prediction.predictedDirection}, Actual: ${actualDirection} (${priceChange > 0 ? '+' : ''}${priceChange.toFixed(2)}%)`);
+        prediction.evaluatedAt = evaluatedAt;
+        return prediction;
     }
 
     /**
      * Recalculate win rate statistics
      */
     recalculateStats() {
-        // Reset stats
-        for (const coin of ['BTC', 'ETH', 'SOL']) {
-            this.stats[coin] = { total: 0, correct: 0, winRate: 0, strongCorrect: 0, strongTotal: 0 };
+        // Reset stats (coins dropped from the registry keep their history)
+        const coins = new Set(symbolRegistry.getCoins());
+        this.predictions.forEach(p => coins.add(p.coin));
+        for (const coin of coins) {
+            this.stats[coin] = this.createEmptyStats();
         }
 
         // Calculate from evaluated predictions
@@ -255,13 +519,16 @@ class WinRateTracker {
         }
 
         // Calculate win rates
-        for (const coin of ['BTC', 'ETH', 'SOL']) {
+        for (const coin of coins) {
             const stats = this.stats[coin];
             stats.winRate = stats.total > 0 ? (stats.correct / stats.total) * 100 : 0;
             stats.strongWinRate = stats.strongTotal > 0 ? (stats.strongCorrect / stats.strongTotal) * 100 : 0;
         }
 
-        console.log(`[WinRateTracker] Stats updated - BTC: ${this.stats.BTC.winRate.toFixed(1)}%, ETH: ${this.stats.ETH.winRate.toFixed(1)}%, SOL: ${this.stats.SOL.winRate.toFixed(1)}%`);
+        const summary = symbolRegistry.getCoins()
+            .map(coin => `${coin}: ${this.stats[coin].winRate.toFixed(1)}%`)
+            .join(', ');
+        console.log(`[WinRateTracker] Stats updated - ${summary}`);
     }
 
     /**
@@ -271,7 +538,7 @@ class WinRateTracker {
         if (!coin) {
             return this.stats;
         }
-        return this.stats[coin] || { total: 0, correct: 0, winRate: 0 };
+        return this.stats[coin] || this.createEmptyStats();
     }
 
     /**
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 
 // Config imports
 import { EXCHANGES, LEADERBOARD_API, HYPERLIQUID_API } from './config/exchanges';
+import { getSymbols, getSymbolMap, getExchangeSymbol, createCoinMap } from './config/symbols';
 
 // Component imports
 import BiasCard from './components/BiasCard';
@@ -14,6 +15,8 @@ import FlowConfluenceSection from './components/FlowConfluenceSection';
 import LongShortRatioSection from './components/LongShortRatioSection';
 import FlowSignalsSection from './components/FlowSignalsSection';
 import LiquidationZones from './components/LiquidationZones';
+import LiquidationMap from './components/LiquidationMap';
+import LiquidationTimeline from './components/LiquidationTimeline';
 
 
 import MegaWhaleFeed from './components/MegaWhaleFeed';
@@ -34,6 +37,7 @@ import { useWhaleWebSockets } from './hooks/useWhaleWebSockets';
 import { useWhaleNotifications } from './hooks/useWhaleNotifications';
 import { useSparklineHistory } from './hooks/useSparklineHistory';
 import { useSignalHistory } from './hooks/useSignalHistory';
+import { useBackendStream } from './hooks/useBackendStream';
 
 // Agent imports
 import { platformAgent } from './agents/PlatformImprovementAgent';
@@ -43,7 +47,7 @@ import { calculateCompositeBias } from './utils/biasCalculations';
 import { formatUSD, formatPercent, formatAddress, getProfileUrl } from './utils/formatters';
 
 // Backend API imports
-import { isBackendEnabled, getExchangeData, getAllExchangesData, getCoinProjection, getDailyBias, get4HrBias, getLiquidationZones, getExchangeFlow, getVwapLevels } from './services/backendApi';
+import { isBackendEnabled, getExchangeData, getAllExchangesData, getCoinProjection, getDailyBias, get4HrBias, getLiquidationZones, getExchangeFlow, getVwapLevels, getWhaleConsensus, getWhalePositionChanges } from './services/backendApi';
 
 // ============== LOCAL STORAGE HELPERS ==============
 const HISTORICAL_DATA_KEY = 'traderBias_historicalData';
@@ -52,10 +56,10 @@ const MAX_HISTORY_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours - supports predictiv
 const MAX_BIAS_HISTORY_AGE_MS = 15 * 60 * 1000; // 15 minutes
 
 const getEmptyExchangeData = () => ({
-  oi: { BTC: [], ETH: [], SOL: [] },
-  price: { BTC: [], ETH: [], SOL: [] },
-  orderbook: { BTC: [], ETH: [], SOL: [] },
-  cvd: { BTC: [], ETH: [], SOL: [] }
+  oi: createCoinMap(() => []),
+  price: createCoinMap(() => []),
+  orderbook: createCoinMap(() => []),
+  cvd: createCoinMap(() => [])
 });
 
 const loadHistoricalData = (exchange = 'hyperliquid') => {
@@ -82,7 +86,7 @@ const loadHistoricalData = (exchange = 'hyperliquid') => {
       const now = Date.now();
 
       // Clean up old entries on load
-      ['BTC', 'ETH', 'SOL'].forEach(coin => {
+      getSymbols().forEach(coin => {
         if (exchangeData.oi?.[coin]) {
           exchangeData.oi[coin] = exchangeData.oi[coin].filter(e => now - e.timestamp < MAX_HISTORY_AGE_MS);
         }
@@ -99,9 +103,17 @@ const loadHistoricalData = (exchange = 'hyperliquid') => {
 
       // Ensure cvd structure exists
       if (!exchangeData.cvd) {
-        exchangeData.cvd = { BTC: [], ETH: [], SOL: [] };
+        exchangeData.cvd = createCoinMap(() => []);
       }
 
+      // Newly tracked symbols start with empty history
+      ['oi', 'price', 'orderbook', 'cvd'].forEach(metric => {
+        if (!exchangeData[metric]) exchangeData[metric] = {};
+        getSymbols().forEach(coin => {
+          if (!exchangeData[metric][coin]) exchangeData[metric][coin] = [];
+        });
+      });
+
       return exchangeData;
     }
   } catch (e) {
@@ -147,7 +159,7 @@ const loadBiasHistory = () => {
       const parsed = JSON.parse(saved);
       const now = Date.now();
       // Clean up entries older than 15 minutes
-      ['BTC', 'ETH', 'SOL'].forEach(coin => {
+      getSymbols().forEach(coin => {
         if (parsed[coin]) {
           parsed[coin] = parsed[coin].filter(e => now - e.timestamp < MAX_BIAS_HISTORY_AGE_MS);
         } else {
@@ -159,7 +171,7 @@ const loadBiasHistory = () => {
   } catch (e) {
     console.warn('Failed to load bias history:', e);
   }
-  return { BTC: [], ETH: [], SOL: [] };
+  return createCoinMap(() => []);
 };
 
 const saveBiasHistory = (data) => {
@@ -231,40 +243,20 @@ export default function App({ focusCoin = null }) {
   // Research agent state
   const [agentReport, setAgentReport] = useState(null);
 
-  // Projections state for all coins (BTC, ETH, SOL)
-  const [projections, setProjections] = useState({
-    BTC: null,
-    ETH: null,
-    SOL: null
-  });
-  const [projectionLoading, setProjectionLoading] = useState({
-    BTC: false,
-    ETH: false,
-    SOL: false
-  });
+  // Projections state for all tracked coins
+  const [projections, setProjections] = useState(() => createCoinMap(() => null));
+  const [projectionLoading, setProjectionLoading] = useState(() => createCoinMap(() => false));
 
   // Daily Bias state (24H outlook)
-  const [dailyBiasData, setDailyBiasData] = useState({
-    BTC: null,
-    ETH: null,
-    SOL: null
-  });
-  const [dailyBiasLoading, setDailyBiasLoading] = useState({
-    BTC: false,
-    ETH: false,
-    SOL: false
-  });
+  const [dailyBiasData, setDailyBiasData] = useState(() => createCoinMap(() => null));
+  const [dailyBiasLoading, setDailyBiasLoading] = useState(() => createCoinMap(() => false));
 
   // 4hr Bias state (BTC only)
   const [fourHrBiasData, setFourHrBiasData] = useState(null);
   const [fourHrBiasLoading, setFourHrBiasLoading] = useState(false);
 
   // Liquidation Zones state
-  const [liquidationZonesData, setLiquidationZonesData] = useState({
-    BTC: null,
-    ETH: null,
-    SOL: null
-  });
+  const [liquidationZonesData, setLiquidationZonesData] = useState(() => createCoinMap(() => null));
 
   // VWAP Levels state
   const [vwapData, setVwapData] = useState(null);
@@ -282,19 +274,18 @@ export default function App({ focusCoin = null }) {
   const historicalDataRef = useRef(loadHistoricalData());
   const prevTradeCountRef = useRef(0);
   const allExchangeDataRef = useRef({}); // Cache for all exchange data (preloaded)
+  const streamHelloCountRef = useRef(0);
 
   // Initialize CVD accumulator with history from localStorage
-  const cvdAccumulatorRef = useRef({
-    BTC: { sessionDelta: 0, lastDelta: 0, totalBuy: 0, totalSell: 0, history: historicalDataRef.current.cvd?.BTC || [] },
-    ETH: { sessionDelta: 0, lastDelta: 0, totalBuy: 0, totalSell: 0, history: historicalDataRef.current.cvd?.ETH || [] },
-    SOL: { sessionDelta: 0, lastDelta: 0, totalBuy: 0, totalSell: 0, history: historicalDataRef.current.cvd?.SOL || [] }
-  });
+  const cvdAccumulatorRef = useRef(createCoinMap(coin => (
+    { sessionDelta: 0, lastDelta: 0, totalBuy: 0, totalSell: 0, history: historicalDataRef.current.cvd?.[coin] || [] }
+  )));
 
   // Bias history state (15 entries, one per minute) - load from localStorage
   const [biasHistory, setBiasHistory] = useState(() => loadBiasHistory());
 
   // Custom hooks
-  const { trades: megaWhaleTrades, connectionStatus: whaleConnectionStatus, isConnected: whaleWsConnected } = useWhaleWebSockets();
+  const { trades: megaWhaleTrades, patterns: whalePatterns, connectionStatus: whaleConnectionStatus, isConnected: whaleWsConnected } = useWhaleWebSockets();
   const { notificationEnabled, notificationPermission, notificationSupported, toggleNotifications, notifyWhaleTrade } = useWhaleNotifications(whaleThreshold);
   const { updateFromMarketData, getSparklineData } = useSparklineHistory();
   const { signalHistory, logSignal, evaluateSignals, getWinRates } = useSignalHistory();
@@ -316,14 +307,14 @@ export default function App({ focusCoin = null }) {
 
     // Set historical data (use empty arrays for missing data)
     historicalDataRef.current = {
-      oi: data.oi || { BTC: [], ETH: [], SOL: [] },
-      price: data.price || { BTC: [], ETH: [], SOL: [] },
-      orderbook: data.orderbook || { BTC: [], ETH: [], SOL: [] },
-      cvd: data.cvd || { BTC: [], ETH: [], SOL: [] }
+      oi: data.oi || createCoinMap(() => []),
+      price: data.price || createCoinMap(() => []),
+      orderbook: data.orderbook || createCoinMap(() => []),
+      cvd: data.cvd || createCoinMap(() => [])
     };
 
     // Update CVD accumulator
-    ['BTC', 'ETH', 'SOL'].forEach(coin => {
+    getSymbols().forEach(coin => {
       if (cvdAccumulatorRef.current[coin]) {
         cvdAccumulatorRef.current[coin].history = data.cvd?.[coin] || [];
       }
@@ -338,7 +329,7 @@ export default function App({ focusCoin = null }) {
 
     // Set current state from backend data - transform to match frontend expected format
     if (data.current) {
-      const coins = ['BTC', 'ETH', 'SOL'];
+      const coins = getSymbols();
 
       // Transform price data
       const transformedPrice = {};
@@ -440,6 +431,7 @@ export default function App({ focusCoin = null }) {
       console.log(`[Backend] Loading data for ${exchange}...`);
       const data = await getExchangeData(exchange);
       console.log('[Backend] Data received:', data);
+      allExchangeDataRef.current[exchange] = data;
       processBackendData(data);
       console.log('[Backend] Data loaded successfully');
     } catch (error) {
@@ -449,6 +441,131 @@ export default function App({ focusCoin = null }) {
     }
   };
 
+  // ============== BACKEND STREAM ==============
+  // /api/stream pushes snapshot deltas, whale trades and projections;
+  // the polling loops below only run while it is disconnected
+
+  // Merge a snapshot delta (new points + current values) into the cached exchange data
+  const applyStreamSnapshot = ({ exchange, points, current, lastUpdate }) => {
+    const cached = allExchangeDataRef.current[exchange];
+    if (!cached) return; // Not loaded yet - the REST load includes these points
+
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    Object.entries(points).forEach(([metric, byCoin]) => {
+      if (!cached[metric]) return;
+      const timeKey = metric === 'cvd' ? 'time' : 'timestamp';
+
+      Object.entries(byCoin).forEach(([coin, entries]) => {
+        const series = cached[metric][coin] || [];
+        const lastTime = series.length > 0 ? series[series.length - 1][timeKey] : 0;
+        const merged = [...series, ...entries.filter(e => e[timeKey] > lastTime)];
+
+        // Series are time-ordered: drop the expired head
+        let start = 0;
+        while (start < merged.length && merged[start][timeKey] < cutoff) start++;
+        cached[metric][coin] = start > 0 ? merged.slice(start) : merged;
+      });
+    });
+
+    allExchangeDataRef.current[exchange] = { ...cached, current, lastUpdate };
+    if (exchange === activeExchange) {
+      processBackendData(allExchangeDataRef.current[exchange]);
+    }
+  };
+
+  // Reconnected after a drop: deltas were missed, so reload the active exchange
+  // and forget the others (they are refetched on tab switch)
+  const handleStreamHello = () => {
+    streamHelloCountRef.current += 1;
+    if (streamHelloCountRef.current === 1) return;
+
+    Object.keys(allExchangeDataRef.current).forEach(exchange => {
+      if (exchange !== activeExchange) delete allExchangeDataRef.current[exchange];
+    });
+    loadDataFromBackend(activeExchange);
+  };
+
+  // Fetch projections for all coins (8-12 hour outlook)
+  // Only change displayed bias if score shifts by >0.15
+  const lockedProjectionsRef = useRef(createCoinMap(() => null));
+  const lockedDailyBiasRef = useRef(createCoinMap(() => null));
+  const PROJECTION_CHANGE_THRESHOLD = 0.15; // Minimum score change to update displayed bias
+
+  const applyProjection = (coin, projection) => {
+    if (projection && projection.prediction) {
+      // Check if this is first projection or if score changed significantly
+      const currentScore = projection.prediction.score || 0;
+      const lockedScore = lockedProjectionsRef.current[coin]?.prediction?.score || 0;
+      const scoreDiff = Math.abs(currentScore - lockedScore);
+
+      if (!lockedProjectionsRef.current[coin] || scoreDiff >= PROJECTION_CHANGE_THRESHOLD) {
+        // Significant change - lock in new projection
+        lockedProjectionsRef.current[coin] = projection;
+        setProjections(prev => ({ ...prev, [coin]: projection }));
+        console.log(`[Projection] Updated ${coin}: ${projection.prediction.bias} (score: ${currentScore.toFixed(2)}, diff: ${scoreDiff.toFixed(2)})`);
+      } else {
+        // Minor change - keep locked projection but update timestamp/factors
+        const updatedProjection = {
+          ...lockedProjectionsRef.current[coin],
+          generatedAt: projection.generatedAt,
+          validUntil: projection.validUntil,
+          keyFactors: projection.keyFactors, // Update factors display
+          session: projection.session, // Update session
+          changes: projection.changes // What moved since the previous server projection
+        };
+        setProjections(prev => ({ ...prev, [coin]: updatedProjection }));
+        console.log(`[Projection] Minor update ${coin} (score diff: ${scoreDiff.toFixed(2)}, threshold: ${PROJECTION_CHANGE_THRESHOLD})`);
+      }
+    } else if (projection) {
+      // COLLECTING or error state
+      setProjections(prev => ({ ...prev, [coin]: projection }));
+    }
+  };
+
+  const applyDailyBias = (coin, dailyBias) => {
+    if (dailyBias && dailyBias.prediction) {
+      const currentScore = dailyBias.prediction.score || 0;
+      const lockedScore = lockedDailyBiasRef.current[coin]?.prediction?.score || 0;
+      const scoreDiff = Math.abs(currentScore - lockedScore);
+
+      if (!lockedDailyBiasRef.current[coin] || scoreDiff >= PROJECTION_CHANGE_THRESHOLD) {
+        lockedDailyBiasRef.current[coin] = dailyBias;
+        setDailyBiasData(prev => ({ ...prev, [coin]: dailyBias }));
+        console.log(`[DailyBias] Updated ${coin}: ${dailyBias.prediction.bias} (score: ${currentScore.toFixed(2)})`);
+      } else {
+        const updatedBias = {
+          ...lockedDailyBiasRef.current[coin],
+          generatedAt: dailyBias.generatedAt,
+          nextUpdate: dailyBias.nextUpdate,
+          keyFactors: dailyBias.keyFactors,
+          freshness: dailyBias.freshness
+        };
+        setDailyBiasData(prev => ({ ...prev, [coin]: updatedBias }));
+      }
+    } else if (dailyBias) {
+      setDailyBiasData(prev => ({ ...prev, [coin]: dailyBias }));
+    }
+  };
+
+  const applyStreamProjection = ({ type, coin, projection }) => {
+    if (type === '12hr') applyProjection(coin, projection);
+    if (type === 'daily') applyDailyBias(coin, projection);
+    if (type === '4hr') setFourHrBiasData(projection);
+  };
+
+  // Top trader position changes are pushed as they are detected
+  const applyStreamPositionChange = (change) => {
+    if (activeExchange !== 'hyperliquid') return;
+    setPositionChanges(prev => [{ ...change, time: new Date(change.timestamp) }, ...prev].slice(0, 50));
+  };
+
+  const { connected: streamConnected } = useBackendStream({
+    hello: handleStreamHello,
+    snapshot: applyStreamSnapshot,
+    positionChange: applyStreamPositionChange,
+    projection: applyStreamProjection
+  });
+
   const fetchMarketData = async () => {
     try {
       const res = await fetch(HYPERLIQUID_API, {
@@ -459,10 +576,10 @@ export default function App({ focusCoin = null }) {
       const mids = await res.json();
 
       const newPriceData = {};
-      const coins = ['BTC', 'ETH', 'SOL'];
+      const coins = Object.keys(getSymbolMap('hyperliquid'));
 
       for (const coin of coins) {
-        const mid = parseFloat(mids[coin] || 0);
+        const mid = parseFloat(mids[getExchangeSymbol(coin, 'hyperliquid')] || 0);
         if (!sessionStartRef.current.price[coin]) {
           sessionStartRef.current.price[coin] = mid;
         }
@@ -491,10 +608,11 @@ export default function App({ focusCoin = null }) {
       const newFundingData = {};
 
       for (const coin of coins) {
-        const idx = meta.universe.findIndex(u => u.name === coin);
+        const hlCoin = getExchangeSymbol(coin, 'hyperliquid');
+        const idx = meta.universe.findIndex(u => u.name === hlCoin);
         if (idx !== -1 && assetCtxs[idx]) {
           const ctx = assetCtxs[idx];
-          const oiValue = parseFloat(ctx.openInterest || 0) * parseFloat(mids[coin] || 0);
+          const oiValue = parseFloat(ctx.openInterest || 0) * parseFloat(mids[hlCoin] || 0);
 
           if (!sessionStartRef.current.oi[coin]) {
             sessionStartRef.current.oi[coin] = oiValue;
@@ -535,7 +653,7 @@ export default function App({ focusCoin = null }) {
       });
       // Ensure cvd key exists before saving (preserve CVD data from fetchCVD)
       if (!historicalDataRef.current.cvd) {
-        historicalDataRef.current.cvd = { BTC: [], ETH: [], SOL: [] };
+        historicalDataRef.current.cvd = createCoinMap(() => []);
       }
       saveHistoricalData('hyperliquid', historicalDataRef.current);
 
@@ -546,14 +664,14 @@ export default function App({ focusCoin = null }) {
 
   const fetchOrderbooks = async () => {
     try {
-      const coins = ['BTC', 'ETH', 'SOL'];
+      const coins = Object.keys(getSymbolMap('hyperliquid'));
       const newOrderbookData = {};
 
       for (const coin of coins) {
         const res = await fetch(HYPERLIQUID_API, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ type: 'l2Book', coin })
+          body: JSON.stringify({ type: 'l2Book', coin: getExchangeSymbol(coin, 'hyperliquid') })
         });
         const book = await res.json();
 
@@ -585,14 +703,14 @@ export default function App({ focusCoin = null }) {
 
   const fetchCVD = async () => {
     try {
-      const coins = ['BTC', 'ETH', 'SOL'];
+      const coins = Object.keys(getSymbolMap('hyperliquid'));
       const newCvdData = {};
 
       for (const coin of coins) {
         const res = await fetch(HYPERLIQUID_API, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ type: 'recentTrades', coin })
+          body: JSON.stringify({ type: 'recentTrades', coin: getExchangeSymbol(coin, 'hyperliquid') })
         });
         const trades = await res.json();
 
@@ -630,9 +748,9 @@ export default function App({ focusCoin = null }) {
       // Save CVD history to localStorage for persistence across page refreshes
       // Ensure cvd object exists in historicalDataRef (safety for hot reloads/edge cases)
       if (!historicalDataRef.current.cvd) {
-        historicalDataRef.current.cvd = { BTC: [], ETH: [], SOL: [] };
+        historicalDataRef.current.cvd = createCoinMap(() => []);
       }
-      ['BTC', 'ETH', 'SOL'].forEach(coin => {
+      getSymbols().forEach(coin => {
         if (cvdAccumulatorRef.current[coin]?.history) {
           historicalDataRef.current.cvd[coin] = cvdAccumulatorRef.current[coin].history;
         }
@@ -645,14 +763,14 @@ export default function App({ focusCoin = null }) {
 
   const fetchWhaleTrades = async () => {
     try {
-      const targetCoins = ['BTC', 'ETH', 'SOL'];
+      const targetCoins = Object.keys(getSymbolMap('hyperliquid'));
       const newWhaleTrades = [];
 
       for (const coin of targetCoins) {
         const res = await fetch(HYPERLIQUID_API, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ type: 'recentTrades', coin })
+          body: JSON.stringify({ type: 'recentTrades', coin: getExchangeSymbol(coin, 'hyperliquid') })
         });
         const trades = await res.json();
 
@@ -792,6 +910,20 @@ export default function App({ focusCoin = null }) {
     }
   };
 
+  // Backend mode: leaderboardCollector tracks the top traders server-side
+  const fetchBackendWhales = async () => {
+    const [whaleData, changes] = await Promise.all([getWhaleConsensus(), getWhalePositionChanges()]);
+
+    if (whaleData) {
+      setConsensus(whaleData.consensus || {});
+      setAllPositions(whaleData.positions || []);
+      setTraders(whaleData.traders || []);
+      setLastUpdate(whaleData.lastUpdate ? new Date(whaleData.lastUpdate) : null);
+    }
+    if (changes) setPositionChanges(changes);
+    setLoading(false);
+  };
+
   const fetchTraderPositions = async (address) => {
     try {
       const res = await fetch(HYPERLIQUID_API, {
@@ -825,8 +957,8 @@ export default function App({ focusCoin = null }) {
   const fetchBinanceData = async () => {
     if (activeExchange !== 'binance') return;
 
-    const symbolMap = { 'BTC': 'BTCUSDT', 'ETH': 'ETHUSDT', 'SOL': 'SOLUSDT' };
-    const coins = ['BTC', 'ETH', 'SOL'];
+    const symbolMap = getSymbolMap('binance');
+    const coins = Object.keys(symbolMap);
     const newPriceData = {};
     const newFundingData = {};
     const newOrderbookData = {};
@@ -930,8 +1062,8 @@ export default function App({ focusCoin = null }) {
   const fetchBybitData = async () => {
     if (activeExchange !== 'bybit') return;
 
-    const symbolMap = { 'BTC': 'BTCUSDT', 'ETH': 'ETHUSDT', 'SOL': 'SOLUSDT' };
-    const coins = ['BTC', 'ETH', 'SOL'];
+    const symbolMap = getSymbolMap('bybit');
+    const coins = Object.keys(symbolMap);
     const newPriceData = {};
     const newFundingData = {};
     const newOrderbookData = {};
@@ -1023,8 +1155,8 @@ export default function App({ focusCoin = null }) {
     if (activeExchange !== 'nado') return;
 
     const NADO_ARCHIVE = 'https://archive.prod.nado.xyz/v1';
-    const productMap = { 'BTC': 2, 'ETH': 4, 'SOL': 8 };
-    const coins = ['BTC', 'ETH', 'SOL'];
+    const productMap = getSymbolMap('nado');
+    const coins = Object.keys(productMap);
 
     const newPriceData = {};
     const newFundingData = {};
@@ -1123,8 +1255,8 @@ export default function App({ focusCoin = null }) {
     if (activeExchange !== 'asterdex') return;
 
     const ASTER_API = 'https://fapi.asterdex.com';
-    const symbolMap = { 'BTC': 'BTCUSDT', 'ETH': 'ETHUSDT', 'SOL': 'SOLUSDT' };
-    const coins = ['BTC', 'ETH', 'SOL'];
+    const symbolMap = getSymbolMap('asterdex');
+    const coins = Object.keys(symbolMap);
 
     const newPriceData = {};
     const newFundingData = {};
@@ -1205,7 +1337,7 @@ export default function App({ focusCoin = null }) {
       });
       // Ensure cvd key exists before saving (preserve CVD data from fetchCVD)
       if (!historicalDataRef.current.cvd) {
-        historicalDataRef.current.cvd = { BTC: [], ETH: [], SOL: [] };
+        historicalDataRef.current.cvd = createCoinMap(() => []);
       }
       saveHistoricalData('asterdex', historicalDataRef.current);
     } catch (error) {
@@ -1265,15 +1397,15 @@ export default function App({ focusCoin = null }) {
         loadDataFromBackend(activeExchange);
       }
 
-      // Set up interval to refresh current exchange from backend every 10 seconds
-      const backendRefreshInterval = setInterval(() => {
+      // Refresh current exchange from backend every 10 seconds while the stream is down
+      const backendRefreshInterval = streamConnected ? null : setInterval(() => {
         loadDataFromBackend(activeExchange);
       }, 10000);
 
-      // Still fetch leaderboard data if Hyperliquid (backend doesn't provide this yet)
+      // Top trader consensus and position changes from the backend leaderboard collector
       if (activeExchange === 'hyperliquid') {
-        fetchLeaderboard();
-        const leaderboardInterval = setInterval(fetchLeaderboard, 30000);
+        fetchBackendWhales();
+        const leaderboardInterval = setInterval(fetchBackendWhales, 30000);
 
         return () => {
           clearInterval(backendRefreshInterval);
@@ -1293,7 +1425,7 @@ export default function App({ focusCoin = null }) {
       historicalDataRef.current = loadedData;
 
       // Update CVD accumulator with loaded data
-      ['BTC', 'ETH', 'SOL'].forEach(coin => {
+      getSymbols().forEach(coin => {
         if (cvdAccumulatorRef.current[coin]) {
           cvdAccumulatorRef.current[coin].history = loadedData.cvd?.[coin] || [];
         }
@@ -1330,7 +1462,7 @@ export default function App({ focusCoin = null }) {
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [activeExchange]);
+  }, [activeExchange, streamConnected]);
 
   // Effect for Alternate Exchanges (Binance/Bybit/Nado/AsterDex)
   // Only runs when backend is NOT enabled
@@ -1364,25 +1496,15 @@ export default function App({ focusCoin = null }) {
     updateFromMarketData(priceData, oiData, cvdData, fundingData);
   }, [priceData, oiData, cvdData, fundingData, updateFromMarketData]);
 
-  // Fetch projections for all coins (8-12 hour outlook)
-  // Update every 30 minutes, only change displayed bias if score shifts by >0.15
-  const lockedProjectionsRef = useRef({
-    BTC: null,
-    ETH: null,
-    SOL: null
-  });
-  const lockedDailyBiasRef = useRef({
-    BTC: null,
-    ETH: null,
-    SOL: null
-  });
-  const PROJECTION_CHANGE_THRESHOLD = 0.15; // Minimum score change to update displayed bias
+  // Projections arrive over the stream when they are regenerated;
+  // poll only while it is down
+  const projectionsLoadedRef = useRef(false);
 
   useEffect(() => {
     if (!isBackendEnabled()) return;
 
     const fetchProjections = async () => {
-      const coins = ['BTC', 'ETH', 'SOL'];
+      const coins = getSymbols();
 
       for (const coin of coins) {
         // Set loading for this coin
@@ -1390,33 +1512,7 @@ export default function App({ focusCoin = null }) {
 
         try {
           const projection = await getCoinProjection(coin);
-          if (projection && projection.prediction) {
-            // Check if this is first projection or if score changed significantly
-            const currentScore = projection.prediction.score || 0;
-            const lockedScore = lockedProjectionsRef.current[coin]?.prediction?.score || 0;
-            const scoreDiff = Math.abs(currentScore - lockedScore);
-
-            if (!lockedProjectionsRef.current[coin] || scoreDiff >= PROJECTION_CHANGE_THRESHOLD) {
-              // Significant change - lock in new projection
-              lockedProjectionsRef.current[coin] = projection;
-              setProjections(prev => ({ ...prev, [coin]: projection }));
-              console.log(`[Projection] Updated ${coin}: ${projection.prediction.bias} (score: ${currentScore.toFixed(2)}, diff: ${scoreDiff.toFixed(2)})`);
-            } else {
-              // Minor change - keep locked projection but update timestamp/factors
-              const updatedProjection = {
-                ...lockedProjectionsRef.current[coin],
-                generatedAt: projection.generatedAt,
-                validUntil: projection.validUntil,
-                keyFactors: projection.keyFactors, // Update factors display
-                session: projection.session // Update session
-              };
-              setProjections(prev => ({ ...prev, [coin]: updatedProjection }));
-              console.log(`[Projection] Minor update ${coin} (score diff: ${scoreDiff.toFixed(2)}, threshold: ${PROJECTION_CHANGE_THRESHOLD})`);
-            }
-          } else if (projection) {
-            // COLLECTING or error state
-            setProjections(prev => ({ ...prev, [coin]: projection }));
-          }
+          applyProjection(coin, projection);
         } catch (error) {
           console.error(`[Projection] Failed to fetch ${coin}:`, error);
         } finally {
@@ -1427,35 +1523,14 @@ export default function App({ focusCoin = null }) {
 
     // Fetch daily bias for all coins (24H outlook)
     const fetchDailyBias = async () => {
-      const coins = ['BTC', 'ETH', 'SOL'];
+      const coins = getSymbols();
 
       for (const coin of coins) {
         setDailyBiasLoading(prev => ({ ...prev, [coin]: true }));
 
         try {
           const dailyBias = await getDailyBias(coin);
-          if (dailyBias && dailyBias.prediction) {
-            const currentScore = dailyBias.prediction.score || 0;
-            const lockedScore = lockedDailyBiasRef.current[coin]?.prediction?.score || 0;
-            const scoreDiff = Math.abs(currentScore - lockedScore);
-
-            if (!lockedDailyBiasRef.current[coin] || scoreDiff >= PROJECTION_CHANGE_THRESHOLD) {
-              lockedDailyBiasRef.current[coin] = dailyBias;
-              setDailyBiasData(prev => ({ ...prev, [coin]: dailyBias }));
-              console.log(`[DailyBias] Updated ${coin}: ${dailyBias.prediction.bias} (score: ${currentScore.toFixed(2)})`);
-            } else {
-              const updatedBias = {
-                ...lockedDailyBiasRef.current[coin],
-                generatedAt: dailyBias.generatedAt,
-                nextUpdate: dailyBias.nextUpdate,
-                keyFactors: dailyBias.keyFactors,
-                freshness: dailyBias.freshness
-              };
-              setDailyBiasData(prev => ({ ...prev, [coin]: updatedBias }));
-            }
-          } else if (dailyBias) {
-            setDailyBiasData(prev => ({ ...prev, [coin]: dailyBias }));
-          }
+          applyDailyBias(coin, dailyBias);
         } catch (error) {
           console.error(`[DailyBias] Failed to fetch ${coin}:`, error);
         } finally {
@@ -1494,11 +1569,21 @@ export default function App({ focusCoin = null }) {
       }
     };
 
-    // Initial fetch for all
-    fetchProjections();
-    fetchDailyBias();
-    fetchFourHrBias();
-    fetchLiquidationZones();
+    // Initial fetch for all, and catch-up whenever the stream drops
+    if (!streamConnected || !projectionsLoadedRef.current) {
+      projectionsLoadedRef.current = true;
+      fetchProjections();
+      fetchDailyBias();
+      fetchFourHrBias();
+      fetchLiquidationZones();
+    }
+
+    // Refresh liquidation zones every 5 minutes (computed on request, not pushed)
+    const liqZonesInterval = setInterval(fetchLiquidationZones, 5 * 60 * 1000);
+
+    if (streamConnected) {
+      return () => clearInterval(liqZonesInterval);
+    }
 
     // Refresh projections every 1 hour (8-12hr outlook doesn't need 30min updates)
     const projectionInterval = setInterval(fetchProjections, 60 * 60 * 1000);
@@ -1506,8 +1591,6 @@ export default function App({ focusCoin = null }) {
     const dailyBiasInterval = setInterval(fetchDailyBias, 2 * 60 * 60 * 1000);
     // Refresh 4hr bias every 5 minutes (shorter timeframe = more frequent updates)
     const fourHrBiasInterval = setInterval(fetchFourHrBias, 5 * 60 * 1000);
-    // Refresh liquidation zones every 5 minutes (real-time zone updates)
-    const liqZonesInterval = setInterval(fetchLiquidationZones, 5 * 60 * 1000);
 
     return () => {
       clearInterval(projectionInterval);
@@ -1515,7 +1598,7 @@ export default function App({ focusCoin = null }) {
       clearInterval(fourHrBiasInterval);
       clearInterval(liqZonesInterval);
     };
-  }, []); // No dependencies - fetch all coins on mount and at intervals
+  }, [streamConnected]); // Fetch all coins on mount; poll only while the stream is down
 
   // Fetch exchange flow data - uses dashboardTimeframe
   useEffect(() => {
@@ -1576,11 +1659,8 @@ export default function App({ focusCoin = null }) {
   // Calculate SESSION-BASED bias scores for useEffect hooks (signal logging, bias history)
   // These use session data because we want to track overall bias changes, not timeframe-specific
   const sessionAllData = { oiData, priceData, fundingData, orderbookData, cvdData, consensus };
-  const sessionBiasScores = {
-    BTC: calculateCompositeBias('BTC', sessionAllData),
-    ETH: calculateCompositeBias('ETH', sessionAllData),
-    SOL: calculateCompositeBias('SOL', sessionAllData)
-  };
+  const sessionBiasScores = createCoinMap(coin => calculateCompositeBias(coin, sessionAllData));
+  const sessionScoreKey = getSymbols().map(coin => sessionBiasScores[coin]?.normalizedScore ?? '').join('|');
 
   // Track bias history every 60 seconds (15 entries = 15 minutes) + save to localStorage
   useEffect(() => {
@@ -1589,7 +1669,7 @@ export default function App({ focusCoin = null }) {
       setBiasHistory(prev => {
         const now = Date.now();
         const newHistory = { ...prev };
-        ['BTC', 'ETH', 'SOL'].forEach(coin => {
+        getSymbols().forEach(coin => {
           const score = sessionBiasScores[coin]?.normalizedScore || 0;
           // Only add if we have a valid score and either no entries or last entry is older than 30s
           const lastEntry = prev[coin]?.[prev[coin].length - 1];
@@ -1615,12 +1695,12 @@ export default function App({ focusCoin = null }) {
     const interval = setInterval(addBiasEntry, 60000);
 
     return () => clearInterval(interval);
-  }, [sessionBiasScores.BTC?.normalizedScore, sessionBiasScores.ETH?.normalizedScore, sessionBiasScores.SOL?.normalizedScore]);
+  }, [sessionScoreKey]);
 
   // Log signals when flow confluence type changes
-  const prevFlowRef = useRef({ BTC: null, ETH: null, SOL: null });
+  const prevFlowRef = useRef(createCoinMap(() => null));
   useEffect(() => {
-    ['BTC', 'ETH', 'SOL'].forEach(coin => {
+    getSymbols().forEach(coin => {
       const currentPrice = parseFloat(priceData[coin]?.markPx) || 0;
       const flowType = sessionBiasScores[coin]?.components?.flowConfluence?.confluenceType;
 
@@ -1640,23 +1720,15 @@ export default function App({ focusCoin = null }) {
   // Evaluate signal outcomes every minute (use ref to avoid resetting interval on price updates)
   useEffect(() => {
     const evaluateInterval = setInterval(() => {
-      const currentPrices = {
-        BTC: parseFloat(latestPriceRef.current.BTC?.markPx) || 0,
-        ETH: parseFloat(latestPriceRef.current.ETH?.markPx) || 0,
-        SOL: parseFloat(latestPriceRef.current.SOL?.markPx) || 0
-      };
-      if (currentPrices.BTC > 0 || currentPrices.ETH > 0 || currentPrices.SOL > 0) {
+      const currentPrices = createCoinMap(coin => parseFloat(latestPriceRef.current[coin]?.markPx) || 0);
+      if (Object.values(currentPrices).some(p => p > 0)) {
         evaluateSignals(currentPrices);
       }
     }, 60000);
 
     // Also run immediately on mount to evaluate any pending signals
-    const currentPrices = {
-      BTC: parseFloat(latestPriceRef.current.BTC?.markPx) || 0,
-      ETH: parseFloat(latestPriceRef.current.ETH?.markPx) || 0,
-      SOL: parseFloat(latestPriceRef.current.SOL?.markPx) || 0
-    };
-    if (currentPrices.BTC > 0 || currentPrices.ETH > 0 || currentPrices.SOL > 0) {
+    const currentPrices = createCoinMap(coin => parseFloat(latestPriceRef.current[coin]?.markPx) || 0);
+    if (Object.values(currentPrices).some(p => p > 0)) {
       evaluateSignals(currentPrices);
     }
 
@@ -1710,7 +1782,7 @@ export default function App({ focusCoin = null }) {
   const timeframeMs = timeframeMinutes * 60 * 1000;
   let hasEnoughHistoricalData = true;
 
-  ['BTC', 'ETH', 'SOL'].forEach(coin => {
+  getSymbols().forEach(coin => {
     const currentOi = oiData[coin]?.current || 0;
     const oiHistory = historicalDataRef.current.oi[coin] || [];
     const tfOiChange = calculateTimeframeChange(currentOi, oiHistory, timeframeMinutes);
@@ -1770,11 +1842,7 @@ export default function App({ focusCoin = null }) {
     consensus
   };
 
-  const biasScores = {
-    BTC: calculateCompositeBias('BTC', timeframeAllData),
-    ETH: calculateCompositeBias('ETH', timeframeAllData),
-    SOL: calculateCompositeBias('SOL', timeframeAllData)
-  };
+  const biasScores = createCoinMap(coin => calculateCompositeBias(coin, timeframeAllData));
 
   // ============== RENDER ==============
 
@@ -1906,6 +1974,16 @@ export default function App({ focusCoin = null }) {
                   <FlowConfluenceSection oiData={timeframeOiData} cvdData={timeframeCvdData} priceData={timeframePriceData} timeframe={dashboardTimeframe} hasEnoughData={hasEnoughHistoricalData} coins={['BTC']} getSparklineData={getSparklineData} />
                 </div>
 
+                {/* Liquidation Heatmap - price-bucketed liquidation density */}
+                {isBackendEnabled() && (
+                  <LiquidationMap zonesData={liquidationZonesData.BTC} coin="BTC" />
+                )}
+
+                {/* Liquidation Timeline - candles and cascade log */}
+                {isBackendEnabled() && (
+                  <LiquidationTimeline coin="BTC" />
+                )}
+
                 {/* Exchange Flow - Per-exchange spot/perp buy/sell breakdown */}
                 {isBackendEnabled() && exchangeFlowData && (
                   <ExchangeFlowSection exchangeFlowData={exchangeFlowData} timeframe={dashboardTimeframe} />
@@ -2119,6 +2197,7 @@ export default function App({ focusCoin = null }) {
                 <div className="lg:col-span-2 h-full">
                   <MegaWhaleFeed
                     trades={megaWhaleTrades}
+                    patterns={whalePatterns}
                     isConnected={whaleWsConnected}
                     connectionStatus={whaleConnectionStatus}
                     threshold={whaleThreshold}
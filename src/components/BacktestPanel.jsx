@@ -1,9 +1,16 @@
 // ============== BACKTESTING UI COMPONENTS ==============
 // React components for backtesting interface
 
-import React, { useState, useEffect } from 'react';
-import { runBacktest, createBacktestConfig } from '../utils/backtestEngine.js';
-import { collectHistoricalData, getCollectionProgress } from '../services/historicalDataService.js';
+import React, { useState } from 'react';
+import { runBacktest, createBacktestConfig, DATA_SOURCES } from '../utils/backtestEngine.js';
+import { loadCsvData } from '../services/historicalDataService.js';
+import { getSymbols } from '../config/symbols';
+
+const DATA_SOURCE_OPTIONS = [
+    { id: DATA_SOURCES.BACKEND, label: 'Backend', hint: 'Persisted history from the Trader Bias server' },
+    { id: DATA_SOURCES.CSV, label: 'CSV Files', hint: 'Offline kline + funding exports (e.g. Binance data dumps)' },
+    { id: DATA_SOURCES.SYNTHETIC, label: 'Synthetic', hint: 'Random data - tests the engine, not the strategy' }
+];
 
 // ============== BACKTEST CONTROL PANEL ==============
 
@@ -18,43 +25,35 @@ export const BacktestControlPanel = ({ onBacktestStart, onBacktestComplete, isRu
         stopLoss: 3,
         maxDuration: 1440,
         minConfidence: 0.3,
-        coins: ['BTC', 'ETH', 'SOL']
+        coins: getSymbols(),
+        dataSource: DATA_SOURCES.BACKEND
     });
 
     const [dataCollectionStatus, setDataCollectionStatus] = useState('idle');
-    const [progress, setProgress] = useState(null);
-
-    useEffect(() => {
-        if (dataCollectionStatus === 'collecting') {
-            const interval = setInterval(() => {
-                const prog = getCollectionProgress();
-                if (prog) {
-                    setProgress(prog);
-                } else {
-                    setDataCollectionStatus('completed');
-                    setProgress(null);
-                }
-            }, 1000);
-
-            return () => clearInterval(interval);
-        }
-    }, [dataCollectionStatus]);
+    const [errorMessage, setErrorMessage] = useState(null);
+    const [csvLoaded, setCsvLoaded] = useState({}); // { BTC: { klines: n, funding: n } }
+
+    const handleCsvFile = async (coin, kind, file) => {
+        if (!file) return;
+        const text = await file.text();
+        const series = loadCsvData(coin, { [kind]: text });
+        setCsvLoaded(prev => ({
+            ...prev,
+            [coin]: { klines: series.klines.length, funding: series.funding.length }
+        }));
+    };
 
     const handleStartBacktest = async () => {
         if (isRunning) return;
 
         try {
-            setDataCollectionStatus('collecting');
-            
+            setDataCollectionStatus('loading');
+            setErrorMessage(null);
+
             // Convert dates to timestamps
             const startDate = new Date(config.startDate).getTime();
             const endDate = new Date(config.endDate).getTime();
 
-            // Collect historical data first
-            await collectHistoricalData(startDate, endDate, config.coins);
-            
-            setDataCollectionStatus('completed');
-            
             // Create backtest configuration
             const backtestConfig = createBacktestConfig(
                 startDate,
@@ -69,18 +68,21 @@ export const BacktestControlPanel = ({ onBacktestStart, onBacktestComplete, isRu
                 takeProfit: config.takeProfit / 100,
                 stopLoss: config.stopLoss / 100,
                 maxDuration: config.maxDuration,
-                minConfidence: config.minConfidence
+                minConfidence: config.minConfidence,
+                dataSource: config.dataSource
             });
 
             onBacktestStart && onBacktestStart();
 
-            // Run the backtest
+            // Run the backtest (loads data from the selected source)
             const results = await runBacktest(backtestConfig, config.coins);
-            
+
+            setDataCollectionStatus('completed');
             onBacktestComplete && onBacktestComplete(results);
 
         } catch (error) {
             console.error('Backtest failed:', error);
+            setErrorMessage(error.message);
             setDataCollectionStatus('error');
         }
     };
@@ -97,7 +99,64 @@ export const BacktestControlPanel = ({ onBacktestStart, onBacktestComplete, isRu
     return (
         <div className="bg-slate-900 rounded-lg p-6 border border-slate-700">
             <h3 className="text-lg font-semibold text-white mb-4">🔬 Backtest Configuration</h3>
-            
+
+            {/* Data Source */}
+            <div className="mb-4">
+                <label className="block text-sm font-medium text-slate-300 mb-2">Data Source</label>
+                <div className="flex gap-2">
+                    {DATA_SOURCE_OPTIONS.map(option => (
+                        <button
+                            key={option.id}
+                            onClick={() => setConfig(prev => ({ ...prev, dataSource: option.id }))}
+                            title={option.hint}
+                            className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                                config.dataSource === option.id
+                                    ? option.id === DATA_SOURCES.SYNTHETIC ? 'bg-amber-600 text-white' : 'bg-blue-600 text-white'
+                                    : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                            }`}
+                            disabled={isRunning}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-xs text-slate-400 mt-1">
+                    {DATA_SOURCE_OPTIONS.find(o => o.id === config.dataSource)?.hint}
+                </p>
+            </div>
+
+            {/* CSV Files */}
+            {config.dataSource === DATA_SOURCES.CSV && (
+                <div className="mb-4 space-y-2">
+                    {config.coins.map(coin => (
+                        <div key={coin} className="flex items-center gap-2 text-sm">
+                            <span className="w-12 text-white font-medium">{coin}</span>
+                            <label className="text-slate-400">Klines</label>
+                            <input
+                                type="file"
+                                accept=".csv"
+                                onChange={(e) => handleCsvFile(coin, 'klines', e.target.files[0])}
+                                className="text-xs text-slate-300"
+                                disabled={isRunning}
+                            />
+                            <label className="text-slate-400">Funding</label>
+                            <input
+                                type="file"
+                                accept=".csv"
+                                onChange={(e) => handleCsvFile(coin, 'funding', e.target.files[0])}
+                                className="text-xs text-slate-300"
+                                disabled={isRunning}
+                            />
+                            {csvLoaded[coin] && (
+                                <span className="text-xs text-slate-400">
+                                    {csvLoaded[coin].klines} klines / {csvLoaded[coin].funding} funding
+                                </span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {/* Date Range */}
             <div className="grid grid-cols-2 gap-4 mb-4">
                 <div>
@@ -126,7 +185,7 @@ export const BacktestControlPanel = ({ onBacktestStart, onBacktestComplete, isRu
             <div className="mb-4">
                 <label className="block text-sm font-medium text-slate-300 mb-2">Coins</label>
                 <div className="flex gap-2">
-                    {['BTC', 'ETH', 'SOL'].map(coin => (
+                    {getSymbols().map(coin => (
                         <button
                             key={coin}
                             onClick={() => handleCoinToggle(coin)}
@@ -236,32 +295,21 @@ export const BacktestControlPanel = ({ onBacktestStart, onBacktestComplete, isRu
                 </div>
             </div>
 
-            {/* Progress Display */}
-            {dataCollectionStatus === 'collecting' && progress && (
-                <div className="mb-4 p-3 bg-blue-900/30 border border-blue-700 rounded-md">
-                    <div className="text-sm text-blue-300 mb-2">
-                        {progress.current}
-                    </div>
-                    <div className="w-full bg-slate-700 rounded-full h-2">
-                        <div 
-                            className="bg-blue-500 h-2 rounded-full transition-all duration-300"
-                            style={{ width: `${progress.total > 0 ? (progress.completed / progress.total) * 100 : 0}%` }}
-                        />
-                    </div>
-                    <div className="text-xs text-slate-400 mt-1">
-                        {progress.completed} / {progress.total} data points
-                    </div>
+            {/* Error Display */}
+            {dataCollectionStatus === 'error' && errorMessage && (
+                <div className="mb-4 p-3 bg-red-900/30 border border-red-700 rounded-md text-sm text-red-300">
+                    {errorMessage}
                 </div>
             )}
 
             {/* Start Button */}
             <button
                 onClick={handleStartBacktest}
-                disabled={isRunning || dataCollectionStatus === 'collecting' || config.coins.length === 0}
+                disabled={isRunning || dataCollectionStatus === 'loading' || config.coins.length === 0}
                 className="w-full py-3 px-4 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-700 disabled:text-slate-400 text-white font-medium rounded-md transition-colors"
             >
                 {isRunning ? '⏳ Running Backtest...' : 
-                 dataCollectionStatus === 'collecting' ? '📊 Collecting Data...' :
+                 dataCollectionStatus === 'loading' ? '📊 Loading Data...' :
                  dataCollectionStatus === 'error' ? '❌ Error - Try Again' :
                  '🚀 Start Backtest'}
             </button>
@@ -274,10 +322,21 @@ export const BacktestControlPanel = ({ onBacktestStart, onBacktestComplete, isRu
 export const BacktestResults = ({ results }) => {
     if (!results) return null;
 
-    const { metrics, summary, trades, equity, timestamps } = results;
+    const { metrics, summary, trades, equity, timestamps, dataSource, dataPoints } = results;
 
     return (
         <div className="space-y-6">
+            {/* Data Source Notice */}
+            {dataSource === DATA_SOURCES.SYNTHETIC ? (
+                <div className="p-3 bg-amber-900/30 border border-amber-700 rounded-md text-sm text-amber-300">
+                    Synthetic data - these results exercise the engine and say nothing about signal quality.
+                </div>
+            ) : (
+                <div className="text-xs text-slate-400">
+                    {dataPoints} data points from {dataSource === DATA_SOURCES.CSV ? 'CSV files' : 'backend history'}
+                </div>
+            )}
+
             {/* Summary Cards */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                 <PerformanceCard 
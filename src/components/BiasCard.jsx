@@ -8,14 +8,15 @@ import {
 import { detectEdgeSignals, getPrioritySignal } from '../utils/flowSignals';
 import BiasHistoryBar from './BiasHistoryBar';
 import InfoTooltip from './InfoTooltip';
+import { createCoinMap } from '../config/symbols';
 
 // Load expanded state from localStorage
 const loadExpandedState = () => {
   try {
     const saved = localStorage.getItem('biasCardExpanded');
-    return saved ? JSON.parse(saved) : { BTC: false, ETH: false, SOL: false };
+    return saved ? JSON.parse(saved) : createCoinMap(() => false);
   } catch {
-    return { BTC: false, ETH: false, SOL: false };
+    return createCoinMap(() => false);
   }
 };
 
@@ -3,6 +3,146 @@ import BiasProjection from './BiasProjection';
 import DailyBiasTab from './DailyBiasTab';
 import FourHrBiasTab from './FourHrBiasTab';
 
+const MAX_CHANGED_FACTORS = 5;
+
+const FACTOR_LABELS = {
+  flowConfluence: 'Flow Confluence',
+  oiRoC: 'OI Rate of Change',
+  fundingZScore: 'Funding Z-Score',
+  cvdPersistence: 'CVD Persistence',
+  confluence: 'Exchange Confluence',
+  whales: 'Whale Positioning',
+  liquidationMomentum: 'Liquidation Momentum',
+  spotPerpDivergence: 'Spot/Perp Divergence',
+  fundingMeanReversion: 'Funding Mean Reversion',
+  oiPriceMomentum: 'OI/Price Momentum',
+  crossExchangeConfluence: 'Exchange Confluence',
+  liquidationCascade: 'Liquidation Cascade',
+  etfFlows: 'ETF Flows'
+};
+
+const factorLabel = (name) => FACTOR_LABELS[name] || name.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+
+const biasColor = (bias) => {
+  if (bias?.includes('BULL')) return 'text-green-600 dark:text-green-400';
+  if (bias?.includes('BEAR')) return 'text-red-600 dark:text-red-400';
+  return 'text-neutral-500 dark:text-slate-400';
+};
+
+const stateColor = (state) => {
+  if (state === 'bullish') return 'text-green-600 dark:text-green-400';
+  if (state === 'bearish') return 'text-red-600 dark:text-red-400';
+  return 'text-neutral-500 dark:text-slate-400';
+};
+
+const formatSigned = (value, decimals = 2, suffix = '') => {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${value.toFixed(decimals)}${suffix}`;
+};
+
+const formatElapsed = (ms) => {
+  const mins = Math.round(ms / 60000);
+  if (mins < 60) return `${mins}m`;
+  return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+};
+
+/**
+ * "Since last update" panel: what moved between the previous and current
+ * projection (`changes` on the projection response)
+ */
+function SinceLastUpdate({ changes }) {
+  if (!changes?.previousGeneratedAt) return null;
+
+  const { bias, score, confidence, price, factors, adjustments, elapsedMs, previousGeneratedAt } = changes;
+  const shownFactors = factors.slice(0, MAX_CHANGED_FACTORS);
+
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-lg p-4 border border-neutral-200 dark:border-slate-700">
+      <div className="flex items-center gap-2 mb-3">
+        <span className="text-sm font-semibold text-neutral-900 dark:text-white">SINCE LAST UPDATE</span>
+        <span className="text-xs text-neutral-400 dark:text-slate-500">
+          vs {new Date(previousGeneratedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} ({formatElapsed(elapsedMs)} ago)
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-1 text-xs mb-3">
+        <span>
+          <span className={`font-semibold ${biasColor(bias.from)}`}>{bias.from?.replace('_', ' ')}</span>
+          <span className="text-neutral-400 dark:text-slate-500"> → </span>
+          <span className={`font-semibold ${biasColor(bias.to)}`}>{bias.to?.replace('_', ' ')}</span>
+          {bias.flipped && <span className="ml-2 px-1.5 py-0.5 rounded bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400">FLIPPED</span>}
+        </span>
+        <span className="text-neutral-500 dark:text-slate-400">
+          Score <span className={`font-mono ${score.delta >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatSigned(score.delta, 3)}</span>
+        </span>
+        {confidence.changed && (
+          <span className="text-neutral-500 dark:text-slate-400">Confidence {confidence.from} → {confidence.to}</span>
+        )}
+        <span className="text-neutral-500 dark:text-slate-400">
+          Price <span className={`font-mono ${price.changePercent >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatSigned(price.changePercent, 2, '%')}</span>
+        </span>
+      </div>
+
+      {shownFactors.length === 0 ? (
+        <div className="text-xs text-neutral-500 dark:text-slate-400">No component moved materially</div>
+      ) : (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-neutral-500 dark:text-slate-400">
+              <th className="text-left font-normal py-1">Component</th>
+              <th className="text-left font-normal">Change</th>
+              <th className="text-right font-normal">Contribution</th>
+              <th className="text-right font-normal">Move</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shownFactors.map(f => (
+              <tr key={f.name} className="border-t border-neutral-100 dark:border-slate-700">
+                <td className="py-1 text-neutral-900 dark:text-white">{factorLabel(f.name)}</td>
+                <td>
+                  {f.added ? (
+                    <span className="text-neutral-500 dark:text-slate-400">now included</span>
+                  ) : f.removed ? (
+                    <span className="text-neutral-500 dark:text-slate-400">no longer included</span>
+                  ) : f.crossed ? (
+                    <span>
+                      <span className={stateColor(f.crossed.from)}>{f.crossed.from}</span>
+                      <span className="text-neutral-400 dark:text-slate-500"> → </span>
+                      <span className={stateColor(f.crossed.to)}>{f.crossed.to}</span>
+                      {f.signChanged && <span className="ml-1 text-amber-600 dark:text-amber-400">(sign flip)</span>}
+                    </span>
+                  ) : (
+                    <span className="text-neutral-400 dark:text-slate-500">
+                      {Math.abs(f.to.score) >= Math.abs(f.from.score) ? 'stronger' : 'weaker'}
+                    </span>
+                  )}
+                </td>
+                <td className="text-right font-mono text-neutral-500 dark:text-slate-400">
+                  {formatSigned(f.from?.contribution ?? 0, 2)} → {formatSigned(f.to?.contribution ?? 0, 2)}
+                </td>
+                <td className={`text-right font-mono ${f.contributionDelta >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatSigned(f.contributionDelta, 2)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {(adjustments.added.length > 0 || adjustments.removed.length > 0) && (
+        <div className="flex flex-wrap gap-2 mt-2 text-[10px]">
+          {adjustments.added.map(name => (
+            <span key={`+${name}`} className="px-1.5 py-0.5 rounded bg-neutral-100 dark:bg-slate-700 text-neutral-700 dark:text-slate-300">+ {factorLabel(name)}</span>
+          ))}
+          {adjustments.removed.map(name => (
+            <span key={`-${name}`} className="px-1.5 py-0.5 rounded bg-neutral-100 dark:bg-slate-700 text-neutral-400 dark:text-slate-500 line-through">{factorLabel(name)}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function BiasProjectionTabs({
   projection,
   dailyBias,
@@ -14,6 +154,7 @@ export default function BiasProjectionTabs({
 }) {
   const [activeTab, setActiveTab] = useState('8-12h');
   const show4Hr = coin === 'BTC';
+  const activeProjection = activeTab === '4hr' && show4Hr ? fourHrBias : activeTab === 'daily' ? dailyBias : projection;
 
   // Auto-switch to 12hr if on 4hr tab and coin changes from BTC
   useEffect(() => {
@@ -74,6 +215,9 @@ export default function BiasProjectionTabs({
           loading={projectionLoading}
         />
       )}
+
+      {/* What moved since the previous projection */}
+      {activeProjection?.status === 'ACTIVE' && <SinceLastUpdate changes={activeProjection.changes} />}
     </div>
   );
 }
@@ -1,9 +1,10 @@
 import React from 'react';
 import { calculateWhaleBias } from '../utils/biasCalculations';
 import { formatUSD, getProfileUrl } from '../utils/formatters';
+import { getSymbols } from '../config/symbols';
 
 const ConsensusSection = ({ consensus }) => {
-  const preferredCoins = ['BTC', 'ETH', 'SOL'];
+  const preferredCoins = getSymbols();
   const availableCoins = Object.keys(consensus || {});
   const coins = preferredCoins.filter(c => availableCoins.includes(c));
 
@@ -84,6 +85,7 @@ const ConsensusSection = ({ consensus }) => {
                         target="_blank"
                         rel="noopener noreferrer"
                         className="text-green-600 hover:underline"
+                        title={p.score !== undefined ? `Score ${p.score.toFixed(2)} · weight ${p.weight.toFixed(2)}x` : undefined}
                       >
                         #{p.rank} {p.isConsistent && '*'}
                       </a>
@@ -97,6 +99,7 @@ const ConsensusSection = ({ consensus }) => {
                         target="_blank"
                         rel="noopener noreferrer"
                         className="text-red-600 hover:underline"
+                        title={p.score !== undefined ? `Score ${p.score.toFixed(2)} · weight ${p.weight.toFixed(2)}x` : undefined}
                       >
                         #{p.rank} {p.isConsistent && '*'}
                       </a>
@@ -105,8 +108,13 @@ const ConsensusSection = ({ consensus }) => {
                   ))}
                 </div>
 
-                <div className="text-[10px] text-neutral-500 dark:text-slate-400 pt-2 mt-2 border-t border-neutral-100 dark:border-slate-700">
-                  {formatUSD(data.totalNotional)} total
+                <div className="text-[10px] text-neutral-500 dark:text-slate-400 pt-2 mt-2 border-t border-neutral-100 dark:border-slate-700 flex justify-between">
+                  <span>{formatUSD(data.totalNotional)} total</span>
+                  {data.weighted && (
+                    <span title="Long share with each trader weighted by smart-money score (accuracy, consistency, size)">
+                      {Math.round(data.weighted.longPct * 100)}% long weighted
+                    </span>
+                  )}
                 </div>
               </div>
             );
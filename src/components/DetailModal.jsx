@@ -2,6 +2,8 @@ import React from 'react';
 import { formatUSD, formatPrice, formatAddress, getProfileUrl } from '../utils/formatters';
 import { calculateFlowConfluence } from '../utils/biasCalculations';
 import SignalWinRates from './SignalWinRates';
+import WalletTimeline from './WalletTimeline';
+import { isBackendEnabled } from '../services/backendApi';
 
 const DetailModal = ({ coin, biasData, priceData, oiData, orderbookData, cvdData, fundingData, consensus, winRates, onClose }) => {
   if (!coin || !biasData) return null;
@@ -181,6 +183,13 @@ const DetailModal = ({ coin, biasData, priceData, oiData, orderbookData, cvdData
             </div>
           )}
 
+          {isBackendEnabled() && (
+            <WalletTimeline
+              coin={coin}
+              suggestions={cons ? [...cons.longs, ...cons.shorts].sort((a, b) => b.notional - a.notional).map(p => p.trader) : []}
+            />
+          )}
+
           <SignalWinRates coin={coin} winRates={winRates} />
         </div>
       </div>
@@ -2,8 +2,9 @@ import React from 'react';
 import { calculateFlowConfluence } from '../utils/biasCalculations';
 import { formatUSD } from '../utils/formatters';
 import Sparkline from './Sparkline';
+import { getSymbols } from '../config/symbols';
 
-const FlowConfluenceSection = ({ oiData, cvdData, priceData, timeframe = '5m', hasEnoughData = true, coins = ['BTC', 'ETH', 'SOL'], getSparklineData = null }) => {
+const FlowConfluenceSection = ({ oiData, cvdData, priceData, timeframe = '5m', hasEnoughData = true, coins = getSymbols(), getSparklineData = null }) => {
 
   const getCoinDataStatus = (coin) => {
     const hasOiData = oiData?.[coin]?.hasTimeframeData !== false;
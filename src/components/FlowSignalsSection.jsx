@@ -1,9 +1,10 @@
 import React from 'react';
 import SectionBiasHeader from './SectionBiasHeader';
 import { detectEdgeSignals, getPrioritySignal } from '../utils/flowSignals';
+import { getSymbols } from '../config/symbols';
 
 const FlowSignalsSection = ({ oiData, cvdData, priceData, biasData = {} }) => {
-    const coins = ['BTC', 'ETH', 'SOL'];
+    const coins = getSymbols();
 
     // Collect signals for all coins
     const coinSignals = coins.map(coin => {
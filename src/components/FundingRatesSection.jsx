@@ -1,8 +1,9 @@
 import React from 'react';
 import { calculateFundingBias } from '../utils/biasCalculations';
+import { getSymbols } from '../config/symbols';
 
 const FundingRatesSection = ({ fundingData }) => {
-  const coins = ['BTC', 'ETH', 'SOL'];
+  const coins = getSymbols();
 
   const getBiasLabel = (score) => {
     if (score > 30) return 'CROWDED LONGS';
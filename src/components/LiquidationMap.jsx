@@ -1,39 +1,20 @@
-import React from 'react';
-import { estimateLiquidationPrice, liquidationDistance } from '../utils/helpers';
-import { formatPrice } from '../utils/formatters';
+import React, { useState } from 'react';
+import { formatPrice, formatUSD } from '../utils/formatters';
 
-const LiquidationMap = ({ positions, priceData }) => {
-  const liqLevels = {};
+const RANGES = [5, 10, 20];
 
-  positions.forEach(pos => {
-    const coin = pos.coin;
-    const isLong = pos.size > 0;
-    const liqPrice = estimateLiquidationPrice(pos.entryPx, pos.leverage, isLong);
-    const currentPrice = priceData?.[coin]?.markPx || pos.entryPx;
-    const distance = liquidationDistance(currentPrice, liqPrice, isLong);
+/**
+ * LiquidationMap Component
+ *
+ * Liquidation heatmap from GET /api/:coin/liquidation-zones:
+ * estimated long/short liquidation notional per price bucket, from OI entry
+ * cohorts spread across a 5x-100x leverage distribution.
+ * Long liquidations sit below price (red), short liquidations above (green).
+ */
+const LiquidationMap = ({ zonesData, coin = 'BTC' }) => {
+  const [range, setRange] = useState(10);
 
-    if (!liqLevels[coin]) {
-      liqLevels[coin] = { longs: [], shorts: [], currentPrice, longLiqNotional: 0, shortLiqNotional: 0 };
-    }
-
-    if (isLong) {
-      liqLevels[coin].longs.push({ price: liqPrice, notional: pos.notional, distance });
-      liqLevels[coin].longLiqNotional += pos.notional;
-    } else {
-      liqLevels[coin].shorts.push({ price: liqPrice, notional: pos.notional, distance });
-      liqLevels[coin].shortLiqNotional += pos.notional;
-    }
-  });
-
-  Object.keys(liqLevels).forEach(coin => {
-    liqLevels[coin].longs.sort((a, b) => b.price - a.price);
-    liqLevels[coin].shorts.sort((a, b) => a.price - b.price);
-  });
-
-  const allowedCoins = ['BTC', 'ETH', 'SOL'];
-  const mainCoins = allowedCoins.filter(c => liqLevels[c]);
-
-  if (mainCoins.length === 0) {
+  if (!zonesData || zonesData.status !== 'ACTIVE' || !zonesData.heatmap) {
     return (
       <div className="bg-white dark:bg-slate-800 rounded-lg border border-neutral-200 dark:border-slate-700 p-4">
         <div className="flex items-center gap-2 mb-3">
@@ -41,82 +22,92 @@ const LiquidationMap = ({ positions, priceData }) => {
           <span className="text-xs text-neutral-400 dark:text-slate-500">5min</span>
         </div>
         <div className="text-center py-8 text-neutral-500 dark:text-slate-400">
-          {positions.length === 0 ? 'Loading whale positions...' : 'No positions found'}
+          {zonesData?.status === 'NO_DATA' ? 'Waiting for OI data...' : 'Building heatmap...'}
         </div>
       </div>
     );
   }
 
+  const { heatmap, zones, currentPrice, inputs } = zonesData;
+
+  // Highest price first, current price between the two sides
+  const rows = heatmap.buckets.filter(b => Math.abs(b.distance) <= range).reverse();
+  const aboveRows = rows.filter(b => b.distance > 0);
+  const belowRows = rows.filter(b => b.distance < 0);
+  const peak = Math.max(1, ...rows.map(b => Math.max(b.long, b.short)));
+  const labelEvery = Math.max(1, Math.round(rows.length / 16));
+
+  const renderRow = (bucket, index, side) => {
+    const value = bucket[side];
+    const intensity = value / peak;
+    const isZone = zones?.[side]?.price === Math.round(bucket.price);
+    const color = side === 'long' ? '239, 68, 68' : '34, 197, 94';
+
+    return (
+      <div
+        key={bucket.price}
+        className="flex items-center gap-2 h-2.5"
+        title={`$${formatPrice(bucket.price)} (${bucket.distance > 0 ? '+' : ''}${bucket.distance}%): ${formatUSD(value)} ${side} liquidations`}
+      >
+        <span className="w-16 text-right text-[9px] font-mono text-neutral-400 dark:text-slate-500">
+          {index % labelEvery === 0 || isZone ? `$${formatPrice(bucket.price)}` : ''}
+        </span>
+        <div className="flex-1 h-full bg-neutral-50 dark:bg-slate-900/40 rounded-sm overflow-hidden">
+          <div
+            className={`h-full rounded-sm ${isZone ? 'ring-1 ring-inset ring-neutral-900 dark:ring-white' : ''}`}
+            style={{
+              width: `${Math.max(value > 0 ? 1 : 0, intensity * 100)}%`,
+              backgroundColor: `rgba(${color}, ${0.15 + intensity * 0.85})`
+            }}
+          />
+        </div>
+        <span className="w-12 text-[9px] font-mono text-neutral-400 dark:text-slate-500">
+          {isZone ? formatUSD(value) : ''}
+        </span>
+      </div>
+    );
+  };
+
   return (
     <div className="bg-white dark:bg-slate-800 rounded-lg border border-neutral-200 dark:border-slate-700 p-4">
-      <div className="flex items-center gap-2 mb-4">
-        <span className="text-sm font-semibold text-neutral-900 dark:text-white">LIQUIDATION MAP</span>
-        <span className="text-xs text-neutral-400 dark:text-slate-500">5min</span>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <span className="text-sm font-semibold text-neutral-900 dark:text-white">LIQUIDATION MAP</span>
+          <span className="text-xs text-neutral-400 dark:text-slate-500">{coin} · 5min</span>
+        </div>
+        <div className="flex items-center gap-1">
+          {RANGES.map(r => (
+            <button
+              key={r}
+              onClick={() => setRange(r)}
+              aria-pressed={range === r}
+              className={`px-2 py-0.5 rounded text-[10px] font-semibold transition-colors ${range === r ? 'bg-neutral-900 dark:bg-slate-600 text-white' : 'text-neutral-500 dark:text-slate-400 hover:text-neutral-900 dark:hover:text-white'}`}
+            >
+              ±{r}%
+            </button>
+          ))}
+        </div>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        {mainCoins.map(coin => {
-          const data = liqLevels[coin];
-          const closestLong = data.longs[0];
-          const closestShort = data.shorts[0];
+      <div className="space-y-px">
+        {aboveRows.map((bucket, i) => renderRow(bucket, i, 'short'))}
 
-          return (
-            <div key={coin} className="border border-neutral-200 dark:border-slate-600 rounded-lg p-3">
-              <div className="flex items-center justify-between mb-3">
-                <span className="font-bold text-neutral-900 dark:text-white">{coin}</span>
-                <span className="text-neutral-500 dark:text-slate-400 font-mono text-sm">${formatPrice(data.currentPrice)}</span>
-              </div>
-
-              {/* Range Bar */}
-              <div className="relative h-6 bg-neutral-100 dark:bg-slate-700 rounded mb-3 overflow-hidden">
-                <div className="absolute top-0 bottom-0 w-0.5 bg-neutral-900 dark:bg-white z-10" style={{ left: '50%' }} />
-                <div className="absolute top-1 text-[9px] text-neutral-900 dark:text-white font-semibold z-10" style={{ left: '50%', transform: 'translateX(-50%)' }}>
-                  NOW
-                </div>
-
-                {closestLong && (
-                  <div
-                    className="absolute top-0 bottom-0 bg-green-100 border-r border-green-500"
-                    style={{ left: 0, width: `${Math.max(5, 50 - closestLong.distance)}%` }}
-                  >
-                    <span className="absolute bottom-0.5 left-1 text-[8px] text-green-600 font-semibold">L</span>
-                  </div>
-                )}
+        {/* Current price */}
+        <div className="flex items-center gap-2 py-1">
+          <span className="w-16 text-right text-[10px] font-mono font-bold text-neutral-900 dark:text-white">
+            ${formatPrice(currentPrice)}
+          </span>
+          <div className="flex-1 h-0.5 bg-neutral-900 dark:bg-white" />
+          <span className="w-12 text-[9px] font-semibold text-neutral-900 dark:text-white">NOW</span>
+        </div>
 
-                {closestShort && (
-                  <div
-                    className="absolute top-0 bottom-0 bg-red-100 border-l border-red-500"
-                    style={{ right: 0, width: `${Math.max(5, 50 - closestShort.distance)}%` }}
-                  >
-                    <span className="absolute bottom-0.5 right-1 text-[8px] text-red-600 font-semibold">S</span>
-                  </div>
-                )}
-              </div>
+        {belowRows.map((bucket, i) => renderRow(bucket, i, 'long'))}
+      </div>
 
-              {/* Liq Levels */}
-              <div className="grid grid-cols-2 gap-2 text-xs">
-                <div className="border border-green-200 rounded p-2">
-                  <div className="text-green-600 font-semibold mb-1">Long Liqs</div>
-                  {closestLong ? (
-                    <>
-                      <div className="text-neutral-900 dark:text-white font-mono">${formatPrice(closestLong.price)}</div>
-                      <div className="text-neutral-500 dark:text-slate-400">{closestLong.distance.toFixed(1)}% away</div>
-                    </>
-                  ) : <div className="text-neutral-400 dark:text-slate-500">None</div>}
-                </div>
-                <div className="border border-red-200 rounded p-2">
-                  <div className="text-red-600 font-semibold mb-1">Short Liqs</div>
-                  {closestShort ? (
-                    <>
-                      <div className="text-neutral-900 dark:text-white font-mono">${formatPrice(closestShort.price)}</div>
-                      <div className="text-neutral-500 dark:text-slate-400">{closestShort.distance.toFixed(1)}% away</div>
-                    </>
-                  ) : <div className="text-neutral-400 dark:text-slate-500">None</div>}
-                </div>
-              </div>
-            </div>
-          );
-        })}
+      <div className="mt-3 pt-2 border-t border-neutral-100 dark:border-slate-700 flex items-center justify-between text-[9px] text-neutral-400 dark:text-slate-500">
+        <span className="text-red-600 dark:text-red-400">Longs: {formatUSD(heatmap.totals.long)}</span>
+        <span>Avg Leverage: {inputs?.estimatedLeverage?.toFixed(1)}x · {heatmap.bucketPercent}% buckets</span>
+        <span className="text-green-600 dark:text-green-400">Shorts: {formatUSD(heatmap.totals.short)}</span>
       </div>
     </div>
   );
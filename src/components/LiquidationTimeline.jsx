@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { formatPrice, formatUSD } from '../utils/formatters';
+import { getLiquidationHistory } from '../services/backendApi';
+
+const RANGES = {
+  '24H': { interval: '5m', bucketMs: 5 * 60 * 1000, hours: 24 },
+  '7D': { interval: '1h', bucketMs: 60 * 60 * 1000, hours: 24 * 7 }
+};
+const CASCADE_ROWS = 8;
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const formatChange = (value) => {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+};
+
+const changeColor = (value) => {
+  if (value === null || value === undefined) return 'text-neutral-400 dark:text-slate-500';
+  return value >= 0 ? 'text-green-600' : 'text-red-600';
+};
+
+/**
+ * LiquidationTimeline Component
+ *
+ * Liquidation history from GET /api/liquidations/:coin/history:
+ * long (red, below the axis) and short (green, above) liquidations per candle,
+ * with detected cascades marked on the timeline and listed in a log showing
+ * how much was liquidated, the price move during the cascade and 1h / 4h after.
+ */
+const LiquidationTimeline = ({ coin = 'BTC' }) => {
+  const [range, setRange] = useState('24H');
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchHistory = async () => {
+      const { interval, hours } = RANGES[range];
+      const to = Date.now();
+      const result = await getLiquidationHistory(coin, { interval, from: to - hours * 60 * 60 * 1000, to });
+      if (!cancelled && result) setData(result);
+    };
+
+    fetchHistory();
+    const timer = setInterval(fetchHistory, 60000);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [coin, range]);
+
+  const candles = data?.candles || [];
+  const cascades = data?.cascades || [];
+  const span = data ? data.to - data.from : 1;
+  const x = (timestamp) => Math.max(0, Math.min(100, ((timestamp - data.from) / span) * 100));
+  const peak = Math.max(1, ...candles.map(c => Math.max(c.long, c.short)));
+  const barWidth = Math.max(0.2, (RANGES[range].bucketMs / span) * 80);
+  const totals = candles.reduce((sum, c) => ({ long: sum.long + c.long, short: sum.short + c.short }), { long: 0, short: 0 });
+
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-lg border border-neutral-200 dark:border-slate-700 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <span className="text-sm font-semibold text-neutral-900 dark:text-white">LIQUIDATION TIMELINE</span>
+          <span className="text-xs text-neutral-400 dark:text-slate-500">{coin} · {data?.interval || RANGES[range].interval} candles</span>
+        </div>
+        <div className="flex items-center gap-1">
+          {Object.keys(RANGES).map(key => (
+            <button
+              key={key}
+              onClick={() => setRange(key)}
+              aria-pressed={range === key}
+              className={`text-xs px-2 py-0.5 rounded ${range === key ? 'bg-neutral-900 dark:bg-slate-600 text-white' : 'text-neutral-500 dark:text-slate-400 hover:text-neutral-900 dark:hover:text-white'}`}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {candles.length === 0 ? (
+        <div className="text-center py-8 text-neutral-500 dark:text-slate-400">
+          {data ? 'No liquidations recorded in this range yet' : 'Loading liquidation history...'}
+        </div>
+      ) : (
+        <>
+          <div className="flex items-center gap-4 text-xs mb-2">
+            <span className="text-red-600">Longs {formatUSD(totals.long)}</span>
+            <span className="text-green-600">Shorts {formatUSD(totals.short)}</span>
+            <span className="text-neutral-400 dark:text-slate-500">{cascades.length} cascade{cascades.length === 1 ? '' : 's'}</span>
+          </div>
+
+          {/* Shorts above the axis, longs below; cascades shaded */}
+          <svg viewBox="0 0 100 60" preserveAspectRatio="none" className="w-full h-32">
+            {cascades.map(c => (
+              <rect
+                key={c.id}
+                x={x(c.startedAt)}
+                y="0"
+                width={Math.max(0.4, x(c.endedAt || c.lastActiveAt) - x(c.startedAt))}
+                height="60"
+                className={c.type === 'LONG_CASCADE' ? 'fill-red-500/10' : 'fill-green-500/10'}
+              >
+                <title>{`${c.type === 'LONG_CASCADE' ? 'Long' : 'Short'} cascade ${formatTime(c.startedAt)}: ${formatUSD(c.liquidated.total)}`}</title>
+              </rect>
+            ))}
+            <line x1="0" x2="100" y1="30" y2="30" stroke="currentColor" strokeWidth="0.2" className="text-neutral-300 dark:text-slate-600" />
+            {candles.map(c => (
+              <g key={c.time}>
+                <title>{`${formatTime(c.time)}: ${formatUSD(c.long)} longs / ${formatUSD(c.short)} shorts`}</title>
+                {c.short > 0 && <rect x={x(c.time)} y={30 - (c.short / peak) * 28} width={barWidth} height={(c.short / peak) * 28} className="fill-green-500" />}
+                {c.long > 0 && <rect x={x(c.time)} y="30" width={barWidth} height={(c.long / peak) * 28} className="fill-red-500" />}
+              </g>
+            ))}
+          </svg>
+          <div className="flex justify-between text-[9px] text-neutral-400 dark:text-slate-500 mb-4">
+            <span>{formatTime(data.from)}</span>
+            <span>{formatTime(data.to)}</span>
+          </div>
+        </>
+      )}
+
+      {/* Cascade log */}
+      {cascades.length > 0 && (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-neutral-500 dark:text-slate-400">
+              <th className="text-left font-normal py-1">Started</th>
+              <th className="text-left font-normal">Cascade</th>
+              <th className="text-right font-normal">Liquidated</th>
+              <th className="text-right font-normal">Price</th>
+              <th className="text-right font-normal">During</th>
+              <th className="text-right font-normal">+1h</th>
+              <th className="text-right font-normal">+4h</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cascades.slice(0, CASCADE_ROWS).map(c => (
+              <tr key={c.id} className="border-t border-neutral-100 dark:border-slate-700">
+                <td className="py-1 text-neutral-500 dark:text-slate-400">{formatTime(c.startedAt)}</td>
+                <td className={c.type === 'LONG_CASCADE' ? 'text-red-600' : 'text-green-600'}>
+                  {c.type === 'LONG_CASCADE' ? 'Longs' : 'Shorts'}{!c.endedAt && ' (active)'}
+                </td>
+                <td className="text-right font-mono text-neutral-900 dark:text-white">{formatUSD(c.liquidated.total)}</td>
+                <td className="text-right font-mono text-neutral-900 dark:text-white">{c.price.start ? `$${formatPrice(c.price.start)}` : '-'}</td>
+                <td className={`text-right font-mono ${changeColor(c.price.changePercent)}`}>{formatChange(c.price.start ? c.price.changePercent : null)}</td>
+                <td className={`text-right font-mono ${changeColor(c.after['1h']?.changePercent)}`}>{formatChange(c.after['1h']?.changePercent)}</td>
+                <td className={`text-right font-mono ${changeColor(c.after['4h']?.changePercent)}`}>{formatChange(c.after['4h']?.changePercent)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default LiquidationTimeline;
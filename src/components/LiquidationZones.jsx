@@ -5,13 +5,15 @@ import { formatPrice } from '../utils/formatters';
  * LiquidationZones Component
  *
  * Displays estimated liquidation cascade zones based on:
- * - Dynamic leverage estimation from funding rates
- * - ATR-based volatility buffers
+ * - OI entry cohorts across a 5x-100x leverage distribution
+ * - Funding / OI velocity skew toward high leverage
  * - OI clustering probability assessment
  *
- * Shows 2 key price levels:
+ * Shows 2 key price levels (nearest major clusters of the heatmap):
  * - Long liquidation zone (below current price)
  * - Short squeeze zone (above current price)
+ * A side with no liquidations in range comes back null and shows a placeholder.
+ * The full heatmap is rendered by LiquidationMap.
  */
 const LiquidationZones = ({ zonesData, coin = 'BTC' }) => {
   if (!zonesData || zonesData.status !== 'ACTIVE') {
@@ -76,26 +78,30 @@ const LiquidationZones = ({ zonesData, coin = 'BTC' }) => {
         <div className="absolute top-0 bottom-0 w-0.5 bg-neutral-900 dark:bg-white z-10" style={{ left: '50%' }} />
 
         {/* Long liq zone (left side - below price) */}
-        <div
-          className="absolute top-0 bottom-0 bg-gradient-to-r from-red-200 to-red-100 dark:from-red-900/40 dark:to-red-800/20"
-          style={{
-            left: 0,
-            width: `${Math.max(10, Math.min(45, 50 - long.distance * 5))}%`
-          }}
-        >
-          <div className="absolute inset-y-0 right-0 w-0.5 bg-red-500" />
-        </div>
+        {long && (
+          <div
+            className="absolute top-0 bottom-0 bg-gradient-to-r from-red-200 to-red-100 dark:from-red-900/40 dark:to-red-800/20"
+            style={{
+              left: 0,
+              width: `${Math.max(10, Math.min(45, 50 - long.distance * 5))}%`
+            }}
+          >
+            <div className="absolute inset-y-0 right-0 w-0.5 bg-red-500" />
+          </div>
+        )}
 
         {/* Short liq zone (right side - above price) */}
-        <div
-          className="absolute top-0 bottom-0 bg-gradient-to-l from-green-200 to-green-100 dark:from-green-900/40 dark:to-green-800/20"
-          style={{
-            right: 0,
-            width: `${Math.max(10, Math.min(45, 50 - short.distance * 5))}%`
-          }}
-        >
-          <div className="absolute inset-y-0 left-0 w-0.5 bg-green-500" />
-        </div>
+        {short && (
+          <div
+            className="absolute top-0 bottom-0 bg-gradient-to-l from-green-200 to-green-100 dark:from-green-900/40 dark:to-green-800/20"
+            style={{
+              right: 0,
+              width: `${Math.max(10, Math.min(45, 50 - short.distance * 5))}%`
+            }}
+          >
+            <div className="absolute inset-y-0 left-0 w-0.5 bg-green-500" />
+          </div>
+        )}
 
         {/* Labels */}
         <span className="absolute left-1 top-1/2 -translate-y-1/2 text-[9px] font-bold text-red-600 dark:text-red-400">
@@ -109,46 +115,58 @@ const LiquidationZones = ({ zonesData, coin = 'BTC' }) => {
       {/* Zone Details */}
       <div className="grid grid-cols-2 gap-2">
         {/* Long Liq Zone */}
-        <div className="border border-red-200 dark:border-red-800/50 rounded-lg p-2 bg-red-50/50 dark:bg-red-900/10">
-          <div className="text-red-600 dark:text-red-400 text-[10px] font-semibold mb-1">
-            Long Cascade Zone
-          </div>
-          <div className="text-neutral-900 dark:text-white font-mono font-bold">
-            ${formatPrice(long.price)}
+        {long ? (
+          <div className="border border-red-200 dark:border-red-800/50 rounded-lg p-2 bg-red-50/50 dark:bg-red-900/10">
+            <div className="text-red-600 dark:text-red-400 text-[10px] font-semibold mb-1">
+              Long Cascade Zone
+            </div>
+            <div className="text-neutral-900 dark:text-white font-mono font-bold">
+              ${formatPrice(long.price)}
+            </div>
+            <div className="flex items-center justify-between mt-1">
+              <span className="text-neutral-500 dark:text-slate-400 text-[10px]">
+                {long.distance.toFixed(1)}% below
+              </span>
+              <span className={`text-[9px] px-1 py-0.5 rounded ${probColors[long.probability]}`}>
+                {long.probability}
+              </span>
+            </div>
+            <div className="text-neutral-400 dark:text-slate-500 text-[9px] mt-1">
+              ~{formatOI(long.oiAtRisk)} OI at risk
+            </div>
           </div>
-          <div className="flex items-center justify-between mt-1">
-            <span className="text-neutral-500 dark:text-slate-400 text-[10px]">
-              {long.distance.toFixed(1)}% below
-            </span>
-            <span className={`text-[9px] px-1 py-0.5 rounded ${probColors[long.probability]}`}>
-              {long.probability}
-            </span>
+        ) : (
+          <div className="border border-neutral-200 dark:border-slate-700 rounded-lg p-2 text-neutral-400 dark:text-slate-500 text-[10px]">
+            No long liquidation cluster within {zonesData.heatmap?.rangePercent ?? 20}%
           </div>
-          <div className="text-neutral-400 dark:text-slate-500 text-[9px] mt-1">
-            ~{formatOI(long.oiAtRisk)} OI at risk
-          </div>
-        </div>
+        )}
 
         {/* Short Liq Zone */}
-        <div className="border border-green-200 dark:border-green-800/50 rounded-lg p-2 bg-green-50/50 dark:bg-green-900/10">
-          <div className="text-green-600 dark:text-green-400 text-[10px] font-semibold mb-1">
-            Short Squeeze Zone
-          </div>
-          <div className="text-neutral-900 dark:text-white font-mono font-bold">
-            ${formatPrice(short.price)}
+        {short ? (
+          <div className="border border-green-200 dark:border-green-800/50 rounded-lg p-2 bg-green-50/50 dark:bg-green-900/10">
+            <div className="text-green-600 dark:text-green-400 text-[10px] font-semibold mb-1">
+              Short Squeeze Zone
+            </div>
+            <div className="text-neutral-900 dark:text-white font-mono font-bold">
+              ${formatPrice(short.price)}
+            </div>
+            <div className="flex items-center justify-between mt-1">
+              <span className="text-neutral-500 dark:text-slate-400 text-[10px]">
+                {short.distance.toFixed(1)}% above
+              </span>
+              <span className={`text-[9px] px-1 py-0.5 rounded ${probColors[short.probability]}`}>
+                {short.probability}
+              </span>
+            </div>
+            <div className="text-neutral-400 dark:text-slate-500 text-[9px] mt-1">
+              ~{formatOI(short.oiAtRisk)} OI at risk
+            </div>
           </div>
-          <div className="flex items-center justify-between mt-1">
-            <span className="text-neutral-500 dark:text-slate-400 text-[10px]">
-              {short.distance.toFixed(1)}% above
-            </span>
-            <span className={`text-[9px] px-1 py-0.5 rounded ${probColors[short.probability]}`}>
-              {short.probability}
-            </span>
+        ) : (
+          <div className="border border-neutral-200 dark:border-slate-700 rounded-lg p-2 text-neutral-400 dark:text-slate-500 text-[10px]">
+            No short liquidation cluster within {zonesData.heatmap?.rangePercent ?? 20}%
           </div>
-          <div className="text-neutral-400 dark:text-slate-500 text-[9px] mt-1">
-            ~{formatOI(short.oiAtRisk)} OI at risk
-          </div>
-        </div>
+        )}
       </div>
 
       {/* Inputs Summary (collapsible detail) */}
@@ -1,12 +1,13 @@
 import React from 'react';
 import { formatUSD, formatAddress, getProfileUrl } from '../utils/formatters';
+import { getSymbols } from '../config/symbols';
 
 /**
  * Live Whale Activity Feed - Position changes only
  * Shows real-time position changes from top 10 traders
  */
 const LiveWhaleActivityFeed = ({ positionChanges }) => {
-  const targetCoins = ['BTC', 'ETH', 'SOL'];
+  const targetCoins = getSymbols();
 
   return (
     <div className="bg-white dark:bg-slate-900/80 rounded-xl border border-neutral-200 dark:border-slate-800 p-4">
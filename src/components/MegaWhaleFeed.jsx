@@ -1,5 +1,5 @@
 import React, { useMemo } from 'react';
-import { WHALE_WS_CONFIG } from '../config/whaleWsConfig';
+import { WHALE_WS_CONFIG, getSymbolThreshold } from '../config/whaleWsConfig';
 import { formatUSD, formatPrice } from '../utils/formatters';
 import NotificationToggle from './NotificationToggle';
 import ThresholdSelector from './ThresholdSelector';
@@ -43,8 +43,55 @@ const MegaWhaleTradeRow = ({ trade }) => {
   );
 };
 
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+// TWAP / iceberg episode: one row per split order, updated while it grows
+const MegaWhalePatternRow = ({ pattern }) => {
+  const isBuy = pattern.side === 'BUY';
+
+  const time = new Date(pattern.timestamp).toLocaleTimeString('en-US', {
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const config = WHALE_WS_CONFIG[pattern.exchange];
+  const title = pattern.pattern === 'TWAP'
+    ? `${pattern.fillCount} clips of ~${formatUSD(pattern.avgClip)} every ${Math.round(pattern.intervalMs / 1000)}s`
+    : `${pattern.fillCount} fills at $${formatPrice(pattern.price)} (resting ${isBuy ? 'bid' : 'ask'})`;
+
+  return (
+    <div className={`flex items-center gap-4 p-3 border-l-2 ${isBuy ? 'border-green-500' : 'border-red-500'}`} title={title}>
+      <span className="text-neutral-400 dark:text-slate-400 text-sm w-20 font-mono">{time}</span>
+      <span className="px-2 py-0.5 text-xs font-bold rounded w-12 text-center bg-neutral-900 dark:bg-slate-600 text-white">
+        {pattern.pattern === 'TWAP' ? 'TWAP' : 'ICE'}
+      </span>
+      <span className={`font-semibold font-mono ${isBuy ? 'text-green-600' : 'text-red-600'}`}>
+        ~{formatUSD(pattern.estimatedNotional)}
+        <span className="ml-1 text-xs text-neutral-400 dark:text-slate-500 font-normal">
+          ({pattern.fillCount}x / {formatDuration(pattern.durationMs)})
+        </span>
+      </span>
+      <span className="text-neutral-400 dark:text-slate-400 text-sm hidden sm:block">
+        {isBuy ? 'BUY' : 'SELL'} {pattern.estimatedSize.toLocaleString(undefined, { maximumFractionDigits: 2 })} @ ${formatPrice(pattern.price)}
+      </span>
+      <span className="text-neutral-900 dark:text-white font-semibold text-sm">{pattern.symbol}</span>
+      <span className="ml-auto text-xs text-neutral-400 dark:text-slate-400">
+        {config?.name}
+      </span>
+    </div>
+  );
+};
+
 const MegaWhaleFeed = ({
   trades,
+  patterns = [],
   isConnected,
   connectionStatus,
   threshold = 10_000_000,
@@ -55,10 +102,21 @@ const MegaWhaleFeed = ({
   onNotificationToggle = () => { }
 }) => {
   const filteredTrades = useMemo(() =>
-    trades.filter(t => t.notional >= threshold),
+    trades.filter(t => t.notional >= getSymbolThreshold(threshold, t.symbol)),
     [trades, threshold]
   );
 
+  // Split orders count against the display threshold by their estimated total
+  const feedItems = useMemo(() =>
+    [
+      ...filteredTrades.map(trade => ({ kind: 'trade', timestamp: trade.timestamp, trade })),
+      ...patterns
+        .filter(p => p.estimatedNotional >= getSymbolThreshold(threshold, p.symbol))
+        .map(pattern => ({ kind: 'pattern', timestamp: pattern.timestamp, pattern }))
+    ].sort((a, b) => b.timestamp - a.timestamp),
+    [filteredTrades, patterns, threshold]
+  );
+
   const last5min = filteredTrades.filter(t => Date.now() - t.timestamp < 300000);
   const buyVolume = last5min.filter(t => t.side === 'BUY').reduce((sum, t) => sum + t.notional, 0);
   const sellVolume = last5min.filter(t => t.side === 'SELL').reduce((sum, t) => sum + t.notional, 0);
@@ -114,15 +172,16 @@ const MegaWhaleFeed = ({
 
       {/* Trade List */}
       <div className="max-h-[220px] overflow-y-auto">
-        {filteredTrades.length === 0 ? (
+        {feedItems.length === 0 ? (
           <div className="p-4 text-center text-neutral-500 dark:text-slate-400 text-sm">
-            Watching for {formatThreshold(threshold)}+ trades...
+            Watching for {formatThreshold(threshold)}+ BTC / {formatThreshold(getSymbolThreshold(threshold, 'ETH'))}+ ETH / {formatThreshold(getSymbolThreshold(threshold, 'SOL'))}+ SOL trades...
           </div>
         ) : (
           <div>
-            {filteredTrades.slice(0, 50).map((trade, i) => (
-              <MegaWhaleTradeRow key={`${trade.exchange}-${trade.tradeId}-${i}`} trade={trade} />
-            ))}
+            {feedItems.slice(0, 50).map((item, i) => item.kind === 'pattern'
+              ? <MegaWhalePatternRow key={item.pattern.id} pattern={item.pattern} />
+              : <MegaWhaleTradeRow key={`${item.trade.exchange}-${item.trade.tradeId}-${i}`} trade={item.trade} />
+            )}
           </div>
         )}
       </div>
@@ -1,6 +1,113 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { calculateOrderbookBias } from '../utils/biasCalculations';
-import { formatUSD } from '../utils/formatters';
+import { formatUSD, formatPrice } from '../utils/formatters';
+import { isBackendEnabled, getOrderbookAnalytics } from '../services/backendApi';
+
+const MAX_WALLS = 4;
+const MAX_WALL_EVENTS = 3;
+
+const formatAge = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.max(1, Math.round(ms / 1000))}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}`;
+};
+
+/**
+ * Depth bands, resting walls and pulled walls from GET /api/orderbook/:coin
+ * (Binance + Bybit + Hyperliquid books, refreshed every 15s)
+ */
+const DepthAnalytics = ({ coin }) => {
+  const [analytics, setAnalytics] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchAnalytics = async () => {
+      const result = await getOrderbookAnalytics(coin);
+      if (!cancelled && result) setAnalytics(result);
+    };
+
+    fetchAnalytics();
+    const interval = setInterval(fetchAnalytics, 15000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [coin]);
+
+  if (!analytics?.aggregate) return null;
+
+  const { aggregate, bands, walls, wallEvents, spoofCount } = analytics;
+  const pulled = wallEvents.filter(e => e.outcome === 'PULLED').slice(0, MAX_WALL_EVENTS);
+
+  return (
+    <div className="mt-3 pt-3 border-t border-neutral-100 dark:border-slate-700 space-y-3">
+      {/* Imbalance per depth band */}
+      <div>
+        <div className="text-[10px] text-neutral-500 dark:text-slate-400 mb-1">DEPTH BANDS</div>
+        {bands.map(band => {
+          const row = aggregate[band];
+          const total = row.bid + row.ask;
+          const bidShare = total > 0 ? (row.bid / total) * 100 : 50;
+          return (
+            <div
+              key={band}
+              className="flex items-center gap-2 text-[10px] mb-1"
+              title={`±${band}%: ${formatUSD(row.bid)} bids / ${formatUSD(row.ask)} asks${row.partial ? ' (book not deep enough on some venues)' : ''}`}
+            >
+              <span className="w-9 text-neutral-500 dark:text-slate-400">±{band}%</span>
+              <div className="flex-1 flex h-2 rounded overflow-hidden bg-neutral-100 dark:bg-slate-700">
+                <div className="bg-green-500" style={{ width: `${bidShare}%` }}></div>
+                <div className="bg-red-500" style={{ width: `${100 - bidShare}%` }}></div>
+              </div>
+              <span className={`w-12 text-right font-mono ${row.imbalance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {row.imbalance >= 0 ? '+' : ''}{row.imbalance.toFixed(0)}%{row.partial ? '*' : ''}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Resting walls */}
+      <div>
+        <div className="text-[10px] text-neutral-500 dark:text-slate-400 mb-1">WALLS</div>
+        {walls.length === 0 ? (
+          <div className="text-[10px] text-neutral-400 dark:text-slate-500">No walls within 2%</div>
+        ) : (
+          walls.slice(0, MAX_WALLS).map(wall => (
+            <div key={wall.id} className="flex items-center justify-between text-[10px] font-mono">
+              <span className={wall.side === 'BID' ? 'text-green-600' : 'text-red-600'}>
+                {wall.side} ${formatPrice(wall.price)}
+              </span>
+              <span className="text-neutral-900 dark:text-white">{formatUSD(wall.notional)}</span>
+              <span className="text-neutral-400 dark:text-slate-500">{wall.distance.toFixed(2)}% · {wall.exchange} · {formatAge(wall.ageMs)}</span>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Walls pulled before price reached them */}
+      {pulled.length > 0 && (
+        <div>
+          <div className="text-[10px] text-neutral-500 dark:text-slate-400 mb-1">
+            PULLED WALLS{spoofCount > 0 && <span className="text-amber-600"> · {spoofCount} suspected spoof{spoofCount === 1 ? '' : 's'} (24h)</span>}
+          </div>
+          {pulled.map(event => (
+            <div key={event.id} className="flex items-center justify-between text-[10px] font-mono" title={event.approached ? 'Pulled as price approached' : undefined}>
+              <span className={event.side === 'BID' ? 'text-green-600' : 'text-red-600'}>
+                {event.spoof && '⚠ '}{event.side} ${formatPrice(event.price)}
+              </span>
+              <span className="text-neutral-900 dark:text-white">{formatUSD(event.peakNotional)}</span>
+              <span className="text-neutral-400 dark:text-slate-500">
+                lived {formatAge(event.lifetimeMs)} · {new Date(event.vanishedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
 
 const OrderbookSection = ({ orderbookData, coins = ['BTC'] }) => {
   const isSingleCoin = coins.length === 1;
@@ -90,6 +197,8 @@ const OrderbookSection = ({ orderbookData, coins = ['BTC'] }) => {
         <div className="mt-3 pt-2">
           <p className="text-xs text-neutral-500 dark:text-slate-400">{getInterpretation(ob?.imbalance || 0)}</p>
         </div>
+
+        {isBackendEnabled() && <DepthAnalytics coin={coin} />}
       </div>
     );
   }
@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { formatUSD, formatPrice, formatAddress, getProfileUrl } from '../utils/formatters';
+import { getWatchlist, addToWatchlist, removeFromWatchlist, getWalletHistory, getWalletHistoryCsvUrl, getAdminToken, setAdminToken } from '../services/backendApi';
+
+const TIMELINE_ROWS = 12;
+
+/**
+ * PnL line (unrealized + realized) across snapshots
+ */
+const PnlChart = ({ points }) => {
+  if (points.length < 2) return null;
+
+  const values = points.map(p => p.pnl);
+  const min = Math.min(0, ...values);
+  const max = Math.max(0, ...values);
+  const span = max - min || 1;
+  const x = (i) => (i / (points.length - 1)) * 100;
+  const y = (v) => 36 - ((v - min) / span) * 32;
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(2)},${y(p.pnl).toFixed(2)}`).join(' ');
+  const last = values[values.length - 1];
+
+  return (
+    <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-16 mb-2">
+      <line x1="0" x2="100" y1={y(0)} y2={y(0)} stroke="currentColor" strokeWidth="0.3" className="text-neutral-300 dark:text-slate-600" />
+      <path d={path} fill="none" strokeWidth="1" vectorEffect="non-scaling-stroke" stroke={last >= 0 ? '#16a34a' : '#dc2626'} />
+    </svg>
+  );
+};
+
+/**
+ * WalletTimeline Component
+ *
+ * Backend watchlist inside DetailModal: pin Hyperliquid addresses, then view
+ * each one's snapshotted positions in this coin (size, entry, leverage,
+ * unrealized / realized PnL) as a timeline, or export them as CSV.
+ */
+const WalletTimeline = ({ coin, suggestions = [] }) => {
+  const [wallets, setWallets] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [input, setInput] = useState('');
+  const [error, setError] = useState(null);
+  const [needsToken, setNeedsToken] = useState(false);
+  const [tokenInput, setTokenInput] = useState(getAdminToken());
+
+  const loadWallets = async () => {
+    const result = await getWatchlist();
+    if (result) setWallets(result);
+    return result;
+  };
+
+  useEffect(() => {
+    const fetchWallets = async () => {
+      const result = await getWatchlist();
+      if (!result) return;
+      setWallets(result);
+      if (result.length > 0) setSelected(current => current || result[0].address);
+    };
+
+    fetchWallets();
+  }, []);
+
+  useEffect(() => {
+    if (!selected) return;
+    let cancelled = false;
+    const fetchHistory = async () => {
+      const result = await getWalletHistory(selected, { coin });
+      if (!cancelled) setHistory(result);
+    };
+
+    fetchHistory();
+    const interval = setInterval(fetchHistory, 60000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [selected, coin]);
+
+  // Pinning and unpinning need the backend's admin token
+  const showError = (err) => {
+    setError(err.message);
+    if (err.status === 401) setNeedsToken(true);
+  };
+
+  const pin = async (address) => {
+    try {
+      setError(null);
+      const wallet = await addToWatchlist(address);
+      await loadWallets();
+      setSelected(wallet.address);
+      setInput('');
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const unpin = async (address) => {
+    try {
+      await removeFromWatchlist(address);
+      const result = await loadWallets();
+      setSelected(result?.[0]?.address || null);
+      setHistory(null);
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const pinned = new Set(wallets.map(w => w.address));
+  const unpinnedSuggestions = [...new Set(suggestions.map(a => a.toLowerCase()))]
+    .filter(a => !pinned.has(a))
+    .slice(0, 4);
+
+  const snapshots = history?.snapshots || [];
+  const timeline = snapshots.map(s => {
+    const pos = s.positions[0];
+    return {
+      timestamp: s.timestamp,
+      position: pos || null,
+      pnl: (pos?.unrealizedPnl || 0) + (pos?.realizedPnl || 0)
+    };
+  });
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-neutral-900 dark:text-white">WATCHLIST</h4>
+        {selected && snapshots.length > 0 && (
+          <a
+            href={getWalletHistoryCsvUrl(selected, coin)}
+            download
+            className="text-xs text-neutral-500 dark:text-slate-400 hover:text-neutral-900 dark:hover:text-white underline"
+          >
+            Export CSV
+          </a>
+        )}
+      </div>
+
+      {/* Pinned wallets */}
+      <div className="flex flex-wrap gap-2 mb-3">
+        {wallets.map(w => (
+          <button
+            key={w.address}
+            onClick={() => setSelected(w.address)}
+            aria-pressed={selected === w.address}
+            className={`text-xs font-mono px-2 py-1 rounded border ${selected === w.address ? 'border-neutral-900 dark:border-white text-neutral-900 dark:text-white' : 'border-neutral-200 dark:border-slate-600 text-neutral-500 dark:text-slate-400'}`}
+          >
+            {w.label || formatAddress(w.address)}
+          </button>
+        ))}
+        {unpinnedSuggestions.map(address => (
+          <button
+            key={address}
+            onClick={() => pin(address)}
+            className="text-xs font-mono px-2 py-1 rounded border border-dashed border-neutral-300 dark:border-slate-600 text-neutral-400 dark:text-slate-500 hover:text-neutral-900 dark:hover:text-white"
+            title="Pin to watchlist"
+          >
+            + {formatAddress(address)}
+          </button>
+        ))}
+      </div>
+
+      <form
+        className="flex gap-2 mb-3"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (input.trim()) pin(input.trim());
+        }}
+      >
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Pin address (0x...)"
+          aria-label="Hyperliquid address to pin"
+          className="flex-1 text-xs font-mono px-2 py-1 rounded border border-neutral-200 dark:border-slate-600 bg-transparent text-neutral-900 dark:text-white"
+        />
+        <button type="submit" className="text-xs px-3 py-1 rounded bg-neutral-900 dark:bg-slate-600 text-white">Pin</button>
+      </form>
+      {error && <div className="text-xs text-red-600 mb-2">{error}</div>}
+      {needsToken && (
+        <form
+          className="flex gap-2 mb-3"
+          onSubmit={(e) => {
+            e.preventDefault();
+            setAdminToken(tokenInput.trim());
+            setNeedsToken(false);
+            setError(null);
+          }}
+        >
+          <input
+            type="password"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            placeholder="Backend admin token"
+            aria-label="Backend admin token"
+            className="flex-1 text-xs font-mono px-2 py-1 rounded border border-neutral-200 dark:border-slate-600 bg-transparent text-neutral-900 dark:text-white"
+          />
+          <button type="submit" className="text-xs px-3 py-1 rounded bg-neutral-900 dark:bg-slate-600 text-white">Save</button>
+        </form>
+      )}
+
+      {/* Timeline */}
+      {selected && (
+        <div className="border border-neutral-200 dark:border-slate-600 rounded-lg p-3">
+          <div className="flex items-center justify-between mb-2 text-xs">
+            <a href={getProfileUrl(selected)} target="_blank" rel="noopener noreferrer" className="font-mono text-neutral-600 dark:text-slate-400 hover:underline">
+              {formatAddress(selected)} ↗
+            </a>
+            <button onClick={() => unpin(selected)} className="text-neutral-400 dark:text-slate-500 hover:text-red-600">Unpin</button>
+          </div>
+
+          {snapshots.length === 0 ? (
+            <div className="text-center py-4 text-xs text-neutral-500 dark:text-slate-400">
+              No snapshots yet - the first one is taken when an address is pinned, then every 15 minutes
+            </div>
+          ) : (
+            <>
+              <div className="text-[10px] text-neutral-400 dark:text-slate-500 mb-1">{coin} PnL (unrealized + realized since pinned)</div>
+              <PnlChart points={timeline} />
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-neutral-500 dark:text-slate-400">
+                    <th className="text-left font-normal py-1">Time</th>
+                    <th className="text-left font-normal">Position</th>
+                    <th className="text-right font-normal">Entry</th>
+                    <th className="text-right font-normal">Lev</th>
+                    <th className="text-right font-normal">uPnL</th>
+                    <th className="text-right font-normal">Realized</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {timeline.slice(-TIMELINE_ROWS).reverse().map(row => (
+                    <tr key={row.timestamp} className="border-t border-neutral-100 dark:border-slate-700">
+                      <td className="py-1 text-neutral-500 dark:text-slate-400">{new Date(row.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</td>
+                      {row.position ? (
+                        <>
+                          <td className={row.position.size > 0 ? 'text-green-600' : 'text-red-600'}>
+                            {row.position.size > 0 ? 'LONG' : 'SHORT'} {formatUSD(row.position.positionValue)}
+                          </td>
+                          <td className="text-right font-mono text-neutral-900 dark:text-white">${formatPrice(row.position.entryPx)}</td>
+                          <td className="text-right text-neutral-900 dark:text-white">{row.position.leverage ?? '-'}x</td>
+                          <td className={`text-right font-mono ${row.position.unrealizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatUSD(row.position.unrealizedPnl)}</td>
+                          <td className={`text-right font-mono ${row.position.realizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatUSD(row.position.realizedPnl)}</td>
+                        </>
+                      ) : (
+                        <td colSpan={5} className="text-neutral-400 dark:text-slate-500">No {coin} position</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WalletTimeline;
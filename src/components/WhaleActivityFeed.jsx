@@ -1,11 +1,12 @@
 import React from 'react';
 import SectionBiasHeader from './SectionBiasHeader';
 import { formatUSD, formatAddress, getProfileUrl } from '../utils/formatters';
+import { getSymbols } from '../config/symbols';
 
 // eslint-disable-next-line no-unused-vars
 const WhaleActivityFeed = ({ consensus, positionChanges, whaleTrades }) => {
-    // Only show BTC, ETH, SOL
-    const targetCoins = ['BTC', 'ETH', 'SOL'];
+    // Only show tracked symbols
+    const targetCoins = getSymbols();
 
     // Calculate whale signals from consensus data - only for target coins
     const whaleSignals = targetCoins.map(coin => {
@@ -36,7 +37,7 @@ const WhaleActivityFeed = ({ consensus, positionChanges, whaleTrades }) => {
     return (
         <div className="bg-white dark:bg-slate-900/80 rounded-xl border border-neutral-200 dark:border-slate-800 p-4">
             <SectionBiasHeader
-                title="WHALE POSITIONS (BTC/ETH/SOL)"
+                title={`WHALE POSITIONS (${targetCoins.join('/')})`}
                 icon="🐋"
                 updateInterval="30s"
             />
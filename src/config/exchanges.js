@@ -1,3 +1,5 @@
+import { getSymbolMap } from './symbols';
+
 // API endpoints
 export const LEADERBOARD_API = 'https://stats-data.hyperliquid.xyz/Mainnet/leaderboard';
 export const HYPERLIQUID_API = 'https://api.hyperliquid.xyz/info';
@@ -15,7 +17,7 @@ export const EXCHANGES = {
         profileUrl: (addr) => `https://app.coinmarketman.com/hypertracker/wallet/${addr}`,
         features: ['market', 'orderbook', 'funding', 'leaderboard', 'whales', 'cvd'],
         apiBase: HYPERLIQUID_API,
-        coins: ['BTC', 'ETH', 'SOL']
+        get coins() { return Object.keys(getSymbolMap('hyperliquid')); }
     },
     binance: {
         id: 'binance',
@@ -28,7 +30,7 @@ export const EXCHANGES = {
         profileUrl: (addr) => `https://www.binance.com/en/futures-activity/leaderboard/user?encryptedUid=${addr}`,
         features: ['market', 'orderbook', 'funding', 'cvd'],
         apiBase: 'https://fapi.binance.com',
-        coins: ['BTC', 'ETH', 'SOL'],
+        get coins() { return Object.keys(getSymbolMap('binance')); },
         hasLeaderboard: false
     },
     bybit: {
@@ -42,7 +44,7 @@ export const EXCHANGES = {
         profileUrl: (addr) => `https://www.bybit.com/user/public-profile?uid=${addr}`,
         features: ['market', 'orderbook', 'funding', 'cvd'],
         apiBase: 'https://api.bybit.com',
-        coins: ['BTC', 'ETH', 'SOL'],
+        get coins() { return Object.keys(getSymbolMap('bybit')); },
         hasLeaderboard: false
     },
     nado: {
@@ -56,7 +58,7 @@ export const EXCHANGES = {
         profileUrl: (addr) => `https://app.nado.xyz`,
         features: ['market', 'orderbook', 'funding'],
         apiBase: 'https://archive.prod.nado.xyz/v1',
-        coins: ['BTC', 'ETH', 'SOL'],
+        get coins() { return Object.keys(getSymbolMap('nado')); },
         hasLeaderboard: false
     },
     asterdex: {
@@ -70,7 +72,7 @@ export const EXCHANGES = {
         profileUrl: (addr) => `https://www.asterdex.com`,
         features: ['market', 'orderbook', 'funding'],
         apiBase: 'https://fapi.asterdex.com',
-        coins: ['BTC', 'ETH', 'SOL'],
+        get coins() { return Object.keys(getSymbolMap('asterdex')); },
         hasLeaderboard: false
     },
     lighter: {
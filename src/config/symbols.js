@@ -0,0 +1,63 @@
+// ============== SYMBOL REGISTRY ==============
+// Client mirror of the backend registry (server/symbols.json, GET /api/symbols).
+// main.jsx loads it before the first render; the defaults below keep the
+// dashboard working when the backend is disabled or unreachable.
+
+export const DEFAULT_SYMBOLS = [
+    {
+        symbol: 'BTC',
+        name: 'Bitcoin',
+        perp: { hyperliquid: 'BTC', binance: 'BTCUSDT', bybit: 'BTCUSDT', nado: 2, asterdex: 'BTCUSDT' },
+        spot: { binance: 'btcusdt', bybit: 'BTCUSDT', coinbase: 'BTC-USD' }
+    },
+    {
+        symbol: 'ETH',
+        name: 'Ethereum',
+        perp: { hyperliquid: 'ETH', binance: 'ETHUSDT', bybit: 'ETHUSDT', nado: 4, asterdex: 'ETHUSDT' },
+        spot: { binance: 'ethusdt', bybit: 'ETHUSDT', coinbase: 'ETH-USD' }
+    },
+    {
+        symbol: 'SOL',
+        name: 'Solana',
+        perp: { hyperliquid: 'SOL', binance: 'SOLUSDT', bybit: 'SOLUSDT', nado: 8, asterdex: 'SOLUSDT' },
+        spot: { binance: 'solusdt', bybit: 'SOLUSDT', coinbase: 'SOL-USD' }
+    }
+];
+
+let registry = DEFAULT_SYMBOLS;
+
+// Replace the registry with the backend's list (ignored if empty/invalid)
+export const setSymbolRegistry = (symbols) => {
+    if (Array.isArray(symbols) && symbols.length > 0) {
+        registry = symbols;
+    }
+};
+
+// All tracked coins, e.g. ['BTC', 'ETH', 'SOL']
+export const getSymbols = () => registry.map(s => s.symbol);
+
+export const getSymbolConfig = (coin) => registry.find(s => s.symbol === coin) || null;
+
+// Exchange ticker for a coin, null if the venue does not list it
+export const getExchangeSymbol = (coin, exchange, market = 'perp') =>
+    getSymbolConfig(coin)?.[market]?.[exchange] ?? null;
+
+// { BTC: 'BTCUSDT', ... } for coins listed on an exchange
+export const getSymbolMap = (exchange, market = 'perp') => {
+    const map = {};
+    registry.forEach(s => {
+        const ticker = s[market]?.[exchange];
+        if (ticker !== null && ticker !== undefined) map[s.symbol] = ticker;
+    });
+    return map;
+};
+
+// Build { [coin]: factory(coin) } for every tracked coin
+export const createCoinMap = (factory) => {
+    const map = {};
+    getSymbols().forEach(coin => { map[coin] = factory(coin); });
+    return map;
+};
+
+// Route for a coin's dashboard: first symbol lives at '/', others at '/<coin>'
+export const getCoinPath = (coin) => (coin === getSymbols()[0] ? '/' : `/${coin.toLowerCase()}`);
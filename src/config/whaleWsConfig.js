@@ -1,6 +1,12 @@
 // ============== MEGA WHALE TRADE WEBSOCKET CONFIG ==============
 export const WHALE_THRESHOLD = 10_000_000; // $10M minimum trade size
 
+// Display threshold multiplier per symbol - thinner books move on smaller prints
+// (same ratios as the backend store thresholds: BTC $500K, ETH $250K, SOL $100K)
+export const WHALE_SYMBOL_SCALE = { BTC: 1, ETH: 0.5, SOL: 0.2 };
+
+export const getSymbolThreshold = (threshold, symbol) => threshold * (WHALE_SYMBOL_SCALE[symbol] ?? 1);
+
 export const WHALE_WS_CONFIG = {
     // Binance Spot - BTC, ETH, SOL
     binanceSpot: {
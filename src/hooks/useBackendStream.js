@@ -0,0 +1,76 @@
+import { useState, useEffect, useRef } from 'react';
+import { getStreamUrl } from '../services/backendApi';
+
+const STREAM_EVENTS = ['hello', 'snapshot', 'whaleTrade', 'liquidation', 'positionChange', 'whalePattern', 'projection'];
+
+// One EventSource shared by every component using the hook
+let source = null;
+let streamConnected = false;
+const subscribers = new Set();
+
+const setStreamConnected = (value) => {
+    streamConnected = value;
+    subscribers.forEach(sub => sub.setConnected(value));
+};
+
+const openStream = () => {
+    const url = getStreamUrl();
+    if (!url || typeof EventSource === 'undefined') return;
+
+    source = new EventSource(url);
+
+    STREAM_EVENTS.forEach(event => {
+        source.addEventListener(event, (e) => {
+            let data;
+            try {
+                data = JSON.parse(e.data);
+            } catch {
+                return;
+            }
+            if (event === 'hello') setStreamConnected(true);
+            subscribers.forEach(sub => sub.handlersRef.current[event]?.(data));
+        });
+    });
+
+    // EventSource reconnects by itself; consumers fall back to polling meanwhile
+    source.onerror = () => {
+        if (streamConnected) console.warn('[Stream] Disconnected, retrying...');
+        setStreamConnected(false);
+    };
+};
+
+const closeStream = () => {
+    if (source) {
+        source.close();
+        source = null;
+    }
+    streamConnected = false;
+};
+
+/**
+ * Subscribe to the backend push channel (GET /api/stream)
+ * handlers: { hello, snapshot, whaleTrade, liquidation, positionChange, whalePattern, projection } - each gets the parsed event data
+ * Returns { connected } - true once the server greeted us; false while (re)connecting,
+ * so callers keep their polling loops as a fallback
+ */
+export const useBackendStream = (handlers = {}) => {
+    const [connected, setConnected] = useState(streamConnected);
+    const handlersRef = useRef(handlers);
+
+    useEffect(() => {
+        handlersRef.current = handlers;
+    });
+
+    useEffect(() => {
+        const subscriber = { handlersRef, setConnected };
+        subscribers.add(subscriber);
+        if (!source) openStream();
+
+        return () => {
+            subscribers.delete(subscriber);
+            if (subscribers.size === 0) closeStream();
+        };
+    }, []);
+
+    return { connected };
+};
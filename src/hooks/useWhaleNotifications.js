@@ -1,6 +1,6 @@
 import { useState, useCallback, useRef } from 'react';
 import { formatUSD } from '../utils/formatters';
-import { WHALE_WS_CONFIG } from '../config/whaleWsConfig';
+import { WHALE_WS_CONFIG, getSymbolThreshold } from '../config/whaleWsConfig';
 
 /**
  * Hook to manage browser notifications for whale trades
@@ -67,7 +67,7 @@ export const useWhaleNotifications = (threshold = 10_000_000) => {
         }
 
         // Skip if trade is below threshold
-        if (trade.notional < threshold) {
+        if (trade.notional < getSymbolThreshold(threshold, trade.symbol)) {
             return;
         }
 
@@ -112,7 +112,7 @@ export const useWhaleNotifications = (threshold = 10_000_000) => {
         if (!enabled || permission !== 'granted') return;
 
         // Only notify for trades above threshold
-        const eligibleTrades = trades.filter(t => t.notional >= threshold);
+        const eligibleTrades = trades.filter(t => t.notional >= getSymbolThreshold(threshold, t.symbol));
 
         // Only notify for the most recent 3 trades to avoid spam
         eligibleTrades.slice(0, 3).forEach(trade => {
@@ -1,33 +1,52 @@
 import { useState, useEffect, useCallback } from 'react';
+import { useBackendStream } from './useBackendStream';
 
 const API_Base = import.meta.env.VITE_BACKEND_API_URL || 'http://localhost:3001';
 
-// Custom hook for fetching whale trades from backend
+// Custom hook for whale trades and TWAP / iceberg patterns from backend
+// Pushed over /api/stream when connected, polled as a fallback
 export const useWhaleWebSockets = () => {
     const [trades, setTrades] = useState([]);
+    const [patterns, setPatterns] = useState([]);
     const [connectionStatus, setConnectionStatus] = useState({ backend: 'connecting' });
     const [isConnected, setIsConnected] = useState(false);
 
-    const SUPPORTED_EXCHANGES = ['binanceSpot', 'binanceFutures', 'bybitLinear', 'okxSwap', 'hyperliquid', 'coinbase', 'kraken'];
+    const SUPPORTED_EXCHANGES = ['binanceSpot', 'binanceFutures', 'bybitLinear', 'bybitSpot', 'okxSpot', 'okxSwap', 'hyperliquid', 'coinbase', 'kraken'];
 
-    const fetchTrades = useCallback(async () => {
-        try {
-            const response = await fetch(`${API_Base}/api/whale-trades?limit=100`);
-            if (!response.ok) throw new Error('API error');
+    const mergeTrades = useCallback((newTrades) => {
+        setTrades(prev => {
+            // Merge and dedupe
+            const existingIds = new Set(prev.map(t => `${t.exchange}-${t.tradeId}`));
+            const uniqueNewTrades = newTrades.filter(t => !existingIds.has(`${t.exchange}-${t.tradeId}`));
 
-            const newTrades = await response.json();
+            if (uniqueNewTrades.length === 0) return prev;
 
-            setTrades(prev => {
-                // Merge and dedupe
-                const existingIds = new Set(prev.map(t => `${t.exchange}-${t.tradeId}`));
-                const uniqueNewTrades = newTrades.filter(t => !existingIds.has(`${t.exchange}-${t.tradeId}`));
+            return [...uniqueNewTrades, ...prev]
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .slice(0, 100);
+        });
+    }, []);
+
+    // Patterns are updated in place while an episode grows - replace by id
+    const mergePattern = useCallback((pattern) => {
+        setPatterns(prev => [pattern, ...prev.filter(p => p.id !== pattern.id)]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, 50));
+    }, []);
 
-                if (uniqueNewTrades.length === 0) return prev;
+    const fetchTrades = useCallback(async () => {
+        try {
+            const [response, patternResponse] = await Promise.all([
+                fetch(`${API_Base}/api/whale-trades?limit=100`),
+                fetch(`${API_Base}/api/whale-patterns?limit=50`)
+            ]);
+            if (!response.ok) throw new Error('API error');
 
-                return [...uniqueNewTrades, ...prev]
-                    .sort((a, b) => b.timestamp - a.timestamp)
-                    .slice(0, 100);
-            });
+            mergeTrades(await response.json());
+            if (patternResponse.ok) {
+                const { patterns: latest } = await patternResponse.json();
+                setPatterns(latest || []);
+            }
 
             const statusObj = SUPPORTED_EXCHANGES.reduce((acc, ex) => ({ ...acc, [ex]: 'connected' }), {});
             setConnectionStatus(statusObj);
@@ -37,17 +56,25 @@ export const useWhaleWebSockets = () => {
             setConnectionStatus({ backend: 'error' });
             setIsConnected(false);
         }
-    }, []);
+    }, [mergeTrades]);
+
+    const { connected: streamConnected } = useBackendStream({
+        whaleTrade: (trade) => mergeTrades([trade]),
+        whalePattern: mergePattern
+    });
 
     useEffect(() => {
-        // Initial fetch
+        // Initial fetch (and catch-up after a stream reconnect)
         fetchTrades();
 
+        // Trades arrive over the stream - no polling needed
+        if (streamConnected) return;
+
         // Poll every 2 seconds for fresh trades (whale trades are fast)
         const interval = setInterval(fetchTrades, 2000);
 
         return () => clearInterval(interval);
-    }, [fetchTrades]);
+    }, [fetchTrades, streamConnected]);
 
-    return { trades, connectionStatus, isConnected };
+    return { trades, patterns, connectionStatus, isConnected };
 };
@@ -3,15 +3,21 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
 import BacktestPage from './pages/BacktestPage.jsx'
+import { getSymbols, setSymbolRegistry, getCoinPath } from './config/symbols'
+import { getSymbolRegistry } from './services/backendApi'
 
-createRoot(document.getElementById('root')).render(
-  <BrowserRouter>
-    <Routes>
-      <Route path="/" element={<App focusCoin="BTC" />} />
-      <Route path="/eth" element={<App focusCoin="ETH" />} />
-      <Route path="/sol" element={<App focusCoin="SOL" />} />
-      <Route path="/backtest" element={<BacktestPage />} />
-    </Routes>
-  </BrowserRouter>
-)
-
+// Load the symbol registry before rendering so per-coin routes match the backend
+getSymbolRegistry()
+  .then(setSymbolRegistry)
+  .finally(() => {
+    createRoot(document.getElementById('root')).render(
+      <BrowserRouter>
+        <Routes>
+          {getSymbols().map(coin => (
+            <Route key={coin} path={getCoinPath(coin)} element={<App focusCoin={coin} />} />
+          ))}
+          <Route path="/backtest" element={<BacktestPage />} />
+        </Routes>
+      </BrowserRouter>
+    )
+  })
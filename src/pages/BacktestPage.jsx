@@ -1,11 +1,27 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import {
   getBacktestStats,
+  getBacktestCalibration,
   getBacktestPredictions,
   getBacktestEquityCurve,
   getBacktestStreaks
 } from '../services/backendApi.js';
 
+// ============== HELPERS ==============
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+const formatPercent = (value) => {
+  if (value === null || value === undefined) return '-';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+};
+
+const formatRate = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
 // ============== MAIN PAGE ==============
 
 const getDefaultFilters = () => {
@@ -18,25 +34,39 @@ const getDefaultFilters = () => {
   };
 };
 
+// Equity curve trade settings (server defaults)
+const DEFAULT_TRADE_OPTIONS = {
+  sizing: 'fixed',
+  leverage: 1,
+  feeBps: 5,
+  slippageBps: 2,
+  stopAtInvalidation: true,
+  stopLoss: '',
+  takeProfit: '',
+  funding: true
+};
+
 const BacktestPage = () => {
   const [filters, setFilters] = useState(getDefaultFilters);
+  const [tradeOptions, setTradeOptions] = useState(DEFAULT_TRADE_OPTIONS);
   const [stats, setStats] = useState(null);
+  const [calibration, setCalibration] = useState(null);
   const [predictions, setPredictions] = useState([]);
-  const [equityCurve, setEquityCurve] = useState([]);
+  const [equity, setEquity] = useState(null);
   const [streaks, setStreaks] = useState(null);
   const [loading, setLoading] = useState(true);
 
   const fetchData = useCallback(async () => {
     setLoading(true);
-    const [statsData, predsData, curveData, streaksData] = await Promise.all([
+    const [statsData, calibrationData, predsData, streaksData] = await Promise.all([
       getBacktestStats(filters),
+      getBacktestCalibration(filters),
       getBacktestPredictions({ ...filters, limit: 100 }),
-      getBacktestEquityCurve(filters),
       getBacktestStreaks(filters)
     ]);
     setStats(statsData);
+    setCalibration(calibrationData);
     setPredictions(predsData?.predictions || []);
-    setEquityCurve(curveData?.curve || []);
     setStreaks(streaksData);
     setLoading(false);
   }, [filters]);
@@ -46,6 +76,20 @@ const BacktestPage = () => {
     fetchData();
   }, [fetchData]);
 
+  // Equity curve refetches on its own when the trade settings change
+  useEffect(() => {
+    let cancelled = false;
+    const fetchEquity = async () => {
+      const data = await getBacktestEquityCurve({ ...filters, ...tradeOptions });
+      if (!cancelled) setEquity(data);
+    };
+
+    fetchEquity();
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, tradeOptions]);
+
   return (
     <div className="min-h-screen bg-slate-950 text-white p-6">
       <div className="max-w-7xl mx-auto">
@@ -61,7 +105,13 @@ const BacktestPage = () => {
         ) : (
           <div className="space-y-6">
             <WinRateDashboard stats={stats} streaks={streaks} />
-            <EquityCurveChart curve={equityCurve} />
+            <CalibrationPanel calibration={calibration} />
+            <EquityCurveChart
+              curve={equity?.curve || []}
+              summary={equity?.summary}
+              tradeOptions={tradeOptions}
+              setTradeOptions={setTradeOptions}
+            />
             <PredictionTable predictions={predictions} />
           </div>
         )}
@@ -187,6 +237,43 @@ const WinRateDashboard = ({ stats, streaks }) => {
         </div>
       </div>
 
+      {/* Price path between creation and horizon */}
+      {stats.path?.total > 0 && (
+        <div className="col-span-full">
+          <h3 className="text-lg font-semibold mb-3">Price Path</h3>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <StatCard
+              title="Avg MFE"
+              value={stats.path.avgMfe !== null ? `+${stats.path.avgMfe}%` : '-'}
+              subtitle="Best move in the predicted direction"
+              color="green"
+            />
+            <StatCard
+              title="Avg MAE"
+              value={stats.path.avgMae !== null ? `${stats.path.avgMae}%` : '-'}
+              subtitle="Worst move against the prediction"
+              color="red"
+            />
+            <StatCard
+              title="Target Hit"
+              value={stats.path.targetHitRate !== null ? `${stats.path.targetHitRate}%` : '-'}
+              subtitle={`Median time ${formatDuration(stats.path.medianTimeToTargetMs)}`}
+            />
+            <StatCard
+              title="Invalidation Hit"
+              value={stats.path.invalidationHitRate !== null ? `${stats.path.invalidationHitRate}%` : '-'}
+              subtitle={`Before target: ${stats.path.invalidatedFirstRate !== null ? `${stats.path.invalidatedFirstRate}%` : '-'}`}
+              color="purple"
+            />
+            <StatCard
+              title="Path Coverage"
+              value={stats.path.total}
+              subtitle={`${stats.path.backfilled} backfilled from klines`}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Breakdown by market regime */}
       <div className="col-span-full">
         <h3 className="text-lg font-semibold mb-3">By Market Regime</h3>
@@ -222,13 +309,219 @@ const StatCard = ({ title, value, subtitle, color = 'blue' }) => {
   );
 };
 
+// ============== CALIBRATION ==============
+
+const CalibrationPanel = ({ calibration }) => {
+  if (!calibration || calibration.total === 0) {
+    return (
+      <div className="bg-slate-900 rounded-lg p-6 border border-slate-700">
+        <h3 className="text-lg font-semibold mb-4">Calibration</h3>
+        <p className="text-slate-400">No evaluated predictions to calibrate</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <ReliabilityChart reliability={calibration.reliability} brier={calibration.brier} />
+      <div className="space-y-6">
+        <ConfidenceCalibration byConfidence={calibration.byConfidence} spread={calibration.confidenceSpread} />
+        <ConfusionMatrix confusion={calibration.confusion} />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Forecast ((1 + |score|) / 2) vs realized hit rate per score bucket;
+ * points on the diagonal are perfectly calibrated, point size is the sample count
+ */
+const ReliabilityChart = ({ reliability, brier }) => {
+  const width = 400;
+  const height = 300;
+  const padding = 40;
+  const x = (forecast) => padding + ((forecast - 0.5) / 0.5) * (width - 2 * padding);
+  const y = (rate) => height - padding - rate * (height - 2 * padding);
+
+  const filled = reliability.filter(b => b.count > 0);
+  const maxCount = Math.max(1, ...filled.map(b => b.count));
+  const skillColor = brier.skill === null ? 'text-slate-400' : brier.skill > 0 ? 'text-green-400' : 'text-red-400';
+
+  return (
+    <div className="bg-slate-900 rounded-lg p-6 border border-slate-700">
+      <h3 className="text-lg font-semibold mb-4">Reliability Curve</h3>
+      <svg width={width} height={height} className="w-full h-auto" viewBox={`0 0 ${width} ${height}`}>
+        {[0, 0.25, 0.5, 0.75, 1].map(rate => (
+          <g key={rate}>
+            <line x1={padding} y1={y(rate)} x2={width - padding} y2={y(rate)} stroke="#334155" strokeWidth="1" />
+            <text x={padding - 6} y={y(rate) + 4} fill="#94a3b8" fontSize="11" textAnchor="end">{rate * 100}%</text>
+          </g>
+        ))}
+        {/* Perfect calibration */}
+        <line x1={x(0.5)} y1={y(0.5)} x2={x(1)} y2={y(1)} stroke="#64748b" strokeWidth="1" strokeDasharray="4 4" />
+        {filled.length > 1 && (
+          <polyline
+            points={filled.map(b => `${x(b.forecast)},${y(b.hitRate)}`).join(' ')}
+            fill="none"
+            stroke="#3b82f6"
+            strokeWidth="2"
+          />
+        )}
+        {filled.map(b => (
+          <circle key={b.min} cx={x(b.forecast)} cy={y(b.hitRate)} r={3 + 5 * Math.sqrt(b.count / maxCount)} fill="#3b82f6">
+            <title>{`|score| ${b.min}-${b.max}: forecast ${formatRate(b.forecast)}, hit ${formatRate(b.hitRate)} (${b.count})`}</title>
+          </circle>
+        ))}
+        <text x={x(0.5)} y={height - 15} fill="#94a3b8" fontSize="11">50%</text>
+        <text x={x(1)} y={height - 15} fill="#94a3b8" fontSize="11" textAnchor="end">100%</text>
+        <text x={width / 2} y={height - 5} fill="#94a3b8" fontSize="11" textAnchor="middle">Forecast from |score|</text>
+      </svg>
+      <div className="grid grid-cols-3 gap-4 mt-4 text-sm">
+        <div>
+          <div className="text-slate-400">Brier</div>
+          <div className="font-bold">{brier.score !== null ? brier.score.toFixed(3) : '-'}</div>
+        </div>
+        <div>
+          <div className="text-slate-400">Reference</div>
+          <div className="font-bold">{brier.reference !== null ? brier.reference.toFixed(3) : '-'}</div>
+          <div className="text-xs text-slate-500">Base rate {formatRate(brier.baseRate)}</div>
+        </div>
+        <div>
+          <div className="text-slate-400">Skill</div>
+          <div className={`font-bold ${skillColor}`}>{brier.skill !== null ? brier.skill.toFixed(3) : '-'}</div>
+          <div className="text-xs text-slate-500">&gt; 0 beats the base rate</div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ConfidenceCalibration = ({ byConfidence, spread }) => (
+  <div className="bg-slate-900 rounded-lg p-6 border border-slate-700">
+    <h3 className="text-lg font-semibold mb-4">Confidence vs Hit Rate</h3>
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="border-b border-slate-700 text-left">
+          <th className="py-2 text-slate-400">Confidence</th>
+          <th className="py-2 text-slate-400 text-right">Predictions</th>
+          <th className="py-2 text-slate-400 text-right">Avg |score|</th>
+          <th className="py-2 text-slate-400 text-right">Hit Rate</th>
+        </tr>
+      </thead>
+      <tbody>
+        {['HIGH', 'MEDIUM', 'LOW'].map(level => (
+          <tr key={level} className="border-b border-slate-800">
+            <td className="py-2 text-white">{level}</td>
+            <td className="py-2 text-right text-slate-300">{byConfidence[level].count}</td>
+            <td className="py-2 text-right text-slate-300">{byConfidence[level].avgScore !== null ? byConfidence[level].avgScore.toFixed(2) : '-'}</td>
+            <td className="py-2 text-right font-medium">{formatRate(byConfidence[level].hitRate)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <p className="text-xs text-slate-400 mt-3">
+      {spread
+        ? `HIGH vs LOW: ${spread.difference >= 0 ? '+' : ''}${(spread.difference * 100).toFixed(1)} pts (z = ${spread.zScore}) - ${spread.significant ? 'significant at 95%' : 'not distinguishable from noise yet'}`
+        : 'Needs both HIGH and LOW confidence predictions to compare'}
+    </p>
+  </div>
+);
+
+const ConfusionMatrix = ({ confusion }) => {
+  const { classes, matrix, perClass } = confusion;
+
+  return (
+    <div className="bg-slate-900 rounded-lg p-6 border border-slate-700">
+      <h3 className="text-lg font-semibold mb-4">Confusion Matrix</h3>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-slate-700">
+            <th className="py-2 text-left text-slate-400">Predicted \ Actual</th>
+            {classes.map(cls => <th key={cls} className="py-2 text-right text-slate-400">{cls}</th>)}
+            <th className="py-2 text-right text-slate-400">Precision</th>
+          </tr>
+        </thead>
+        <tbody>
+          {classes.map(predicted => (
+            <tr key={predicted} className="border-b border-slate-800">
+              <td className="py-2 text-white">{predicted}</td>
+              {classes.map(actual => (
+                <td key={actual} className={`py-2 text-right ${predicted === actual ? 'text-green-400 font-medium' : 'text-slate-300'}`}>
+                  {matrix[predicted][actual]}
+                </td>
+              ))}
+              <td className="py-2 text-right text-slate-300">{formatRate(perClass[predicted].precision)}</td>
+            </tr>
+          ))}
+          <tr>
+            <td className="py-2 text-slate-400">Recall</td>
+            {classes.map(cls => <td key={cls} className="py-2 text-right text-slate-300">{formatRate(perClass[cls].recall)}</td>)}
+            <td />
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
 // ============== EQUITY CURVE CHART ==============
 
-const EquityCurveChart = ({ curve }) => {
+const TradeSettings = ({ tradeOptions, setTradeOptions }) => {
+  const handleChange = (key, value) => {
+    setTradeOptions(prev => ({ ...prev, [key]: value }));
+  };
+  const inputClass = 'bg-slate-800 border border-slate-600 rounded px-2 py-1 text-white text-sm';
+
+  return (
+    <div className="flex flex-wrap gap-3 items-end mb-4 text-sm">
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Sizing</label>
+        <select value={tradeOptions.sizing} onChange={(e) => handleChange('sizing', e.target.value)} className={inputClass}>
+          <option value="fixed">Fixed</option>
+          <option value="confidence">Confidence-scaled</option>
+          <option value="kelly">Half Kelly</option>
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Leverage</label>
+        <select value={tradeOptions.leverage} onChange={(e) => handleChange('leverage', Number(e.target.value))} className={inputClass}>
+          {[1, 2, 3, 5, 10].map(lev => <option key={lev} value={lev}>{lev}x</option>)}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Fee (bps/side)</label>
+        <input type="number" min="0" step="0.5" value={tradeOptions.feeBps} onChange={(e) => handleChange('feeBps', e.target.value)} className={`${inputClass} w-20`} />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Slippage (bps/side)</label>
+        <input type="number" min="0" step="0.5" value={tradeOptions.slippageBps} onChange={(e) => handleChange('slippageBps', e.target.value)} className={`${inputClass} w-20`} />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Stop loss %</label>
+        <input type="number" min="0" step="0.1" placeholder="off" value={tradeOptions.stopLoss} onChange={(e) => handleChange('stopLoss', e.target.value)} className={`${inputClass} w-20`} />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Take profit %</label>
+        <input type="number" min="0" step="0.1" placeholder="off" value={tradeOptions.takeProfit} onChange={(e) => handleChange('takeProfit', e.target.value)} className={`${inputClass} w-20`} />
+      </div>
+      <label className="flex items-center gap-1 text-slate-300">
+        <input type="checkbox" checked={tradeOptions.stopAtInvalidation} onChange={(e) => handleChange('stopAtInvalidation', e.target.checked)} />
+        Stop at invalidation
+      </label>
+      <label className="flex items-center gap-1 text-slate-300">
+        <input type="checkbox" checked={tradeOptions.funding} onChange={(e) => handleChange('funding', e.target.checked)} />
+        Funding carry
+      </label>
+    </div>
+  );
+};
+
+const EquityCurveChart = ({ curve, summary, tradeOptions, setTradeOptions }) => {
   if (!curve || curve.length < 2) {
     return (
       <div className="bg-slate-900 rounded-lg p-6 border border-slate-700">
         <h3 className="text-lg font-semibold mb-4">Equity Curve</h3>
+        <TradeSettings tradeOptions={tradeOptions} setTradeOptions={setTradeOptions} />
         <p className="text-slate-400">Not enough data for equity curve</p>
       </div>
     );
@@ -261,6 +554,20 @@ const EquityCurveChart = ({ curve }) => {
           {totalReturn >= 0 ? '+' : ''}{totalReturn.toFixed(2)}%
         </div>
       </div>
+      <TradeSettings tradeOptions={tradeOptions} setTradeOptions={setTradeOptions} />
+      {summary && (
+        <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs text-slate-400 mb-3">
+          <span>{summary.trades} trades · {summary.profitableRate}% profitable</span>
+          {summary.skipped > 0 && <span>{summary.skipped} skipped (exposure cap)</span>}
+          <span>Max drawdown <span className="text-red-400">-{summary.maxDrawdownPercent}%</span></span>
+          <span>Profit factor {summary.profitFactor ?? '-'}</span>
+          <span>Fees + slippage ${summary.costsPaid.toLocaleString('en-US')}</span>
+          <span>Funding {summary.fundingPaid >= 0 ? 'paid' : 'received'} ${Math.abs(summary.fundingPaid).toLocaleString('en-US')}</span>
+          <span>
+            Exits: {Object.entries(summary.exits).map(([exit, count]) => `${count} ${exit}`).join(', ')}
+          </span>
+        </div>
+      )}
       <svg width={width} height={height} className="w-full h-auto" viewBox={`0 0 ${width} ${height}`}>
         {/* Grid lines */}
         {[0, 0.25, 0.5, 0.75, 1].map(i => (
@@ -367,6 +674,9 @@ const PredictionTable = ({ predictions }) => {
               <th className="py-2 px-3 text-slate-400">Regime</th>
               <th className="py-2 px-3 text-slate-400">Signals</th>
               <th className="py-2 px-3 text-slate-400">Price Change</th>
+              <th className="py-2 px-3 text-slate-400">MFE / MAE</th>
+              <th className="py-2 px-3 text-slate-400">Target</th>
+              <th className="py-2 px-3 text-slate-400">Invalidation</th>
               <th className="py-2 px-3 text-slate-400">Outcome</th>
             </tr>
           </thead>
@@ -418,6 +728,35 @@ const PredictionTable = ({ predictions }) => {
                     <span className="text-slate-500">-</span>
                   )}
                 </td>
+                <td className="py-2 px-3 whitespace-nowrap" title={pred.pathSource ? `Path from ${pred.pathSource} (${pred.pathPoints} points)` : undefined}>
+                  {pred.pathSource ? (
+                    <>
+                      <span className="text-green-400">{formatPercent(pred.mfePercent)}</span>
+                      <span className="text-slate-500"> / </span>
+                      <span className="text-red-400">{formatPercent(pred.maePercent)}</span>
+                    </>
+                  ) : (
+                    <span className="text-slate-500">-</span>
+                  )}
+                </td>
+                <td className="py-2 px-3 text-slate-300">
+                  {pred.pathSource && pred.predictedDirection !== 'NEUTRAL'
+                    ? (pred.targetHit ? formatDuration(pred.timeToTargetMs) : 'missed')
+                    : <span className="text-slate-500">-</span>}
+                </td>
+                <td className="py-2 px-3">
+                  {pred.pathSource && pred.invalidation ? (
+                    pred.invalidationHit ? (
+                      <span className={pred.invalidatedFirst ? 'text-red-400' : 'text-amber-400'} title={`Touched after ${formatDuration(pred.timeToInvalidationMs)}`}>
+                        {pred.invalidatedFirst ? 'hit first' : 'hit after target'}
+                      </span>
+                    ) : (
+                      <span className="text-slate-300">held</span>
+                    )
+                  ) : (
+                    <span className="text-slate-500">-</span>
+                  )}
+                </td>
                 <td className="py-2 px-3">
                   {pred.evaluated ? (
                     <span className={`px-2 py-1 rounded text-xs font-medium ${
@@ -7,6 +7,7 @@
 
 const BACKEND_URL = import.meta.env.VITE_BACKEND_API_URL || 'http://localhost:3001';
 const USE_BACKEND = import.meta.env.VITE_USE_BACKEND === 'true';
+const ADMIN_TOKEN_KEY = 'traderBias_adminToken';
 
 /**
  * Check if backend API is enabled
@@ -279,10 +280,32 @@ export const getBacktestStats = async ({ coin, type, from, to } = {}) => {
   }
 };
 
+/**
+ * Get calibration analytics (reliability curve, Brier score, confusion matrix)
+ */
+export const getBacktestCalibration = async ({ coin, type, from, to } = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (coin) params.append('coin', coin);
+    if (type) params.append('type', type);
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+
+    const response = await fetch(`${BACKEND_URL}/api/backtest/calibration?${params}`);
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    console.error('[BackendAPI] Failed to fetch calibration:', error);
+    return null;
+  }
+};
+
 /**
  * Get equity curve for charting
+ * Trade options (sizing, size, leverage, feeBps, slippageBps, stopAtInvalidation,
+ * stopLoss, takeProfit, funding, kellyFraction) are passed through as query params
  */
-export const getBacktestEquityCurve = async ({ coin, type, from, to, initialCapital } = {}) => {
+export const getBacktestEquityCurve = async ({ coin, type, from, to, initialCapital, ...tradeOptions } = {}) => {
   try {
     const params = new URLSearchParams();
     if (coin) params.append('coin', coin);
@@ -290,6 +313,9 @@ export const getBacktestEquityCurve = async ({ coin, type, from, to, initialCapi
     if (from) params.append('from', from);
     if (to) params.append('to', to);
     if (initialCapital) params.append('initialCapital', initialCapital);
+    Object.entries(tradeOptions).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params.append(key, value);
+    });
 
     const response = await fetch(`${BACKEND_URL}/api/backtest/equity-curve?${params}`);
     if (!response.ok) return { points: 0, curve: [] };
@@ -345,6 +371,300 @@ export const getVwapLevels = async (coin = 'btc') => {
   }
 };
 
+/**
+ * Get tracked symbols from the backend registry
+ * Returns [{ symbol, name, perp, spot }, ...] or null (caller keeps defaults)
+ */
+export const getSymbolRegistry = async () => {
+  if (!USE_BACKEND) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/symbols`, {
+      signal: AbortSignal.timeout(5000) // Don't hold up first render
+    });
+    if (!response.ok) {
+      console.error(`[BackendAPI] Symbols error: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    return data.symbols || null;
+  } catch (error) {
+    console.error('[BackendAPI] Failed to fetch symbols:', error);
+    return null;
+  }
+};
+
+/**
+ * Get persisted market history for a coin, aligned into bars
+ * Returns { coin, exchange, interval, bars: [{ timestamp, price, oi, funding, cvd, imbalance }] } or null
+ */
+export const getMarketHistory = async (coin, { exchange, from, to, interval } = {}) => {
+  if (!USE_BACKEND) {
+    return null;
+  }
+
+  try {
+    const params = new URLSearchParams();
+    if (exchange) params.append('exchange', exchange);
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    if (interval) params.append('interval', interval);
+
+    const response = await fetch(`${BACKEND_URL}/api/history/${coin}?${params}`);
+    if (!response.ok) {
+      console.error(`[BackendAPI] History error for ${coin}: ${response.status}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error(`[BackendAPI] Failed to fetch history for ${coin}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get liquidation candles (long/short per bucket) and cascades in a time range
+ * Returns { coin, interval, from, to, candles, cascades } or null
+ */
+export const getLiquidationHistory = async (coin, { interval, from, to, exchange } = {}) => {
+  if (!USE_BACKEND) {
+    return null;
+  }
+
+  try {
+    const params = new URLSearchParams();
+    if (interval) params.append('interval', interval);
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    if (exchange) params.append('exchange', exchange);
+
+    const response = await fetch(`${BACKEND_URL}/api/liquidations/${coin}/history?${params}`);
+    if (!response.ok) {
+      console.error(`[BackendAPI] Liquidation history error for ${coin}: ${response.status}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error(`[BackendAPI] Failed to fetch liquidation history for ${coin}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get the liquidation cascade log for a coin, newest first
+ * Each cascade: { startedAt, endedAt, type, liquidated, price, pricePath, after: { '1h', '4h' } }
+ */
+export const getLiquidationCascades = async (coin, { limit = 50 } = {}) => {
+  if (!USE_BACKEND) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/liquidations/${coin}/cascades?limit=${limit}`);
+    if (!response.ok) {
+      console.error(`[BackendAPI] Liquidation cascades error for ${coin}: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    return data.cascades || [];
+  } catch (error) {
+    console.error(`[BackendAPI] Failed to fetch liquidation cascades for ${coin}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get orderbook depth bands (0.1/0.5/1/2%), resting walls and wall events for a coin
+ * Returns { aggregate, exchanges, walls, wallEvents, spoofCount, history } or null
+ */
+export const getOrderbookAnalytics = async (coin, { exchange, hours } = {}) => {
+  if (!USE_BACKEND) {
+    return null;
+  }
+
+  try {
+    const params = new URLSearchParams();
+    if (exchange) params.append('exchange', exchange);
+    if (hours) params.append('hours', hours);
+
+    const response = await fetch(`${BACKEND_URL}/api/orderbook/${coin}?${params}`);
+    if (!response.ok) {
+      console.error(`[BackendAPI] Orderbook error for ${coin}: ${response.status}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error(`[BackendAPI] Failed to fetch orderbook for ${coin}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get top trader consensus tracked by the backend (Hyperliquid leaderboard)
+ * Returns { consensus, positions, traders, lastUpdate, status } or null
+ */
+export const getWhaleConsensus = async () => {
+  if (!USE_BACKEND) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/whales/consensus`);
+    if (!response.ok) {
+      console.error(`[BackendAPI] Whale consensus error: ${response.status}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('[BackendAPI] Failed to fetch whale consensus:', error);
+    return null;
+  }
+};
+
+/**
+ * Get top trader position changes (entry/flip/increase/decrease/exit), newest first
+ * Each change gets a `time` Date for the activity feeds
+ */
+export const getWhalePositionChanges = async ({ coin, since, limit = 50 } = {}) => {
+  if (!USE_BACKEND) {
+    return null;
+  }
+
+  try {
+    const params = new URLSearchParams({ limit });
+    if (coin) params.append('coin', coin);
+    if (since) params.append('since', since);
+
+    const response = await fetch(`${BACKEND_URL}/api/whales/changes?${params}`);
+    if (!response.ok) {
+      console.error(`[BackendAPI] Whale changes error: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    return (data.changes || []).map(change => ({ ...change, time: new Date(change.timestamp) }));
+  } catch (error) {
+    console.error('[BackendAPI] Failed to fetch whale changes:', error);
+    return null;
+  }
+};
+
+/**
+ * Get pinned watchlist wallets
+ * Returns [{ address, label, addedAt, snapshots, latest }] or null
+ */
+export const getWatchlist = async () => {
+  if (!USE_BACKEND) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/watchlist`);
+    if (!response.ok) {
+      console.error(`[BackendAPI] Watchlist error: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    return data.wallets || [];
+  } catch (error) {
+    console.error('[BackendAPI] Failed to fetch watchlist:', error);
+    return null;
+  }
+};
+
+/**
+ * Admin token for routes that change backend state (kept in this browser only)
+ */
+export const getAdminToken = () => localStorage.getItem(ADMIN_TOKEN_KEY) || '';
+
+export const setAdminToken = (token) => {
+  if (token) {
+    localStorage.setItem(ADMIN_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(ADMIN_TOKEN_KEY);
+  }
+};
+
+const adminHeaders = () => {
+  const token = getAdminToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Error carrying the HTTP status, so callers can tell a missing admin token (401/503) apart
+const watchlistError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data.message || data.error || `Watchlist error: ${response.status}`);
+  error.status = response.status;
+  return error;
+};
+
+/**
+ * Pin a Hyperliquid address to the backend watchlist (admin token required)
+ * Throws with the server's message when the address is rejected
+ */
+export const addToWatchlist = async (address, label = null) => {
+  const response = await fetch(`${BACKEND_URL}/api/watchlist`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...adminHeaders() },
+    body: JSON.stringify({ address, label })
+  });
+  if (!response.ok) {
+    throw await watchlistError(response);
+  }
+  return response.json();
+};
+
+/**
+ * Unpin an address (drops its history; admin token required)
+ */
+export const removeFromWatchlist = async (address) => {
+  const response = await fetch(`${BACKEND_URL}/api/watchlist/${address}`, {
+    method: 'DELETE',
+    headers: adminHeaders()
+  });
+  if (!response.ok) {
+    throw await watchlistError(response);
+  }
+  return response.json();
+};
+
+/**
+ * Get position / PnL snapshots of a pinned address, oldest first
+ * Returns { address, label, coin, snapshots } or null
+ */
+export const getWalletHistory = async (address, { coin, from, to } = {}) => {
+  if (!USE_BACKEND) {
+    return null;
+  }
+
+  try {
+    const params = new URLSearchParams();
+    if (coin) params.append('coin', coin);
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+
+    const response = await fetch(`${BACKEND_URL}/api/watchlist/${address}/history?${params}`);
+    if (!response.ok) {
+      console.error(`[BackendAPI] Wallet history error for ${address}: ${response.status}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error(`[BackendAPI] Failed to fetch wallet history for ${address}:`, error);
+    return null;
+  }
+};
+
+/**
+ * CSV download URL for a pinned address's history
+ */
+export const getWalletHistoryCsvUrl = (address, coin = null) => {
+  const params = new URLSearchParams({ format: 'csv' });
+  if (coin) params.append('coin', coin);
+  return `${BACKEND_URL}/api/watchlist/${address}/history?${params}`;
+};
+
 /**
  * Get long/short ratio data for BTC
  * Returns Binance all accounts vs top traders positioning with daily extremes
@@ -362,6 +682,16 @@ export const fetchLongShortRatio = async () => {
   }
 };
 
+/**
+ * URL of the backend push channel (Server-Sent Events, see useBackendStream)
+ * Pass exchanges to receive snapshot deltas for those only
+ */
+export const getStreamUrl = (exchanges = []) => {
+  if (!USE_BACKEND) return null;
+  const query = exchanges.length > 0 ? `?exchanges=${exchanges.join(',')}` : '';
+  return `${BACKEND_URL}/api/stream${query}`;
+};
+
 // Backwards compatibility alias
 export const getBTCProjection = () => getCoinProjection('BTC');
 
@@ -380,8 +710,22 @@ export default {
   getExchangeFlow,
   getBacktestPredictions,
   getBacktestStats,
+  getBacktestCalibration,
   getBacktestEquityCurve,
   getBacktestStreaks,
   getVwapLevels,
+  getSymbolRegistry,
+  getMarketHistory,
+  getLiquidationHistory,
+  getLiquidationCascades,
+  getOrderbookAnalytics,
+  getStreamUrl,
+  getWhaleConsensus,
+  getWhalePositionChanges,
+  getWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  getWalletHistory,
+  getWalletHistoryCsvUrl,
   fetchLongShortRatio
 };
@@ -75,6 +75,7 @@ class HistoricalDataService {
         this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
         this.isCollecting = false;
         this.collectionProgress = null;
+        this.csvData = {}; // { BTC: { klines: [...], funding: [...] } }
     }
 
     // Main method to collect historical data
@@ -460,6 +461,116 @@ class HistoricalDataService {
         return mapping[resolution] || '5m';
     }
 
+    // ============== OFFLINE CSV DATA ==============
+
+    // Load kline and/or funding CSV text for a coin (Binance data dump or
+    // timestamp,open,high,low,close,volume / time,rate layouts)
+    loadCsvData(coin, { klines, funding } = {}) {
+        const existing = this.csvData[coin] || { klines: [], funding: [] };
+        this.csvData[coin] = {
+            klines: klines ? this.parseKlineCsv(klines) : existing.klines,
+            funding: funding ? this.parseFundingCsv(funding) : existing.funding
+        };
+        console.log(`📊 Loaded CSV for ${coin}: ${this.csvData[coin].klines.length} klines, ${this.csvData[coin].funding.length} funding rows`);
+        return this.csvData[coin];
+    }
+
+    // Coins with CSV klines loaded
+    getCsvCoins() {
+        return Object.keys(this.csvData).filter(coin => this.csvData[coin].klines.length > 0);
+    }
+
+    clearCsvData() {
+        this.csvData = {};
+    }
+
+    // Split CSV text into rows, dropping a header row if present
+    parseCsvRows(text) {
+        const rows = text.trim().split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim()));
+        const hasHeader = rows.length > 0 && isNaN(parseFloat(rows[0][0]));
+        return {
+            header: hasHeader ? rows[0].map(h => h.toLowerCase()) : null,
+            rows: hasHeader ? rows.slice(1) : rows
+        };
+    }
+
+    // Exchange dumps mix seconds, milliseconds and microseconds
+    normalizeTimestamp(value) {
+        const ts = Number(value);
+        if (ts > 1e14) return Math.floor(ts / 1000);
+        if (ts < 1e11) return ts * 1000;
+        return ts;
+    }
+
+    parseKlineCsv(text) {
+        const { rows } = this.parseCsvRows(text);
+        return rows
+            .filter(row => row.length >= 6)
+            .map(row => ({
+                timestamp: this.normalizeTimestamp(row[0]),
+                open: parseFloat(row[1]),
+                high: parseFloat(row[2]),
+                low: parseFloat(row[3]),
+                close: parseFloat(row[4]),
+                volume: parseFloat(row[5])
+            }))
+            .filter(k => !isNaN(k.timestamp) && !isNaN(k.close))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    parseFundingCsv(text) {
+        const { header, rows } = this.parseCsvRows(text);
+        // Binance: calc_time,funding_interval_hours,last_funding_rate; API export: fundingTime,fundingRate
+        const timeCol = header ? Math.max(0, header.findIndex(h => h.includes('time'))) : 0;
+        const rateCol = header ? header.findIndex(h => h.includes('rate')) : -1;
+
+        return rows
+            .map(row => ({
+                timestamp: this.normalizeTimestamp(row[timeCol]),
+                rate: parseFloat(row[rateCol >= 0 ? rateCol : row.length - 1])
+            }))
+            .filter(f => !isNaN(f.timestamp) && !isNaN(f.rate))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Build backtest time points from loaded CSV data
+    getCsvTimeSeries(startDate, endDate, coins = this.getCsvCoins()) {
+        const points = new Map();
+
+        coins.forEach(coin => {
+            const series = this.csvData[coin];
+            if (!series) return;
+
+            let fundingIndex = -1;
+            series.klines
+                .filter(k => k.timestamp >= startDate && k.timestamp <= endDate)
+                .forEach(kline => {
+                    // Latest funding settled at or before this kline
+                    while (fundingIndex + 1 < series.funding.length &&
+                        series.funding[fundingIndex + 1].timestamp <= kline.timestamp) {
+                        fundingIndex++;
+                    }
+
+                    if (!points.has(kline.timestamp)) {
+                        points.set(kline.timestamp, { timestamp: kline.timestamp, data: {} });
+                    }
+                    points.get(kline.timestamp).data[coin] = {
+                        price: kline.close,
+                        priceChange: ((kline.close - kline.open) / kline.open) * 100,
+                        volume: kline.volume,
+                        high: kline.high,
+                        low: kline.low,
+                        open: kline.open,
+                        close: kline.close,
+                        funding: fundingIndex >= 0 ? series.funding[fundingIndex].rate : null,
+                        source: 'csv'
+                    };
+                });
+        });
+
+        return [...points.values()].sort((a, b) => a.timestamp - b.timestamp);
+    }
+
     // Get collection progress
     getProgress() {
         return this.collectionProgress;
@@ -508,4 +619,10 @@ export const getCollectionProgress = () =>
 export const clearHistoricalDataCache = () =>
     historicalDataService.clearCache();
 
+export const loadCsvData = (coin, files) =>
+    historicalDataService.loadCsvData(coin, files);
+
+export const getCsvTimeSeries = (startDate, endDate, coins) =>
+    historicalDataService.getCsvTimeSeries(startDate, endDate, coins);
+
 export default historicalDataService;
\ No newline at end of file
@@ -2,9 +2,17 @@
 // Historical signal performance analysis for Trader Bias
 
 import { getRegimeAtIndex } from './regimeDetector.js';
+import { getMarketHistory } from '../services/backendApi.js';
 
 // ============== DATA STRUCTURES ==============
 
+// Where runBacktest loads its time series from
+export const DATA_SOURCES = {
+    BACKEND: 'backend', // Persisted DataStore history via /api/history/:coin
+    CSV: 'csv', // Offline kline/funding files loaded through historicalDataService
+    SYNTHETIC: 'synthetic' // Generated noise - for exercising the engine only, not for evaluating signals
+};
+
 // Trade signal structure
 export const createSignal = (timestamp, coin, signal, confidence, components) => ({
     id: `${coin}-${timestamp}-${Math.random().toString(36).substr(2, 9)}`,
@@ -42,7 +50,10 @@ export const createBacktestConfig = (startDate, endDate, initialCapital = 10000)
     minConfidence: 0.3, // Minimum signal confidence to trade
     cooldownPeriod: 60, // 60 minutes between same coin trades
     fees: 0.0005, // 0.05% trading fees
-    slippage: 0.0002 // 0.02% slippage
+    slippage: 0.0002, // 0.02% slippage
+    dataSource: DATA_SOURCES.BACKEND,
+    exchange: 'hyperliquid', // Backend source only
+    interval: '5m' // Backend source only
 });
 
 // Performance metrics
@@ -139,31 +150,24 @@ export const calculatePerformanceMetrics = (trades, config) => {
 
 // ============== HISTORICAL DATA MANAGEMENT ==============
 
-// Load historical data from localStorage or API
-export const loadHistoricalData = async (startDate, endDate, coins = ['BTC', 'ETH', 'SOL']) => {
-    // Try to load from localStorage first
-    const storedData = localStorage.getItem('traderBias_backtestData');
-    if (storedData) {
-        try {
-            const parsed = JSON.parse(storedData);
-            // Check if data covers the requested period
-            if (parsed.data && parsed.data.length > 0) {
-                const oldestTimestamp = Math.min(...parsed.data.map(d => d.timestamp));
-                const newestTimestamp = Math.max(...parsed.data.map(d => d.timestamp));
-
-                if (oldestTimestamp <= startDate && newestTimestamp >= endDate) {
-                    console.log('📊 Loaded historical data from localStorage');
-                    return filterDataByPeriod(parsed.data, startDate, endDate, coins);
-                }
-            }
-        } catch (error) {
-            console.warn('Failed to parse stored historical data:', error);
-        }
+// Load historical data from the configured source
+export const loadHistoricalData = async (startDate, endDate, coins = ['BTC', 'ETH', 'SOL'], options = {}) => {
+    const { dataSource = DATA_SOURCES.BACKEND, exchange = 'hyperliquid', interval = '5m' } = options;
+
+    if (dataSource === DATA_SOURCES.SYNTHETIC) {
+        console.warn('📊 Using SYNTHETIC data - results do not reflect real market behaviour');
+        return generateSyntheticData(startDate, endDate, coins);
     }
 
-    // If no suitable stored data, fetch from API
-    console.log('📊 Fetching historical data from API');
-    return await fetchHistoricalData(startDate, endDate, coins);
+    if (dataSource === DATA_SOURCES.CSV) {
+        console.log('📊 Loading historical data from CSV');
+        // Dynamic import - historicalDataService imports this module
+        const { getCsvTimeSeries } = await import('../services/historicalDataService.js');
+        return filterDataByPeriod(getCsvTimeSeries(startDate, endDate, coins), startDate, endDate, coins);
+    }
+
+    console.log('📊 Fetching historical data from backend');
+    return await fetchBackendHistory(startDate, endDate, coins, exchange, interval);
 };
 
 // Filter data by time period and coins
@@ -175,10 +179,46 @@ const filterDataByPeriod = (data, startDate, endDate, coins) => {
     );
 };
 
-// Fetch historical data from external API
-const fetchHistoricalData = async (startDate, endDate, coins) => {
-    // This would integrate with historical data providers
-    // For now, return mock data structure
+// Merge per-coin /api/history bars into backtest time points
+const fetchBackendHistory = async (startDate, endDate, coins, exchange, interval) => {
+    const points = new Map();
+
+    for (const coin of coins) {
+        const history = await getMarketHistory(coin, { exchange, from: startDate, to: endDate, interval });
+        if (!history) {
+            throw new Error(`Backend history unavailable for ${coin}`);
+        }
+
+        const imbalanceWindow = [];
+        history.bars.forEach((bar, i) => {
+            const prev = history.bars[i - 1];
+            imbalanceWindow.push(bar.imbalance || 0);
+            if (imbalanceWindow.length > 12) imbalanceWindow.shift();
+
+            if (!points.has(bar.timestamp)) {
+                points.set(bar.timestamp, { timestamp: bar.timestamp, data: {} });
+            }
+            points.get(bar.timestamp).data[coin] = {
+                price: bar.price,
+                priceChange: prev?.price ? ((bar.price - prev.price) / prev.price) * 100 : 0,
+                oi: bar.oi,
+                oiChange: prev?.oi && bar.oi ? ((bar.oi - prev.oi) / prev.oi) * 100 : 0,
+                funding: bar.funding,
+                cvd: bar.cvd,
+                orderbook: {
+                    imbalance: bar.imbalance || 0,
+                    avgImbalance: imbalanceWindow.reduce((sum, v) => sum + v, 0) / imbalanceWindow.length
+                },
+                source: exchange
+            };
+        });
+    }
+
+    return [...points.values()].sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Synthetic time series (sine trend + noise) for exercising the engine
+const generateSyntheticData = (startDate, endDate, coins) => {
     const mockData = [];
     const interval = 5 * 60 * 1000; // 5 minutes
     let currentTimestamp = startDate;
@@ -200,7 +240,8 @@ const fetchHistoricalData = async (startDate, endDate, coins) => {
                 orderbook: {
                     imbalance: (Math.random() - 0.5) * 40,
                     avgImbalance: (Math.random() - 0.5) * 30
-                }
+                },
+                source: DATA_SOURCES.SYNTHETIC
             };
         });
 
@@ -208,16 +249,10 @@ const fetchHistoricalData = async (startDate, endDate, coins) => {
         currentTimestamp += interval;
     }
 
-    // Store for future use
-    localStorage.setItem('traderBias_backtestData', JSON.stringify({
-        data: mockData,
-        lastUpdated: Date.now()
-    }));
-
     return mockData;
 };
 
-// Mock data generators (replace with real historical data)
+// Synthetic data generators (DATA_SOURCES.SYNTHETIC only)
 const generateMockPrice = (coin, timestamp) => {
     const basePrices = { BTC: 45000, ETH: 3000, SOL: 100 };
     const base = basePrices[coin] || 100;
@@ -241,11 +276,16 @@ export const runBacktest = async (config, coins = ['BTC', 'ETH', 'SOL']) => {
     console.log('🚀 Starting backtest...', {
         period: `${new Date(config.startDate).toLocaleDateString()} - ${new Date(config.endDate).toLocaleDateString()}`,
         coins,
+        dataSource: config.dataSource,
         initialCapital: config.initialCapital
     });
 
     // Load historical data
-    const historicalData = await loadHistoricalData(config.startDate, config.endDate, coins);
+    const historicalData = await loadHistoricalData(config.startDate, config.endDate, coins, {
+        dataSource: config.dataSource,
+        exchange: config.exchange,
+        interval: config.interval
+    });
 
     if (historicalData.length === 0) {
         throw new Error('No historical data available for the specified period');
@@ -326,6 +366,8 @@ export const runBacktest = async (config, coins = ['BTC', 'ETH', 'SOL']) => {
 
     return {
         config,
+        dataSource: config.dataSource,
+        dataPoints: historicalData.length,
         trades: backtestState.trades,
         signals: backtestState.signals,
         equity: backtestState.equity,
@@ -343,12 +385,21 @@ const generateSignalAtTime = async (coin, timePoint, historicalData, currentInde
     // Get historical context for calculations
     const contextData = getHistoricalContext(historicalData, currentIndex, coin);
 
+    // Changes over the lookback window, in the shape the live calculators read
+    const first = contextData[0] || currentData;
+    const pctChange = (from, to) => (from && to ? ((to - from) / from) * 100 : 0);
+    const cvdDelta = contextData.reduce((sum, d) => sum + (d.cvd || 0), currentData.cvd || 0);
+
     // Calculate bias components using existing logic
     const allData = {
-        priceData: { [coin]: currentData },
-        oiData: { [coin]: currentData },
-        cvdData: { [coin]: currentData },
-        fundingData: { [coin]: currentData },
+        priceData: { [coin]: { current: currentData.price, timeframeChange: pctChange(first.price, currentData.price) } },
+        oiData: currentData.oi !== undefined && currentData.oi !== null
+            ? { [coin]: { current: currentData.oi, timeframeChange: pctChange(first.oi, currentData.oi) } }
+            : {},
+        cvdData: currentData.cvd !== undefined ? { [coin]: { rolling5mDelta: cvdDelta, trend: currentData.cvd } } : {},
+        fundingData: currentData.funding !== null && currentData.funding !== undefined
+            ? { [coin]: { rate: currentData.funding, trend: currentData.funding - (first.funding ?? currentData.funding) } }
+            : {},
         orderbookData: { [coin]: currentData.orderbook },
         consensus: {} // No whale data in backtest yet
     };
@@ -561,6 +612,7 @@ const getConsistency = (metrics) => {
 };
 
 export default {
+    DATA_SOURCES,
     runBacktest,
     createBacktestConfig,
     calculatePerformanceMetrics,
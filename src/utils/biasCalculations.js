@@ -440,6 +440,7 @@ export const calculateFlowConfluence = (coin, oiData, cvdData, priceData) => {
 };
 
 // Calculate Whale Consensus Bias
+// Backend consensus carries smart-money weights (traderScoring); browser-built consensus counts every trader equally
 export const calculateWhaleBias = (coin, consensus) => {
     if (!consensus || !consensus[coin]) return { score: 0, reason: 'No whale data' };
 
@@ -447,7 +448,8 @@ export const calculateWhaleBias = (coin, consensus) => {
     const total = data.longs.length + data.shorts.length;
     if (total < 2) return { score: 0, reason: 'Insufficient data' };
 
-    const longPct = data.longs.length / total;
+    const weighted = data.weighted || null;
+    const longPct = weighted ? weighted.longPct : data.longs.length / total;
     const consistentLongs = data.longs.filter(p => p.isConsistent).length;
     const consistentShorts = data.shorts.filter(p => p.isConsistent).length;
 
@@ -470,8 +472,10 @@ export const calculateWhaleBias = (coin, consensus) => {
         reasons.push('Mixed positioning');
     }
 
-    // Weight consistent winners more
-    if (consistentLongs > consistentShorts) {
+    // Weight consistent winners more (already in the trader scores when weighted)
+    if (weighted) {
+        reasons.push('score-weighted');
+    } else if (consistentLongs > consistentShorts) {
         score += 2;
         reasons.push(`${consistentLongs} consistent winners long`);
     } else if (consistentShorts > consistentLongs) {
@@ -479,7 +483,7 @@ export const calculateWhaleBias = (coin, consensus) => {
         reasons.push(`${consistentShorts} consistent winners short`);
     }
 
-    return { score, reason: reasons.join(' • '), longPct, consistentLongs, consistentShorts, total };
+    return { score, reason: reasons.join(' • '), longPct, consistentLongs, consistentShorts, total, weighting: weighted ? 'smart-money' : 'equal' };
 };
 
 // Master Composite Bias Score